@@ -0,0 +1,94 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: jobController.js
+ * ------------------------------------------------------------------------------------------------
+ * 🏗️ ARCHITECTURE ROLE: HTTP Surface for the Async Job Queue
+ *
+ * - POST   /api/jobs/:tool        -> submit (202 + job ID, returns immediately)
+ * - GET    /api/jobs/:id          -> current status snapshot (polling)
+ * - GET    /api/jobs/:id/events   -> Server-Sent Events stream of status updates
+ * - DELETE /api/jobs/:id          -> cancel (kills Ghostscript/LibreOffice if running)
+ * ================================================================================================
+ */
+
+const jobQueue = require('../services/jobQueue');
+
+/**
+ * Builds a submit handler for a given tool. Multer has already stored the upload by the time
+ * this runs, so we can answer straight away and let the queue do the heavy lifting.
+ *
+ * @param {string} tool - Tool name, e.g. 'compress'
+ * @param {Function} handler - The synchronous controller action to run in the background
+ */
+exports.submit = (tool, handler) => (req, res) => {
+    const job = jobQueue.enqueue(tool, handler, req);
+
+    res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+        eventsUrl: `/api/jobs/${job.id}/events`
+    });
+};
+
+/**
+ * Returns the latest snapshot of a job.
+ */
+exports.status = (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found or expired' });
+    res.json(job.toJSON());
+};
+
+/**
+ * Streams job updates using Server-Sent Events until the job finishes.
+ * SSE is used instead of WebSockets because it is one-way, works through most proxies
+ * and needs no extra dependency.
+ */
+exports.events = (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found or expired' });
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx/Render)
+    });
+    res.flushHeaders();
+
+    const send = (snapshot) => {
+        res.write(`data: ${JSON.stringify(snapshot)}\n\n`);
+        if (['completed', 'failed', 'cancelled'].includes(snapshot.status)) {
+            cleanup();
+            res.end();
+        }
+    };
+
+    // Comment lines keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15 * 1000);
+
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        job.off('update', send);
+    };
+
+    job.on('update', send);
+    req.on('close', cleanup);
+
+    // Send current state immediately so late subscribers are not left waiting
+    send(job.toJSON());
+};
+
+/**
+ * Cancels a queued or running job.
+ */
+exports.cancel = (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found or expired' });
+
+    if (!job.cancel()) {
+        return res.status(409).json({ error: `Job already ${job.status}` });
+    }
+    res.json(job.toJSON());
+};
@@ -18,17 +18,40 @@
  *    - Uses **Ghostscript** (System Binary) for heavy compression (best-in-class, but requires dependency).
  *    - Uses **PDF-Lib** (Node.js Library) for manipulation (Metadata, Merging) and as a fallback.
  *    - This "Graceful Degradation" pattern ensures the service stays up even if the environment is imperfect.
- * 3. **Synchronous-over-HTTP**: Processing happens during the request. 
- *    - *Trade-off*: Simple to implement but limits scalability for massive files (timeouts).
- *    - *Scale Path*: Move to Async Job Queue (BullMQ/Redis) + WebSockets for production scale.
+ * 3. **Sync or Async over HTTP**: Each action runs inside the request, or in the background when
+ *    submitted via `/api/jobs/:tool` (see services/jobQueue.js).
+ *    - In job mode, `req.job` is set: actions report stages with `req.job.progress()`, register
+ *      spawned processes with `req.job.track()` and bail out via `req.job.throwIfCancelled()`.
+ *    - *Scale Path*: Swap the in-memory queue for BullMQ/Redis if we ever run multiple instances.
  * ================================================================================================
  */
 
 const path = require('path');
 const fs = require('fs-extra'); // Enhanced FS with promises/cleanup
-const { PDFDocument, degrees } = require('pdf-lib'); // JS-native PDF manipulation (No C++ bindings needed)
-const { exec } = require('child_process'); // To spawn Ghostscript processes
+const { PDFDocument, StandardFonts, rgb, degrees } = require('pdf-lib'); // JS-native PDF manipulation (No C++ bindings needed)
 const { v4: uuidv4 } = require('uuid'); // Unique IDs for collision avoidance
+const { findGhostscript, runGhostscript, renderPages } = require('../utils/ghostscript'); // Shared GS detection/spawning
+const { findLibreOffice, convertWithLibreOffice, LibreOfficeError } = require('../utils/libreoffice'); // Headless Office <-> PDF
+const pdfOptimizer = require('../services/pdfOptimizer'); // Pure-JS fallback when GS is missing
+const { addCoverPage } = require('../services/coverPage'); // Title page layouts
+const { SplitError, planParts, buildPart, splitBySize } = require('../services/pdfSplitter'); // Multi-file split modes
+const { createZip } = require('../utils/zip'); // Multi-file downloads
+const { parseLayout, addImagePages } = require('../services/imageLayout'); // Paper size/grid for image-to-pdf
+const { toEmbeddableImages, UnsupportedImageError } = require('../services/imageDecoder'); // HEIC/WEBP/TIFF + EXIF
+const { parseScanOptions, enhanceScan, embedBilevelImage, bilevelToPng } = require('../services/scanEnhancer'); // Phone photo -> "scan"
+const ocr = require('../services/ocr'); // Offline OCR -> invisible text layer
+const { PasswordError, isEncrypted, decryptPdf, encryptPdf } = require('../utils/pdfPassword'); // GS-based encryption
+const { visualFrame, drawTextAt, drawImageAt, parsePageRange, clampNumber, parseHexColor } = require('../utils/pageLayout'); // Rotation-aware stamping
+const { SUBMISSION_FIELDS, pickSubmissionFields, submissionFilename, fillTemplate } = require('../utils/submissionFields'); // Roll no/subject/... templates
+const { transliterateForFont } = require('../utils/transliterate'); // Non-Latin names on built-in fonts
+const { FilenameError, parseFilenameOptions, buildFilename } = require('../utils/filenameTemplate'); // "{rollNo}_{seq}" filename templates
+const { PROFILES, listProfiles, checkSubmission, overallStatus } = require('../services/submissionProfiles'); // Portal rules for validate
+const { inspectPdf } = require('../services/pdfHealth'); // Fonts, blank/scanned pages, scripts... for validate
+const { detectBlankPages, parseSensitivity } = require('../services/blankDetector'); // Ink coverage per page
+const { convertToPdfA, parseLevel, PdfAError } = require('../services/pdfa'); // Archival PDF/A + self-check
+const { convertToGrayscale, parseMode, parseThreshold, GrayscaleError } = require('../services/grayscale'); // Ink saver
+const { impose, parseImposition, ImpositionError } = require('../services/imposition'); // N-up and booklets
+const { parsePaperSize, parsePageSizeOptions, resizePages, cropPages, trimPages, PageSizeError } = require('../services/pageSizing'); // Resize/crop/trim
 
 // 📂 PERFORMANCE: Using an absolute path ensures reliability across different execution contexts (Docker vs Local)
 const TEMP_DIR = path.join(__dirname, '../temp');
@@ -36,61 +59,175 @@ const TEMP_DIR = path.join(__dirname, '../temp');
 // Helper to get file path
 const getFilePath = (filename) => path.join(TEMP_DIR, filename);
 
+// "1.20 MB" / "700 KB" for messages
+const formatBytes = (bytes) => (bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / 1024 / 1024).toFixed(2)} MB`);
+
+// Token values for filename templates: submission fields + `{original}` (upload name without extension)
+const filenameValues = (body, file) => ({
+    ...pickSubmissionFields(body),
+    original: path.parse(file.originalname).name
+});
+
+// 🎚️ Search space for target-size compression (see `compress`)
+const MAX_DPI = 300;      // Print quality. Anything above rarely matters for submissions.
+const MIN_DPI = 50;       // Below this, scanned handwriting stops being legible.
+const DPI_TOLERANCE = 10; // Stop bisecting once the DPI window is this narrow
+const BEST_QUALITY = 85;  // JPEG quality used while searching over DPI
+const MIN_QUALITY = 10;
+const QUALITY_TOLERANCE = 5;
+
+const RASTER_QUALITIES = [80, 65, 50, 35, 20]; // Tried in order until the rebuilt PDF fits
+
+// `pdfToImages` resolution bounds: 600 DPI is print-sharp; beyond that images balloon
+const IMAGE_MIN_DPI = 50;
+const IMAGE_MAX_DPI = 600;
+
+// Documents `officeToPdf` hands to LibreOffice (Word, PowerPoint, Excel and their OpenDocument twins)
+const OFFICE_EXTENSIONS = ['.doc', '.docx', '.odt', '.rtf', '.ppt', '.pptx', '.odp', '.xls', '.xlsx', '.ods'];
+
+// `convertPdf` formats -> LibreOffice import filter + export target (`ext:Filter name:options`)
+const PDF_CONVERSIONS = {
+    docx: { label: 'Word', infilter: 'writer_pdf_import', convertTo: 'docx:MS Word 2007 XML' },
+    odt: { label: 'OpenDocument Text', infilter: 'writer_pdf_import', convertTo: 'odt' },
+    rtf: { label: 'Rich Text', infilter: 'writer_pdf_import', convertTo: 'rtf' },
+    txt: { label: 'Plain Text', infilter: 'writer_pdf_import', convertTo: 'txt:Text (encoded):UTF8' },
+    html: { label: 'HTML', infilter: 'writer_pdf_import', convertTo: 'html:XHTML Writer File:UTF8' },
+    pptx: { label: 'PowerPoint', infilter: 'impress_pdf_import', convertTo: 'pptx:Impress MS PowerPoint 2007 XML' }
+};
+
+/**
+ * Renders every page to a JPEG and rebuilds the PDF from those images with pdf-lib.
+ * Page dimensions are derived from the rendered pixels, so rotation and odd sizes survive.
+ * ⚠️ Destroys the text layer: only used when the caller explicitly opts in.
+ *
+ * @returns {Promise<number>} Size of the rebuilt PDF in bytes
+ */
+const rasterizePdf = async (inputPath, outputPath, { dpi, quality, grayscale }, job) => {
+    const workDir = path.join(TEMP_DIR, `raster_${uuidv4()}`);
+    await fs.ensureDir(workDir);
+    try {
+        const pageImages = await renderPages(inputPath, workDir, {
+            dpi,
+            quality,
+            device: grayscale ? 'jpeggray' : 'jpeg'
+        }, job);
+
+        const doc = await PDFDocument.create();
+        for (const [index, imagePath] of pageImages.entries()) {
+            job?.throwIfCancelled();
+            job?.progress(`Rebuilding page`, index + 1, pageImages.length);
+            const image = await doc.embedJpg(await fs.readFile(imagePath));
+            const width = image.width * 72 / dpi;
+            const height = image.height * 72 / dpi;
+            doc.addPage([width, height]).drawImage(image, { x: 0, y: 0, width, height });
+        }
+
+        await fs.writeFile(outputPath, await doc.save());
+        return (await fs.stat(outputPath)).size;
+    } finally {
+        await fs.remove(workDir); // 🧹 Page images are only intermediates
+    }
+};
+
+/**
+ * Maps a familiar 1-100 JPEG quality to Ghostscript's DCT `QFactor`.
+ * Uses the IJG scaling rule, where QFactor 1.0 ≈ quality 50 and lower QFactor = better.
+ */
+const qualityToQFactor = (quality) => {
+    const q = Math.min(100, Math.max(1, quality));
+    const scale = q < 50 ? 5000 / q : 200 - 2 * q;
+    return Math.max(0.05, scale / 100).toFixed(3);
+};
+
+/**
+ * Builds pdfwrite arguments for an explicit image resolution + JPEG quality.
+ * Starts from the /ebook preset (sane font/structure settings) and overrides image handling.
+ */
+const buildCompressionArgs = (inputPath, outputPath, { dpi, quality }) => {
+    const qFactor = qualityToQFactor(quality);
+    const imageDict = `<< /QFactor ${qFactor} /Blend 1 /HSamples [2 1 1 2] /VSamples [2 1 1 2] >>`;
+    return [
+        '-sDEVICE=pdfwrite',
+        '-dCompatibilityLevel=1.4',
+        '-dPDFSETTINGS=/ebook',
+        '-dDownsampleColorImages=true', '-dColorImageDownsampleType=/Bicubic', `-dColorImageResolution=${dpi}`,
+        '-dDownsampleGrayImages=true', '-dGrayImageDownsampleType=/Bicubic', `-dGrayImageResolution=${dpi}`,
+        // Monochrome (1-bit) scans stay sharp at 2x since they compress losslessly anyway
+        '-dDownsampleMonoImages=true', '-dMonoImageDownsampleType=/Subsample', `-dMonoImageResolution=${Math.min(dpi * 2, 600)}`,
+        '-dColorImageDownsampleThreshold=1.0', '-dGrayImageDownsampleThreshold=1.0',
+        '-dAutoFilterColorImages=false', '-dColorImageFilter=/DCTEncode',
+        '-dAutoFilterGrayImages=false', '-dGrayImageFilter=/DCTEncode',
+        `-sOutputFile=${outputPath}`,
+        '-c', `<< /ColorImageDict ${imageDict} /GrayImageDict ${imageDict} >> setdistillerparams`,
+        '-f', inputPath
+    ];
+};
+
 /**
  * --------------------------------------------------------------------------------------------
  * 🚀 FUNCTION: compress
  * --------------------------------------------------------------------------------------------
- * Logic: Reduces PDF size using Ghostscript with fallback to simple object stream optimization.
+ * Logic: Reduces PDF size using Ghostscript, with a pure-JS fallback (services/pdfOptimizer.js).
  * 
- * 🧠 COMPLEXITY:
- * - The "Iterative Compression" approach (trying multiple presets) is expensive (O(N) * FileSize).
- * - **Trade-off**: High CPU usage per request in exchange for meeting the user's "Target Size" requirement.
+ * 🧠 ALGORITHM (when `targetSize` is given):
+ * 1. Try MAX_DPI at BEST_QUALITY. If it fits, we're done (best possible output).
+ * 2. Bisect image resolution between MIN_DPI and MAX_DPI at BEST_QUALITY, keeping the highest
+ *    DPI that fits.
+ * 3. If even MIN_DPI doesn't fit, bisect JPEG quality at MIN_DPI instead.
+ * 4. (Opt-in, `rasterize=true`) If nothing fits, render pages to JPEG at `rasterDpi` and rebuild
+ *    the PDF from images (see `rasterizePdf`). Text stops being selectable, so it's flagged.
+ * - Output size is (roughly) monotonic in both DPI and quality, which is what makes bisection valid.
+ * - **Trade-off**: ~6-10 Ghostscript passes instead of 4 presets, but we land just under the
+ *   target instead of jumping from /ebook straight to blurry /screen.
+ * - `grayscaleFirst=true` converts the colours to gray (services/grayscale.js) before all of
+ *   the above, which alone often saves a third on colour scans.
  * 
  * @param {object} req - Express request with `req.file` (Multer)
  * @param {object} res - Express response
  */
 exports.compress = async (req, res) => {
+    let grayPath = null; // Intermediate grayscale copy, removed at the end
+    const attemptPaths = []; // Every search/raster output, removed at the end (even on cancel or error)
+    let chosen = null;       // The attempt handed back to the user, never removed
     try {
         if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-        const { targetSize } = req.body; // User's desired size in bytes
-        const inputPath = req.file.path;
+        const targetSize = parseInt(req.body.targetSize) || null; // User's desired size in bytes
+        // Last-resort options: rasterize pages when no vector-preserving setting fits
+        const rasterize = req.body.rasterize === true || req.body.rasterize === 'true';
+        const rasterDpi = Math.min(300, Math.max(50, parseInt(req.body.rasterDpi) || 100));
+        const rasterGrayscale = req.body.rasterColor !== 'color'; // Grayscale by default: far smaller for handwriting
+        const grayscaleFirst = req.body.grayscaleFirst === true || req.body.grayscaleFirst === 'true';
+        const job = req.job; // Only present when running as a background job
         const outputPath = path.join(TEMP_DIR, `compressed_${req.file.filename}`);
 
+        // Opt-in first pass: everything below then works on the grayscale copy
+        let inputSize = req.file.size;
+        if (grayscaleFirst && await findGhostscript()) {
+            grayPath = path.join(TEMP_DIR, `gray_${uuidv4()}.pdf`);
+            inputSize = (await convertToGrayscale(req.file.path, grayPath, {}, job)).size;
+        }
+        const inputPath = grayPath || req.file.path;
+
         // 🧠 OPTIMIZATION: If file is already smaller than/equal to target, don't compress!
         // This prevents unnecessary quality loss and processing time.
-        if (targetSize && req.file.size <= targetSize) {
-             console.log(`Skipping compression: ${req.file.size} <= ${targetSize}`);
+        if (targetSize && inputSize <= targetSize) {
+             console.log(`Skipping compression: ${inputSize} <= ${targetSize}`);
              await fs.copy(inputPath, outputPath);
              
              return res.json({
                 url: `/download/${path.basename(outputPath)}`,
                 filename: path.basename(outputPath),
-                size: req.file.size,
+                size: inputSize,
                 originalSize: req.file.size,
-                message: 'File was already under target size (Original Quality Preserved)'
+                ...(grayPath && { grayscale: true }),
+                message: grayPath
+                    ? 'Converted to grayscale; that alone reached the target size'
+                    : 'File was already under target size (Original Quality Preserved)'
             });
         }
 
-        // 📝 STRATEGY: Try presets from High Quality -> Low Quality until target size is met
-        const presets = ['/prepress', '/printer', '/ebook', '/screen']; 
-        let bestPath = null;
-        let bestSize = Infinity;
-        
         // 🔒 SECURITY/OPS: Detect Ghostscript presence to avoid crashing process
-        const checkGsCommand = async () => {
-            const commands = ['gswin64c', 'gswin32c', 'gs']; // Windows vs Linux binary names
-            for (const cmd of commands) {
-                try {
-                    await new Promise((resolve, reject) => {
-                        exec(`${cmd} --version`, (err) => err ? reject(err) : resolve());
-                    });
-                    return cmd;
-                } catch (e) { continue; }
-            }
-            return null;
-        };
-
-        const gsCmd = await checkGsCommand();
+        const gsCmd = await findGhostscript();
         
         // --- 🛡️ FALLBACK MODE: Graceful Degradation ---
         // If the host server lacks Ghostscript (e.g., standard Node.js container), don't fail hard.
@@ -98,26 +235,33 @@ exports.compress = async (req, res) => {
             console.log('⚠️ Ghostscript not found. Using fallback (pdf-lib) optimization.');
             
             try {
-                // Read -> Load -> Resave. This strips unused objects but doesn't downsample images.
+                // Recompress images, dedupe streams, drop unused objects (see services/pdfOptimizer.js)
                 const inputBuffer = await fs.readFile(inputPath);
-                const pdfDoc = await PDFDocument.load(inputBuffer);
-                
-                // useObjectStreams: false is faster but less compressed. Default is usually better.
-                // We just rely on pdf-lib's default cleaner writer here.
-                const pdfBytes = await pdfDoc.save({ useObjectStreams: false }); 
-                
-                await fs.writeFile(outputPath, pdfBytes);
+                const result = await pdfOptimizer.optimise(inputBuffer, { targetSize }, job);
+
+                // Never hand back something bigger than what was uploaded
+                const improved = result.bytes.length < inputBuffer.length;
+                await fs.writeFile(outputPath, improved ? result.bytes : inputBuffer);
                 
                 const finalStats = await fs.stat(outputPath);
                 
-                // Return result with a specific "fallback" flag if we wanted to warn UI, 
-                // but for now just return success so it doesn't crash.
+                const warnings = ['Ghostscript not installed: used the built-in JavaScript compressor.'];
+                if (grayscaleFirst) warnings.push('Pages were not converted to grayscale (needs Ghostscript).');
+                if (targetSize && finalStats.size > targetSize) warnings.push('Could not reach target size.');
+
                 return res.json({
                     url: `/download/${path.basename(outputPath)}`,
                     filename: path.basename(outputPath),
                     size: finalStats.size,
                     originalSize: req.file.size,
-                    warning: 'Basic optimization only. Install Ghostscript for max compression.'
+                    engine: 'pdf-lib',
+                    maxImageDimension: result.maxDimension,
+                    quality: result.quality,
+                    imagesRecompressed: improved ? result.imagesRecompressed : 0,
+                    duplicatesRemoved: improved ? result.duplicatesRemoved : 0,
+                    unusedRemoved: improved ? result.unusedRemoved : 0,
+                    targetMet: !targetSize || finalStats.size <= targetSize,
+                    warning: warnings.join(' ')
                 });
                 
             } catch (err) {
@@ -127,96 +271,148 @@ exports.compress = async (req, res) => {
         }
 
         // --- ⚙️ GHOSTSCRIPT MODE (Performance Critical) ---
-        // Helper to run external process
-        const compressWithPreset = (preset, outPath) => {
-            return new Promise((resolve, reject) => {
-                 // 🔒 SECURITY: Path Injection mitigation is handled by basic quoting, 
-                 // but ideally, we should avoid shell usage or use `execFile`.
-                 // Input sanitization: convert backslashes (Windows) to forward slashes (GS requirement)
-                 const safeInput = inputPath.replace(/\\/g, '/');
-                 const safeOutput = outPath.replace(/\\/g, '/');
-                 
-                 // -dPDFSETTINGS: The magic switch that changes image DPI/compression
-                 const command = `"${gsCmd}" -sDEVICE=pdfwrite -dCompatibilityLevel=1.4 -dPDFSETTINGS=${preset} -dNOPAUSE -dQUIET -dBATCH -sOutputFile="${safeOutput}" "${safeInput}"`;
-                 
-                 console.log(`Executing GS: ${command}`); // Debug log
-
-                 exec(command, async (error, stdout, stderr) => {
-                    if (error) {
-                        console.error('GS Exec Error:', error);
-                        console.error('GS Stderr:', stderr);
-                        return reject(error);
-                    }
-                    if (!await fs.pathExists(outPath)) {
-                        console.error('Output file missing after GS success');
-                        return reject(new Error('Output file not created'));
-                    }
-                    const stats = await fs.stat(outPath);
-                    console.log(`Compression successful: ${preset} -> ${(stats.size/1024).toFixed(2)}KB`);
-                    resolve(stats.size);
-                 });
+        // Default strategy: no target means a single balanced '/ebook' pass
+        if (!targetSize) {
+            job?.progress('Compressing with /ebook preset');
+            try {
+                await runGhostscript([
+                    '-sDEVICE=pdfwrite', '-dCompatibilityLevel=1.4', '-dPDFSETTINGS=/ebook',
+                    `-sOutputFile=${outputPath}`, inputPath
+                ], job);
+            } catch (e) {
+                console.error('Default compression failed:', e);
+                return res.status(500).json({ error: 'Could not compress file' });
+            }
+            const finalStats = await fs.stat(outputPath);
+            return res.json({
+                url: `/download/${path.basename(outputPath)}`,
+                filename: path.basename(outputPath),
+                size: finalStats.size,
+                originalSize: req.file.size,
+                preset: '/ebook',
+                ...(grayPath && { grayscale: true })
             });
+        }
+
+        const attempts = []; // { dpi, quality, size, path }
+        let best = null;     // Highest-quality attempt that fits the target
+        let smallest = null; // Safety net if nothing fits
+
+        const attempt = async (settings) => {
+            job?.throwIfCancelled();
+            job?.progress(`Trying ${settings.dpi} DPI @ quality ${settings.quality} (attempt ${attempts.length + 1})`);
+            const stepOutputPath = path.join(TEMP_DIR, `comp_${settings.dpi}_${settings.quality}_${uuidv4()}.pdf`);
+            attemptPaths.push(stepOutputPath);
+            try {
+                await runGhostscript(buildCompressionArgs(inputPath, stepOutputPath, settings), job);
+            } catch (e) {
+                console.error('Compression step failed:', e.message);
+                return null;
+            }
+            const { size } = await fs.stat(stepOutputPath);
+            console.log(`Compression attempt: ${settings.dpi} DPI, Q${settings.quality} -> ${(size/1024).toFixed(2)}KB`);
+
+            const result = { ...settings, size, path: stepOutputPath };
+            attempts.push(result);
+            if (!smallest || size < smallest.size) smallest = result;
+            // Attempts are made in decreasing-quality order per phase, so any fit beats "no fit"
+            // and a later fit only replaces an earlier one if it has more resolution to show.
+            if (size <= targetSize && (!best || settings.dpi > best.dpi || (settings.dpi === best.dpi && settings.quality > best.quality))) {
+                best = result;
+            }
+            return result;
         };
 
-        // ALGORITHM: Greedy Search
-        // We iterate through quality levels. 
-        // IF targetSize is defined: Stop as soon as we are small enough.
-        // IF no targetSize: Default to '/ebook' (good balance).
-        if (targetSize) {
-            for (const preset of presets) {
-                const stepOutputPath = path.join(TEMP_DIR, `comp_${preset.slice(1)}_${uuidv4()}.pdf`);
+        // Phase 1: Full resolution may already be enough
+        const top = await attempt({ dpi: MAX_DPI, quality: BEST_QUALITY });
+
+        if (top && top.size > targetSize) {
+            // Phase 2: Bisect DPI at good JPEG quality
+            const floor = await attempt({ dpi: MIN_DPI, quality: BEST_QUALITY });
+            const imagesMatter = floor && floor.size < top.size * 0.98;
+
+            if (floor && floor.size <= targetSize && imagesMatter) {
+                let lo = MIN_DPI, hi = MAX_DPI; // Invariant: lo fits, hi doesn't
+                while (hi - lo > DPI_TOLERANCE) {
+                    const mid = Math.round((lo + hi) / 2);
+                    const r = await attempt({ dpi: mid, quality: BEST_QUALITY });
+                    if (r && r.size <= targetSize) lo = mid; else hi = mid;
+                }
+            } else if (floor && imagesMatter) {
+                // Phase 3: Even MIN_DPI is too big; bisect JPEG quality at MIN_DPI
+                let lo = MIN_QUALITY, hi = BEST_QUALITY; // Invariant: hi doesn't fit
+                const bottom = await attempt({ dpi: MIN_DPI, quality: MIN_QUALITY });
+                if (bottom && bottom.size <= targetSize) {
+                    while (hi - lo > QUALITY_TOLERANCE) {
+                        const mid = Math.round((lo + hi) / 2);
+                        const r = await attempt({ dpi: MIN_DPI, quality: mid });
+                        if (r && r.size <= targetSize) lo = mid; else hi = mid;
+                    }
+                }
+            }
+        }
+
+        // Phase 4 (opt-in): Rasterize. Only reached when no vector-preserving attempt fits.
+        if (!best && rasterize) {
+            for (const quality of RASTER_QUALITIES) {
+                job?.throwIfCancelled();
+                job?.progress(`Rasterizing pages at ${rasterDpi} DPI @ quality ${quality}`);
+                const rasterPath = path.join(TEMP_DIR, `raster_${rasterDpi}_${quality}_${uuidv4()}.pdf`);
+                attemptPaths.push(rasterPath);
                 try {
-                    const size = await compressWithPreset(preset, stepOutputPath);
-                    
+                    const size = await rasterizePdf(inputPath, rasterPath, { dpi: rasterDpi, quality, grayscale: rasterGrayscale }, job);
+                    console.log(`Raster attempt: ${rasterDpi} DPI, Q${quality} -> ${(size/1024).toFixed(2)}KB`);
+                    const result = { dpi: rasterDpi, quality, size, path: rasterPath, rasterized: true };
+                    attempts.push(result);
+                    if (!smallest || size < smallest.size) smallest = result;
                     if (size <= targetSize) {
-                        bestPath = stepOutputPath;
-                        bestSize = size;
-                        break; // 🎯 Success: Found a valid size!
-                    }
-                    
-                    // Keep track of the smallest we found so far just in case
-                    if (size < bestSize) {
-                        if (bestPath) await fs.remove(bestPath); // 🧹 Cleanup previous best
-                        bestPath = stepOutputPath;
-                        bestSize = size;
-                    } else {
-                        await fs.remove(stepOutputPath); // 🧹 Discard useless attempts
+                        best = result;
+                        break;
                     }
                 } catch (e) {
-                    console.error('Compression step failed:', e);
+                    job?.throwIfCancelled();
+                    console.error('Raster step failed:', e.message);
+                    break; // Rendering errors won't improve at lower quality
                 }
             }
-        } else {
-            // Default strategy
-            const defaultPath = path.join(TEMP_DIR, `comp_${uuidv4()}.pdf`);
-            try {
-                await compressWithPreset('/ebook', defaultPath);
-                bestPath = defaultPath;
-                bestSize = (await fs.stat(defaultPath)).size;
-            } catch (e) {
-                console.error('Default compression failed:', e);
-            }
         }
 
-        if (!bestPath) {
+        chosen = best || smallest;
+        if (!chosen) {
              return res.status(500).json({ error: 'Could not compress file' });
         }
-        
-        // Final move to ensure clean output filename
-        await fs.move(bestPath, outputPath, { overwrite: true });
+
+        // Move the winner to a clean output filename (the discarded attempts go in `finally`)
+        await fs.move(chosen.path, outputPath, { overwrite: true });
+
+        const warnings = [];
+        if (!best) warnings.push(`Could not reach target size. Smallest result: ${(chosen.size / 1024).toFixed(0)} KB at ${chosen.dpi} DPI.${rasterize ? '' : ' Enable "rasterize pages" as a last resort.'}`);
+        if (chosen.rasterized) warnings.push('Pages were converted to images, so text is no longer selectable or searchable.');
 
         const finalStats = await fs.stat(outputPath);
         // Returns relative URL. Frontend constructs full URL.
-            res.json({
-                url: `/download/${path.basename(outputPath)}`,
-                filename: path.basename(outputPath),
-                size: finalStats.size,
-                originalSize: req.file.size
-            });
+        res.json({
+            url: `/download/${path.basename(outputPath)}`,
+            filename: path.basename(outputPath),
+            size: finalStats.size,
+            originalSize: req.file.size,
+            dpi: chosen.dpi,
+            quality: chosen.quality,
+            attempts: attempts.length,
+            targetMet: Boolean(best),
+            rasterized: Boolean(chosen.rasterized),
+            ...(grayPath && { grayscale: true }),
+            ...(chosen.rasterized ? { colorMode: rasterGrayscale ? 'grayscale' : 'color' } : {}),
+            ...(warnings.length ? { warning: warnings.join(' ') } : {})
+        });
 
     } catch (err) {
         console.error(err);
         res.status(500).json({ error: 'Server error during compression' });
+    } finally {
+        // 🧹 Cleanup discarded attempts
+        await Promise.all(attemptPaths.filter(p => p !== chosen?.path).map(p => fs.remove(p).catch(() => {})));
+        if (grayPath) await fs.remove(grayPath).catch(() => {});
     }
 };
 
@@ -229,21 +425,32 @@ exports.compress = async (req, res) => {
  * 🧠 LOGIC:
  * - Loads all PDFs into memory (High RAM usage potential).
  * - Copies each page one by one to a new document.
+ * - Optional `pageSize` (a4, letter...) puts every page on that paper afterwards
+ *   (services/pageSizing.js), so mixed A4/Letter/scanner sizes come out uniform.
  * - *Scale Note*: For 100+ MB files, this would crash the Node process. Stream processing needed for scale.
  */
 exports.merge = async (req, res) => {
     try {
         if (!req.files || req.files.length < 2) return res.status(400).json({ error: 'At least 2 files required' });
+        const pageSize = req.body.pageSize ? parsePaperSize(req.body.pageSize) : null;
         
         const mergedPdf = await PDFDocument.create();
         
         // Iterate sequentially to preserve array order (req.files order matters!)
-        for (const file of req.files) {
+        for (const [index, file] of req.files.entries()) {
+            req.job?.throwIfCancelled();
+            req.job?.progress('Merging file', index + 1, req.files.length);
             const pdfBytes = await fs.readFile(file.path);
             const pdf = await PDFDocument.load(pdfBytes);
             const copiedPages = await mergedPdf.copyPages(pdf, pdf.getPageIndices());
             copiedPages.forEach((page) => mergedPdf.addPage(page));
         }
+
+        let resized = 0;
+        if (pageSize) {
+            req.job?.progress('Normalising page sizes');
+            resized = resizePages(mergedPdf, { pageSize });
+        }
         
         const outputFilename = `merged_${uuidv4()}.pdf`;
         const outputPath = path.join(TEMP_DIR, outputFilename);
@@ -256,9 +463,11 @@ exports.merge = async (req, res) => {
             url: `/download/${outputFilename}`,
             filename: outputFilename,
             size: stats.size,
-            pageCount: mergedPdf.getPageCount()
+            pageCount: mergedPdf.getPageCount(),
+            ...(pageSize && { pageSize, resized })
         });
     } catch (err) {
+        if (err instanceof PageSizeError) return res.status(400).json({ error: err.message });
         console.error(err);
         res.status(500).json({ error: 'Merge failed' });
     }
@@ -270,16 +479,25 @@ exports.merge = async (req, res) => {
  * --------------------------------------------------------------------------------------------
  * A simple utility to standardize filenames for University submissions.
  * Does not modify PDF content, only the file entry on disk.
+ *
+ * Names come from `template` (default "{rollNo}_{subject}_{type}_{date}") with `case`,
+ * `separator` and `transliterate` options; see utils/filenameTemplate.js.
  */
 exports.rename = async (req, res) => {
     // Just metadata handling, file is already "uploaded" or referenced
     // User might upload a file AND rename params.
     try {
         if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-        const { rollNo, subject, type, date } = req.body;
         
-        // 🔒 SECURITY: Sanitize components to prevent Directory Traversal (e.g. "../")
-        const newFilename = `${rollNo}_${subject}_${type}_${date}.pdf`.replace(/[^a-zA-Z0-9_.-]/g, ''); 
+        // 🔒 SECURITY: Sanitized inside buildFilename to prevent Directory Traversal (e.g. "../")
+        let newFilename;
+        try {
+            const options = parseFilenameOptions(req.body);
+            newFilename = buildFilename(filenameValues(req.body, req.file), { ...options, extension: path.extname(req.file.originalname) || '.pdf' });
+        } catch (e) {
+            if (e instanceof FilenameError) return res.status(400).json({ error: e.message });
+            throw e;
+        }
         
         // We don't necessarily rename the temp file on disk immediately to avoid collisions,
         // but we send back the "suggested" name or rename it for download.
@@ -302,44 +520,168 @@ exports.rename = async (req, res) => {
     }
 };
 
+/**
+ * --------------------------------------------------------------------------------------------
+ * 🏷️ FUNCTION: batchRename
+ * --------------------------------------------------------------------------------------------
+ * Renames every upload with the same template, numbering them with {seq} in upload order
+ * (from `startNumber`), and returns them in one ZIP. Works for any file type.
+ */
+exports.batchRename = async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) return res.status(400).json({ error: 'No files uploaded' });
+
+        const startNumber = Math.round(clampNumber(req.body.startNumber, 0, 100000, 1)); // 0 is a valid start
+        const seqWidth = Math.max(2, String(startNumber + req.files.length - 1).length);
+
+        let options;
+        let names;
+        try {
+            options = parseFilenameOptions(req.body);
+            names = req.files.map((file, i) => buildFilename(
+                { ...filenameValues(req.body, file), seq: startNumber + i, seqWidth },
+                { ...options, extension: path.extname(file.originalname) }
+            ));
+        } catch (e) {
+            if (e instanceof FilenameError) return res.status(400).json({ error: e.message });
+            throw e;
+        }
+
+        // Same name twice (no {seq}/{original} in the template): number the repeats
+        const taken = new Map();
+        let duplicates = 0;
+        const files = req.files.map((file, i) => {
+            const { name, ext } = path.parse(names[i]);
+            let filename = names[i];
+            for (let n = 2; taken.has(filename.toLowerCase()); n++) filename = `${name}${options.separator}${n}${ext}`;
+            if (filename !== names[i]) duplicates++;
+            taken.set(filename.toLowerCase(), true);
+            return { original: file.originalname, filename, path: file.path };
+        });
+
+        req.job?.progress('Creating ZIP');
+        const outputFilename = `renamed_${uuidv4()}.zip`;
+        const size = await createZip(path.join(TEMP_DIR, outputFilename), files.map(file => ({ name: file.filename, path: file.path })));
+
+        res.json({
+            url: `/download/${outputFilename}`,
+            filename: outputFilename,
+            size,
+            files: files.map(({ original, filename }) => ({ original, filename })),
+            ...(duplicates && { warning: `${duplicates} file(s) would have had the same name and were numbered. Add {seq} or {original} to the template to tell them apart.` })
+        });
+
+    } catch (err) {
+        console.error('Batch rename error:', err);
+        res.status(500).json({ error: 'Rename failed' });
+    }
+};
+
 // ... existing exports ...
 
+/**
+ * Recognises every source image and draws its invisible text over the image's placement.
+ * Several images can share a page (grids), so results are merged per page.
+ *
+ * @returns {Promise<{ page: number, confidence: number|null, words: number }[]>}
+ *   `confidence` is null for pages where no text was found
+ */
+const addImageTextLayers = async (doc, placements, sources, languages, job) => {
+    const pageNumbers = new Map(doc.getPages().map((page, i) => [page, i + 1]));
+    const results = new Map();
+    const engine = await ocr.createOcrEngine(languages);
+    try {
+        for (const [index, { page, ...box }] of placements.entries()) {
+            job?.throwIfCancelled();
+            job?.progress('Recognising text', index + 1, placements.length);
+            const { textLayer, confidence, words } = await ocr.recognizeImage(engine, sources[index]);
+            page.drawPage(await ocr.embedTextLayer(doc, textLayer), box);
+
+            const number = pageNumbers.get(page);
+            const result = results.get(number) || { page: number, confidences: [], words: 0 };
+            if (words > 0) result.confidences.push(confidence);
+            result.words += words;
+            results.set(number, result);
+        }
+    } finally {
+        await engine.terminate();
+    }
+    return [...results.values()].map(({ page, confidences, words }) => ({
+        page,
+        confidence: confidences.length ? Math.round(confidences.reduce((a, b) => a + b, 0) / confidences.length) : null,
+        words
+    }));
+};
+
 /**
  * --------------------------------------------------------------------------------------------
  * 🖼️ FUNCTION: imageToPdf
  * --------------------------------------------------------------------------------------------
- * Converts an array of Images (JPG/PNG) into a single PDF document.
+ * Converts an array of Images (JPG/PNG/WEBP/HEIC/TIFF...) into a single PDF document.
+ * Formats and EXIF orientation are normalised by services/imageDecoder.js; unusable files
+ * are listed in `skipped`.
  * Often requested by students who take photos of handwritten pages.
+ * 
+ * Layout (`pageSize`, `orientation`, `margin`, `fit`, `columns`/`rows`) is handled by
+ * services/imageLayout.js. Without options, each page matches the image size as before.
+ *
+ * `scan=true` runs each photo through services/scanEnhancer.js first (`autoCrop`,
+ * `perspective`, `deskew`, `scanFilter` = bw | gray | color) for a flatbed-scan look.
+ *
+ * `ocr=true` (+ `ocrLanguages`, e.g. "eng+hin") adds an invisible text layer over every image.
  */
 exports.imageToPdf = async (req, res) => {
     try {
         if (!req.files || req.files.length === 0) return res.status(400).json({ error: 'No images uploaded' });
+
+        const { layout, error } = parseLayout(req.body);
+        if (error) return res.status(400).json({ error });
+        const scan = parseScanOptions(req.body);
+        let ocrLanguages = null;
+        if (req.body.ocr === 'true') {
+            try {
+                ocrLanguages = ocr.parseLanguages(req.body.ocrLanguages);
+            } catch (e) {
+                if (e instanceof ocr.OcrError) return res.status(400).json({ error: e.message });
+                throw e;
+            }
+        }
         
         const doc = await PDFDocument.create();
-        
-        // Loop through images and embed them
-        for (const file of req.files) {
+        const images = [];
+        const ocrSources = []; // Image bytes to recognise, parallel to `images` (OCR only)
+        const skipped = []; // Reported back instead of silently dropped
+
+        // Loop through images, normalise them (format, EXIF rotation) and embed them
+        for (const [index, file] of req.files.entries()) {
+            req.job?.throwIfCancelled();
+            req.job?.progress('Converting image', index + 1, req.files.length);
             const imgBytes = await fs.readFile(file.path);
-            let image;
-            
-            // PDF-Lib requires explicit embedding based on format
-            if (file.mimetype === 'image/jpeg' || file.mimetype === 'image/jpg') {
-                image = await doc.embedJpg(imgBytes);
-            } else if (file.mimetype === 'image/png') {
-                image = await doc.embedPng(imgBytes);
-            } else {
-                continue; // ⚠️ Silent skip of unsupported files
+
+            try {
+                // Multi-page TIFF/HEIC files yield several images
+                for (const decoded of await toEmbeddableImages(imgBytes)) {
+                    req.job?.throwIfCancelled();
+                    if (scan) req.job?.progress('Cleaning up scan', index + 1, req.files.length);
+                    const image = scan ? await enhanceScan(decoded.bytes, scan) : decoded;
+                    if (image.format === 'bilevel') images.push(await embedBilevelImage(doc, image));
+                    else images.push(image.format === 'png' ? await doc.embedPng(image.bytes) : await doc.embedJpg(image.bytes));
+                    if (ocrLanguages) ocrSources.push(image.format === 'bilevel' ? await bilevelToPng(image) : image.bytes);
+                }
+            } catch (e) {
+                req.job?.throwIfCancelled();
+                skipped.push({ file: file.originalname, reason: e instanceof UnsupportedImageError ? e.message : 'Could not read this image' });
             }
-            
-            // Create page matching image dimensions
-            const page = doc.addPage([image.width, image.height]);
-            page.drawImage(image, {
-                x: 0,
-                y: 0,
-                width: image.width,
-                height: image.height,
-            });
         }
+
+        if (images.length === 0) {
+            const reasons = skipped.map(s => `${s.file} (${s.reason})`).join(', ');
+            return res.status(400).json({ error: `None of the files could be converted: ${reasons}`, skipped });
+        }
+
+        // Paper size, margins, fit and grid (see services/imageLayout.js)
+        const placements = addImagePages(doc, images, layout, (done, total) => req.job?.progress('Laying out pages', done, total));
+        const ocrPages = ocrLanguages ? await addImageTextLayers(doc, placements, ocrSources, ocrLanguages, req.job) : null;
         
         const outputFilename = `converted_${uuidv4()}.pdf`;
         const outputPath = path.join(TEMP_DIR, outputFilename);
@@ -348,11 +690,20 @@ exports.imageToPdf = async (req, res) => {
         
         const stats = await fs.stat(outputPath);
 
+        const warnings = [];
+        if (skipped.length) warnings.push(`${skipped.length} file(s) skipped: ${skipped.map(s => s.file).join(', ')}`);
+        const ocrWarning = ocrPages && ocr.lowConfidenceWarning(ocrPages);
+        if (ocrWarning) warnings.push(ocrWarning);
+
         res.json({
             url: `/download/${outputFilename}`,
             filename: outputFilename,
             size: stats.size,
-            pageCount: doc.getPageCount()
+            pageCount: doc.getPageCount(),
+            imageCount: images.length,
+            skipped,
+            ...(ocrPages && { ocr: { languages: ocrLanguages, pages: ocrPages } }),
+            ...(warnings.length && { warning: warnings.join(' ') })
         });
         
     } catch (err) {
@@ -411,28 +762,68 @@ exports.updateMetadata = async (req, res) => {
  * Performs safety checks and basic analysis before processing.
  * - Checks for encryption (password protection).
  * - Checks for corruption.
- * - Flags hefty files.
+ * - Without a `profile`: flags hefty files (> 5 MB -> RISKY).
+ * - With a `profile` (see services/submissionProfiles.js): itemised pass/warn/fail `findings`,
+ *   a READY / RISKY / NOT ACCEPTABLE status and the `fixPlan` pipeline that repairs what it can.
+ *   Submission fields sent alongside (rollNo, subject, name...) feed the rename/metadata fixes.
+ * - Always: a `health` report (services/pdfHealth.js) with severities and suggested fixes,
+ *   including blank pages found by ink coverage (services/blankDetector.js).
  */
 exports.validate = async (req, res) => {
      try {
         if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+        const { profile } = req.body;
+        if (profile && !PROFILES[profile]) {
+            return res.status(400).json({ error: `Unknown profile "${profile}". Use one of: ${Object.keys(PROFILES).join(', ')}` });
+        }
         
         const inputPath = req.file.path;
         const pdfBytes = await fs.readFile(inputPath);
         
         let pdfDoc;
         try {
-            pdfDoc = await PDFDocument.load(pdfBytes);
+            // ignoreEncryption: otherwise pdf-lib throws and locked files look "corrupted"
+            pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
         } catch (e) {
             return res.json({ status: 'INVALID', message: 'Corrupted or not a valid PDF' });
         }
         
         if (pdfDoc.isEncrypted) {
-             return res.json({ status: 'INVALID', message: 'PDF is password protected' });
+             return res.json({ status: 'INVALID', message: 'PDF is password protected', passwordRequired: true });
         }
         
         const pageCount = pdfDoc.getPageCount();
         const size = req.file.size;
+
+        // The health report is extra detail: a PDF it can't parse or render still gets its status
+        let blankDetection;
+        try {
+            blankDetection = await detectBlankPages(inputPath, pdfDoc, {}, req.job);
+        } catch (e) {
+            console.error('Blank page detection error:', e); // Report falls back to reading content streams
+        }
+        let health = null;
+        try {
+            req.job?.progress('Inspecting document');
+            health = inspectPdf(pdfDoc, pdfBytes, { blankDetection, ghostscript: Boolean(await findGhostscript()) });
+        } catch (e) {
+            console.error('Health report error:', e);
+        }
+
+        if (profile) {
+            req.job?.progress('Checking submission rules');
+            const { findings, fixPlan } = await checkSubmission(pdfDoc, req.file, profile, req.body);
+            return res.json({
+                status: overallStatus(findings),
+                profile: { id: profile, label: PROFILES[profile].label },
+                findings,
+                fixPlan,
+                health,
+                pageCount,
+                size,
+                filename: req.file.filename
+            });
+        }
         
         // Business Rule: Files larger than 5MB are marked "RISKY" for submission portals
         let status = 'READY';
@@ -440,6 +831,7 @@ exports.validate = async (req, res) => {
         
         res.json({
             status,
+            health,
             pageCount,
             size,
             filename: req.file.filename
@@ -452,11 +844,82 @@ exports.validate = async (req, res) => {
 };
 
 /**
- * Split PDF (Extract Pages)
+ * Lists the submission profiles `validate` accepts (for the profile picker).
+ */
+exports.listProfiles = (req, res) => {
+    res.json({ profiles: listProfiles() });
+};
+
+/**
+ * Splits into several PDFs (see services/pdfSplitter.js for the modes) and returns a ZIP of
+ * the parts plus `manifest.json` describing which pages went where.
+ */
+const splitIntoParts = async (req, res) => {
+    const { mode } = req.body;
+    const srcDoc = await PDFDocument.load(await fs.readFile(req.file.path));
+
+    let parts;
+    try {
+        if (mode === 'size') {
+            const maxSizeMb = parseFloat(req.body.maxSizeMb);
+            if (!(maxSizeMb > 0)) return res.status(400).json({ error: 'Enter the maximum size of each part in MB' });
+            parts = await splitBySize(srcDoc, maxSizeMb * 1024 * 1024, req.job);
+        } else {
+            parts = planParts(srcDoc, mode, req.body);
+            for (const [i, part] of parts.entries()) {
+                req.job?.throwIfCancelled();
+                req.job?.progress('Writing parts', i + 1, parts.length);
+                part.bytes = await buildPart(srcDoc, part.pageIndices);
+            }
+        }
+    } catch (e) {
+        if (e instanceof SplitError) return res.status(400).json({ error: e.message });
+        throw e;
+    }
+
+    // "01_Q1.pdf", "02_Q2.pdf"... keeps the ZIP listing in document order
+    const manifest = {
+        source: req.file.originalname,
+        mode,
+        totalPages: srcDoc.getPageCount(),
+        parts: parts.map((part, i) => ({
+            file: `${String(i + 1).padStart(2, '0')}_${part.name.replace(/[^a-zA-Z0-9_.-]+/g, '_').replace(/^_+|_+$/g, '') || 'part'}.pdf`,
+            name: part.name,
+            pages: part.pageIndices.map(index => index + 1),
+            size: part.bytes.length,
+            ...(part.overLimit && { overLimit: true })
+        }))
+    };
+
+    req.job?.progress('Creating ZIP');
+    const outputFilename = `parts_${path.parse(req.file.filename).name}.zip`;
+    const outputPath = path.join(TEMP_DIR, outputFilename);
+    const size = await createZip(outputPath, [
+        ...parts.map((part, i) => ({ name: manifest.parts[i].file, data: part.bytes })),
+        { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) }
+    ]);
+
+    const oversized = manifest.parts.filter(part => part.overLimit).length;
+    res.json({
+        url: `/download/${outputFilename}`,
+        filename: outputFilename,
+        size,
+        originalSize: req.file.size,
+        manifest,
+        ...(oversized && { warning: `${oversized} page(s) are larger than the size limit on their own and could not be split further.` })
+    });
+};
+
+/**
+ * Split PDF
+ * - Default ("extract"): pulls `pages` (e.g. "1-3, 5") into one new PDF.
+ * - `mode` = every | single | bookmarks | ranges | size: several PDFs in a ZIP (see above).
  */
 exports.split = async (req, res) => {
     try {
         if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+        if (req.body.mode && req.body.mode !== 'extract') return await splitIntoParts(req, res);
+
         const { pages } = req.body; 
         if (!pages) return res.status(400).json({ error: 'Page range required' });
 
@@ -468,25 +931,7 @@ exports.split = async (req, res) => {
         const newDoc = await PDFDocument.create();
 
         const totalPages = srcDoc.getPageCount();
-        const pageIndices = [];
-        
-        try {
-            const parts = pages.split(',');
-            for (const part of parts) {
-                if (part.includes('-')) {
-                    const [start, end] = part.split('-').map(n => parseInt(n.trim()));
-                    if (start > end) continue; 
-                    for (let i = start; i <= end; i++) {
-                        if (i >= 1 && i <= totalPages) pageIndices.push(i - 1);
-                    }
-                } else {
-                    const pageNum = parseInt(part.trim());
-                    if (pageNum >= 1 && pageNum <= totalPages) pageIndices.push(pageNum - 1);
-                }
-            }
-        } catch (e) {
-            return res.status(400).json({ error: 'Invalid page format' });
-        }
+        const pageIndices = parsePageRange(pages, totalPages);
 
         if (pageIndices.length === 0) return res.status(400).json({ error: 'No valid pages selected' });
 
@@ -604,60 +1049,1029 @@ exports.rotate = async (req, res) => {
 };
 
 /**
- * PDF to Word (Docx)
+ * --------------------------------------------------------------------------------------------
+ * 📝 FUNCTION: convertPdf
+ * --------------------------------------------------------------------------------------------
+ * PDF -> editable formats (Word, OpenDocument, RTF, plain text, HTML, PowerPoint).
+ * Also served as the old `/api/pdf-to-word` route, where `format` defaults to docx.
+ *
+ * 🧠 LOGIC: LibreOffice opens the PDF with a Draw-based import filter (Writer for documents,
+ * Impress for slides) and exports it. HTML export writes images next to the page, so those
+ * outputs are bundled into a ZIP.
  */
-exports.pdfToWord = async (req, res) => {
+exports.convertPdf = async (req, res) => {
+    const workDir = path.join(TEMP_DIR, `convert_${uuidv4()}`);
     try {
         if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-        
-        const inputPath = req.file.path;
-        const outputDir = path.join(TEMP_DIR, 'docx_out');
-        await fs.ensureDir(outputDir);
-        
-        const filenameWithoutExt = path.parse(req.file.filename).name;
-        // Output will be in outputDir/filename.docx
-        
-        // Command for LibreOffice
-        const cmd = `soffice --headless --infilter="writer_pdf_import" --convert-to docx --outdir "${outputDir}" "${inputPath}"`;
-        
-        console.log('Executing conversion:', cmd);
-        
-        await new Promise((resolve, reject) => {
-            exec(cmd, (error, stdout, stderr) => {
-                if (error) {
-                    // Try to resolve anyway as LibreOffice sometimes writes to stderr warnings
-                    console.warn('LibreOffice Log:', stderr);
-                    resolve(stdout);
-                } else {
-                    resolve(stdout);
-                }
-            });
-        });
 
-        // LibreOffice keeps the original filename but changes extension
-        // Since input was already a unique ID from multer (e.g. 123456), the output is 123456.docx
-        const expectedName = `${filenameWithoutExt}.docx`;
-        const expectedOutputPath = path.join(outputDir, expectedName);
+        const format = String(req.body.format || 'docx').toLowerCase();
+        const target = PDF_CONVERSIONS[format];
+        if (!target) {
+            return res.status(400).json({ error: `Unsupported format "${format}". Use: ${Object.keys(PDF_CONVERSIONS).join(', ')}` });
+        }
 
-        if (await fs.pathExists(expectedOutputPath)) {
-             const stats = await fs.stat(expectedOutputPath);
-             
-             // Move to main temp to serve easily
-             const finalPath = path.join(TEMP_DIR, expectedName);
-             await fs.move(expectedOutputPath, finalPath, { overwrite: true });
-
-            res.json({
-                url: `/download/${expectedName}`,
-                filename: expectedName,
-                size: stats.size
-            });
-            
+        if (!await findLibreOffice()) {
+            return res.status(500).json({ error: 'PDF conversion requires LibreOffice on the server' });
+        }
+
+        req.job?.progress(`Converting to ${target.label} with LibreOffice`);
+        // LibreOffice keeps the input name (multer's `<uuid>_<name>`) and swaps the extension
+        const convertedPath = await convertWithLibreOffice(req.file.path, workDir, target, req.job);
+        req.job?.throwIfCancelled();
+
+        let outputPath = path.join(TEMP_DIR, path.basename(convertedPath));
+        const extras = (await fs.readdir(workDir)).filter(name => name !== path.basename(convertedPath));
+        if (extras.length > 0) {
+            // Images referenced by the HTML: ship them together so the page still renders
+            outputPath = path.join(TEMP_DIR, `${path.parse(convertedPath).name}_${format}.zip`);
+            await createZip(outputPath, [convertedPath, ...extras.map(name => path.join(workDir, name))]
+                .map(file => ({ name: path.basename(file).replace(/^[0-9a-f-]{36}_/, ''), path: file })));
         } else {
-            throw new Error('Output file not found. Conversion might have failed silently.');
+            await fs.move(convertedPath, outputPath, { overwrite: true });
+        }
+
+        const stats = await fs.stat(outputPath);
+        res.json({
+            url: `/download/${path.basename(outputPath)}`,
+            filename: path.basename(outputPath),
+            size: stats.size,
+            originalSize: req.file.size,
+            format
+        });
+
+    } catch (err) {
+        console.error('PDF conversion error:', err);
+        res.status(500).json({
+            error: `Conversion failed: ${err.message}. The PDF may be scanned, damaged or too complex.`,
+            details: err instanceof LibreOfficeError ? err.details : undefined
+        });
+    } finally {
+        await fs.remove(workDir).catch(() => {});
+    }
+};
+
+/**
+ * --------------------------------------------------------------------------------------------
+ * 📝 FUNCTION: officeToPdf
+ * --------------------------------------------------------------------------------------------
+ * The reverse of convertPdf: Word/PowerPoint/Excel/OpenDocument files -> PDF, so assignments
+ * written in Office can go straight into compress, merge and the other PDF tools.
+ *
+ * 🧠 LOGIC: LibreOffice headless picks the right import filter from the file itself;
+ * we only whitelist the extensions so random uploads never reach soffice.
+ */
+exports.officeToPdf = async (req, res) => {
+    const workDir = path.join(TEMP_DIR, `office_${uuidv4()}`);
+    try {
+        if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+        const extension = path.extname(req.file.originalname).toLowerCase();
+        if (!OFFICE_EXTENSIONS.includes(extension)) {
+            return res.status(400).json({ error: `Unsupported document type "${extension || req.file.originalname}". Use: ${OFFICE_EXTENSIONS.join(', ')}` });
+        }
+
+        if (!await findLibreOffice()) {
+            return res.status(500).json({ error: 'Office to PDF requires LibreOffice on the server' });
+        }
+
+        req.job?.progress('Converting with LibreOffice');
+        // Multer's `<uuid>_<original name>` becomes `<uuid>_<original name>.pdf`
+        const convertedPath = await convertWithLibreOffice(req.file.path, workDir, { convertTo: 'pdf' }, req.job);
+        req.job?.throwIfCancelled();
+
+        const outputPath = path.join(TEMP_DIR, path.basename(convertedPath));
+        await fs.move(convertedPath, outputPath, { overwrite: true });
+
+        const pdfDoc = await PDFDocument.load(await fs.readFile(outputPath), { ignoreEncryption: true });
+        const stats = await fs.stat(outputPath);
+
+        res.json({
+            url: `/download/${path.basename(outputPath)}`,
+            filename: path.basename(outputPath),
+            size: stats.size,
+            originalSize: req.file.size,
+            pageCount: pdfDoc.getPageCount()
+        });
+
+    } catch (err) {
+        console.error('Office to PDF error:', err);
+        res.status(500).json({
+            error: 'Conversion failed. The document may be damaged, password-protected or too complex.',
+            details: err instanceof LibreOfficeError ? err.details : undefined
+        });
+    } finally {
+        await fs.remove(workDir).catch(() => {});
+    }
+};
+
+/**
+ * --------------------------------------------------------------------------------------------
+ * 🔓 FUNCTION: unlock
+ * --------------------------------------------------------------------------------------------
+ * Removes password protection, given the correct password.
+ * Students often receive locked PDFs from departments and must re-submit them.
+ * 
+ * 🧠 LOGIC: pdf-lib cannot decrypt, so Ghostscript re-writes the file without an /Encrypt dict.
+ */
+exports.unlock = async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+        const { password = '' } = req.body;
+
+        if (!await isEncrypted(req.file.path)) {
+            return res.status(400).json({ error: 'This PDF is not password protected' });
+        }
+        if (!await findGhostscript()) {
+            return res.status(500).json({ error: 'Unlocking requires Ghostscript on the server' });
+        }
+
+        const outputFilename = `unlocked_${req.file.filename}`;
+        const outputPath = path.join(TEMP_DIR, outputFilename);
+        req.job?.progress('Removing password');
+
+        try {
+            await decryptPdf(req.file.path, outputPath, password, req.job);
+        } catch (e) {
+            await fs.remove(outputPath);
+            req.job?.throwIfCancelled();
+            if (!(e instanceof PasswordError)) throw e; // Damaged file, GS crash: generic 500 below
+            return res.status(400).json({ error: 'Incorrect password', passwordRequired: true });
         }
 
+        const stats = await fs.stat(outputPath);
+        res.json({
+            url: `/download/${outputFilename}`,
+            filename: outputFilename,
+            size: stats.size,
+            originalSize: req.file.size
+        });
+
+    } catch (err) {
+        console.error('Unlock error:', err);
+        res.status(500).json({ error: 'Failed to unlock PDF' });
+    }
+};
+
+/**
+ * --------------------------------------------------------------------------------------------
+ * 🔐 FUNCTION: protect
+ * --------------------------------------------------------------------------------------------
+ * Encrypts a PDF with a user (open) password and/or owner password + permission restrictions.
+ * 
+ * Body: `userPassword`, `ownerPassword`, and `allowPrinting` / `allowCopying` /
+ * `allowModifying` / `allowAnnotating` ("true"/"false", all default to allowed).
+ * 
+ * 🔒 SECURITY: If no owner password is given, a random one is generated. Otherwise anyone knowing
+ * the user password could lift the restrictions.
+ */
+exports.protect = async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+        const { userPassword = '', ownerPassword } = req.body;
+
+        const flag = (value) => value === undefined || value === true || value === 'true';
+        const permissions = {
+            printing: flag(req.body.allowPrinting),
+            copying: flag(req.body.allowCopying),
+            modifying: flag(req.body.allowModifying),
+            annotating: flag(req.body.allowAnnotating)
+        };
+        const restricted = Object.values(permissions).some(allowed => !allowed);
+
+        if (!userPassword && !ownerPassword && !restricted) {
+            return res.status(400).json({ error: 'Set a password or restrict at least one permission' });
+        }
+        if (!await findGhostscript()) {
+            return res.status(500).json({ error: 'Password protection requires Ghostscript on the server' });
+        }
+
+        const outputFilename = `protected_${req.file.filename}`;
+        const outputPath = path.join(TEMP_DIR, outputFilename);
+        req.job?.progress('Encrypting PDF');
+
+        await encryptPdf(req.file.path, outputPath, {
+            userPassword,
+            ownerPassword: ownerPassword || uuidv4(),
+            permissions
+        }, req.job);
+
+        const stats = await fs.stat(outputPath);
+        res.json({
+            url: `/download/${outputFilename}`,
+            filename: outputFilename,
+            size: stats.size,
+            originalSize: req.file.size,
+            permissions,
+            requiresPasswordToOpen: Boolean(userPassword)
+        });
+
+    } catch (err) {
+        console.error('Protect error:', err);
+        res.status(500).json({ error: 'Failed to protect PDF' });
+    }
+};
+
+/**
+ * --------------------------------------------------------------------------------------------
+ * 💧 FUNCTION: watermark
+ * --------------------------------------------------------------------------------------------
+ * Stamps text (e.g. "DRAFT", "CONFIDENTIAL") or an uploaded PNG/JPEG logo onto selected pages.
+ * 
+ * Body: `text` or a `logo` upload, `opacity` (0-1), `rotation` (degrees), `fontSize`, `color`
+ * (#RRGGBB), `logoScale` (% of page width), `position` (center | diagonal | top-left |
+ * top-right | bottom-left | bottom-right), `tile` ("true" repeats the stamp across the page)
+ * and `pages` (same syntax as split, empty = every page).
+ * 
+ * 🧠 LOGIC: Positions are computed on the page *as displayed*, so stamps stay upright on
+ * pages carrying a /Rotate entry (see utils/pageLayout.js).
+ */
+exports.watermark = async (req, res) => {
+    try {
+        const file = req.file || req.files?.file?.[0];
+        const logo = req.files?.logo?.[0];
+        if (!file) return res.status(400).json({ error: 'No file uploaded' });
+
+        const text = (req.body.text || '').trim();
+        if (!text && !logo) return res.status(400).json({ error: 'Enter watermark text or upload a logo' });
+
+        const opacity = clampNumber(req.body.opacity, 0.05, 1, 0.3);
+        const fontSize = clampNumber(req.body.fontSize, 6, 200, 48);
+        const logoScale = clampNumber(req.body.logoScale, 5, 100, 30) / 100;
+        const rotation = clampNumber(req.body.rotation, -360, 360, 0);
+        const position = req.body.position || 'diagonal';
+        const tile = req.body.tile === true || req.body.tile === 'true';
+        const { r, g, b } = parseHexColor(req.body.color);
+
+        const pdfDoc = await PDFDocument.load(await fs.readFile(file.path));
+        const pages = pdfDoc.getPages();
+        const pageIndices = req.body.pages
+            ? [...new Set(parsePageRange(req.body.pages, pages.length))]
+            : pages.map((_, i) => i);
+        if (pageIndices.length === 0) return res.status(400).json({ error: 'No valid pages selected' });
+
+        // Build a "stamp" that knows its own size and how to draw itself at a point
+        let stamp;
+        if (logo) {
+            const logoBytes = await fs.readFile(logo.path);
+            const isPng = logo.mimetype === 'image/png' || path.extname(logo.originalname).toLowerCase() === '.png';
+            let image;
+            try {
+                image = isPng ? await pdfDoc.embedPng(logoBytes) : await pdfDoc.embedJpg(logoBytes);
+            } catch (e) {
+                return res.status(400).json({ error: 'Logo must be a PNG or JPEG image' });
+            }
+            stamp = {
+                size: (frame) => {
+                    const width = frame.width * logoScale;
+                    return { width, height: width * image.height / image.width };
+                },
+                draw: (page, frame, opts) => drawImageAt(page, frame, image, { ...opts, ...stamp.size(frame), opacity })
+            };
+        } else {
+            const font = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+            try {
+                font.encodeText(text);
+            } catch (e) {
+                return res.status(400).json({ error: 'Watermark text can only contain Latin characters' });
+            }
+            stamp = {
+                size: () => ({ width: font.widthOfTextAtSize(text, fontSize), height: font.heightAtSize(fontSize, { descender: false }) }),
+                draw: (page, frame, opts) => drawTextAt(page, frame, text, { ...opts, font, size: fontSize, color: rgb(r, g, b), opacity })
+            };
+        }
+
+        const MARGIN = 36; // Half an inch keeps corner stamps clear of printer margins
+        pageIndices.forEach((pageIndex, i) => {
+            const page = pages[pageIndex];
+            const frame = visualFrame(page);
+            const angle = position === 'diagonal'
+                ? Math.atan2(frame.height, frame.width) * 180 / Math.PI
+                : rotation;
+
+            // Bounding box of the rotated stamp, used for corner placement and tile spacing
+            const { width, height } = stamp.size(frame);
+            const rad = angle * Math.PI / 180;
+            const boxW = Math.abs(width * Math.cos(rad)) + Math.abs(height * Math.sin(rad));
+            const boxH = Math.abs(width * Math.sin(rad)) + Math.abs(height * Math.cos(rad));
+
+            if (tile) {
+                const stepX = boxW + Math.max(boxW, boxH) * 0.5;
+                const stepY = boxH + Math.max(boxW, boxH) * 0.5;
+                for (let row = 0, cy = stepY / 2; cy - boxH / 2 < frame.height; row++, cy += stepY) {
+                    const offset = row % 2 ? stepX / 2 : 0; // Brick pattern looks less mechanical
+                    for (let cx = stepX / 2 - offset; cx - boxW / 2 < frame.width; cx += stepX) {
+                        stamp.draw(page, frame, { cx, cy, angle });
+                    }
+                }
+            } else {
+                const left = MARGIN + boxW / 2;
+                const right = frame.width - MARGIN - boxW / 2;
+                const top = frame.height - MARGIN - boxH / 2;
+                const bottom = MARGIN + boxH / 2;
+                const anchors = {
+                    'top-left': [left, top],
+                    'top-right': [right, top],
+                    'bottom-left': [left, bottom],
+                    'bottom-right': [right, bottom]
+                };
+                const [cx, cy] = anchors[position] || [frame.width / 2, frame.height / 2];
+                stamp.draw(page, frame, { cx, cy, angle });
+            }
+            req.job?.progress('Stamping pages', i + 1, pageIndices.length);
+        });
+
+        const outputFilename = `watermarked_${file.filename}`;
+        const outputPath = path.join(TEMP_DIR, outputFilename);
+        await fs.writeFile(outputPath, await pdfDoc.save());
+        const stats = await fs.stat(outputPath);
+
+        res.json({
+            url: `/download/${outputFilename}`,
+            filename: outputFilename,
+            size: stats.size,
+            originalSize: file.size,
+            pagesStamped: pageIndices.length
+        });
+
+    } catch (err) {
+        console.error('Watermark error:', err);
+        res.status(500).json({ error: 'Failed to watermark PDF' });
+    }
+};
+
+// Built-in PDF fonts (no embedding needed, Latin characters only)
+const STAMP_FONTS = {
+    'helvetica': StandardFonts.Helvetica,
+    'helvetica-bold': StandardFonts.HelveticaBold,
+    'times': StandardFonts.TimesRoman,
+    'times-bold': StandardFonts.TimesRomanBold,
+    'courier': StandardFonts.Courier
+};
+
+/**
+ * --------------------------------------------------------------------------------------------
+ * 🔢 FUNCTION: headerFooter
+ * --------------------------------------------------------------------------------------------
+ * Draws a header and/or footer on every page from templates such as
+ * `{rollNo} | {subject} | Page {n} of {total}`.
+ * 
+ * Body: `header`, `footer` (templates), the submission fields (`rollNo`, `subject`, `name`, ...),
+ * `font` (see STAMP_FONTS), `fontSize`, `margin` (distance from top/bottom edge, pt),
+ * `sideMargin` (pt), `align` (left | center | right), `color` (#RRGGBB),
+ * `startNumber` and `skipPages` (split syntax, e.g. "1" to leave the cover blank).
+ * 
+ * 🧠 LOGIC: Skipped pages are not stamped *and* not counted, so with `skipPages=1` the page
+ * after the cover reads "Page 1 of N-1". Use `startNumber` to shift the numbering.
+ * Non-Latin text (e.g. a Devanagari name) is transliterated, with a `warning`.
+ */
+exports.headerFooter = async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+        const header = (req.body.header || '').trim();
+        const footer = (req.body.footer || '').trim();
+        if (!header && !footer) return res.status(400).json({ error: 'Enter a header or footer template' });
+
+        const fontSize = clampNumber(req.body.fontSize, 6, 36, 10);
+        const margin = clampNumber(req.body.margin, 0, 144, 24);
+        const sideMargin = clampNumber(req.body.sideMargin, 0, 144, 36);
+        const startNumber = Math.round(clampNumber(req.body.startNumber, 0, 100000, 1));
+        const align = ['left', 'right'].includes(req.body.align) ? req.body.align : 'center';
+        const { r, g, b } = parseHexColor(req.body.color, { r: 0, g: 0, b: 0 });
+        const fields = pickSubmissionFields(req.body);
+
+        const pdfDoc = await PDFDocument.load(await fs.readFile(req.file.path));
+        const font = await pdfDoc.embedFont(STAMP_FONTS[req.body.font] || StandardFonts.Helvetica);
+        const pages = pdfDoc.getPages();
+        const skipped = new Set(parsePageRange(req.body.skipPages, pages.length));
+        const stampedIndices = pages.map((_, i) => i).filter(i => !skipped.has(i));
+        if (stampedIndices.length === 0) return res.status(400).json({ error: 'Every page is skipped' });
+
+        const total = startNumber + stampedIndices.length - 1;
+
+        // Catch typos ({rolNo}) once, rather than failing midway through
+        const probe = (template) => fillTemplate(template, { ...fields, n: total, total });
+        const unknown = [...probe(header).unknown, ...probe(footer).unknown];
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Unknown placeholder(s): ${unknown.join(', ')}. Use ${[...SUBMISSION_FIELDS, 'n', 'total'].map(t => `{${t}}`).join(', ')}.` });
+        }
+        // The built-in fonts are Latin only: Devanagari names etc. are printed transliterated
+        const { transliterated } = transliterateForFont(probe(header).text + probe(footer).text, font);
+
+        stampedIndices.forEach((pageIndex, i) => {
+            const page = pages[pageIndex];
+            const frame = visualFrame(page);
+            const values = { ...fields, n: startNumber + i, total };
+            const height = font.heightAtSize(fontSize, { descender: false });
+
+            [[header, frame.height - margin - height / 2], [footer, margin + height / 2]].forEach(([template, cy]) => {
+                const text = transliterateForFont(fillTemplate(template, values).text, font).text;
+                if (!text) return;
+                const width = font.widthOfTextAtSize(text, fontSize);
+                const cx = align === 'left' ? sideMargin + width / 2
+                    : align === 'right' ? frame.width - sideMargin - width / 2
+                    : frame.width / 2;
+                drawTextAt(page, frame, text, { cx, cy, font, size: fontSize, color: rgb(r, g, b) });
+            });
+            req.job?.progress('Stamping pages', i + 1, stampedIndices.length);
+        });
+
+        const outputFilename = `numbered_${req.file.filename}`;
+        const outputPath = path.join(TEMP_DIR, outputFilename);
+        await fs.writeFile(outputPath, await pdfDoc.save());
+        const stats = await fs.stat(outputPath);
+
+        res.json({
+            url: `/download/${outputFilename}`,
+            filename: outputFilename,
+            size: stats.size,
+            originalSize: req.file.size,
+            pagesStamped: stampedIndices.length,
+            ...(transliterated && { warning: 'Non-Latin text (e.g. a Hindi name) was printed transliterated: the built-in page fonts only cover Latin.' })
+        });
+
+    } catch (err) {
+        console.error('Header/footer error:', err);
+        res.status(500).json({ error: 'Failed to add header/footer' });
+    }
+};
+
+/**
+ * --------------------------------------------------------------------------------------------
+ * 📘 FUNCTION: coverPage
+ * --------------------------------------------------------------------------------------------
+ * Builds an assignment title page from the submission fields (`institution`, `course`,
+ * `subject`, `type`, `name`, `rollNo`, `submittedTo`, `date`) and a `layout`
+ * (see services/coverPage.js).
+ * 
+ * - With an uploaded PDF: the cover is prepended, sized like the PDF's first page.
+ * - Without one: a standalone one-page PDF is returned.
+ * 
+ * The response `filename` is the name `rename` would give, so one form sets both; the file
+ * itself is stored under a uuid.
+ */
+exports.coverPage = async (req, res) => {
+    try {
+        const fields = pickSubmissionFields(req.body);
+        if (!Object.values(fields).some(Boolean)) {
+            return res.status(400).json({ error: 'Fill in at least one cover page field' });
+        }
+
+        let pdfDoc;
+        let size;
+        if (req.file) {
+            pdfDoc = await PDFDocument.load(await fs.readFile(req.file.path));
+            if (pdfDoc.getPageCount() > 0) {
+                const frame = visualFrame(pdfDoc.getPage(0));
+                size = [frame.width, frame.height];
+            }
+        } else {
+            pdfDoc = await PDFDocument.create();
+        }
+
+        req.job?.progress('Drawing cover page');
+        const { transliterated } = await addCoverPage(pdfDoc, fields, { layout: req.body.layout, size });
+
+        // Stored under a uuid: a name built from roll no/subject would be guessable (and shared
+        // by two students with the same details). The friendly name is only the download name.
+        const storedFilename = `cover_${uuidv4()}.pdf`;
+        const outputPath = path.join(TEMP_DIR, storedFilename);
+        await fs.writeFile(outputPath, await pdfDoc.save());
+        const stats = await fs.stat(outputPath);
+
+        res.json({
+            url: `/download/${storedFilename}`,
+            filename: submissionFilename(fields) || storedFilename,
+            size: stats.size,
+            originalSize: req.file?.size,
+            pageCount: pdfDoc.getPageCount(),
+            ...(transliterated && { warning: 'Non-Latin details (e.g. a Hindi name) were printed transliterated: the built-in page fonts only cover Latin.' })
+        });
+
+    } catch (err) {
+        console.error('Cover page error:', err);
+        res.status(500).json({ error: 'Failed to create cover page' });
+    }
+};
+
+/**
+ * --------------------------------------------------------------------------------------------
+ * 🔎 FUNCTION: ocr
+ * --------------------------------------------------------------------------------------------
+ * Makes a scanned PDF searchable: every page is rendered by Ghostscript, recognised offline
+ * by Tesseract (services/ocr.js) and gets an invisible text layer. The visible page is untouched.
+ *
+ * | Field       | Meaning                                                        |
+ * | :---------- | :------------------------------------------------------------- |
+ * | `languages` | "eng" (default), "hin" or "eng+hin"                            |
+ * | `pages`     | Optional selection, e.g. "1-3, 5" (default: all)               |
+ * | `force`     | "true" to OCR pages that already contain text                  |
+ *
+ * Response `pages`: `[{ page, status: 'ocr'|'skipped', confidence, words }]`.
+ */
+exports.ocr = async (req, res) => {
+    const workDir = path.join(TEMP_DIR, `ocr_${uuidv4()}`);
+    let engine = null;
+    try {
+        if (!req.file) return res.status(400).json({ error: 'No PDF uploaded' });
+
+        let languages;
+        try {
+            languages = ocr.parseLanguages(req.body.languages);
+        } catch (e) {
+            if (e instanceof ocr.OcrError) return res.status(400).json({ error: e.message });
+            throw e;
+        }
+        if (!await findGhostscript()) {
+            return res.status(500).json({ error: 'OCR of PDFs requires Ghostscript on the server' });
+        }
+
+        const doc = await PDFDocument.load(await fs.readFile(req.file.path));
+        const totalPages = doc.getPageCount();
+        const pageIndices = req.body.pages
+            ? [...new Set(parsePageRange(req.body.pages, totalPages))]
+            : [...Array(totalPages).keys()];
+        if (pageIndices.length === 0) return res.status(400).json({ error: 'No valid pages selected' });
+
+        // Pages with real text are left alone unless forced (avoids doubled search hits)
+        const force = req.body.force === 'true';
+        const targets = pageIndices.filter(i => force || !ocr.hasTextLayer(doc.getPage(i)));
+        if (targets.length === 0) {
+            return res.status(400).json({ error: 'The selected pages already contain text. Enable "force" to OCR them anyway.' });
+        }
+
+        await fs.ensureDir(workDir);
+        req.job?.progress('Loading OCR languages');
+        engine = await ocr.createOcrEngine(languages);
+
+        const pages = [];
+        for (const index of pageIndices) {
+            if (!targets.includes(index)) {
+                pages.push({ page: index + 1, status: 'skipped', reason: 'Already has text' });
+                continue;
+            }
+            req.job?.throwIfCancelled();
+            req.job?.progress('Recognising page', pages.filter(p => p.status === 'ocr').length + 1, targets.length);
+
+            // CropBox render = exactly what the reader sees, so the text lines up after scaling
+            const [imagePath] = await renderPages(req.file.path, workDir, {
+                dpi: ocr.OCR_DPI,
+                device: 'pnggray',
+                firstPage: index + 1,
+                lastPage: index + 1,
+                cropBox: true
+            }, req.job);
+            const { textLayer, confidence, words } = await ocr.recognizeImage(engine, await fs.readFile(imagePath));
+            await fs.remove(imagePath);
+
+            const page = doc.getPage(index);
+            const frame = visualFrame(page);
+            drawImageAt(page, frame, await ocr.embedTextLayer(doc, textLayer), {
+                cx: frame.width / 2,
+                cy: frame.height / 2,
+                width: frame.width,
+                height: frame.height
+            });
+            pages.push({ page: index + 1, status: 'ocr', confidence: words > 0 ? confidence : null, words });
+        }
+
+        const outputFilename = `ocr_${req.file.filename}`;
+        const outputPath = path.join(TEMP_DIR, outputFilename);
+        await fs.writeFile(outputPath, await doc.save());
+        const stats = await fs.stat(outputPath);
+
+        const recognised = pages.filter(p => typeof p.confidence === 'number');
+        const warning = ocr.lowConfidenceWarning(pages);
+        res.json({
+            url: `/download/${outputFilename}`,
+            filename: outputFilename,
+            size: stats.size,
+            originalSize: req.file.size,
+            pageCount: totalPages,
+            languages,
+            pages,
+            averageConfidence: recognised.length
+                ? Math.round(recognised.reduce((acc, p) => acc + p.confidence, 0) / recognised.length)
+                : null,
+            ...(warning && { warning })
+        });
+
+    } catch (err) {
+        console.error('OCR error:', err);
+        res.status(500).json({ error: 'OCR failed' });
+    } finally {
+        if (engine) await engine.terminate();
+        await fs.remove(workDir); // 🧹 Page renders are only intermediates
+    }
+};
+
+/**
+ * --------------------------------------------------------------------------------------------
+ * 🖼️ FUNCTION: pdfToImages
+ * --------------------------------------------------------------------------------------------
+ * Renders selected pages to PNG or JPEG, for LMS boards and forms that only accept images.
+ * One page -> the image itself; several -> a ZIP (listed in `manifest` like split parts).
+ *
+ * 🧠 LOGIC: Ghostscript renders each run of consecutive pages in one call ("1-3, 7" = two runs),
+ * using the CropBox so the image matches what a PDF viewer shows.
+ */
+exports.pdfToImages = async (req, res) => {
+    const workDir = path.join(TEMP_DIR, `images_${uuidv4()}`);
+    try {
+        if (!req.file) return res.status(400).json({ error: 'No PDF uploaded' });
+
+        const format = String(req.body.format || 'png').toLowerCase().replace('jpg', 'jpeg');
+        if (!['png', 'jpeg'].includes(format)) return res.status(400).json({ error: 'Format must be png or jpeg' });
+        const dpi = Math.min(IMAGE_MAX_DPI, Math.max(IMAGE_MIN_DPI, parseInt(req.body.dpi) || 150));
+        const quality = Math.min(100, Math.max(10, parseInt(req.body.quality) || 85));
+
+        if (!await findGhostscript()) {
+            return res.status(500).json({ error: 'PDF to images requires Ghostscript on the server' });
+        }
+
+        const doc = await PDFDocument.load(await fs.readFile(req.file.path));
+        const totalPages = doc.getPageCount();
+        const pageIndices = req.body.pages
+            ? [...new Set(parsePageRange(req.body.pages, totalPages))].sort((a, b) => a - b)
+            : [...Array(totalPages).keys()];
+        if (pageIndices.length === 0) return res.status(400).json({ error: 'No valid pages selected' });
+
+        // [[0, 1, 2], [6]]: consecutive pages share one Ghostscript run
+        const runs = pageIndices.reduce((acc, index) => {
+            const last = acc[acc.length - 1];
+            if (last && index === last[last.length - 1] + 1) last.push(index);
+            else acc.push([index]);
+            return acc;
+        }, []);
+
+        await fs.ensureDir(workDir);
+        const images = []; // { page, path }
+        for (const run of runs) {
+            req.job?.throwIfCancelled();
+            req.job?.progress('Rendering page', images.length + 1, pageIndices.length);
+            const paths = await renderPages(req.file.path, workDir, {
+                dpi,
+                device: format === 'png' ? 'png16m' : 'jpeg',
+                quality,
+                firstPage: run[0] + 1,
+                lastPage: run[run.length - 1] + 1,
+                cropBox: true
+            }, req.job);
+            paths.forEach((imagePath, i) => images.push({ page: run[i] + 1, path: imagePath }));
+        }
+
+        // "essay_p03.png": padded so the ZIP lists pages in order
+        const ext = format === 'png' ? 'png' : 'jpg';
+        const base = path.parse(req.file.originalname).name.replace(/[^a-zA-Z0-9_.-]+/g, '_') || 'page';
+        const digits = String(totalPages).length;
+        const imageName = (page) => `${base}_p${String(page).padStart(digits, '0')}.${ext}`;
+
+        let outputFilename;
+        let manifest;
+        if (images.length === 1) {
+            outputFilename = `${path.parse(req.file.filename).name}_p${images[0].page}.${ext}`;
+            await fs.move(images[0].path, path.join(TEMP_DIR, outputFilename), { overwrite: true });
+        } else {
+            req.job?.progress('Creating ZIP');
+            manifest = {
+                source: req.file.originalname,
+                totalPages,
+                parts: await Promise.all(images.map(async (image) => ({
+                    file: imageName(image.page),
+                    pages: [image.page],
+                    size: (await fs.stat(image.path)).size
+                })))
+            };
+            outputFilename = `images_${path.parse(req.file.filename).name}.zip`;
+            await createZip(path.join(TEMP_DIR, outputFilename), images.map(image => ({ name: imageName(image.page), path: image.path })));
+        }
+
+        const stats = await fs.stat(path.join(TEMP_DIR, outputFilename));
+        res.json({
+            url: `/download/${outputFilename}`,
+            filename: outputFilename,
+            size: stats.size,
+            originalSize: req.file.size,
+            pageCount: images.length,
+            format,
+            dpi,
+            ...(manifest && { manifest })
+        });
+
+    } catch (err) {
+        console.error('PDF to images error:', err);
+        res.status(500).json({ error: 'Failed to render pages' });
+    } finally {
+        await fs.remove(workDir); // 🧹 Renders are zipped or moved out by now
+    }
+};
+
+/**
+ * --------------------------------------------------------------------------------------------
+ * 📄 FUNCTION: detectBlank
+ * --------------------------------------------------------------------------------------------
+ * Measures ink per page (services/blankDetector.js) without changing the file, so the UI can
+ * show the blank pages pre-deselected before anything is removed.
+ *
+ * | Field         | Meaning                                          |
+ * | :------------ | :----------------------------------------------- |
+ * | `sensitivity` | 1 (only empty pages) - 10 (near-blank too), default 5 |
+ */
+exports.detectBlank = async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'No PDF uploaded' });
+        const doc = await PDFDocument.load(await fs.readFile(req.file.path));
+        const sensitivity = parseSensitivity(req.body.sensitivity);
+        const { method, threshold, pages } = await detectBlankPages(req.file.path, doc, { sensitivity }, req.job);
+
+        res.json({
+            pageCount: pages.length,
+            sensitivity,
+            method,
+            threshold,
+            pages,
+            blank: pages.filter(p => p.blank).map(p => p.page),
+            ...(method === 'content' && { warning: 'Ghostscript not installed: only completely empty pages were detected, not scans of blank paper.' })
+        });
+
+    } catch (err) {
+        console.error('Blank page detection error:', err);
+        res.status(500).json({ error: 'Failed to detect blank pages' });
+    }
+};
+
+/**
+ * --------------------------------------------------------------------------------------------
+ * 🧹 FUNCTION: removeBlank
+ * --------------------------------------------------------------------------------------------
+ * Removes blank pages. With `pages` ("2, 7-8") exactly those go (the user's reviewed choice);
+ * without it, pages are detected at `sensitivity` first (e.g. as a pipeline step).
+ * Pages are deleted from the original document, so bookmarks and properties survive.
+ */
+exports.removeBlank = async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'No PDF uploaded' });
+        const doc = await PDFDocument.load(await fs.readFile(req.file.path));
+        const totalPages = doc.getPageCount();
+
+        let remove;
+        let warning;
+        if (req.body.pages) {
+            remove = [...new Set(parsePageRange(req.body.pages, totalPages))].sort((a, b) => a - b);
+            if (remove.length === 0) return res.status(400).json({ error: 'No valid pages selected' });
+        } else {
+            const { method, pages } = await detectBlankPages(req.file.path, doc, { sensitivity: parseSensitivity(req.body.sensitivity) }, req.job);
+            remove = pages.filter(p => p.blank).map(p => p.page - 1);
+            if (method === 'content') warning = 'Ghostscript not installed: only completely empty pages were removed.';
+        }
+        if (remove.length === totalPages) return res.status(400).json({ error: 'Every page is blank; there would be nothing left' });
+
+        req.job?.progress('Removing pages');
+        [...remove].reverse().forEach(index => doc.removePage(index)); // Back to front keeps indices valid
+
+        const outputFilename = `noblank_${req.file.filename}`;
+        const outputPath = path.join(TEMP_DIR, outputFilename);
+        await fs.writeFile(outputPath, await doc.save());
+        const stats = await fs.stat(outputPath);
+
+        res.json({
+            url: `/download/${outputFilename}`,
+            filename: outputFilename,
+            size: stats.size,
+            originalSize: req.file.size,
+            pageCount: doc.getPageCount(),
+            removed: remove.map(index => index + 1),
+            message: remove.length === 0 ? 'No blank pages found' : `Removed ${remove.length} blank page${remove.length === 1 ? '' : 's'}`,
+            ...(warning && { warning })
+        });
+
+    } catch (err) {
+        console.error('Blank page removal error:', err);
+        res.status(500).json({ error: 'Failed to remove blank pages' });
+    }
+};
+
+/**
+ * --------------------------------------------------------------------------------------------
+ * 🏛️ FUNCTION: pdfa
+ * --------------------------------------------------------------------------------------------
+ * PDF -> PDF/A-1b or PDF/A-2b for thesis repositories and archival exam cells
+ * (services/pdfa.js). The file is returned even when the self-check finds problems: `conformance`
+ * lists the failed checks and `warnings` what Ghostscript had to drop, so the student knows
+ * whether the portal's validator will accept it.
+ *
+ * | Field   | Meaning                      |
+ * | :------ | :--------------------------- |
+ * | `level` | `1b` or `2b` (default `2b`)  |
+ */
+exports.pdfa = async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'No PDF uploaded' });
+        const level = parseLevel(req.body.level);
+
+        if (!await findGhostscript()) {
+            return res.status(500).json({ error: 'PDF/A conversion requires Ghostscript on the server' });
+        }
+
+        const outputFilename = `pdfa_${req.file.filename}`;
+        const outputPath = path.join(TEMP_DIR, outputFilename);
+        const { compliant, checks, warnings } = await convertToPdfA(req.file.path, outputPath, { level }, req.job);
+        const stats = await fs.stat(outputPath);
+        const failed = checks.filter(check => !check.passed);
+
+        res.json({
+            url: `/download/${outputFilename}`,
+            filename: outputFilename,
+            size: stats.size,
+            originalSize: req.file.size,
+            conformance: { level, compliant, checks },
+            warnings,
+            message: compliant
+                ? `Converted to PDF/A-${level}; self-check passed`
+                : `Converted to PDF/A-${level}, but ${failed.length} check${failed.length === 1 ? '' : 's'} failed: ${failed.map(check => check.label).join(', ')}`
+        });
+
+    } catch (err) {
+        if (err instanceof PdfAError) return res.status(400).json({ error: err.message });
+        console.error('PDF/A conversion error:', err);
+        res.status(500).json({ error: 'PDF/A conversion failed. The PDF may be damaged.' });
+    }
+};
+
+/**
+ * --------------------------------------------------------------------------------------------
+ * 🖨️ FUNCTION: grayscale
+ * --------------------------------------------------------------------------------------------
+ * Colour -> grayscale or pure black and white (services/grayscale.js), for copy shops that
+ * charge per colour page and portals that want monochrome. Text stays selectable. The size
+ * change is reported either way: scans and photos usually shrink, plain text may not.
+ *
+ * | Field       | Meaning                                                       |
+ * | :---------- | :------------------------------------------------------------ |
+ * | `mode`      | `gray` (default) or `bw`                                      |
+ * | `threshold` | `bw` only: lightness % below which a colour turns black (50)  |
+ * | `pages`     | Optional range ("2, 5-7"); default every page                 |
+ */
+exports.grayscale = async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'No PDF uploaded' });
+        const mode = parseMode(req.body.mode);
+        const threshold = parseThreshold(req.body.threshold);
+
+        let pages = null;
+        if (req.body.pages) {
+            const doc = await PDFDocument.load(await fs.readFile(req.file.path));
+            pages = [...new Set(parsePageRange(req.body.pages, doc.getPageCount()))].sort((a, b) => a - b);
+            if (pages.length === 0) return res.status(400).json({ error: 'No valid pages selected' });
+            if (pages.length === doc.getPageCount()) pages = null; // Whole document: no splicing needed
+        }
+
+        if (!await findGhostscript()) {
+            return res.status(500).json({ error: 'Grayscale conversion requires Ghostscript on the server' });
+        }
+
+        const outputFilename = `${mode === 'bw' ? 'bw' : 'gray'}_${req.file.filename}`;
+        const outputPath = path.join(TEMP_DIR, outputFilename);
+        const { size } = await convertToGrayscale(req.file.path, outputPath, { mode, threshold, pages }, req.job);
+        const savedBytes = req.file.size - size;
+        const savedPercent = Math.round(savedBytes / req.file.size * 100);
+
+        res.json({
+            url: `/download/${outputFilename}`,
+            filename: outputFilename,
+            size,
+            originalSize: req.file.size,
+            savedBytes,
+            savedPercent,
+            mode,
+            ...(mode === 'bw' && { threshold }),
+            pages: pages ? pages.map(index => index + 1) : 'all',
+            message: savedBytes > 0
+                ? `Saved ${savedPercent}% (${formatBytes(req.file.size)} -> ${formatBytes(size)})`
+                : `No size saving (${formatBytes(req.file.size)} -> ${formatBytes(size)}); the pages are ${mode === 'bw' ? 'black and white' : 'grayscale'} now`
+        });
+
+    } catch (err) {
+        if (err instanceof GrayscaleError) return res.status(400).json({ error: err.message });
+        console.error('Grayscale conversion error:', err);
+        res.status(500).json({ error: 'Grayscale conversion failed. The PDF may be damaged or encrypted.' });
+    }
+};
+
+/**
+ * --------------------------------------------------------------------------------------------
+ * 📖 FUNCTION: impose
+ * --------------------------------------------------------------------------------------------
+ * Several pages per sheet, or a saddle-stitch booklet, for printing lab manuals and notes
+ * (services/imposition.js).
+ *
+ * | Field           | Meaning                                              |
+ * | :-------------- | :--------------------------------------------------- |
+ * | `layout`        | `nup` (default) or `booklet`                         |
+ * | `pagesPerSheet` | `nup` only: 2, 4, 6 or 9 (default 2)                 |
+ * | `pageSize`      | Sheet paper: a4 (default), a3 or letter              |
+ * | `gutter`        | Space between pages and around the sheet, mm (5)     |
+ * | `border`        | `true` draws a thin frame around each page           |
+ */
+exports.impose = async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'No PDF uploaded' });
+        const options = parseImposition(req.body);
+        const srcDoc = await PDFDocument.load(await fs.readFile(req.file.path));
+        const pageCount = srcDoc.getPageCount();
+
+        const { doc, sides, blanksAdded } = await impose(srcDoc, options, req.job);
+        const outputFilename = `${options.layout === 'booklet' ? 'booklet' : `${options.pagesPerSheet}up`}_${req.file.filename}`;
+        const outputPath = path.join(TEMP_DIR, outputFilename);
+        await fs.writeFile(outputPath, await doc.save());
+        const stats = await fs.stat(outputPath);
+
+        res.json({
+            url: `/download/${outputFilename}`,
+            filename: outputFilename,
+            size: stats.size,
+            originalSize: req.file.size,
+            layout: options.layout,
+            pagesPerSheet: options.pagesPerSheet,
+            sourcePages: pageCount,
+            pageCount: sides,
+            ...(options.layout === 'booklet' && { blanksAdded }),
+            message: options.layout === 'booklet'
+                ? `${sides / 2} sheet${sides === 2 ? '' : 's'}${blanksAdded ? ` (${blanksAdded} blank page${blanksAdded === 1 ? '' : 's'} added at the end)` : ''}. Print double-sided, flip on short edge, then fold and staple.`
+                : `${pageCount} pages on ${sides} side${sides === 1 ? '' : 's'}, ${options.pagesPerSheet} per side`
+        });
+
+    } catch (err) {
+        if (err instanceof ImpositionError) return res.status(400).json({ error: err.message });
+        console.error('Imposition error:', err);
+        res.status(500).json({ error: 'Failed to lay out pages. The PDF may be damaged or encrypted.' });
+    }
+};
+
+/**
+ * --------------------------------------------------------------------------------------------
+ * 📐 FUNCTION: pageSize
+ * --------------------------------------------------------------------------------------------
+ * Resize, crop or trim pages (services/pageSizing.js). Pages are changed in place, so text,
+ * links and bookmarks survive.
+ *
+ * | Field         | Meaning                                                               |
+ * | :------------ | :-------------------------------------------------------------------- |
+ * | `operation`   | `resize` (default), `crop` or `trim`                                  |
+ * | `pageSize`    | resize: a4 (default), a3, a5, letter, legal                           |
+ * | `orientation` | resize: auto (follow each page, default), portrait, landscape         |
+ * | `margin`      | crop: mm cut from every edge                                          |
+ * | `box`         | crop: JSON `{x, y, width, height}`, fractions from the top-left       |
+ * | `padding`     | trim: mm of white kept around the content (default 3)                 |
+ * | `pages`       | Optional range ("2, 5-7"); default every page                         |
+ */
+exports.pageSize = async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'No PDF uploaded' });
+        const options = parsePageSizeOptions(req.body);
+        const doc = await PDFDocument.load(await fs.readFile(req.file.path));
+
+        let pages = doc.getPageIndices();
+        if (req.body.pages) {
+            pages = [...new Set(parsePageRange(req.body.pages, doc.getPageCount()))].sort((a, b) => a - b);
+            if (pages.length === 0) return res.status(400).json({ error: 'No valid pages selected' });
+        }
+
+        let changed;
+        if (options.operation === 'resize') {
+            req.job?.progress(`Resizing to ${options.pageSize.toUpperCase()}`);
+            changed = resizePages(doc, options, pages);
+        } else if (options.operation === 'crop') {
+            req.job?.progress('Cropping pages');
+            changed = cropPages(doc, options, pages);
+        } else {
+            if (!await findGhostscript()) {
+                return res.status(500).json({ error: 'Trimming whitespace requires Ghostscript on the server' });
+            }
+            changed = await trimPages(doc, req.file.path, options, pages, req.job);
+        }
+
+        const outputFilename = `${options.operation === 'resize' ? options.pageSize : options.operation === 'crop' ? 'cropped' : 'trimmed'}_${req.file.filename}`;
+        const outputPath = path.join(TEMP_DIR, outputFilename);
+        await fs.writeFile(outputPath, await doc.save());
+        const stats = await fs.stat(outputPath);
+        const verb = { resize: 'Resized', crop: 'Cropped', trim: 'Trimmed' }[options.operation];
+
+        res.json({
+            url: `/download/${outputFilename}`,
+            filename: outputFilename,
+            size: stats.size,
+            originalSize: req.file.size,
+            operation: options.operation,
+            pageCount: doc.getPageCount(),
+            changed,
+            message: changed === 0
+                ? (options.operation === 'resize' ? `Every page was already ${options.pageSize.toUpperCase()}` : 'No page needed changing')
+                : `${verb} ${changed} page${changed === 1 ? '' : 's'}`
+        });
+
     } catch (err) {
-        console.error('PDF to Word Error:', err);
-        res.status(500).json({ error: 'Conversion failed. Service might be busy or file is too complex.' });
+        if (err instanceof PageSizeError) return res.status(400).json({ error: err.message });
+        console.error('Page size error:', err);
+        res.status(500).json({ error: 'Failed to change page size. The PDF may be damaged or encrypted.' });
     }
 };
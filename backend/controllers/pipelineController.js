@@ -0,0 +1,190 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: pipelineController.js
+ * ------------------------------------------------------------------------------------------------
+ * 🏗️ ARCHITECTURE ROLE: Tool Chaining (Orchestration Layer)
+ *
+ * Students repeat the same sequence for every submission (merge -> rotate -> compress ->
+ * metadata -> rename). Instead of five uploads, the client sends the files once together with an
+ * ordered list of steps, and each step's output file becomes the next step's input.
+ *
+ * 🔄 DATA FLOW:
+ * POST /api/pipeline (files + steps JSON) --> Step 1 (e.g. merge) --> temp file --> Step 2 ...
+ * --> Final file + per-step report --> Client Download
+ *
+ * 🛠️ KEY DESIGN DECISIONS:
+ * - Steps call the exact same actions in pdfController.js (via utils/invokeController), so a
+ *   pipeline can never drift from the behaviour of the individual tools.
+ * - Only the first step may consume several uploads (merge / image-to-pdf) or a non-PDF
+ *   document (office-to-pdf). Every later step works on the single PDF produced so far.
+ * ================================================================================================
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const pdfController = require('./pdfController');
+const invokeController = require('../utils/invokeController');
+
+const TEMP_DIR = path.join(__dirname, '../temp');
+
+// Tool name -> controller action. `multi` tools take `req.files` instead of `req.file`;
+// `firstOnly` tools need the original upload (not a PDF from an earlier step);
+// `producesZip(options)` marks steps whose output can't feed another step.
+const STEPS = {
+    'merge': { handler: pdfController.merge, multi: true },
+    'image-to-pdf': { handler: pdfController.imageToPdf, multi: true },
+    'office-to-pdf': { handler: pdfController.officeToPdf, firstOnly: true },
+    'grayscale': { handler: pdfController.grayscale },
+    'compress': { handler: pdfController.compress },
+    'split': { handler: pdfController.split, producesZip: (options) => Boolean(options.mode) && options.mode !== 'extract' },
+    'organise': { handler: pdfController.organise },
+    'remove-blank': { handler: pdfController.removeBlank },
+    'rotate': { handler: pdfController.rotate },
+    'page-size': { handler: pdfController.pageSize },
+    'metadata': { handler: pdfController.updateMetadata },
+    'pdfa': { handler: pdfController.pdfa },
+    'rename': { handler: pdfController.rename },
+    'watermark': { handler: pdfController.watermark },
+    'header-footer': { handler: pdfController.headerFooter },
+    'cover-page': { handler: pdfController.coverPage },
+    'impose': { handler: pdfController.impose },
+    'ocr': { handler: pdfController.ocr }
+};
+
+/**
+ * Controllers expect Multer-style string fields; structured options (e.g. the rotation map)
+ * are serialised the same way the frontend would send them.
+ */
+const toFormBody = (options = {}) => {
+    const body = {};
+    Object.entries(options).forEach(([key, value]) => {
+        body[key] = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+    });
+    return body;
+};
+
+/**
+ * Describes a temp file the same way Multer does, so it can be fed into the next step.
+ */
+const describeFile = async (filePath, originalname, mimetype = 'application/pdf') => {
+    const stats = await fs.stat(filePath);
+    return {
+        path: filePath,
+        filename: path.basename(filePath),
+        originalname,
+        mimetype,
+        size: stats.size
+    };
+};
+
+/**
+ * Scopes a job's progress reports to the current step, e.g.
+ * "Step 3/5 (compress): Trying /printer preset 2/4".
+ */
+const scopeJob = (job, label) => job && {
+    get cancelled() { return job.cancelled; },
+    progress: (stage, current, total) => job.progress(`${label}: ${total ? `${stage} ${current}/${total}` : stage}`),
+    track: (child) => job.track(child),
+    throwIfCancelled: () => job.throwIfCancelled()
+};
+
+/**
+ * --------------------------------------------------------------------------------------------
+ * 🔗 FUNCTION: run
+ * --------------------------------------------------------------------------------------------
+ * Executes an ordered list of steps: `[{ tool: 'compress', options: { targetSize: 204800 } }]`.
+ *
+ * @param {object} req - Express request with `req.files` (Multer) and `req.body.steps` (JSON)
+ * @param {object} res - Express response
+ */
+exports.run = async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) return res.status(400).json({ error: 'No files uploaded' });
+
+        let steps;
+        try {
+            steps = typeof req.body.steps === 'string' ? JSON.parse(req.body.steps) : req.body.steps;
+        } catch (e) {
+            return res.status(400).json({ error: 'Steps must be valid JSON' });
+        }
+        if (!Array.isArray(steps) || steps.length === 0) return res.status(400).json({ error: 'At least one step required' });
+
+        // Validate the whole chain up-front so we don't fail halfway through
+        for (const [index, step] of steps.entries()) {
+            const definition = STEPS[step?.tool];
+            if (!definition) return res.status(400).json({ error: `Step ${index + 1}: unknown tool "${step?.tool}"` });
+            if ((definition.multi || definition.firstOnly) && index > 0) return res.status(400).json({ error: `Step ${index + 1}: ${step.tool} can only be the first step` });
+            if (definition.producesZip?.(step.options || {}) && index < steps.length - 1) {
+                return res.status(400).json({ error: `Step ${index + 1}: ${step.tool} outputs a ZIP, so it must be the last step` });
+            }
+        }
+        if (!STEPS[steps[0].tool].multi && req.files.length > 1) {
+            return res.status(400).json({ error: 'Multiple files need a merge or image-to-pdf first step' });
+        }
+
+        const originalSize = req.files.reduce((acc, f) => acc + f.size, 0);
+        const report = [];
+        let current = null; // Multer-style description of the latest output
+        let lastBody = null;
+
+        for (const [index, step] of steps.entries()) {
+            req.job?.throwIfCancelled();
+            const label = `Step ${index + 1}/${steps.length} (${step.tool})`;
+            req.job?.progress(label);
+
+            const definition = STEPS[step.tool];
+            const stepReq = {
+                body: toFormBody(step.options),
+                job: scopeJob(req.job, label)
+            };
+            if (definition.multi) stepReq.files = req.files;
+            else stepReq.file = current || req.files[0];
+
+            const inputSize = definition.multi ? originalSize : stepReq.file.size;
+            const startedAt = Date.now();
+            const { statusCode, body } = await invokeController(definition.handler, stepReq);
+
+            if (statusCode >= 400) {
+                report.push({ step: index + 1, tool: step.tool, status: 'failed', error: body?.error, durationMs: Date.now() - startedAt });
+                return res.status(statusCode).json({
+                    error: `${label} failed: ${body?.error || 'Unknown error'}`,
+                    report
+                });
+            }
+
+            // Every tool answers with `/download/<file in temp>`; that file feeds the next step
+            const outputPath = path.join(TEMP_DIR, path.basename(body.url));
+            // A later step can outlast the 5-minute temp cleanup; the job keeps its input alive
+            req.job?.uploads.push(path.resolve(outputPath));
+            let originalname = current?.originalname || req.files[0].originalname;
+            if (step.tool === 'rename') originalname = body.filename;
+            if (step.tool === 'office-to-pdf') originalname = `${path.parse(originalname).name}.pdf`; // report.docx -> report.pdf
+            current = await describeFile(outputPath, originalname);
+            lastBody = body;
+
+            report.push({
+                step: index + 1,
+                tool: step.tool,
+                status: 'ok',
+                inputSize,
+                outputSize: current.size,
+                pageCount: body.pageCount,
+                message: body.message || body.warning,
+                durationMs: Date.now() - startedAt
+            });
+        }
+
+        res.json({
+            url: `/download/${current.filename}`,
+            filename: lastBody.filename || current.filename,
+            size: current.size,
+            originalSize,
+            pageCount: [...report].reverse().find(r => r.pageCount)?.pageCount,
+            report
+        });
+
+    } catch (err) {
+        console.error('Pipeline error:', err);
+        res.status(500).json({ error: 'Pipeline failed' });
+    }
+};
@@ -23,6 +23,11 @@ app.get('/', (req, res) => {
 
 const multer = require('multer');
 const pdfController = require('./controllers/pdfController');
+const jobController = require('./controllers/jobController');
+const pipelineController = require('./controllers/pipelineController');
+const { findGhostscript } = require('./utils/ghostscript');
+const { withPassword } = require('./utils/pdfPassword');
+const { pendingUploads } = require('./services/jobQueue');
 
 // Configure Multer
 const storage = multer.diskStorage({
@@ -38,17 +43,53 @@ const upload = multer({
     limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
 });
 
+// Tool Registry: route name -> upload field + controller action
+// Each tool is exposed synchronously (/api/<tool>) and as a background job (/api/jobs/<tool>)
+// `locked: true` tools handle encryption themselves; all others accept an optional `password`
+const tools = {
+    'compress': { upload: upload.single('file'), handler: pdfController.compress },
+    'merge': { upload: upload.array('files'), handler: pdfController.merge },
+    'rename': { upload: upload.single('file'), handler: pdfController.rename },
+    'batch-rename': { upload: upload.array('files'), handler: pdfController.batchRename },
+    'image-to-pdf': { upload: upload.array('files'), handler: pdfController.imageToPdf },
+    'split': { upload: upload.single('file'), handler: pdfController.split },
+    'organise': { upload: upload.single('file'), handler: pdfController.organise },
+    'rotate': { upload: upload.single('file'), handler: pdfController.rotate },
+    'convert-pdf': { upload: upload.single('file'), handler: pdfController.convertPdf },
+    'pdf-to-word': { upload: upload.single('file'), handler: pdfController.convertPdf }, // Old route: format defaults to docx
+    'office-to-pdf': { upload: upload.single('file'), handler: pdfController.officeToPdf },
+    'metadata': { upload: upload.single('file'), handler: pdfController.updateMetadata },
+    'validate': { upload: upload.single('file'), handler: pdfController.validate, locked: true },
+    'pipeline': { upload: upload.array('files'), handler: pipelineController.run },
+    'unlock': { upload: upload.single('file'), handler: pdfController.unlock, locked: true },
+    'protect': { upload: upload.single('file'), handler: pdfController.protect },
+    'watermark': { upload: upload.fields([{ name: 'file', maxCount: 1 }, { name: 'logo', maxCount: 1 }]), handler: pdfController.watermark },
+    'header-footer': { upload: upload.single('file'), handler: pdfController.headerFooter },
+    'cover-page': { upload: upload.single('file'), handler: pdfController.coverPage },
+    'ocr': { upload: upload.single('file'), handler: pdfController.ocr },
+    'pdf-to-images': { upload: upload.single('file'), handler: pdfController.pdfToImages },
+    'detect-blank': { upload: upload.single('file'), handler: pdfController.detectBlank },
+    'remove-blank': { upload: upload.single('file'), handler: pdfController.removeBlank },
+    'pdfa': { upload: upload.single('file'), handler: pdfController.pdfa },
+    'grayscale': { upload: upload.single('file'), handler: pdfController.grayscale },
+    'impose': { upload: upload.single('file'), handler: pdfController.impose },
+    'page-size': { upload: upload.single('file'), handler: pdfController.pageSize }
+};
+
 // API Endpoints
-app.post('/api/compress', upload.single('file'), pdfController.compress);
-app.post('/api/merge', upload.array('files'), pdfController.merge);
-app.post('/api/rename', upload.single('file'), pdfController.rename);
-app.post('/api/image-to-pdf', upload.array('files'), pdfController.imageToPdf);
-app.post('/api/split', upload.single('file'), pdfController.split);
-app.post('/api/organise', upload.single('file'), pdfController.organise);
-app.post('/api/rotate', upload.single('file'), pdfController.rotate);
-app.post('/api/pdf-to-word', upload.single('file'), pdfController.pdfToWord);
-app.post('/api/metadata', upload.single('file'), pdfController.updateMetadata);
-app.post('/api/validate', upload.single('file'), pdfController.validate);
+Object.entries(tools).forEach(([name, tool]) => {
+    const handler = tool.locked ? tool.handler : withPassword(tool.handler);
+    app.post(`/api/${name}`, tool.upload, handler);
+    app.post(`/api/jobs/${name}`, tool.upload, jobController.submit(name, handler));
+});
+
+// Submission profiles for /api/validate
+app.get('/api/profiles', pdfController.listProfiles);
+
+// Job Status Endpoints
+app.get('/api/jobs/:id', jobController.status);
+app.get('/api/jobs/:id/events', jobController.events);
+app.delete('/api/jobs/:id', jobController.cancel);
 
 // Download endpoint
 app.get('/download/:filename', (req, res) => {
@@ -65,8 +106,10 @@ setInterval(async () => {
     try {
         const files = await fs.readdir(TEMP_DIR);
         const now = Date.now();
+        const pending = pendingUploads(); // Queued jobs may start long after their upload
         for (const file of files) {
             const filePath = path.join(TEMP_DIR, file);
+            if (pending.has(filePath)) continue;
             const stats = await fs.stat(filePath);
             if (now - stats.mtimeMs > 5 * 60 * 1000) {
                 await fs.remove(filePath);
@@ -81,25 +124,14 @@ setInterval(async () => {
 app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
     
-    // Check for Ghostscript
-    const { exec } = require('child_process');
-    const commands = ['gswin64c', 'gswin32c', 'gs'];
+    // Check for Ghostscript (result is cached for the controllers)
     console.log('Checking for Ghostscript...');
-    let found = false;
-    (async () => {
-        for (const cmd of commands) {
-            try {
-                await new Promise((resolve, reject) => {
-                    exec(`${cmd} --version`, (err) => err ? reject(err) : resolve());
-                });
-                console.log(`✅ Ghostscript found: ${cmd}`);
-                found = true;
-                break;
-            } catch (e) { continue; }
-        }
-        if (!found) {
+    findGhostscript().then((cmd) => {
+        if (cmd) {
+            console.log(`✅ Ghostscript found: ${cmd}`);
+        } else {
             console.error('❌ Ghostscript NOT found. PDF compression will fail.');
             console.error('Please install Ghostscript and add it to your PATH.');
         }
-    })();
+    });
 });
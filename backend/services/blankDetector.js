@@ -0,0 +1,112 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: blankDetector.js
+ * ------------------------------------------------------------------------------------------------
+ * 🏗️ ARCHITECTURE ROLE: Blank Page Detection (by ink coverage)
+ *
+ * Double-sided scans and scanner feeds leave pages that *look* empty but aren't empty files: a
+ * scan of blank paper is a full-page image with dust, faint bleed-through and a shadowed edge.
+ * So pages are rendered (small, grayscale) and judged by how much of them is ink:
+ *
+ * 1. Render every page at RENDER_DPI with Ghostscript (`pnggray`).
+ * 2. Ignore a margin strip (scanner shadows, punch holes, staple marks).
+ * 3. Paper brightness = 90th percentile of the page; a pixel is ink if clearly darker than that,
+ *    so yellowed paper or a gray scan background doesn't count as ink. A "paper" darker than
+ *    MIN_PAPER_LEVEL is really a dark slide or a full-bleed photo, so it is measured against
+ *    white paper instead (and never comes out blank).
+ * 4. A page is blank if its ink share is at most the threshold picked by `sensitivity` (1-10).
+ *    Higher sensitivity also catches near-blank pages (a stray page number, bleed-through).
+ *
+ * Without Ghostscript, falls back to reading the content streams (services/pdfHealth.js), which
+ * finds truly empty pages but not scans of blank paper.
+ * ================================================================================================
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { findGhostscript, renderPages } = require('../utils/ghostscript');
+const { classifyPage } = require('./pdfHealth');
+
+const RENDER_DPI = 30;       // ~250x350 px for A4: plenty to measure coverage, fast for long scans
+const MARGIN_SHARE = 0.06;   // Strip ignored on every side
+const INK_CONTRAST = 64;     // Levels (0-255) below the paper brightness that count as ink
+const MIN_PAPER_LEVEL = 160; // Darkest brightness still taken for paper
+const DEFAULT_SENSITIVITY = 5;
+// Max ink share (%) per sensitivity level: 1 = only truly empty pages, 10 = near-blank too
+const INK_THRESHOLDS = [0.01, 0.02, 0.05, 0.1, 0.2, 0.35, 0.5, 0.75, 1, 1.5];
+
+/**
+ * Clamps a user-supplied sensitivity to 1-10 (default 5).
+ */
+const parseSensitivity = (value) => Math.min(10, Math.max(1, parseInt(value) || DEFAULT_SENSITIVITY));
+
+/**
+ * Brightness (0-255) below which a pixel counts as ink, given a page's grayscale pixel values.
+ */
+const inkLevelOf = (values) => {
+    const paper = [...values].sort((a, b) => a - b)[Math.floor(values.length * 0.9)];
+    return (paper >= MIN_PAPER_LEVEL ? paper : 255) - INK_CONTRAST;
+};
+
+/**
+ * Share of ink (0-1) on one rendered grayscale page.
+ */
+const measureInk = async (imagePath) => {
+    const { data, info } = await sharp(imagePath).greyscale().raw().toBuffer({ resolveWithObject: true });
+    const marginX = Math.round(info.width * MARGIN_SHARE);
+    const marginY = Math.round(info.height * MARGIN_SHARE);
+
+    const values = [];
+    for (let y = marginY; y < info.height - marginY; y++) {
+        for (let x = marginX; x < info.width - marginX; x++) values.push(data[(y * info.width + x) * info.channels]);
+    }
+    if (values.length === 0) return 0;
+
+    const inkLevel = inkLevelOf(values);
+    return values.filter(value => value < inkLevel).length / values.length;
+};
+
+/**
+ * Finds blank pages.
+ *
+ * @param {string} inputPath - PDF on disk (for rendering)
+ * @param {PDFDocument} doc - The same PDF, loaded (for the content fallback)
+ * @param {object} [options]
+ * @param {number} [options.sensitivity=5] - 1-10
+ * @param {object} [job] - Optional `req.job` for progress/cancellation
+ * @returns {Promise<{ method: 'render'|'content', threshold: number, pages: { page: number, ink: number|null, blank: boolean }[] }>}
+ *          `ink` is the ink share in percent (null with the content fallback)
+ */
+const detectBlankPages = async (inputPath, doc, { sensitivity = DEFAULT_SENSITIVITY } = {}, job) => {
+    const threshold = INK_THRESHOLDS[parseSensitivity(sensitivity) - 1];
+
+    if (!await findGhostscript()) {
+        return {
+            method: 'content',
+            threshold,
+            pages: doc.getPages().map((page, index) => ({ page: index + 1, ink: null, blank: classifyPage(page).kind === 'blank' }))
+        };
+    }
+
+    const workDir = path.join(path.dirname(inputPath), `blank_${uuidv4()}`);
+    try {
+        await fs.ensureDir(workDir);
+        job?.progress('Rendering pages');
+        const images = await renderPages(inputPath, workDir, { dpi: RENDER_DPI, device: 'pnggray', cropBox: true }, job);
+
+        const pages = [];
+        for (const [index, imagePath] of images.entries()) {
+            job?.throwIfCancelled();
+            job?.progress('Measuring ink', index + 1, images.length);
+            const ink = Math.round(await measureInk(imagePath) * 100 * 1000) / 1000; // Percent, 3 decimals
+            pages.push({ page: index + 1, ink, blank: ink <= threshold });
+        }
+        return { method: 'render', threshold, pages };
+    } finally {
+        await fs.remove(workDir).catch(() => {});
+    }
+};
+
+module.exports = { detectBlankPages, parseSensitivity, inkLevelOf, INK_THRESHOLDS };
@@ -0,0 +1,136 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: colorDetector.js
+ * ------------------------------------------------------------------------------------------------
+ * 🏗️ ARCHITECTURE ROLE: "Does this PDF use colour?" without rendering it
+ *
+ * Exam cells often demand grayscale scans. Rendering every page to check pixels needs
+ * Ghostscript and is slow, so this inspects what each page *draws with* instead:
+ *
+ * 1. **Vector colour**: fill/stroke operators in the content streams (`rg`, `RG`, `k`, `K`,
+ *    three-component `sc`/`scn`) with unequal channels.
+ * 2. **Images**: colour spaces with more than one component. RGB JPEGs are decoded (small) and
+ *    their pixels checked, because phone scans of black-and-white pages are usually saved as RGB.
+ *
+ * Form XObjects (stamps, embedded pages) are followed a few levels deep.
+ * ================================================================================================
+ */
+
+const sharp = require('sharp');
+const { PDFName, PDFDict, PDFArray, PDFRawStream, PDFNumber } = require('pdf-lib');
+const { decodeStream, pageContentStreams } = require('../utils/pdfContent');
+
+const CHANNEL_TOLERANCE = 0.02;  // "0.5 0.5 0.51 rg" is still gray
+const PIXEL_TOLERANCE = 24;      // Per-channel spread (0-255) that counts as a coloured pixel
+const COLOR_PIXEL_SHARE = 0.002; // ...and the share of such pixels that makes an image colour
+const MAX_DEPTH = 3;
+
+const NUMBER = String.raw`[-+]?(?:\d+\.?\d*|\.\d+)`;
+const COLOR_OPERATOR = new RegExp(String.raw`((?:${NUMBER}\s+){1,4})(rg|RG|k|K|scn|SCN|sc|SC)\b`, 'g');
+
+/**
+ * True if the operands of one colour operator aren't a shade of gray.
+ */
+const isColorOperator = (operands, operator) => {
+    const values = operands.trim().split(/\s+/).map(Number);
+    if (['k', 'K'].includes(operator)) {
+        return values.length === 4 && values.slice(0, 3).some(v => v > CHANNEL_TOLERANCE);
+    }
+    if (values.length !== 3) return false; // 1 = gray; 4 components with sc = CMYK, rare enough to skip
+    return Math.max(...values) - Math.min(...values) > CHANNEL_TOLERANCE;
+};
+
+/**
+ * Gray colour spaces: DeviceGray, CalGray, one-channel ICC, Indexed over gray, Separation (one ink).
+ */
+const isGraySpace = (space, context) => {
+    const value = context.lookup(space);
+    if (value instanceof PDFName) return ['DeviceGray', 'CalGray', 'G'].includes(value.decodeText());
+    if (!(value instanceof PDFArray) || value.size() === 0) return false;
+
+    const family = context.lookup(value.get(0));
+    const name = family instanceof PDFName ? family.decodeText() : '';
+    if (name === 'CalGray' || name === 'Separation') return true;
+    if (name === 'ICCBased') {
+        const profile = context.lookup(value.get(1));
+        const components = profile?.dict?.lookup(PDFName.of('N'));
+        return components instanceof PDFNumber && components.asNumber() === 1;
+    }
+    if (name === 'Indexed' || name === 'I') return isGraySpace(value.get(1), context);
+    return false;
+};
+
+/**
+ * Decodes a JPEG thumbnail and checks whether enough pixels have visibly different channels.
+ */
+const jpegHasColor = async (bytes) => {
+    try {
+        const { data, info } = await sharp(bytes)
+            .resize(96, 96, { fit: 'inside' })
+            .removeAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        if (info.channels < 3) return false;
+        let colored = 0;
+        for (let i = 0; i < data.length; i += info.channels) {
+            const spread = Math.max(data[i], data[i + 1], data[i + 2]) - Math.min(data[i], data[i + 1], data[i + 2]);
+            if (spread > PIXEL_TOLERANCE) colored++;
+        }
+        return colored / (data.length / info.channels) > COLOR_PIXEL_SHARE;
+    } catch (e) {
+        return true; // Can't tell: assume colour (safer for a "must be grayscale" rule)
+    }
+};
+
+const imageHasColor = async (image, context) => {
+    const dict = image.dict;
+    if (dict.lookup(PDFName.of('ImageMask'))?.toString() === 'true') return false; // Stencil: painted in the fill colour
+    const space = dict.get(PDFName.of('ColorSpace'));
+    if (!space || isGraySpace(space, context)) return false;
+
+    const filter = dict.lookup(PDFName.of('Filter'));
+    const isJpeg = filter instanceof PDFName ? filter === PDFName.of('DCTDecode')
+        : filter instanceof PDFArray && filter.size() === 1 && context.lookup(filter.get(0)) === PDFName.of('DCTDecode');
+    return isJpeg ? jpegHasColor(image.contents) : true;
+};
+
+/**
+ * Checks one content stream plus the resources it can draw (images, nested forms).
+ */
+const streamsHaveColor = async (streams, resources, context, depth) => {
+    for (const stream of streams) {
+        COLOR_OPERATOR.lastIndex = 0;
+        // Undecodable streams read as '': no colour, rather than failing the whole check
+        for (const [, operands, operator] of decodeStream(stream).matchAll(COLOR_OPERATOR)) {
+            if (isColorOperator(operands, operator)) return true;
+        }
+    }
+
+    const xObjects = resources instanceof PDFDict && resources.lookup(PDFName.of('XObject'));
+    if (!(xObjects instanceof PDFDict)) return false;
+    for (const ref of xObjects.values()) {
+        const xObject = context.lookup(ref);
+        if (!(xObject instanceof PDFRawStream)) continue;
+        const subtype = xObject.dict.lookup(PDFName.of('Subtype'));
+        if (subtype === PDFName.of('Image') && await imageHasColor(xObject, context)) return true;
+        if (subtype === PDFName.of('Form') && depth < MAX_DEPTH
+            && await streamsHaveColor([xObject], xObject.dict.lookup(PDFName.of('Resources')), context, depth + 1)) return true;
+    }
+    return false;
+};
+
+/**
+ * Lists the pages that use colour.
+ *
+ * @param {PDFDocument} doc
+ * @returns {Promise<number[]>} 1-based page numbers (empty = the whole PDF is grayscale)
+ */
+const findColorPages = async (doc) => {
+    const pages = [];
+    for (const [index, page] of doc.getPages().entries()) {
+        if (await streamsHaveColor(pageContentStreams(page), page.node.Resources(), doc.context, 0)) pages.push(index + 1);
+    }
+    return pages;
+};
+
+module.exports = { findColorPages };
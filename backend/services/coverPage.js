@@ -0,0 +1,165 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: coverPage.js
+ * ------------------------------------------------------------------------------------------------
+ * 🏗️ ARCHITECTURE ROLE: Cover Page Renderer
+ *
+ * Draws an assignment title page from the submission fields (see utils/submissionFields.js).
+ * Each layout is a plain function `(ctx) => void` drawing onto a blank page, so adding a new
+ * design means adding one entry to `LAYOUTS`.
+ *
+ * ⚠️ LIMITS: Uses the 14 standard PDF fonts, which only cover Latin. Other scripts (a Hindi
+ * name or institution) are printed transliterated, see utils/transliterate.js.
+ * ================================================================================================
+ */
+
+const { StandardFonts, rgb, PageSizes } = require('pdf-lib');
+const { wrapText } = require('../utils/pageLayout');
+const { transliterateForFont } = require('../utils/transliterate');
+
+const INK = rgb(0.1, 0.1, 0.12);
+const MUTED = rgb(0.4, 0.4, 0.45);
+const ACCENT = rgb(0.15, 0.3, 0.65);
+
+/**
+ * "2024-03-01" -> "1 March 2024". Anything else is printed as typed.
+ */
+const formatDate = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const date = new Date(`${value}T00:00:00Z`);
+    return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+};
+
+/**
+ * Drawing helpers bound to one page. `y` is the baseline; every helper returns the next free
+ * baseline below what it drew, so layouts read top-to-bottom.
+ */
+const createContext = (page, fonts, fields) => {
+    const { width, height } = page.getSize();
+
+    const text = (value, { font = fonts.regular, size = 12, color = INK, align = 'center', x, y, maxWidth, lineGap = 1.3 }) => {
+        if (!value) return y;
+        const left = x ?? 72;
+        const boxWidth = maxWidth ?? width - left * 2;
+        for (const line of wrapText(value, font, size, boxWidth)) {
+            const lineWidth = font.widthOfTextAtSize(line, size);
+            const lineX = align === 'center' ? left + (boxWidth - lineWidth) / 2
+                : align === 'right' ? left + boxWidth - lineWidth
+                : left;
+            page.drawText(line, { x: lineX, y, size, font, color });
+            y -= size * lineGap;
+        }
+        return y;
+    };
+
+    return { page, fonts, fields, width, height, text };
+};
+
+// ----------------------------------------------------------------------------------------------
+// Layouts
+// ----------------------------------------------------------------------------------------------
+
+/** Centred, serif, double border: the traditional university title page. */
+const classic = ({ page, fonts, fields, width, height, text }) => {
+    page.drawRectangle({ x: 30, y: 30, width: width - 60, height: height - 60, borderColor: INK, borderWidth: 2 });
+    page.drawRectangle({ x: 36, y: 36, width: width - 72, height: height - 72, borderColor: INK, borderWidth: 0.5 });
+
+    let y = height - 120;
+    y = text(fields.institution.toUpperCase(), { font: fonts.bold, size: 20, y });
+    y = text(fields.course, { size: 14, y: y - 6, color: MUTED });
+
+    y -= 60;
+    page.drawLine({ start: { x: width / 2 - 80, y: y + 30 }, end: { x: width / 2 + 80, y: y + 30 }, thickness: 1, color: INK });
+    y = text(fields.subject, { font: fonts.bold, size: 26, y });
+    y = text(fields.type, { size: 18, y: y - 4, color: MUTED });
+
+    // Submitted by / to, side by side near the bottom
+    const columnWidth = (width - 144) / 2;
+    const block = (label, lines, x, align) => {
+        let by = 230;
+        by = text(label, { font: fonts.bold, size: 12, x, maxWidth: columnWidth, align, y: by });
+        lines.forEach(line => { by = text(line, { size: 12, x, maxWidth: columnWidth, align, y: by }); });
+    };
+    const student = [fields.name, fields.rollNo && `Roll No: ${fields.rollNo}`].filter(Boolean);
+    if (student.length) block('Submitted by:', student, 72, 'left');
+    if (fields.submittedTo) block('Submitted to:', [fields.submittedTo], 72 + columnWidth, 'right');
+
+    text(formatDate(fields.date), { size: 12, y: 100, color: MUTED });
+};
+
+/** Left-aligned sans-serif with a coloured side band. */
+const modern = ({ page, fonts, fields, height, text }) => {
+    page.drawRectangle({ x: 0, y: 0, width: 24, height, color: ACCENT });
+
+    const x = 72;
+    let y = height - 100;
+    y = text(fields.institution.toUpperCase(), { font: fonts.bold, size: 12, align: 'left', x, y, color: ACCENT });
+    y = text(fields.course, { size: 11, align: 'left', x, y, color: MUTED });
+
+    y = height * 0.6;
+    y = text(fields.type.toUpperCase(), { font: fonts.bold, size: 14, align: 'left', x, y, color: MUTED });
+    y = text(fields.subject, { font: fonts.bold, size: 34, align: 'left', x, y: y - 8, lineGap: 1.15 });
+
+    // Label/value table at the bottom
+    const rows = [
+        ['Name', fields.name],
+        ['Roll No', fields.rollNo],
+        ['Submitted to', fields.submittedTo],
+        ['Date', formatDate(fields.date)]
+    ].filter(([, value]) => value);
+    y = 90 + rows.length * 22;
+    rows.forEach(([label, value]) => {
+        text(label, { size: 11, align: 'left', x, y, color: MUTED });
+        y = text(value, { font: fonts.bold, size: 11, align: 'left', x: x + 100, y, lineGap: 2 });
+    });
+};
+
+/** Just the essentials, lots of white space. */
+const minimal = ({ fonts, fields, height, text }) => {
+    let y = height / 2 + 40;
+    y = text(fields.subject, { font: fonts.bold, size: 28, y });
+    y = text(fields.type, { size: 16, y: y - 4, color: MUTED });
+
+    const footer = [
+        [fields.name, fields.rollNo].filter(Boolean).join('  ·  '),
+        fields.submittedTo && `Submitted to ${fields.submittedTo}`,
+        [fields.institution, fields.course].filter(Boolean).join(', '),
+        formatDate(fields.date)
+    ].filter(Boolean);
+    y = 72 + footer.length * 14;
+    footer.forEach(line => { y = text(line, { size: 10, y, color: MUTED }); });
+};
+
+const LAYOUTS = {
+    classic: { render: classic, fonts: [StandardFonts.TimesRoman, StandardFonts.TimesRomanBold] },
+    modern: { render: modern, fonts: [StandardFonts.Helvetica, StandardFonts.HelveticaBold] },
+    minimal: { render: minimal, fonts: [StandardFonts.Helvetica, StandardFonts.HelveticaBold] }
+};
+
+/**
+ * Inserts a cover page at the start of `pdfDoc`.
+ *
+ * @param {PDFDocument} pdfDoc - Target document (may be empty)
+ * @param {object} fields - Submission fields, all strings
+ * @param {object} options
+ * @param {string} [options.layout='classic'] - Key of LAYOUTS
+ * @param {number[]} [options.size] - [width, height] in pt, defaults to A4
+ * @returns {Promise<{ page: PDFPage, transliterated: boolean }>} `transliterated`: a field wasn't Latin
+ */
+const addCoverPage = async (pdfDoc, fields, { layout = 'classic', size = PageSizes.A4 } = {}) => {
+    const design = LAYOUTS[layout] || LAYOUTS.classic;
+    const [regular, bold] = await Promise.all(design.fonts.map(name => pdfDoc.embedFont(name)));
+
+    let transliterated = false;
+    const drawable = Object.fromEntries(Object.entries(fields).map(([key, value]) => {
+        const result = transliterateForFont(value, bold); // Same Latin character set in every standard font
+        transliterated = transliterated || result.transliterated;
+        return [key, result.text];
+    }));
+
+    const page = pdfDoc.insertPage(0, size);
+    design.render(createContext(page, { regular, bold }, drawable));
+    return { page, transliterated };
+};
+
+module.exports = { addCoverPage, LAYOUTS };
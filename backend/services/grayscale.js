@@ -0,0 +1,126 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: grayscale.js
+ * ------------------------------------------------------------------------------------------------
+ * 🏗️ ARCHITECTURE ROLE: Grayscale / Ink-Saver Conversion
+ *
+ * Copy shops charge extra for colour pages and some portals want monochrome. Ghostscript's
+ * pdfwrite rewrites the colours while text and drawings stay vector (nothing is rasterized):
+ *
+ * | Mode   | How                                                                       |
+ * | :----- | :------------------------------------------------------------------------ |
+ * | `gray` | `ColorConversionStrategy=Gray`: every colour becomes its luminance          |
+ * | `bw`   | Gray, plus a transfer function applied to the output that turns each gray   |
+ * |        | darker than `threshold` into black and the rest into white (ink saver:      |
+ * |        | light backgrounds and highlighter vanish, faint pencil can too)             |
+ *
+ * Selected pages only: the whole file is converted, then the converted content is swapped into
+ * the selected pages of the *original* document. Page objects stay the same, so bookmarks and
+ * links keep working and the other pages are untouched.
+ * ================================================================================================
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { runGhostscript } = require('../utils/ghostscript');
+const { removeUnreachable } = require('./pdfOptimizer');
+
+const MODES = ['gray', 'bw'];
+const DEFAULT_THRESHOLD = 50; // Percent lightness: darker becomes black in `bw` mode
+
+class GrayscaleError extends Error {}
+
+/**
+ * `gray` (default) or `bw`; anything else is a GrayscaleError.
+ */
+const parseMode = (value) => {
+    const mode = String(value || 'gray').toLowerCase();
+    if (!MODES.includes(mode)) throw new GrayscaleError(`Unknown colour mode "${value}". Use gray or bw.`);
+    return mode;
+};
+
+/**
+ * Clamps a user-supplied black/white threshold to 5-95 percent (default 50).
+ */
+const parseThreshold = (value) => Math.min(95, Math.max(5, parseInt(value) || DEFAULT_THRESHOLD));
+
+const ghostscriptArgs = (inputPath, outputPath, { mode, threshold }) => {
+    const args = [
+        '-sDEVICE=pdfwrite', '-dCompatibilityLevel=1.4',
+        '-sColorConversionStrategy=Gray', '-dProcessColorModel=/DeviceGray',
+        '-dAutoRotatePages=/None', // Keep the page orientation the student chose
+        `-sOutputFile=${outputPath}`
+    ];
+    if (mode === 'bw') {
+        // Transfer functions are normally only recorded; /Apply bakes this one into the colours
+        args.push('-dTransferFunctionInfo=/Apply', '-c', `{ ${threshold / 100} gt { 1 } { 0 } ifelse } settransfer`, '-f');
+    }
+    return [...args, inputPath];
+};
+
+/**
+ * Swaps the converted content into the selected pages of the original document.
+ *
+ * @returns {Promise<Uint8Array>}
+ */
+const replacePageContent = async (originalBytes, convertedBytes, indices) => {
+    const doc = await PDFDocument.load(originalBytes);
+    const converted = await PDFDocument.load(convertedBytes);
+    const copied = await doc.copyPages(converted, indices);
+
+    indices.forEach((pageIndex, i) => {
+        const page = doc.getPage(pageIndex);
+        const source = copied[i];
+        ['Contents', 'Resources'].forEach((key) => {
+            const value = source.node.get(PDFName.of(key));
+            if (value) page.node.set(PDFName.of(key), value);
+            else page.node.delete(PDFName.of(key));
+        });
+        // pdfwrite may move the page origin to 0,0, so the boxes and rotation come along
+        // (set explicitly: the original might inherit them from its parent)
+        const media = source.getMediaBox();
+        const crop = source.getCropBox();
+        page.setMediaBox(media.x, media.y, media.width, media.height);
+        page.setCropBox(crop.x, crop.y, crop.width, crop.height);
+        page.setRotation(source.getRotation());
+    });
+    removeUnreachable(doc); // The old colour content and the copied page shells
+    return doc.save();
+};
+
+/**
+ * Converts a PDF (or some of its pages) to grayscale or black and white.
+ *
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {object} [options]
+ * @param {'gray'|'bw'} [options.mode='gray']
+ * @param {number} [options.threshold=50] - `bw` only: lightness (%) below which a colour turns black
+ * @param {number[]|null} [options.pages] - 0-based page indices; null converts every page
+ * @param {object} [job] - Optional `req.job` for progress/cancellation
+ * @returns {Promise<{ size: number }>} Output size in bytes
+ */
+const convertToGrayscale = async (inputPath, outputPath, { mode = 'gray', threshold = DEFAULT_THRESHOLD, pages = null } = {}, job) => {
+    if (!pages) {
+        job?.progress(mode === 'bw' ? 'Converting to black and white' : 'Converting to grayscale');
+        await runGhostscript(ghostscriptArgs(inputPath, outputPath, { mode, threshold }), job);
+        return { size: (await fs.stat(outputPath)).size };
+    }
+
+    const convertedPath = path.join(path.dirname(outputPath), `gray_${uuidv4()}.pdf`);
+    try {
+        job?.progress(mode === 'bw' ? 'Converting to black and white' : 'Converting to grayscale');
+        await runGhostscript(ghostscriptArgs(inputPath, convertedPath, { mode, threshold }), job);
+        job?.throwIfCancelled();
+        job?.progress('Replacing selected pages');
+        const bytes = await replacePageContent(await fs.readFile(inputPath), await fs.readFile(convertedPath), pages);
+        await fs.writeFile(outputPath, bytes);
+        return { size: bytes.length };
+    } finally {
+        await fs.remove(convertedPath).catch(() => {});
+    }
+};
+
+module.exports = { convertToGrayscale, parseMode, parseThreshold, GrayscaleError, MODES };
@@ -0,0 +1,102 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: imageDecoder.js
+ * ------------------------------------------------------------------------------------------------
+ * 🏗️ ARCHITECTURE ROLE: Image Normaliser for Image-to-PDF
+ *
+ * pdf-lib can only embed baseline JPEG and PNG, and ignores EXIF orientation. This module turns
+ * whatever a phone or scanner produced into JPEG/PNG buffers that embed correctly:
+ *
+ * - **JPEG / PNG**: passed through untouched (no re-encoding loss) unless EXIF says "rotate".
+ * - **WEBP / TIFF / GIF / AVIF**: decoded with `sharp`. Multi-page TIFFs give one image per page.
+ * - **HEIC / HEIF** (iPhone photos): `sharp`'s prebuilt binaries can't decode HEVC, so
+ *   `heic-decode` (libheif compiled to JS) is used instead.
+ *
+ * Formats are detected from the file contents, not the (often wrong or missing) MIME type.
+ * ================================================================================================
+ */
+
+const sharp = require('sharp');
+const decodeHeic = require('heic-decode');
+
+const JPEG_QUALITY = 92; // Re-encodes only happen once, so stay close to the original
+const MAX_PAGES = 200;   // Guards against pathological multi-page TIFFs
+
+/**
+ * Raised when a file can't be turned into an image. `message` is shown to the user.
+ */
+class UnsupportedImageError extends Error {}
+
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+/**
+ * True for HEIC/HEIF containers (ISO-BMFF "ftyp" box with an HEIF brand), excluding AVIF,
+ * which sharp decodes natively.
+ */
+const isHeic = (bytes) => bytes.length > 12
+    && bytes.toString('ascii', 4, 8) === 'ftyp'
+    && HEIF_BRANDS.includes(bytes.toString('ascii', 8, 12));
+
+/**
+ * Re-encodes a sharp pipeline as PNG if it has transparency (so it stays transparent),
+ * otherwise as JPEG (much smaller for photos).
+ */
+const encode = async (pipeline, hasAlpha) => (hasAlpha
+    ? { bytes: await pipeline.png().toBuffer(), format: 'png' }
+    : { bytes: await pipeline.jpeg({ quality: JPEG_QUALITY }).toBuffer(), format: 'jpg' });
+
+const decodeWithHeic = async (bytes) => {
+    let frames;
+    try {
+        frames = await decodeHeic.all({ buffer: bytes });
+    } catch (e) {
+        throw new UnsupportedImageError('Could not decode this HEIC image');
+    }
+    const images = [];
+    for (const frame of frames.slice(0, MAX_PAGES)) {
+        const { width, height, data } = await frame.decode();
+        const pipeline = sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+            raw: { width, height, channels: 4 }
+        });
+        images.push(await encode(pipeline, false)); // HEIC photos have no meaningful alpha
+    }
+    return images;
+};
+
+/**
+ * Converts one uploaded file into embeddable images (several for multi-page files).
+ *
+ * @param {Buffer} bytes - File contents
+ * @returns {Promise<{ bytes: Buffer, format: 'jpg'|'png' }[]>}
+ * @throws {UnsupportedImageError}
+ */
+const toEmbeddableImages = async (bytes) => {
+    if (isHeic(bytes)) return decodeWithHeic(bytes);
+
+    let metadata;
+    try {
+        metadata = await sharp(bytes).metadata();
+    } catch (e) {
+        throw new UnsupportedImageError('Not a supported image format');
+    }
+
+    // EXIF orientation 1 = upright. 2-8 encode rotations/flips that pdf-lib would ignore.
+    const needsRotation = (metadata.orientation || 1) > 1;
+
+    // pdf-lib embeds Gray/RGB/CMYK JPEGs as-is; anything more exotic is re-encoded below
+    if (metadata.format === 'jpeg' && !needsRotation && [1, 3, 4].includes(metadata.channels)) {
+        return [{ bytes, format: 'jpg' }];
+    }
+    if (metadata.format === 'png' && !needsRotation) return [{ bytes, format: 'png' }];
+
+    const pageCount = Math.min(metadata.pages || 1, MAX_PAGES);
+    const images = [];
+    for (let page = 0; page < pageCount; page++) {
+        // `.rotate()` without arguments applies the EXIF orientation and strips the tag
+        const pipeline = sharp(bytes, { page }).rotate();
+        images.push(await encode(pipeline, Boolean(metadata.hasAlpha)));
+    }
+    return images;
+};
+
+module.exports = { toEmbeddableImages, UnsupportedImageError };
@@ -0,0 +1,150 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: imageLayout.js
+ * ------------------------------------------------------------------------------------------------
+ * 🏗️ ARCHITECTURE ROLE: Page Layout for Image-to-PDF
+ *
+ * Places embedded images onto pages: paper size, orientation, margins, fit mode and a grid of
+ * several images per page. Phone photos are ~4000x3000 px; drawing them at "original" size
+ * gives 55-inch pages that portals and printers mishandle, hence paper sizes.
+ *
+ * | Option        | Values                               | Default (API)  |
+ * | :------------ | :----------------------------------- | :------------- |
+ * | `pageSize`    | a4 | letter | original               | original       |
+ * | `orientation` | portrait | landscape | auto          | auto           |
+ * | `margin`      | millimetres (also the grid gutter)    | 0              |
+ * | `fit`         | fit (letterbox) | fill (crop) | stretch | fit           |
+ * | `columns` / `rows` | images per page = columns x rows | 1 x 1          |
+ * ================================================================================================
+ */
+
+const {
+    PageSizes, pushGraphicsState, popGraphicsState, rectangle, clip, endPath
+} = require('pdf-lib');
+
+const PAPER_SIZES = { a4: PageSizes.A4, letter: PageSizes.Letter };
+const FIT_MODES = ['fit', 'fill', 'stretch'];
+const MM_TO_PT = 72 / 25.4;
+const MAX_GRID = 4; // 4x4 = 16 thumbnails per page is already tiny on A4
+
+/**
+ * Validates and normalises layout options from a (Multer string) request body.
+ *
+ * @returns {{ layout?: object, error?: string }}
+ */
+const parseLayout = (body = {}) => {
+    const pageSize = (body.pageSize || 'original').toLowerCase();
+    if (pageSize !== 'original' && !PAPER_SIZES[pageSize]) {
+        return { error: `Unknown page size "${body.pageSize}". Use a4, letter or original.` };
+    }
+    const fit = FIT_MODES.includes(body.fit) ? body.fit : 'fit';
+    const orientation = ['portrait', 'landscape'].includes(body.orientation) ? body.orientation : 'auto';
+    const margin = Math.min(50, Math.max(0, parseFloat(body.margin) || 0)) * MM_TO_PT;
+    const columns = Math.min(MAX_GRID, Math.max(1, parseInt(body.columns) || 1));
+    const rows = Math.min(MAX_GRID, Math.max(1, parseInt(body.rows) || 1));
+
+    if (pageSize === 'original' && columns * rows > 1) {
+        return { error: 'Choose a paper size (A4 or Letter) to put several images on one page' };
+    }
+    return { layout: { pageSize, fit, orientation, margin, columns, rows } };
+};
+
+/**
+ * Page size for one sheet: paper in the requested orientation. For `auto`, landscape wins
+ * when most images on the sheet are landscape (and the grid itself isn't taller than wide).
+ */
+const sheetSize = (images, { pageSize, orientation, columns, rows }) => {
+    const [short, long] = PAPER_SIZES[pageSize];
+    if (orientation === 'portrait') return [short, long];
+    if (orientation === 'landscape') return [long, short];
+
+    const landscapeCount = images.filter(image => image.width > image.height).length;
+    const landscape = landscapeCount * 2 > images.length && columns >= rows;
+    return landscape ? [long, short] : [short, long];
+};
+
+/**
+ * Draws `image` into the box, honouring the fit mode. `fill` crops via a clipping path.
+ *
+ * @returns {{ x, y, width, height }} Where the whole image landed (may overflow the box for `fill`)
+ */
+const drawInBox = (page, image, box, fit) => {
+    if (fit === 'stretch') {
+        page.drawImage(image, box);
+        return box;
+    }
+
+    const scaleX = box.width / image.width;
+    const scaleY = box.height / image.height;
+    const scale = fit === 'fill' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    const placement = {
+        x: box.x + (box.width - width) / 2,
+        y: box.y + (box.height - height) / 2,
+        width,
+        height
+    };
+
+    if (fit === 'fill') {
+        page.pushOperators(pushGraphicsState(), rectangle(box.x, box.y, box.width, box.height), clip(), endPath());
+        page.drawImage(image, placement);
+        page.pushOperators(popGraphicsState());
+    } else {
+        page.drawImage(image, placement);
+    }
+    return placement;
+};
+
+/**
+ * Adds pages holding `images` (already embedded in `doc`) according to `layout`.
+ *
+ * @param {PDFDocument} doc
+ * @param {PDFImage[]} images - In page order
+ * @param {object} layout - From `parseLayout`
+ * @param {Function} [onPage] - Called as `onPage(done, total)` after each page
+ * @returns {{ page: PDFPage, x, y, width, height }[]} Placement of each image, in input order
+ */
+const addImagePages = (doc, images, layout, onPage) => {
+    const { pageSize, fit, margin, columns, rows } = layout;
+    const placements = [];
+
+    // "original": one image per page, page = image pixels (as points) + margins
+    if (pageSize === 'original') {
+        images.forEach((image, i) => {
+            const page = doc.addPage([image.width + margin * 2, image.height + margin * 2]);
+            const placement = { x: margin, y: margin, width: image.width, height: image.height };
+            page.drawImage(image, placement);
+            placements.push({ page, ...placement });
+            onPage?.(i + 1, images.length);
+        });
+        return placements;
+    }
+
+    const perPage = columns * rows;
+    const sheetCount = Math.ceil(images.length / perPage);
+    for (let sheet = 0; sheet < sheetCount; sheet++) {
+        const sheetImages = images.slice(sheet * perPage, (sheet + 1) * perPage);
+        const [width, height] = sheetSize(sheetImages, layout);
+        const page = doc.addPage([width, height]);
+
+        // The margin doubles as the gutter between grid cells
+        const cellWidth = (width - margin * (columns + 1)) / columns;
+        const cellHeight = (height - margin * (rows + 1)) / rows;
+        sheetImages.forEach((image, i) => {
+            const column = i % columns;
+            const row = Math.floor(i / columns); // Row 0 is the top row
+            const placement = drawInBox(page, image, {
+                x: margin + column * (cellWidth + margin),
+                y: height - margin - (row + 1) * cellHeight - row * margin,
+                width: cellWidth,
+                height: cellHeight
+            }, fit);
+            placements.push({ page, ...placement });
+        });
+        onPage?.(sheet + 1, sheetCount);
+    }
+    return placements;
+};
+
+module.exports = { parseLayout, addImagePages, PAPER_SIZES, FIT_MODES };
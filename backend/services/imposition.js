@@ -0,0 +1,193 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: imposition.js
+ * ------------------------------------------------------------------------------------------------
+ * 🏗️ ARCHITECTURE ROLE: Print Imposition (N-up and Booklets)
+ *
+ * Lab manuals and lecture notes get printed several pages to a sheet, or as a folded booklet.
+ * Source pages are embedded (`embedPage`, as Form XObjects) and drawn scaled into cells of a new
+ * sheet; merge/organise copy whole pages instead, which can't be shrunk or placed side by side.
+ *
+ * | Layout    | Sheet                                     | Order                              |
+ * | :-------- | :---------------------------------------- | :--------------------------------- |
+ * | `nup`     | 2, 4, 6 or 9 pages per side, grid and      | Left to right, top to bottom       |
+ * |           | orientation chosen for the largest pages   |                                    |
+ * | `booklet` | 2 pages per side, landscape                | Saddle-stitch: print double-sided  |
+ * |           |                                            | (flip on short edge), fold, staple |
+ *
+ * Each page is scaled to fit its cell (as the reader sees it: CropBox and /Rotate) and centred,
+ * so mixed page sizes still line up. Links and form fields don't survive embedding; a printout
+ * doesn't need them.
+ * ================================================================================================
+ */
+
+const { PDFDocument, PageSizes, rgb } = require('pdf-lib');
+const { visualFrame, drawImageAt } = require('../utils/pageLayout');
+
+const PAPER_SIZES = { a4: PageSizes.A4, a3: PageSizes.A3, letter: PageSizes.Letter };
+const GRIDS = { 2: [2, 1], 4: [2, 2], 6: [3, 2], 9: [3, 3] }; // Columns x rows, tried both ways round
+const MM_TO_PT = 72 / 25.4;
+const DEFAULT_GUTTER_MM = 5;
+const MAX_GUTTER_MM = 30;
+const BORDER_COLOR = rgb(0.6, 0.6, 0.6);
+
+class ImpositionError extends Error {}
+
+/**
+ * Validates imposition options from a (Multer string) request body.
+ *
+ * @returns {{ layout: 'nup'|'booklet', pagesPerSheet: number, pageSize: string, gutter: number, border: boolean }}
+ *          `gutter` in points (also the sheet margin)
+ * @throws {ImpositionError}
+ */
+const parseImposition = (body = {}) => {
+    const layout = (body.layout || 'nup').toLowerCase();
+    if (layout !== 'nup' && layout !== 'booklet') throw new ImpositionError(`Unknown layout "${body.layout}". Use nup or booklet.`);
+
+    const pagesPerSheet = layout === 'booklet' ? 2 : parseInt(body.pagesPerSheet) || 2;
+    if (!GRIDS[pagesPerSheet]) throw new ImpositionError('Pages per sheet must be 2, 4, 6 or 9');
+
+    const pageSize = String(body.pageSize || 'a4').toLowerCase();
+    if (!PAPER_SIZES[pageSize]) throw new ImpositionError(`Unknown paper size "${body.pageSize}". Use a4, a3 or letter.`);
+
+    const gutterMm = Number.isFinite(parseFloat(body.gutter)) ? parseFloat(body.gutter) : DEFAULT_GUTTER_MM;
+    return {
+        layout,
+        pagesPerSheet,
+        pageSize,
+        gutter: Math.min(MAX_GUTTER_MM, Math.max(0, gutterMm)) * MM_TO_PT,
+        border: body.border === true || body.border === 'true'
+    };
+};
+
+/**
+ * Cell boxes (top-left first, row by row) for a `columns` x `rows` grid on a sheet.
+ */
+const gridCells = ([sheetWidth, sheetHeight], [columns, rows], gutter) => {
+    const width = (sheetWidth - gutter * (columns + 1)) / columns;
+    const height = (sheetHeight - gutter * (rows + 1)) / rows;
+    const cells = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            cells.push({
+                x: gutter + column * (width + gutter),
+                y: sheetHeight - (row + 1) * (height + gutter),
+                width,
+                height
+            });
+        }
+    }
+    return cells;
+};
+
+/**
+ * Picks the sheet orientation and grid direction that show a `pageWidth` x `pageHeight` page
+ * the largest (e.g. 2-up portrait pages: landscape sheet, side by side).
+ *
+ * @returns {{ sheet: number[], cells: object[] }}
+ */
+const chooseLayout = (paper, grid, gutter, pageWidth, pageHeight, { landscapeOnly = false } = {}) => {
+    const [short, long] = paper;
+    const sheets = landscapeOnly ? [[long, short]] : [[short, long], [long, short]];
+    const grids = landscapeOnly ? [grid] : [grid, [grid[1], grid[0]]];
+
+    let best = null;
+    sheets.forEach((sheet) => {
+        grids.forEach((candidate) => {
+            const cells = gridCells(sheet, candidate, gutter);
+            const scale = Math.min(cells[0].width / pageWidth, cells[0].height / pageHeight);
+            if (cells[0].width > 0 && cells[0].height > 0 && (!best || scale > best.scale)) best = { sheet, cells, scale };
+        });
+    });
+    if (!best) throw new ImpositionError('The gutter leaves no room for the pages');
+    return best;
+};
+
+/**
+ * Saddle-stitch order for `count` pages: 0-based indices, two per sheet side, `null` for the
+ * blank pages that pad the booklet to a multiple of 4. For 8 pages:
+ * [8,1] [2,7] [6,3] [4,5] (1-based), i.e. outer sheet front/back, then inwards.
+ */
+const bookletOrder = (count) => {
+    const total = Math.ceil(count / 4) * 4;
+    const page = (number) => (number <= count ? number - 1 : null);
+    const order = [];
+    for (let sheet = 0; sheet < total / 4; sheet++) {
+        order.push(page(total - 2 * sheet), page(2 * sheet + 1));     // Front: last, first
+        order.push(page(2 * sheet + 2), page(total - 2 * sheet - 1)); // Back: second, second-to-last
+    }
+    return order;
+};
+
+/**
+ * Draws an embedded source page scaled to fit (and centred in) a cell, upright as the reader sees it.
+ */
+const drawInCell = (sheet, embedded, source, cell, border) => {
+    const frame = visualFrame(source);
+    const scale = Math.min(cell.width / frame.width, cell.height / frame.height);
+    const width = frame.width * scale;
+    const height = frame.height * scale;
+    const cx = cell.x + cell.width / 2;
+    const cy = cell.y + cell.height / 2;
+    const swap = frame.rotation === 90 || frame.rotation === 270;
+
+    // The embedded page is unrotated: turn it back by /Rotate so it shows as in a viewer.
+    // Empty pages (no content stream) have nothing to draw, but keep their cell and border.
+    if (embedded) {
+        drawImageAt(sheet, visualFrame(sheet), embedded, {
+            cx,
+            cy,
+            width: swap ? height : width,
+            height: swap ? width : height,
+            angle: -frame.rotation
+        });
+    }
+    if (border) {
+        sheet.drawRectangle({ x: cx - width / 2, y: cy - height / 2, width, height, borderColor: BORDER_COLOR, borderWidth: 0.5 });
+    }
+};
+
+/**
+ * Imposes a document onto new sheets.
+ *
+ * @param {PDFDocument} srcDoc
+ * @param {object} options - From `parseImposition`
+ * @param {object} [job] - Optional `req.job` for progress/cancellation
+ * @returns {Promise<{ doc: PDFDocument, sides: number, blanksAdded: number }>} `sides` = output pages
+ */
+const impose = async (srcDoc, { layout, pagesPerSheet, pageSize, gutter, border }, job) => {
+    const sources = srcDoc.getPages();
+    const order = layout === 'booklet' ? bookletOrder(sources.length) : sources.map((_, index) => index);
+    const first = visualFrame(sources[0]);
+    const { sheet: sheetSize, cells } = chooseLayout(PAPER_SIZES[pageSize], GRIDS[pagesPerSheet], gutter, first.width, first.height, {
+        landscapeOnly: layout === 'booklet'
+    });
+
+    const doc = await PDFDocument.create();
+    const embedded = new Map(); // Source index -> embedded page (each is embedded once), null if empty
+    const sides = Math.ceil(order.length / cells.length);
+
+    for (let side = 0; side < sides; side++) {
+        job?.throwIfCancelled();
+        job?.progress('Placing pages', side + 1, sides);
+        const sheet = doc.addPage(sheetSize);
+        for (const [slot, cell] of cells.entries()) {
+            const index = order[side * cells.length + slot];
+            if (index === null || index === undefined) continue; // Booklet padding / last partial sheet
+
+            const source = sources[index];
+            if (!embedded.has(index)) {
+                const box = source.getCropBox();
+                // pdf-lib can't embed a page without /Contents (e.g. a blank separator page)
+                embedded.set(index, source.node.Contents() ? await doc.embedPage(source, {
+                    left: box.x, bottom: box.y, right: box.x + box.width, top: box.y + box.height
+                }) : null);
+            }
+            drawInCell(sheet, embedded.get(index), source, cell, border);
+        }
+    }
+
+    return { doc, sides, blanksAdded: order.filter(index => index === null).length };
+};
+
+module.exports = { impose, parseImposition, ImpositionError };
@@ -0,0 +1,221 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: jobQueue.js
+ * ------------------------------------------------------------------------------------------------
+ * 🏗️ ARCHITECTURE ROLE: Asynchronous Job Subsystem (In-Memory Queue)
+ *
+ * Long-running tools (Ghostscript preset loops, LibreOffice conversions) used to hold the HTTP
+ * request open until completion, which tripped proxy timeouts on Render. Jobs decouple the
+ * upload from the work:
+ *
+ * 🔄 DATA FLOW:
+ * POST /api/jobs/:tool --> enqueue() --> 202 { jobId } --> Worker runs controller action
+ * --> job.progress() updates --> GET /api/jobs/:id (poll) or /events (SSE) --> Result / Error
+ *
+ * 🛠️ KEY DESIGN DECISIONS:
+ * 1. **No Redis/DB**: Jobs live in a Map for a short TTL, matching the stateless temp-folder model.
+ * 2. **Controller Reuse**: Existing `(req, res)` actions are executed via utils/invokeController,
+ *    so every tool works both synchronously and as a job without duplication.
+ * 3. **Concurrency Limit**: Ghostscript/LibreOffice are CPU-bound; running them one at a time
+ *    (configurable via `JOB_CONCURRENCY`) keeps a small container responsive.
+ * 4. **Uploads outlive the queue**: a job can wait behind a long OCR run for more than the
+ *    5-minute temp lifetime, so the cleanup skips `pendingUploads()`.
+ * ================================================================================================
+ */
+
+const path = require('path');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const invokeController = require('../utils/invokeController');
+
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 1;
+const JOB_TTL_MS = 5 * 60 * 1000; // Same lifetime as temp files
+
+const jobs = new Map();
+const waiting = [];
+let active = 0;
+
+/**
+ * Thrown by controllers (via `job.throwIfCancelled()`) to abort work early.
+ */
+class JobCancelledError extends Error {
+    constructor() {
+        super('Job was cancelled');
+        this.name = 'JobCancelledError';
+    }
+}
+
+/**
+ * A single unit of work. Controllers only see the small surface exposed on `req.job`:
+ * `progress()`, `track()`, `throwIfCancelled()` and `cancelled`.
+ */
+class Job extends EventEmitter {
+    constructor(tool) {
+        super();
+        this.id = uuidv4();
+        this.tool = tool;
+        this.status = 'queued'; // queued | running | completed | failed | cancelled
+        this.stage = 'Waiting in queue...';
+        this.percent = null;
+        this.result = null;
+        this.error = null;
+        this.details = null; // Extra diagnostics from a failed controller response
+        this.createdAt = Date.now();
+        this.updatedAt = this.createdAt;
+        this.children = new Set(); // Spawned processes to kill on cancel
+        this.uploads = [];         // Absolute paths of the Multer uploads (and pipeline intermediates) this job reads
+    }
+
+    get cancelled() {
+        return this.status === 'cancelled';
+    }
+
+    /**
+     * Reports a human readable stage, optionally with a step counter.
+     * e.g. job.progress('Converting page', 12, 40) -> "Converting page 12/40" (30%)
+     */
+    progress(stage, current, total) {
+        if (this.cancelled) return;
+        this.stage = total ? `${stage} ${current}/${total}` : stage;
+        this.percent = total ? Math.round((current / total) * 100) : null;
+        this.touch();
+    }
+
+    /**
+     * Registers a child process so cancellation can terminate it.
+     */
+    track(child) {
+        if (!child) return child;
+        this.children.add(child);
+        child.once('exit', () => this.children.delete(child));
+        if (this.cancelled) child.kill();
+        return child;
+    }
+
+    throwIfCancelled() {
+        if (this.cancelled) throw new JobCancelledError();
+    }
+
+    cancel() {
+        if (this.status !== 'queued' && this.status !== 'running') return false;
+        this.status = 'cancelled';
+        this.stage = 'Cancelled';
+        this.children.forEach(child => child.kill());
+        const queuedIndex = waiting.indexOf(this);
+        if (queuedIndex !== -1) waiting.splice(queuedIndex, 1);
+        this.touch();
+        return true;
+    }
+
+    isFinished() {
+        return ['completed', 'failed', 'cancelled'].includes(this.status);
+    }
+
+    touch() {
+        this.updatedAt = Date.now();
+        this.emit('update', this.toJSON());
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            tool: this.tool,
+            status: this.status,
+            stage: this.stage,
+            percent: this.percent,
+            result: this.result,
+            error: this.error,
+            details: this.details,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+const runNext = () => {
+    while (active < CONCURRENCY && waiting.length > 0) {
+        const job = waiting.shift();
+        active++;
+        execute(job).finally(() => {
+            active--;
+            runNext();
+        });
+    }
+};
+
+const execute = async (job) => {
+    const { handler, req } = job.work;
+    delete job.work;
+
+    job.status = 'running';
+    job.progress('Starting...');
+
+    req.job = job;
+
+    try {
+        const { statusCode, body } = await invokeController(handler, req);
+
+        if (job.cancelled) return;
+        if (statusCode >= 400) {
+            job.status = 'failed';
+            job.error = body?.error || 'Processing failed';
+            job.details = body?.details || null;
+        } else {
+            job.status = 'completed';
+            job.result = body;
+        }
+        job.stage = job.status === 'completed' ? 'Done' : 'Failed';
+        job.percent = job.status === 'completed' ? 100 : job.percent;
+    } catch (err) {
+        if (job.cancelled) return;
+        console.error(`Job ${job.id} crashed:`, err);
+        job.status = 'failed';
+        job.error = 'Processing failed';
+        job.stage = 'Failed';
+    }
+    job.touch();
+};
+
+/**
+ * Queues a controller action to run in the background.
+ *
+ * @param {string} tool - Tool name (for display/logging)
+ * @param {Function} handler - Express-style `(req, res)` controller action
+ * @param {object} req - The original request (files/body already parsed by Multer)
+ * @returns {Job}
+ */
+exports.enqueue = (tool, handler, req) => {
+    const job = new Job(tool);
+    job.work = { handler, req };
+    // Multer gives an array (`.array()`), a field map (`.fields()`) or a single file (`.single()`)
+    const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+    job.uploads = [...files, req.file].filter(Boolean).map(file => path.resolve(file.path));
+    jobs.set(job.id, job);
+    waiting.push(job);
+    runNext();
+    return job;
+};
+
+exports.getJob = (id) => jobs.get(id) || null;
+
+/**
+ * Paths of the uploads that queued or running jobs still need, so the temp cleanup keeps them.
+ *
+ * @returns {Set<string>} Absolute paths
+ */
+exports.pendingUploads = () => new Set(
+    [...jobs.values()].filter(job => !job.isFinished()).flatMap(job => job.uploads)
+);
+
+exports.JobCancelledError = JobCancelledError;
+
+// Forget finished jobs after the temp-file TTL, since their downloads are gone by then.
+setInterval(() => {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+        if (job.isFinished() && now - job.updatedAt > JOB_TTL_MS) {
+            job.removeAllListeners();
+            jobs.delete(id);
+        }
+    }
+}, 60 * 1000).unref();
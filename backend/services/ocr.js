@@ -0,0 +1,159 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: ocr.js
+ * ------------------------------------------------------------------------------------------------
+ * 🏗️ ARCHITECTURE ROLE: Offline OCR -> Invisible Text Layer
+ *
+ * Scans and photo PDFs are just pictures: teachers can't search them and plagiarism checkers
+ * reject them. This module recognises the text with Tesseract (compiled to WebAssembly, via
+ * `tesseract.js`) and lays it *invisibly* over the page image, like a scanner's "searchable PDF".
+ *
+ * 🔄 DATA FLOW:
+ * Page image --> Tesseract (text-only PDF of the same page) --> embedded as a Form XObject
+ * --> drawn over the original page/image box
+ *
+ * 🛠️ KEY DESIGN DECISIONS:
+ * - **Fully offline**: language data ships as npm packages (`@tesseract.js-data/<lang>`), never
+ *   fetched from the CDN that tesseract.js uses by default.
+ * - Tesseract's own text-only PDF renderer positions every word and uses a glyph-less Unicode
+ *   font, so Hindi (Devanagari) is searchable without us embedding any font.
+ * ================================================================================================
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { PDFName, PDFDict } = require('pdf-lib');
+const { createWorker, OEM } = require('tesseract.js');
+
+// Code -> label. Each code needs its `@tesseract.js-data/<code>` package installed.
+const OCR_LANGUAGES = { eng: 'English', hin: 'Hindi' };
+const MODEL_DIR = '4.0.0_best_int'; // LSTM-only "best" models, integer-quantised (fast, small)
+const LOW_CONFIDENCE = 60;          // Below this, the page is flagged in the response
+const OCR_DPI = 300;                // Tesseract is tuned for ~300 DPI input
+
+/**
+ * Raised for bad options (unknown language...). Controllers map it to a 400.
+ */
+class OcrError extends Error {}
+
+/**
+ * Parses "eng", "eng+hin" or "eng,hin" into validated language codes.
+ *
+ * @returns {string[]}
+ * @throws {OcrError}
+ */
+const parseLanguages = (value) => {
+    const codes = [...new Set(String(value || 'eng').toLowerCase().split(/[+,\s]+/).filter(Boolean))];
+    const unknown = codes.filter(code => !OCR_LANGUAGES[code]);
+    if (unknown.length > 0) {
+        throw new OcrError(`Unsupported OCR language "${unknown.join(', ')}". Use: ${Object.keys(OCR_LANGUAGES).join(', ')}`);
+    }
+    return codes;
+};
+
+/**
+ * tesseract.js reads every language from one `langPath` directory, but each npm data package
+ * has its own. The bundled files are copied into a shared directory once per process.
+ */
+let languageDir = null;
+const prepareLanguageDir = () => {
+    languageDir = languageDir || (async () => {
+        const dir = path.join(os.tmpdir(), 'clg-toolkit-tessdata');
+        await fs.ensureDir(dir);
+        for (const code of Object.keys(OCR_LANGUAGES)) {
+            const source = path.join(path.dirname(require.resolve(`@tesseract.js-data/${code}`)), MODEL_DIR, `${code}.traineddata.gz`);
+            const target = path.join(dir, `${code}.traineddata.gz`);
+            const existing = await fs.stat(target).catch(() => null);
+            if (!existing || existing.size !== (await fs.stat(source)).size) await fs.copy(source, target);
+        }
+        return dir;
+    })().catch((err) => {
+        languageDir = null; // Let the next request retry
+        throw err;
+    });
+    return languageDir;
+};
+
+/**
+ * Starts a Tesseract worker for the given languages. Callers must `terminate()` it.
+ */
+const createOcrEngine = async (languages) => createWorker(languages, OEM.LSTM_ONLY, {
+    langPath: await prepareLanguageDir(),
+    gzip: true,
+    cacheMethod: 'none' // Don't write .traineddata copies into the working directory
+});
+
+/**
+ * Recognises one image.
+ *
+ * @param {object} engine - From `createOcrEngine`
+ * @param {Buffer} imageBytes - PNG/JPEG
+ * @returns {Promise<{ textLayer: Uint8Array, confidence: number, words: number }>}
+ *   `textLayer` is a one-page PDF holding only the invisible text, sized like the image
+ */
+const recognizeImage = async (engine, imageBytes) => {
+    const { data } = await engine.recognize(imageBytes, { pdfTextOnly: true }, { pdf: true, text: true });
+    return {
+        textLayer: Uint8Array.from(data.pdf),
+        confidence: Math.round(data.confidence),
+        words: data.text.split(/\s+/).filter(Boolean).length
+    };
+};
+
+/**
+ * Embeds a text layer from `recognizeImage` so it can be drawn with `page.drawPage()`
+ * (or `drawImageAt`) over the image it was recognised from.
+ *
+ * @returns {Promise<PDFEmbeddedPage>}
+ */
+const embedTextLayer = async (doc, textLayer) => {
+    const [embedded] = await doc.embedPdf(textLayer, [0]);
+    return embedded;
+};
+
+/**
+ * Heuristic: a page already has text if it (or a form XObject it draws) uses fonts.
+ * Pure scans only reference images, so OCR-ing those is never skipped by mistake.
+ */
+const hasTextLayer = (page) => {
+    const hasFonts = (resources) => {
+        const fonts = resources instanceof PDFDict && resources.lookup(PDFName.of('Font'));
+        return fonts instanceof PDFDict && fonts.keys().length > 0;
+    };
+
+    const resources = page.node.Resources();
+    if (hasFonts(resources)) return true;
+
+    const xObjects = resources?.lookup(PDFName.of('XObject'));
+    if (!(xObjects instanceof PDFDict)) return false;
+    return xObjects.values().some((ref) => {
+        const xObject = page.doc.context.lookup(ref);
+        return xObject?.dict?.lookup(PDFName.of('Subtype')) === PDFName.of('Form')
+            && hasFonts(xObject.dict.lookup(PDFName.of('Resources')));
+    });
+};
+
+/**
+ * Builds the user-facing warning for pages that recognised poorly, if any.
+ *
+ * @param {{ page: number, confidence: number|null }[]} pages - null = no text found
+ */
+const lowConfidenceWarning = (pages) => {
+    const low = pages.filter(p => typeof p.confidence === 'number' && p.confidence < LOW_CONFIDENCE).map(p => p.page);
+    return low.length > 0
+        ? `Low OCR confidence on page ${low.join(', ')}: the text layer may contain mistakes. A sharper, straighter scan helps.`
+        : undefined;
+};
+
+module.exports = {
+    OCR_LANGUAGES,
+    OCR_DPI,
+    OcrError,
+    parseLanguages,
+    createOcrEngine,
+    recognizeImage,
+    embedTextLayer,
+    hasTextLayer,
+    lowConfidenceWarning
+};
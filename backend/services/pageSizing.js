@@ -0,0 +1,282 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: pageSizing.js
+ * ------------------------------------------------------------------------------------------------
+ * 🏗️ ARCHITECTURE ROLE: Page Size, Crop and Trim
+ *
+ * Merged documents mix A4, Letter and odd scanner sizes; scans come with wide dark borders.
+ * Pages are changed in place (same page objects), so text stays selectable and bookmarks and
+ * links keep pointing at the right page:
+ *
+ * | Operation | What happens                                                                 |
+ * | :-------- | :--------------------------------------------------------------------------- |
+ * | `resize`  | New paper size; content scaled to fit and centred (a `cm` wrapped around the  |
+ * |           | page content, clipped to the old visible area), annotations moved with it      |
+ * | `crop`    | Uniform margins or a drawn box become the new page boundary (MediaBox and      |
+ * |           | CropBox); nothing is scaled                                                    |
+ * | `trim`    | Like crop, with the box found by rendering the page and measuring where the    |
+ * |           | ink is (same paper/ink test as services/blankDetector.js)                     |
+ *
+ * Everything is measured "as the reader sees it" (CropBox after /Rotate, see utils/pageLayout.js),
+ * so a landscape scan stored as portrait + /Rotate 90 gets landscape paper and the right margins.
+ * ================================================================================================
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const {
+    PageSizes, PDFName, PDFArray, PDFNumber, PDFDict,
+    pushGraphicsState, popGraphicsState, concatTransformationMatrix, rectangle, clip, endPath
+} = require('pdf-lib');
+const { renderPages } = require('../utils/ghostscript');
+const { visualFrame } = require('../utils/pageLayout');
+const { inkLevelOf } = require('./blankDetector');
+
+const PAPER_SIZES = { a4: PageSizes.A4, a3: PageSizes.A3, a5: PageSizes.A5, letter: PageSizes.Letter, legal: PageSizes.Legal };
+const ORIENTATIONS = ['auto', 'portrait', 'landscape'];
+const MM_TO_PT = 72 / 25.4;
+const SIZE_TOLERANCE = 2;     // Points: 595x842 from a scanner is A4 already
+const TRIM_DPI = 50;          // Enough to place a box within ~0.5 mm
+const DEFAULT_TRIM_PADDING_MM = 3;
+// Annotation entries holding x/y pairs in page space (InkList is an array of such arrays)
+const ANNOT_POINT_KEYS = ['Rect', 'QuadPoints', 'L', 'Vertices', 'InkList'];
+const EXTRA_BOXES = ['BleedBox', 'TrimBox', 'ArtBox'];
+
+class PageSizeError extends Error {}
+
+/**
+ * `a4`, `a3`, `a5`, `letter` or `legal` (case-insensitive); anything else is a PageSizeError.
+ */
+const parsePaperSize = (value) => {
+    const pageSize = String(value || '').toLowerCase();
+    if (!PAPER_SIZES[pageSize]) throw new PageSizeError(`Unknown paper size "${value}". Use ${Object.keys(PAPER_SIZES).join(', ')}.`);
+    return pageSize;
+};
+
+/**
+ * Validates options for `/api/page-size` from a (Multer string) request body.
+ *
+ * @returns {object} `{ operation, pageSize, orientation }`, `{ operation, margin }` or
+ *          `{ operation, box }` (crop) or `{ operation, padding }` (trim); lengths in points
+ * @throws {PageSizeError}
+ */
+const parsePageSizeOptions = (body = {}) => {
+    const operation = (body.operation || 'resize').toLowerCase();
+
+    if (operation === 'resize') {
+        const orientation = ORIENTATIONS.includes(body.orientation) ? body.orientation : 'auto';
+        return { operation, pageSize: parsePaperSize(body.pageSize || 'a4'), orientation };
+    }
+    if (operation === 'crop') {
+        if (body.box) {
+            let box;
+            try {
+                box = typeof body.box === 'string' ? JSON.parse(body.box) : body.box;
+            } catch (e) {
+                throw new PageSizeError('Crop box must be JSON like {"x":0.1,"y":0.1,"width":0.8,"height":0.8}');
+            }
+            const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(key => Number(box?.[key]));
+            if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0 || x < 0 || y < 0 || x + width > 1.001 || y + height > 1.001) {
+                throw new PageSizeError('Crop box must lie inside the page (fractions 0-1 from the top-left corner)');
+            }
+            return { operation, box: { x, y, width, height } };
+        }
+        const margin = parseFloat(body.margin);
+        if (!(margin > 0)) throw new PageSizeError('Give a margin in mm (or draw a box) to crop');
+        return { operation, margin: margin * MM_TO_PT };
+    }
+    if (operation === 'trim') {
+        const padding = Number.isFinite(parseFloat(body.padding)) ? parseFloat(body.padding) : DEFAULT_TRIM_PADDING_MM;
+        return { operation, padding: Math.min(30, Math.max(0, padding)) * MM_TO_PT };
+    }
+    throw new PageSizeError(`Unknown operation "${body.operation}". Use resize, crop or trim.`);
+};
+
+/**
+ * Moves every annotation point through `(x, y) -> (x * scale + dx, y * scale + dy)`.
+ */
+const transformAnnotations = (page, scale, dx, dy) => {
+    const annots = page.node.Annots();
+    if (!annots) return;
+    const transform = (array) => {
+        for (let i = 0; i < array.size(); i++) {
+            const value = array.lookup(i);
+            if (value instanceof PDFArray) transform(value); // InkList
+            else if (value instanceof PDFNumber) array.set(i, PDFNumber.of(value.asNumber() * scale + (i % 2 === 0 ? dx : dy)));
+        }
+    };
+    for (let i = 0; i < annots.size(); i++) {
+        const annot = annots.lookup(i);
+        if (!(annot instanceof PDFDict)) continue;
+        ANNOT_POINT_KEYS.forEach((key) => {
+            const points = annot.lookup(PDFName.of(key));
+            if (points instanceof PDFArray) transform(points);
+        });
+    }
+};
+
+/**
+ * Sets a page boundary (page space); bleed/trim/art boxes are dropped so they can't disagree.
+ */
+const setPageBox = (page, x, y, width, height) => {
+    page.setMediaBox(x, y, width, height);
+    page.setCropBox(x, y, width, height);
+    EXTRA_BOXES.forEach(key => page.node.delete(PDFName.of(key)));
+};
+
+/**
+ * Puts one page on new paper: content scaled to fit and centred.
+ *
+ * @param {PDFDocument} doc
+ * @param {PDFPage} page
+ * @param {string} pageSize - Key of PAPER_SIZES
+ * @param {'auto'|'portrait'|'landscape'} [orientation='auto'] - `auto` follows the page
+ * @returns {boolean} false when the page already had that size
+ */
+const resizePage = (doc, page, pageSize, orientation = 'auto') => {
+    const [short, long] = PAPER_SIZES[pageSize];
+    const frame = visualFrame(page);
+    const landscape = orientation === 'landscape' || (orientation === 'auto' && frame.width > frame.height);
+    const [visualWidth, visualHeight] = landscape ? [long, short] : [short, long];
+    if (Math.abs(frame.width - visualWidth) <= SIZE_TOLERANCE && Math.abs(frame.height - visualHeight) <= SIZE_TOLERANCE) return false;
+
+    // Work in page space: /Rotate stays as it is, so the paper is turned instead
+    const swap = frame.rotation === 90 || frame.rotation === 270;
+    const [width, height] = swap ? [visualHeight, visualWidth] : [visualWidth, visualHeight];
+    const box = page.getCropBox();
+    const scale = Math.min(width / box.width, height / box.height);
+    const dx = (width - box.width * scale) / 2 - box.x * scale;
+    const dy = (height - box.height * scale) / 2 - box.y * scale;
+
+    page.node.normalize();
+    const start = doc.context.register(doc.context.contentStream([
+        pushGraphicsState(),
+        concatTransformationMatrix(scale, 0, 0, scale, dx, dy),
+        rectangle(box.x, box.y, box.width, box.height), clip(), endPath() // Hide what was outside the old page
+    ]));
+    const end = doc.context.register(doc.context.contentStream([popGraphicsState()]));
+    page.node.wrapContentStreams(start, end);
+
+    transformAnnotations(page, scale, dx, dy);
+    setPageBox(page, 0, 0, width, height);
+    return true;
+};
+
+/**
+ * Resizes the given pages (default all) to one paper size.
+ *
+ * @returns {number} How many pages changed
+ */
+const resizePages = (doc, { pageSize, orientation = 'auto' }, indices = doc.getPageIndices()) => (
+    indices.filter(index => resizePage(doc, doc.getPage(index), pageSize, orientation)).length
+);
+
+/**
+ * Crops a page to a box in visual coordinates (points from the bottom-left of the visible page).
+ */
+const cropToVisualBox = (page, { left, bottom, right, top }) => {
+    const frame = visualFrame(page);
+    const a = frame.toPage(left, bottom);
+    const b = frame.toPage(right, top);
+    setPageBox(page, Math.min(a.x, b.x), Math.min(a.y, b.y), Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+};
+
+/**
+ * Crops the given pages by a uniform `margin` (points) or to `box` (fractions from the top-left,
+ * as drawn on a thumbnail). Pages too small for the margin are left alone.
+ *
+ * @returns {number} How many pages changed
+ */
+const cropPages = (doc, { margin, box }, indices = doc.getPageIndices()) => {
+    let cropped = 0;
+    indices.forEach((index) => {
+        const page = doc.getPage(index);
+        const { width, height } = visualFrame(page);
+        if (box) {
+            cropToVisualBox(page, {
+                left: box.x * width,
+                right: Math.min(1, box.x + box.width) * width,
+                top: (1 - box.y) * height,
+                bottom: Math.max(0, 1 - box.y - box.height) * height
+            });
+        } else {
+            if (margin * 2 >= width || margin * 2 >= height) return;
+            cropToVisualBox(page, { left: margin, bottom: margin, right: width - margin, top: height - margin });
+        }
+        cropped++;
+    });
+    return cropped;
+};
+
+/**
+ * Bounds of the ink on a rendered page as fractions of the image (top-left origin), or null
+ * for a blank page.
+ */
+const inkBounds = async (imagePath) => {
+    const { data, info } = await sharp(imagePath).greyscale().raw().toBuffer({ resolveWithObject: true });
+    const values = [];
+    for (let i = 0; i < data.length; i += info.channels) values.push(data[i]);
+    const inkLevel = inkLevelOf(values); // Same paper/ink split as blank detection
+
+    let minX = info.width, minY = info.height, maxX = -1, maxY = -1;
+    values.forEach((value, i) => {
+        if (value >= inkLevel) return;
+        const x = i % info.width;
+        const y = Math.floor(i / info.width);
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+    });
+    if (maxX < 0) return null;
+    return {
+        x: minX / info.width,
+        y: minY / info.height,
+        width: (maxX + 1 - minX) / info.width,
+        height: (maxY + 1 - minY) / info.height
+    };
+};
+
+/**
+ * Trims the whitespace around the given pages, keeping `padding` (points) around the ink.
+ * Blank pages are left alone. Needs Ghostscript (for rendering).
+ *
+ * @param {PDFDocument} doc - Loaded from `inputPath`
+ * @param {string} inputPath - The same PDF on disk
+ * @returns {Promise<number>} How many pages changed
+ */
+const trimPages = async (doc, inputPath, { padding }, indices = doc.getPageIndices(), job) => {
+    const workDir = path.join(path.dirname(inputPath), `trim_${uuidv4()}`);
+    try {
+        await fs.ensureDir(workDir);
+        job?.progress('Rendering pages');
+        const images = await renderPages(inputPath, workDir, { dpi: TRIM_DPI, device: 'pnggray', cropBox: true }, job);
+
+        let trimmed = 0;
+        for (const [step, index] of indices.entries()) {
+            job?.throwIfCancelled();
+            job?.progress('Finding content', step + 1, indices.length);
+            const bounds = await inkBounds(images[index]);
+            if (!bounds) continue;
+
+            const page = doc.getPage(index);
+            const { width, height } = visualFrame(page);
+            const box = {
+                left: Math.max(0, bounds.x * width - padding),
+                right: Math.min(width, (bounds.x + bounds.width) * width + padding),
+                top: Math.min(height, (1 - bounds.y) * height + padding),
+                bottom: Math.max(0, (1 - bounds.y - bounds.height) * height - padding)
+            };
+            if (box.left < 1 && box.bottom < 1 && width - box.right < 1 && height - box.top < 1) continue; // Nothing to trim
+            cropToVisualBox(page, box);
+            trimmed++;
+        }
+        return trimmed;
+    } finally {
+        await fs.remove(workDir).catch(() => {});
+    }
+};
+
+module.exports = { parsePaperSize, parsePageSizeOptions, resizePages, cropPages, trimPages, PageSizeError, PAPER_SIZES };
@@ -0,0 +1,460 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: pdfHealth.js
+ * ------------------------------------------------------------------------------------------------
+ * 🏗️ ARCHITECTURE ROLE: Document Health Report (what's *inside* the PDF)
+ *
+ * Profiles (services/submissionProfiles.js) answer "does it meet the portal's rules?". This answers
+ * "will it behave once submitted?": fonts that render differently on the grader's machine, blank or
+ * scanned pages, scripts and attachments that upload filters reject, leftover edit history...
+ *
+ * Every finding carries a severity and a suggestion:
+ *
+ * | Severity   | Meaning                                                           |
+ * | :--------- | :---------------------------------------------------------------- |
+ * | `critical` | Likely rejected or flagged (e.g. embedded JavaScript)              |
+ * | `warning`  | Probably a mistake or a visible problem (missing fonts, blank pages) |
+ * | `info`     | Worth knowing, often intentional (landscape tables, comments)      |
+ *
+ * `tool` (optional) names the toolkit tab that fixes it, so the UI can link straight to it.
+ * Pages are classified from their content streams only; nothing is rendered.
+ * ================================================================================================
+ */
+
+const { PDFName, PDFDict, PDFArray, PDFString, PDFHexString } = require('pdf-lib');
+const { decodeStream, pageContentStreams, lookupXObject, paintedXObjectNames, walkDicts } = require('../utils/pdfContent');
+const { visualFrame, paperSizeName } = require('../utils/pageLayout');
+
+const MAX_FORM_DEPTH = 3;
+const BLOAT_WARNING_SHARE = 0.25; // Edit history above 25% of the file is worth a re-save
+const STANDARD_FONTS = new Set([
+    'Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique',
+    'Times-Roman', 'Times-Bold', 'Times-Italic', 'Times-BoldItalic',
+    'Courier', 'Courier-Bold', 'Courier-Oblique', 'Courier-BoldOblique',
+    'Symbol', 'ZapfDingbats'
+]);
+const IGNORED_ANNOTATIONS = new Set(['Link', 'Widget', 'Popup']); // Links and form fields are reported elsewhere (or fine)
+const TEXT_SHOW_OPERATORS = new Set(['Tj', 'TJ', "'", '"']);
+const PAINT_OPERATORS = new Set(['f', 'F', 'f*', 'B', 'B*', 'b', 'b*', 'S', 's', 'sh']);
+const INVISIBLE_RENDER_MODES = new Set([3, 7]); // 3 = OCR text layers, 7 = clip only
+const SEVERITY_ORDER = ['critical', 'warning', 'info'];
+
+const name = (value) => (value instanceof PDFName ? value.decodeText() : undefined);
+const text = (value) => (value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : undefined);
+
+// "1-3, 7" for messages
+const formatPages = (pages) => {
+    const runs = [];
+    pages.forEach((page) => {
+        const last = runs[runs.length - 1];
+        if (last && page === last[1] + 1) last[1] = page;
+        else runs.push([page, page]);
+    });
+    return runs.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// ----------------------------------------------------------------------------------------------
+// Pages: text vs scan vs blank
+// ----------------------------------------------------------------------------------------------
+
+/**
+ * Scans a content stream's operators. Strings, names and inline image data are removed first so
+ * that a word like "(of)" or a font called /f isn't mistaken for an operator.
+ */
+const scanOperators = (content, marks) => {
+    const inlineImages = content.match(/\bBI\b[\s\S]*?\bID\b[\s\S]*?\bEI\b/g) || [];
+    marks.images += inlineImages.length;
+
+    const tokens = content
+        .replace(/\bBI\b[\s\S]*?\bID\b[\s\S]*?\bEI\b/g, ' ')
+        .replace(/\((?:\\[\s\S]|[^\\()])*\)/g, ' () ') // Literal strings (one nesting level is enough in practice)
+        .replace(/<[0-9A-Fa-f\s]*>/g, ' () ')            // Hex strings
+        .replace(/\/[^\s/<>[\]()]*/g, ' ')              // Names
+        .split(/[\s[\]<>]+/)
+        .filter(Boolean);
+
+    const renderModes = [0]; // `q`/`Q` save and restore the text render mode with the graphics state
+    let lastNumber = 0;
+    for (const token of tokens) {
+        if (/^[-+]?(?:\d+\.?\d*|\.\d+)$/.test(token)) {
+            lastNumber = Number(token);
+        } else if (token === 'q') {
+            renderModes.push(renderModes[renderModes.length - 1]);
+        } else if (token === 'Q') {
+            if (renderModes.length > 1) renderModes.pop();
+        } else if (token === 'Tr') {
+            renderModes[renderModes.length - 1] = lastNumber;
+        } else if (TEXT_SHOW_OPERATORS.has(token)) {
+            if (INVISIBLE_RENDER_MODES.has(renderModes[renderModes.length - 1])) marks.invisibleText = true;
+            else marks.text = true;
+        } else if (PAINT_OPERATORS.has(token)) {
+            marks.vectors = true;
+        }
+    }
+};
+
+/**
+ * Collects what a page (and the forms it paints) puts on paper.
+ */
+const collectMarks = (streams, resources, context, marks, depth) => {
+    for (const stream of streams) {
+        const content = decodeStream(stream);
+        scanOperators(content, marks);
+        for (const xName of paintedXObjectNames(content)) {
+            const xObject = lookupXObject(resources, xName, context);
+            const subtype = xObject && name(xObject.dict.lookup(PDFName.of('Subtype')));
+            if (subtype === 'Image') marks.images++;
+            if (subtype === 'Form' && depth < MAX_FORM_DEPTH) {
+                const formResources = xObject.dict.lookup(PDFName.of('Resources')) || resources;
+                collectMarks([xObject], formResources, context, marks, depth + 1);
+            }
+        }
+    }
+    return marks;
+};
+
+/**
+ * Classifies one page as 'text', 'scan' (image without visible text), 'drawing' or 'blank'.
+ * `searchable` tells whether a scan already has an (invisible) OCR text layer.
+ *
+ * @param {PDFPage} page
+ * @returns {{ kind: string, searchable: boolean }}
+ */
+const classifyPage = (page) => {
+    const marks = collectMarks(pageContentStreams(page), page.node.Resources(), page.doc.context,
+        { text: false, invisibleText: false, images: 0, vectors: false }, 0);
+    if (marks.text) return { kind: 'text', searchable: true };
+    if (marks.images > 0) return { kind: 'scan', searchable: marks.invisibleText };
+    if (marks.vectors) return { kind: 'drawing', searchable: false };
+    return { kind: 'blank', searchable: false };
+};
+
+// ----------------------------------------------------------------------------------------------
+// Whole-file objects: fonts, scripts, attachments
+// ----------------------------------------------------------------------------------------------
+
+const isEmbedded = (font, context) => {
+    const subtype = name(font.lookup(PDFName.of('Subtype')));
+    if (subtype === 'Type3') return true; // Glyphs are drawn by the PDF itself
+    let descriptorOwner = font;
+    if (subtype === 'Type0') {
+        const descendants = font.lookup(PDFName.of('DescendantFonts'));
+        descriptorOwner = descendants instanceof PDFArray ? context.lookup(descendants.get(0)) : undefined;
+    }
+    const descriptor = descriptorOwner instanceof PDFDict && descriptorOwner.lookup(PDFName.of('FontDescriptor'));
+    return descriptor instanceof PDFDict
+        && ['FontFile', 'FontFile2', 'FontFile3'].some(key => descriptor.has(PDFName.of(key)));
+};
+
+/**
+ * One pass over every object: fonts (by name, subset prefix dropped), JavaScript actions and
+ * embedded files.
+ */
+const inspectObjects = (doc) => {
+    const fonts = new Map(); // name -> embedded
+    let scripts = 0;
+    const attachments = [];
+
+    walkDicts(doc.context, (dict) => {
+        const type = name(dict.lookup(PDFName.of('Type')));
+        const subtype = name(dict.lookup(PDFName.of('Subtype')));
+
+        if (type === 'Font' && !['CIDFontType0', 'CIDFontType2'].includes(subtype)) { // CID fonts are checked via their Type0 parent
+            const fontName = (name(dict.lookup(PDFName.of('BaseFont'))) || 'Unnamed font').replace(/^[A-Z]{6}\+/, '');
+            fonts.set(fontName, fonts.get(fontName) || isEmbedded(dict, doc.context));
+        }
+        if (name(dict.lookup(PDFName.of('S'))) === 'JavaScript' || dict.has(PDFName.of('JS'))) scripts++;
+        if (type === 'Filespec' && dict.has(PDFName.of('EF'))) {
+            attachments.push(text(dict.lookup(PDFName.of('UF'))) || text(dict.lookup(PDFName.of('F'))) || 'unnamed');
+        }
+    });
+
+    return { fonts, scripts, attachments: [...new Set(attachments)] };
+};
+
+// ----------------------------------------------------------------------------------------------
+// File structure: version and saved revisions
+// ----------------------------------------------------------------------------------------------
+
+/**
+ * PDF version from the header, raised by the catalog's /Version if that's newer.
+ */
+const pdfVersion = (doc, bytes) => {
+    const header = /%PDF-(\d\.\d)/.exec(Buffer.from(bytes.subarray(0, 1024)).toString('latin1'));
+    const catalogVersion = name(doc.catalog.lookup(PDFName.of('Version')));
+    const versions = [header?.[1], catalogVersion].filter(Boolean).sort();
+    return versions[versions.length - 1] || 'unknown';
+};
+
+/**
+ * Counts saved revisions (`%%EOF` markers) and the bytes appended after the first one. Editors
+ * that "save" by appending keep every old version of changed objects in the file.
+ * Linearized ("fast web view") files have one extra marker by design.
+ */
+const revisionInfo = (bytes) => {
+    const raw = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const markers = [];
+    for (let at = raw.indexOf('%%EOF'); at !== -1; at = raw.indexOf('%%EOF', at + 5)) markers.push(at);
+    if (markers.length === 0) return { revisions: 1, updateBytes: 0 };
+
+    const linearized = raw.subarray(0, 1024).toString('latin1').includes('/Linearized');
+    const firstEnd = markers[linearized && markers.length > 1 ? 1 : 0] + 5;
+    const revisions = markers.length - (linearized ? 1 : 0);
+    return { revisions: Math.max(1, revisions), updateBytes: revisions > 1 ? Math.max(0, raw.length - firstEnd) : 0 };
+};
+
+// ----------------------------------------------------------------------------------------------
+// Report
+// ----------------------------------------------------------------------------------------------
+
+/**
+ * Groups 1-based page numbers by a key, e.g. paper size -> pages.
+ */
+const groupPages = (pages, keyOf) => pages.reduce((groups, page, index) => {
+    const key = keyOf(page);
+    groups.set(key, [...(groups.get(key) || []), index + 1]);
+    return groups;
+}, new Map());
+
+const pageSizeFindings = (pages) => {
+    const findings = [];
+    const frames = pages.map(visualFrame);
+
+    const sizes = groupPages(frames, ({ width, height }) => paperSizeName(width, height));
+    if (sizes.size > 1) {
+        const [main] = [...sizes.entries()].sort((a, b) => b[1].length - a[1].length)[0];
+        const odd = [...sizes.entries()].filter(([size]) => size !== main);
+        findings.push({
+            id: 'mixed-sizes',
+            severity: 'warning',
+            title: 'Mixed page sizes',
+            message: `Most pages are ${main}, but ${odd.map(([size, list]) => `page(s) ${formatPages(list)} are ${size}`).join('; ')}.`,
+            pages: odd.flatMap(([, list]) => list),
+            suggestion: `Resize every page to one paper size (e.g. ${main}) so the document prints and previews consistently.`,
+            tool: 'page-size'
+        });
+    }
+
+    const orientations = groupPages(frames, ({ width, height }) => (width > height ? 'landscape' : 'portrait'));
+    if (orientations.size > 1) {
+        const landscape = orientations.get('landscape');
+        const portrait = orientations.get('portrait');
+        const [minority, other] = landscape.length <= portrait.length ? [landscape, 'portrait'] : [portrait, 'landscape'];
+        findings.push({
+            id: 'mixed-orientation',
+            severity: 'info',
+            title: 'Mixed orientation',
+            message: `Page(s) ${formatPages(minority)} are ${other === 'portrait' ? 'landscape' : 'portrait'}; the rest are ${other}.`,
+            pages: minority,
+            suggestion: 'Fine for wide tables or diagrams. If a scan went in sideways, turn it with Rotate.',
+            tool: 'rotate'
+        });
+    }
+    return findings;
+};
+
+const pageContentFindings = (classes, blank, blankDetection) => {
+    const findings = [];
+    const pagesOf = (test) => classes.map((c, i) => (test(c) ? i + 1 : null)).filter(Boolean);
+
+    if (blank.length > 0) {
+        findings.push({
+            id: 'blank-pages',
+            severity: 'warning',
+            title: 'Blank pages',
+            message: blankDetection
+                ? `Page(s) ${formatPages(blank)} are blank or nearly blank (at most ${blankDetection.threshold}% ink).`
+                : `Page(s) ${formatPages(blank)} have nothing on them.`,
+            pages: blank,
+            suggestion: 'Remove them with Blank Pages, unless they are intentional separators.',
+            tool: 'remove-blank'
+        });
+    }
+
+    const scans = pagesOf(c => c.kind === 'scan' && !c.searchable).filter(page => !blank.includes(page)); // A blank scan has no text to OCR
+    if (scans.length > 0) {
+        findings.push({
+            id: 'scanned-pages',
+            severity: 'info',
+            title: 'Scanned pages without text',
+            message: `${scans.length === classes.length ? 'Every page is' : `Page(s) ${formatPages(scans)} are`} an image; the text can't be searched, copied or read aloud.`,
+            pages: scans,
+            suggestion: 'Run OCR to add a searchable text layer (the pages look the same).',
+            tool: 'ocr'
+        });
+    }
+    return findings;
+};
+
+const annotationFindings = (pages) => {
+    const counts = new Map(); // subtype -> count
+    const annotatedPages = new Set();
+    pages.forEach((page, index) => {
+        const annots = page.node.lookup(PDFName.of('Annots'));
+        if (!(annots instanceof PDFArray)) return;
+        annots.asArray().forEach((ref) => {
+            const annot = page.doc.context.lookup(ref);
+            const subtype = annot instanceof PDFDict && name(annot.lookup(PDFName.of('Subtype')));
+            if (!subtype || IGNORED_ANNOTATIONS.has(subtype)) return;
+            counts.set(subtype, (counts.get(subtype) || 0) + 1);
+            annotatedPages.add(index + 1);
+        });
+    });
+    if (counts.size === 0) return [];
+
+    const total = [...counts.values()].reduce((a, b) => a + b, 0);
+    const pageList = [...annotatedPages];
+    return [{
+        id: 'annotations',
+        severity: 'info',
+        title: 'Comments and markup',
+        message: `${plural(total, 'annotation')} (${[...counts.entries()].map(([type, n]) => `${n} ${type}`).join(', ')}) on page(s) ${formatPages(pageList)}.`,
+        pages: pageList,
+        suggestion: 'Whoever grades it will see these. Delete review comments and highlights you left for yourself.'
+    }];
+};
+
+const formFindings = (doc) => {
+    const acroForm = doc.catalog.lookup(PDFName.of('AcroForm'));
+    if (!(acroForm instanceof PDFDict)) return [];
+    const findings = [];
+    if (acroForm.has(PDFName.of('XFA'))) {
+        findings.push({
+            id: 'xfa-form',
+            severity: 'warning',
+            title: 'XFA form',
+            message: 'This is an Adobe XFA form. Browsers and most portal previewers show it as a blank page or an error.',
+            suggestion: 'Fill it in Adobe Reader, then print it to PDF to get a normal document.'
+        });
+    }
+    let fields = [];
+    try {
+        fields = doc.getForm().getFields();
+    } catch (e) { /* Malformed field tree: nothing useful to report */ }
+    if (fields.length > 0) {
+        findings.push({
+            id: 'form-fields',
+            severity: 'info',
+            title: 'Fillable form fields',
+            message: `${plural(fields.length, 'form field')} can still be edited by anyone who opens the file.`,
+            suggestion: 'Check every field is filled. Printing to PDF flattens the answers into the page.'
+        });
+    }
+    return findings;
+};
+
+/**
+ * Builds the health report for a loaded (unencrypted) PDF.
+ *
+ * @param {PDFDocument} doc
+ * @param {Uint8Array|Buffer} bytes - The file as uploaded (for the header and revision history)
+ * @param {object} [options]
+ * @param {object} [options.blankDetection] - Rendered result of services/blankDetector.js; replaces
+ *        the content-stream guess, which can't see that a scanned page is blank paper
+ * @param {boolean} [options.ghostscript=false] - Ghostscript is installed, so Compress rewrites the
+ *        file (the pdf-lib fallback keeps its version and may hand back the original)
+ * @returns {{ summary: object, findings: object[] }}
+ */
+const inspectPdf = (doc, bytes, { blankDetection, ghostscript = false } = {}) => {
+    const pages = doc.getPages();
+    const classes = pages.map(classifyPage);
+    const rendered = blankDetection?.method === 'render' ? blankDetection : null;
+    const blank = rendered
+        ? rendered.pages.filter(p => p.blank).map(p => p.page)
+        : classes.map((c, i) => (c.kind === 'blank' ? i + 1 : null)).filter(Boolean);
+    const { fonts, scripts, attachments } = inspectObjects(doc);
+    const { revisions, updateBytes } = revisionInfo(bytes);
+    const findings = [];
+
+    if (scripts > 0) {
+        findings.push({
+            id: 'javascript',
+            severity: 'critical',
+            title: 'Embedded JavaScript',
+            message: `${plural(scripts, 'script action')} found. Upload filters and antivirus scanners often block PDFs with scripts.`,
+            suggestion: 'Export the PDF again from the original document (Save As / Print to PDF); scripts usually come from form tools.'
+        });
+    }
+
+    if (attachments.length > 0) {
+        findings.push({
+            id: 'attachments',
+            severity: 'warning',
+            title: 'Attached files',
+            message: `Contains ${plural(attachments.length, 'attachment')}: ${attachments.join(', ')}. Portals only show the main document and may reject the upload.`,
+            suggestion: 'Upload attachments separately, or merge them into the PDF as pages.'
+        });
+    }
+
+    const missingFonts = [...fonts.entries()].filter(([, embedded]) => !embedded).map(([fontName]) => fontName);
+    const nonStandard = missingFonts.filter(fontName => !STANDARD_FONTS.has(fontName));
+    if (nonStandard.length > 0) {
+        findings.push({
+            id: 'fonts-not-embedded',
+            severity: 'warning',
+            title: 'Fonts not embedded',
+            message: `${nonStandard.join(', ')} ${nonStandard.length === 1 ? 'is' : 'are'} not included in the file; other computers will substitute a different font and the layout can shift.`,
+            suggestion: 'Export again with fonts embedded (Word: Save As PDF → Options → "PDF/A compliant"), or convert to PDF/A, which embeds the closest font the server has.',
+            tool: 'pdfa'
+        });
+    } else if (missingFonts.length > 0) {
+        findings.push({
+            id: 'standard-fonts',
+            severity: 'info',
+            title: 'Standard fonts not embedded',
+            message: `${missingFonts.join(', ')} ${missingFonts.length === 1 ? 'relies' : 'rely'} on the viewer's built-in fonts. Every viewer has them, but archival (PDF/A) portals require embedding.`,
+            suggestion: 'Only matters if the portal asks for PDF/A; converting to PDF/A embeds them.',
+            tool: 'pdfa'
+        });
+    }
+
+    findings.push(...pageContentFindings(classes, blank, rendered));
+    findings.push(...pageSizeFindings(pages));
+    findings.push(...formFindings(doc));
+    findings.push(...annotationFindings(pages));
+
+    if (revisions > 1) {
+        const share = updateBytes / bytes.length;
+        findings.push({
+            id: 'incremental-updates',
+            severity: share > BLOAT_WARNING_SHARE ? 'warning' : 'info',
+            title: 'Saved edit history',
+            message: `The file was saved ${revisions} times by appending changes; ${share < 0.01 ? 'under 1%' : `${Math.round(share * 100)}%`} of it (${Math.max(1, Math.round(updateBytes / 1024))} KB) is edit history, which can include deleted content.`,
+            ...(ghostscript
+                ? { suggestion: 'Compress it to any target below its current size; the output is written from scratch.', tool: 'compress' }
+                : { suggestion: 'Export the PDF again from the original document (Save As / Print to PDF) to drop the history.' })
+        });
+    }
+
+    const version = pdfVersion(doc, bytes);
+    if (version === '2.0') {
+        findings.push({
+            id: 'pdf-version',
+            severity: 'info',
+            title: 'PDF 2.0',
+            message: 'Some older portal previewers and college printers can\'t open PDF 2.0 files yet.',
+            ...(ghostscript
+                ? { suggestion: 'Compress it (any target below its current size) to get a PDF 1.4 file.', tool: 'compress' }
+                : { suggestion: 'Export the PDF again from the original document (Save As / Print to PDF) as PDF 1.7 or older.' })
+        });
+    }
+
+    const count = (kind) => classes.filter(c => c.kind === kind).length;
+    return {
+        summary: {
+            version,
+            revisions,
+            fonts: fonts.size,
+            embeddedFonts: fonts.size - missingFonts.length,
+            textPages: count('text'),
+            scannedPages: count('scan'),
+            drawingPages: count('drawing'),
+            blankPages: blank.length
+        },
+        findings: findings.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity))
+    };
+};
+
+module.exports = { inspectPdf, classifyPage, inspectObjects, pdfVersion };
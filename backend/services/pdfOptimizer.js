@@ -0,0 +1,357 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: pdfOptimizer.js
+ * ------------------------------------------------------------------------------------------------
+ * 🏗️ ARCHITECTURE ROLE: Pure-JavaScript Compression Fallback
+ *
+ * Used by `compress` when Ghostscript is not installed (local dev machines, minimal containers).
+ * Re-saving with pdf-lib alone usually makes files *bigger*, so this module does the parts of
+ * Ghostscript's job that matter most for student submissions:
+ *
+ * 1. **Image Recompression**: Finds image XObjects (JPEG = /DCTDecode, PNG-style = /FlateDecode),
+ *    downsamples them to a max pixel dimension and re-encodes them as JPEG.
+ * 2. **Deduplication**: Identical streams (e.g. the same logo on every page) are stored once.
+ * 3. **Garbage Collection**: Objects unreachable from the document catalog are dropped.
+ * 4. **Object Streams**: Saved with `useObjectStreams: true` for a compact xref.
+ *
+ * ⚠️ LIMITS: CMYK, Indexed, 16-bit and image masks are left untouched. Decoding happens in pure JS,
+ * so it's several times slower than Ghostscript — acceptable for a fallback.
+ * ================================================================================================
+ */
+
+const zlib = require('zlib');
+const crypto = require('crypto');
+const jpeg = require('jpeg-js');
+const {
+    PDFDocument, PDFName, PDFNumber, PDFDict, PDFArray, PDFRef, PDFRawStream, PDFStream
+} = require('pdf-lib');
+
+// Quality ladder tried from best to smallest until `targetSize` is met
+const LEVELS = [
+    { maxDimension: 2400, quality: 80 },
+    { maxDimension: 1800, quality: 70 },
+    { maxDimension: 1400, quality: 60 },
+    { maxDimension: 1100, quality: 50 },
+    { maxDimension: 850, quality: 40 },
+    { maxDimension: 650, quality: 30 }
+];
+const DEFAULT_LEVEL = LEVELS[1];
+const MIN_IMAGE_BYTES = 8 * 1024; // Tiny icons aren't worth the decode cost
+
+const nameOf = (obj) => (obj instanceof PDFName ? obj.asString() : null);
+
+/**
+ * Resolves how many colour components an image's /ColorSpace has (1 or 3), or null if unsupported.
+ */
+const componentCount = (context, colorSpace) => {
+    const cs = context.lookup(colorSpace);
+    const name = nameOf(cs);
+    if (name === '/DeviceGray' || name === '/CalGray') return 1;
+    if (name === '/DeviceRGB' || name === '/CalRGB') return 3;
+    if (cs instanceof PDFArray && nameOf(cs.get(0)) === '/ICCBased') {
+        const profile = context.lookup(cs.get(1));
+        const n = profile?.dict?.get(PDFName.of('N'));
+        const count = n instanceof PDFNumber ? n.asNumber() : null;
+        return count === 1 || count === 3 ? count : null;
+    }
+    return null; // CMYK, Indexed, Separation, Lab...
+};
+
+/**
+ * Reverses PNG row predictors (/Predictor 10-15) used by many PDF producers for Flate images.
+ */
+const unpredictPng = (data, width, height, bytesPerPixel) => {
+    const rowLength = width * bytesPerPixel;
+    const out = Buffer.alloc(rowLength * height);
+    let prev = Buffer.alloc(rowLength);
+    for (let y = 0; y < height; y++) {
+        const filter = data[y * (rowLength + 1)];
+        const row = data.subarray(y * (rowLength + 1) + 1, (y + 1) * (rowLength + 1));
+        const cur = out.subarray(y * rowLength, (y + 1) * rowLength);
+        for (let x = 0; x < rowLength; x++) {
+            const left = x >= bytesPerPixel ? cur[x - bytesPerPixel] : 0;
+            const up = prev[x];
+            const upLeft = x >= bytesPerPixel ? prev[x - bytesPerPixel] : 0;
+            let value;
+            switch (filter) {
+                case 0: value = row[x]; break;
+                case 1: value = row[x] + left; break;
+                case 2: value = row[x] + up; break;
+                case 3: value = row[x] + ((left + up) >> 1); break;
+                case 4: {
+                    const p = left + up - upLeft;
+                    const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+                    value = row[x] + (pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft);
+                    break;
+                }
+                default: throw new Error(`Unknown PNG filter ${filter}`);
+            }
+            cur[x] = value & 0xff;
+        }
+        prev = cur;
+    }
+    return out;
+};
+
+/**
+ * Decodes an image XObject into RGBA pixels, or returns null if the format isn't handled.
+ */
+const decodeImage = (context, stream) => {
+    const dict = stream.dict;
+    const filter = dict.lookup(PDFName.of('Filter'));
+    const filters = filter instanceof PDFArray ? filter.asArray().map(nameOf) : [nameOf(filter)];
+    if (filters.length !== 1) return null;
+    if (dict.get(PDFName.of('ImageMask')) || dict.get(PDFName.of('Decode'))) return null;
+
+    const components = componentCount(context, dict.get(PDFName.of('ColorSpace')));
+    if (!components) return null;
+
+    if (filters[0] === '/DCTDecode') {
+        const decoded = jpeg.decode(stream.contents, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 1024 });
+        return { width: decoded.width, height: decoded.height, data: decoded.data };
+    }
+
+    if (filters[0] === '/FlateDecode') {
+        const bpc = dict.lookup(PDFName.of('BitsPerComponent'));
+        if (!(bpc instanceof PDFNumber) || bpc.asNumber() !== 8) return null;
+        const width = dict.lookup(PDFName.of('Width')).asNumber();
+        const height = dict.lookup(PDFName.of('Height')).asNumber();
+
+        let raw = zlib.inflateSync(Buffer.from(stream.contents));
+        const parms = dict.lookup(PDFName.of('DecodeParms'));
+        const predictor = parms instanceof PDFDict ? parms.lookup(PDFName.of('Predictor'))?.asNumber?.() : 1;
+        if (predictor >= 10) raw = unpredictPng(raw, width, height, components);
+        else if (predictor && predictor !== 1) return null; // TIFF predictor: rare, skip
+
+        if (raw.length < width * height * components) return null;
+        const data = new Uint8Array(width * height * 4);
+        for (let i = 0, j = 0; i < width * height; i++) {
+            if (components === 1) {
+                data[j++] = raw[i]; data[j++] = raw[i]; data[j++] = raw[i];
+            } else {
+                data[j++] = raw[i * 3]; data[j++] = raw[i * 3 + 1]; data[j++] = raw[i * 3 + 2];
+            }
+            data[j++] = 255;
+        }
+        return { width, height, data };
+    }
+
+    return null;
+};
+
+/**
+ * Box-filter downsample (averages every source pixel that maps onto a target pixel).
+ * Cheaper than bicubic and avoids the aliasing that nearest-neighbour causes on scanned text.
+ */
+const downsample = (image, maxDimension) => {
+    const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+    if (scale === 1) return image;
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const data = new Uint8Array(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        const sy0 = Math.floor(y / scale), sy1 = Math.min(image.height, Math.floor((y + 1) / scale));
+        for (let x = 0; x < width; x++) {
+            const sx0 = Math.floor(x / scale), sx1 = Math.min(image.width, Math.floor((x + 1) / scale));
+            let r = 0, g = 0, b = 0, count = 0;
+            for (let sy = sy0; sy < Math.max(sy1, sy0 + 1); sy++) {
+                for (let sx = sx0; sx < Math.max(sx1, sx0 + 1); sx++) {
+                    const i = (sy * image.width + sx) * 4;
+                    r += image.data[i]; g += image.data[i + 1]; b += image.data[i + 2];
+                    count++;
+                }
+            }
+            const o = (y * width + x) * 4;
+            data[o] = r / count; data[o + 1] = g / count; data[o + 2] = b / count; data[o + 3] = 255;
+        }
+    }
+    return { width, height, data };
+};
+
+/**
+ * Collects the refs of every image used as another image's /SMask or stencil /Mask. Masks must
+ * stay single-channel DeviceGray (without a /ColorSpace), so they are never re-encoded as RGB.
+ * @returns {Set<string>} Ref tags
+ */
+const maskRefs = (context) => {
+    const masks = new Set();
+    for (const [, obj] of context.enumerateIndirectObjects()) {
+        if (!(obj instanceof PDFRawStream)) continue;
+        if (nameOf(obj.dict.get(PDFName.of('Subtype'))) !== '/Image') continue;
+        for (const key of ['SMask', 'Mask']) {
+            const mask = obj.dict.get(PDFName.of(key));
+            if (mask instanceof PDFRef) masks.add(mask.tag); // An array /Mask is a colour key, not an image
+        }
+    }
+    return masks;
+};
+
+/**
+ * Re-encodes every eligible image. Only replaces a stream when the new one is smaller.
+ * @returns {number} How many images were replaced
+ */
+const recompressImages = (doc, { maxDimension, quality }) => {
+    const context = doc.context;
+    const masks = maskRefs(context);
+    let replaced = 0;
+
+    for (const [ref, obj] of context.enumerateIndirectObjects()) {
+        if (!(obj instanceof PDFRawStream)) continue;
+        if (nameOf(obj.dict.get(PDFName.of('Subtype'))) !== '/Image') continue;
+        if (masks.has(ref.tag)) continue;
+        if (obj.contents.length < MIN_IMAGE_BYTES) continue;
+
+        let image;
+        try {
+            image = decodeImage(context, obj);
+        } catch (e) {
+            continue; // Unusual encodings (progressive CMYK, broken streams) are left as-is
+        }
+        if (!image) continue;
+
+        const resized = downsample(image, maxDimension);
+        const encoded = jpeg.encode(resized, quality).data;
+        if (encoded.length >= obj.contents.length) continue;
+
+        // Copy the dict so /SMask, /Interpolate etc. survive; only the encoding changes
+        const dict = obj.dict.clone(context);
+        dict.set(PDFName.of('Filter'), PDFName.of('DCTDecode'));
+        dict.delete(PDFName.of('DecodeParms'));
+        dict.set(PDFName.of('Width'), PDFNumber.of(resized.width));
+        dict.set(PDFName.of('Height'), PDFNumber.of(resized.height));
+        dict.set(PDFName.of('BitsPerComponent'), PDFNumber.of(8));
+        dict.set(PDFName.of('ColorSpace'), PDFName.of('DeviceRGB')); // jpeg-js always writes YCbCr
+        context.assign(ref, PDFRawStream.of(dict, encoded));
+        replaced++;
+    }
+    return replaced;
+};
+
+/**
+ * Calls `visit` for every PDFRef nested inside an object (dicts, arrays, stream dicts).
+ */
+const forEachRef = (obj, visit) => {
+    if (obj instanceof PDFRef) return visit(obj);
+    if (obj instanceof PDFStream) return forEachRef(obj.dict, visit);
+    if (obj instanceof PDFDict) return obj.entries().forEach(([, value]) => forEachRef(value, visit));
+    if (obj instanceof PDFArray) return obj.asArray().forEach(value => forEachRef(value, visit));
+};
+
+/**
+ * Rewrites references in place (dict/array slots pointing at `from` now point at `to`).
+ */
+const replaceRefs = (obj, mapping) => {
+    const swap = (value) => (value instanceof PDFRef && mapping.has(value.tag) ? mapping.get(value.tag) : value);
+    if (obj instanceof PDFStream) return replaceRefs(obj.dict, mapping);
+    if (obj instanceof PDFDict) {
+        obj.entries().forEach(([key, value]) => {
+            obj.set(key, swap(value));
+            replaceRefs(value, mapping);
+        });
+    } else if (obj instanceof PDFArray) {
+        obj.asArray().forEach((value, i) => {
+            obj.set(i, swap(value));
+            replaceRefs(value, mapping);
+        });
+    }
+};
+
+/**
+ * Stores byte-identical streams (same dict + contents) only once.
+ * @returns {number} How many duplicates were removed
+ */
+const deduplicateStreams = (doc) => {
+    const context = doc.context;
+    const seen = new Map(); // hash -> canonical ref
+    const mapping = new Map(); // duplicate ref tag -> canonical ref
+    const duplicates = [];
+
+    for (const [ref, obj] of context.enumerateIndirectObjects()) {
+        if (!(obj instanceof PDFRawStream)) continue;
+        const hash = crypto.createHash('sha1')
+            .update(obj.dict.toString())
+            .update(obj.contents)
+            .digest('hex');
+        if (seen.has(hash)) {
+            mapping.set(ref.tag, seen.get(hash));
+            duplicates.push(ref);
+        } else {
+            seen.set(hash, ref);
+        }
+    }
+    if (mapping.size === 0) return 0;
+
+    for (const [, obj] of context.enumerateIndirectObjects()) replaceRefs(obj, mapping);
+    duplicates.forEach(ref => context.delete(ref));
+    return duplicates.length;
+};
+
+/**
+ * Deletes every object that can't be reached from the catalog or the info dictionary.
+ * @returns {number} How many objects were dropped
+ */
+const removeUnreachable = (doc) => {
+    const context = doc.context;
+    const reachable = new Set();
+    const stack = [context.trailerInfo.Root, context.trailerInfo.Info].filter(Boolean);
+
+    while (stack.length > 0) {
+        forEachRef(stack.pop(), (ref) => {
+            if (reachable.has(ref.tag)) return;
+            reachable.add(ref.tag);
+            const target = context.lookup(ref);
+            if (target) stack.push(target);
+        });
+    }
+
+    let removed = 0;
+    for (const [ref] of context.enumerateIndirectObjects()) {
+        if (!reachable.has(ref.tag)) {
+            context.delete(ref);
+            removed++;
+        }
+    }
+    return removed;
+};
+exports.removeUnreachable = removeUnreachable; // Also used after page content swaps (services/grayscale.js)
+
+/**
+ * Runs one optimisation pass at the given level.
+ */
+const optimiseOnce = async (inputBytes, level) => {
+    const doc = await PDFDocument.load(inputBytes, { updateMetadata: false });
+    // Dedupe first so shared images are only decoded/encoded once
+    const duplicatesRemoved = deduplicateStreams(doc);
+    const unusedRemoved = removeUnreachable(doc);
+    const imagesRecompressed = recompressImages(doc, level);
+    const bytes = await doc.save({ useObjectStreams: true });
+    return { bytes, imagesRecompressed, duplicatesRemoved, unusedRemoved, ...level };
+};
+
+/**
+ * Compresses a PDF without Ghostscript.
+ *
+ * @param {Buffer} inputBytes - Original PDF
+ * @param {object} [options]
+ * @param {number} [options.targetSize] - Walk down the quality ladder until the output fits
+ * @param {object} [job] - Optional `req.job` for progress/cancellation
+ * @returns {Promise<{ bytes: Uint8Array, targetMet: boolean, maxDimension: number, quality: number,
+ *           imagesRecompressed: number, duplicatesRemoved: number, unusedRemoved: number }>}
+ */
+exports.optimise = async (inputBytes, { targetSize } = {}, job) => {
+    const levels = targetSize ? LEVELS : [DEFAULT_LEVEL];
+    let smallest = null;
+
+    for (const [index, level] of levels.entries()) {
+        job?.throwIfCancelled();
+        job?.progress(`Recompressing images (max ${level.maxDimension}px, quality ${level.quality})`, index + 1, levels.length);
+
+        const result = await optimiseOnce(inputBytes, level);
+        if (!smallest || result.bytes.length < smallest.bytes.length) smallest = result;
+        if (!targetSize || result.bytes.length <= targetSize) return { ...result, targetMet: true };
+        if (result.imagesRecompressed === 0) break; // No images: lower quality won't change anything
+    }
+
+    return { ...smallest, targetMet: false };
+};
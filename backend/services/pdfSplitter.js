@@ -0,0 +1,247 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: pdfSplitter.js
+ * ------------------------------------------------------------------------------------------------
+ * 🏗️ ARCHITECTURE ROLE: Multi-file Split Planner
+ *
+ * Decides *which pages go into which part* for the split modes, then writes the parts:
+ *
+ * | Mode        | Option      | Result                                                     |
+ * | :---------- | :---------- | :--------------------------------------------------------- |
+ * | `every`     | `every`     | Chunks of N pages                                          |
+ * | `single`    | -           | One file per page                                          |
+ * | `bookmarks` | -           | One file per top-level bookmark (front matter kept apart)  |
+ * | `ranges`    | `ranges`    | Named parts: "Q1:1-3; Q2:4-7" (unnamed ranges get "Part N") |
+ * | `size`      | `maxSizeMb` | Consecutive pages, each part at most X MB                  |
+ *
+ * Plans are `[{ name, pageIndices }]` (0-based), so every mode shares the same writer.
+ * ================================================================================================
+ */
+
+const {
+    PDFDocument, PDFName, PDFDict, PDFArray, PDFRef, PDFString, PDFHexString
+} = require('pdf-lib');
+const { parsePageRange } = require('../utils/pageLayout');
+
+const SPLIT_MODES = ['every', 'single', 'bookmarks', 'ranges', 'size'];
+
+/**
+ * Raised for user mistakes (bad option, no bookmarks...). Controllers map it to a 400.
+ */
+class SplitError extends Error {}
+
+const range = (start, end) => Array.from({ length: end - start }, (_, i) => start + i);
+
+// ----------------------------------------------------------------------------------------------
+// Bookmarks
+// ----------------------------------------------------------------------------------------------
+
+const textOf = (obj) => (obj instanceof PDFString || obj instanceof PDFHexString ? obj.decodeText() : null);
+
+/**
+ * Looks up a named destination in the catalog's /Dests dict or /Names -> /Dests name tree.
+ */
+const lookupNamedDest = (doc, name) => {
+    const { catalog, context } = doc;
+    const dests = catalog.lookup(PDFName.of('Dests'));
+    if (dests instanceof PDFDict) {
+        const dest = dests.lookup(PDFName.of(name));
+        if (dest) return dest;
+    }
+
+    const searchTree = (node) => {
+        if (!(node instanceof PDFDict)) return null;
+        const names = node.lookup(PDFName.of('Names'));
+        if (names instanceof PDFArray) {
+            for (let i = 0; i < names.size() - 1; i += 2) {
+                if (textOf(names.lookup(i)) === name) return names.lookup(i + 1);
+            }
+        }
+        const kids = node.lookup(PDFName.of('Kids'));
+        if (kids instanceof PDFArray) {
+            for (let i = 0; i < kids.size(); i++) {
+                const found = searchTree(context.lookup(kids.get(i)));
+                if (found) return found;
+            }
+        }
+        return null;
+    };
+    const nameDict = catalog.lookup(PDFName.of('Names'));
+    return nameDict instanceof PDFDict ? searchTree(nameDict.lookup(PDFName.of('Dests'))) : null;
+};
+
+/**
+ * Resolves an outline item to a 0-based page index, or -1 if it points nowhere useful.
+ * Handles explicit destinations, named destinations and GoTo actions.
+ */
+const resolveOutlineItem = (doc, item, pageIndexByRef) => {
+    let dest = item.lookup(PDFName.of('Dest'));
+    if (!dest) {
+        const action = item.lookup(PDFName.of('A'));
+        if (action instanceof PDFDict && action.lookup(PDFName.of('S')) === PDFName.of('GoTo')) {
+            dest = action.lookup(PDFName.of('D'));
+        }
+    }
+    if (dest instanceof PDFName) dest = lookupNamedDest(doc, dest.decodeText());
+    else if (textOf(dest) !== null) dest = lookupNamedDest(doc, textOf(dest));
+    if (dest instanceof PDFDict) dest = dest.lookup(PDFName.of('D')); // { /D [...] } form
+
+    if (!(dest instanceof PDFArray) || dest.size() === 0) return -1;
+    const target = dest.get(0);
+    return target instanceof PDFRef ? (pageIndexByRef.get(target.toString()) ?? -1) : -1;
+};
+
+/**
+ * Top-level outline entries as `[{ title, pageIndex }]`, in document order.
+ */
+const readTopLevelBookmarks = (doc) => {
+    const outlines = doc.catalog.lookup(PDFName.of('Outlines'));
+    if (!(outlines instanceof PDFDict)) return [];
+
+    const pageIndexByRef = new Map(doc.getPages().map((page, i) => [page.ref.toString(), i]));
+    const bookmarks = [];
+    const seen = new Set(); // Guards against malformed, circular /Next chains
+    let ref = outlines.get(PDFName.of('First'));
+    while (ref instanceof PDFRef && !seen.has(ref.toString())) {
+        seen.add(ref.toString());
+        const item = doc.context.lookup(ref);
+        if (!(item instanceof PDFDict)) break;
+        const pageIndex = resolveOutlineItem(doc, item, pageIndexByRef);
+        if (pageIndex >= 0) {
+            bookmarks.push({ title: textOf(item.lookup(PDFName.of('Title'))) || `Section ${bookmarks.length + 1}`, pageIndex });
+        }
+        ref = item.get(PDFName.of('Next'));
+    }
+    return bookmarks.sort((a, b) => a.pageIndex - b.pageIndex);
+};
+
+// ----------------------------------------------------------------------------------------------
+// Planning
+// ----------------------------------------------------------------------------------------------
+
+/**
+ * Parses "Q1:1-3; Q2:4-7" (";" or new lines between parts, name optional).
+ */
+const parseNamedRanges = (spec, totalPages) => String(spec || '')
+    .split(/[;\n]/)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map((part, i) => {
+        const colon = part.indexOf(':');
+        const name = colon >= 0 ? part.slice(0, colon).trim() : '';
+        const pages = colon >= 0 ? part.slice(colon + 1) : part;
+        const pageIndices = parsePageRange(pages, totalPages);
+        if (pageIndices.length === 0) throw new SplitError(`"${part}" has no valid pages`);
+        return { name: name || `Part ${i + 1}`, pageIndices };
+    });
+
+/**
+ * Builds a split plan for every mode except `size` (which needs to measure output, see below).
+ *
+ * @returns {{ name: string, pageIndices: number[] }[]}
+ */
+const planParts = (doc, mode, options = {}) => {
+    const totalPages = doc.getPageCount();
+
+    switch (mode) {
+        case 'every': {
+            const every = parseInt(options.every);
+            if (!(every >= 1)) throw new SplitError('Enter how many pages each part should have');
+            const parts = [];
+            for (let start = 0; start < totalPages; start += every) {
+                const end = Math.min(start + every, totalPages);
+                const name = end - start === 1 ? `Page ${end}` : `Pages ${start + 1}-${end}`;
+                parts.push({ name, pageIndices: range(start, end) });
+            }
+            return parts;
+        }
+        case 'single':
+            return range(0, totalPages).map(i => ({ name: `Page ${i + 1}`, pageIndices: [i] }));
+
+        case 'bookmarks': {
+            const bookmarks = readTopLevelBookmarks(doc);
+            if (bookmarks.length === 0) throw new SplitError('This PDF has no bookmarks to split at');
+            const parts = [];
+            if (bookmarks[0].pageIndex > 0) {
+                parts.push({ name: 'Front Matter', pageIndices: range(0, bookmarks[0].pageIndex) });
+            }
+            bookmarks.forEach((bookmark, i) => {
+                const end = i + 1 < bookmarks.length ? bookmarks[i + 1].pageIndex : totalPages;
+                // Bookmarks on the same page fold into the later one's part
+                if (end > bookmark.pageIndex) parts.push({ name: bookmark.title, pageIndices: range(bookmark.pageIndex, end) });
+            });
+            return parts;
+        }
+        case 'ranges': {
+            const parts = parseNamedRanges(options.ranges, totalPages);
+            if (parts.length === 0) throw new SplitError('Enter at least one range, e.g. "Q1:1-3; Q2:4-7"');
+            return parts;
+        }
+        default:
+            throw new SplitError(`Unknown split mode "${mode}". Use one of: ${SPLIT_MODES.join(', ')}`);
+    }
+};
+
+/**
+ * Copies the given pages of `srcDoc` into a new PDF and returns its bytes.
+ */
+const buildPart = async (srcDoc, pageIndices) => {
+    const part = await PDFDocument.create();
+    const pages = await part.copyPages(srcDoc, pageIndices);
+    pages.forEach(page => part.addPage(page));
+    return part.save({ useObjectStreams: true });
+};
+
+/**
+ * Size-capped split: greedily packs consecutive pages into parts of at most `maxBytes`.
+ *
+ * 🧠 LOGIC: Each page is first measured on its own. Because every single-page file repeats the
+ * PDF overhead (and any shared fonts), the sum over-estimates the real part size, so packed
+ * parts almost always fit. Parts that still come out too big are halved until they do.
+ * A single page larger than the cap becomes its own part, flagged `overLimit`.
+ *
+ * @returns {Promise<{ name, pageIndices, bytes, overLimit }[]>}
+ */
+const splitBySize = async (srcDoc, maxBytes, job) => {
+    const totalPages = srcDoc.getPageCount();
+    const pageSizes = [];
+    for (let i = 0; i < totalPages; i++) {
+        job?.throwIfCancelled();
+        job?.progress('Measuring pages', i + 1, totalPages);
+        pageSizes.push((await buildPart(srcDoc, [i])).length);
+    }
+
+    const groups = [];
+    let current = [];
+    let currentSize = 0;
+    pageSizes.forEach((size, i) => {
+        if (current.length > 0 && currentSize + size > maxBytes) {
+            groups.push(current);
+            current = [];
+            currentSize = 0;
+        }
+        current.push(i);
+        currentSize += size;
+    });
+    if (current.length > 0) groups.push(current);
+
+    const parts = [];
+    const emit = async (pageIndices) => {
+        const bytes = await buildPart(srcDoc, pageIndices);
+        if (bytes.length > maxBytes && pageIndices.length > 1) {
+            const middle = Math.ceil(pageIndices.length / 2);
+            await emit(pageIndices.slice(0, middle));
+            await emit(pageIndices.slice(middle));
+            return;
+        }
+        parts.push({ pageIndices, bytes, overLimit: bytes.length > maxBytes });
+    };
+    for (const group of groups) {
+        job?.throwIfCancelled();
+        await emit(group);
+    }
+
+    return parts.map((part, i) => ({ ...part, name: `Part ${i + 1}` }));
+};
+
+module.exports = { SPLIT_MODES, SplitError, planParts, buildPart, splitBySize, readTopLevelBookmarks };
@@ -0,0 +1,323 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: pdfa.js
+ * ------------------------------------------------------------------------------------------------
+ * 🏗️ ARCHITECTURE ROLE: PDF/A Conversion (archival submissions)
+ *
+ * Thesis repositories and some exam cells only accept PDF/A: a self-contained PDF that renders
+ * the same everywhere, years later. Ghostscript's pdfwrite does the heavy lifting:
+ *
+ * 1. Convert: `-dPDFA` embeds every font (the standard 14 too), converts colours to RGB and
+ *    marks the file as PDF/A; a small PostScript prologue attaches the sRGB output intent from
+ *    Ghostscript's own ICC directory. Features PDF/A forbids are dropped, not fatal
+ *    (`PDFACompatibilityPolicy=1`), and Ghostscript says what it dropped.
+ * 2. Metadata: the document properties and their XMP copy (which PDF/A requires to match) are
+ *    written with pdf-lib. Ghostscript 9.5x discards *all* properties in PDF/A mode when one of
+ *    them has brackets, accents or UTF-16 (pdf-lib's own Creator string has brackets), so the
+ *    source's title, author... are carried over here instead.
+ * 3. Self-check: the output is re-read with pdf-lib and checked against the rules a validator
+ *    looks at first. Failed checks plus Ghostscript's messages are what could not be fixed.
+ *
+ * | Level | Based on | Allows                                              |
+ * | :---- | :------- | :-------------------------------------------------- |
+ * | `1b`  | PDF 1.4  | No transparency, no attachments (strictest, oldest)  |
+ * | `2b`  | PDF 1.7  | Transparency, layers, PDF/A attachments              |
+ * ================================================================================================
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+const { PDFDocument, PDFName, PDFDict, PDFArray, PDFNumber, PDFRef, PDFRawStream } = require('pdf-lib');
+const { runGhostscriptWithWarnings } = require('../utils/ghostscript');
+const { decodeStream, walkDicts } = require('../utils/pdfContent');
+const { inspectObjects, pdfVersion } = require('./pdfHealth');
+
+const LEVELS = {
+    '1b': { part: 1, version: '1.4' },
+    '2b': { part: 2, version: '1.7' }
+};
+const DEFAULT_LEVEL = '2b';
+const ANNOTATION_PRINT_FLAG = 4;
+const ANNOTATION_HIDDEN_FLAG = 2;
+
+// Output intent: sRGB from Ghostscript's ICC directory (`%rom%iccprofiles` on builds without one on disk)
+const PDFA_PROLOGUE = `%!
+/ICCProfile currentuserparams /ICCProfilesDir get
+  dup dup length 1 sub get 47 ne { (/) concatstrings } if (srgb.icc) concatstrings def
+[/_objdef {icc_PDFA} /type /stream /OBJ pdfmark
+[{icc_PDFA} << /N 3 >> /PUT pdfmark
+[{icc_PDFA} ICCProfile (r) file /PUT pdfmark
+[/_objdef {OutputIntent_PDFA} /type /dict /OBJ pdfmark
+[{OutputIntent_PDFA} <<
+  /Type /OutputIntent
+  /S /GTS_PDFA1
+  /DestOutputProfile {icc_PDFA}
+  /OutputConditionIdentifier (sRGB IEC61966-2.1)
+  /Info (sRGB IEC61966-2.1)
+  /RegistryName (http://www.color.org)
+>> /PUT pdfmark
+[{Catalog} << /OutputIntents [ {OutputIntent_PDFA} ] >> /PUT pdfmark
+`;
+
+/**
+ * Raised for an unknown level. Controllers map it to a 400.
+ */
+class PdfAError extends Error {}
+
+/**
+ * '1B', 'pdfa-2b', '' -> '1b' | '2b'.
+ */
+const parseLevel = (value) => {
+    const level = String(value || DEFAULT_LEVEL).toLowerCase().replace(/^pdf\/?a-?/, '');
+    if (!LEVELS[level]) throw new PdfAError(`Unsupported PDF/A level "${value}". Use: ${Object.keys(LEVELS).join(', ')}`);
+    return level;
+};
+
+// ----------------------------------------------------------------------------------------------
+// Metadata (document properties + XMP)
+// ----------------------------------------------------------------------------------------------
+
+const isoDate = (date) => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+const escapeXml = (value) => String(value).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+
+/**
+ * Properties worth keeping from the source (empty if it can't be parsed; Ghostscript may still repair it).
+ */
+const readDocInfo = async (inputPath) => {
+    try {
+        const doc = await PDFDocument.load(await fs.readFile(inputPath), { updateMetadata: false });
+        return {
+            title: doc.getTitle(),
+            author: doc.getAuthor(),
+            subject: doc.getSubject(),
+            keywords: doc.getKeywords(),
+            creator: doc.getCreator(),
+            created: doc.getCreationDate()
+        };
+    } catch (e) {
+        return {};
+    }
+};
+
+/**
+ * XMP packet mirroring the Info dictionary, plus the PDF/A identification.
+ */
+const buildXmp = ({ title, author, subject, keywords, creator, producer, created, modified }, part) => {
+    const alt = (value) => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt>`;
+    const properties = [
+        title && `<dc:title>${alt(title)}</dc:title>`,
+        author && `<dc:creator><rdf:Seq><rdf:li>${escapeXml(author)}</rdf:li></rdf:Seq></dc:creator>`,
+        subject && `<dc:description>${alt(subject)}</dc:description>`,
+        keywords && `<pdf:Keywords>${escapeXml(keywords)}</pdf:Keywords>`,
+        `<pdf:Producer>${escapeXml(producer)}</pdf:Producer>`,
+        creator && `<xmp:CreatorTool>${escapeXml(creator)}</xmp:CreatorTool>`,
+        `<xmp:CreateDate>${isoDate(created)}</xmp:CreateDate>`,
+        `<xmp:ModifyDate>${isoDate(modified)}</xmp:ModifyDate>`,
+        `<xmp:MetadataDate>${isoDate(modified)}</xmp:MetadataDate>`,
+        `<pdfaid:part>${part}</pdfaid:part>`,
+        '<pdfaid:conformance>B</pdfaid:conformance>'
+    ].filter(Boolean);
+
+    return `<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+<rdf:Description rdf:about=""
+ xmlns:dc="http://purl.org/dc/elements/1.1/"
+ xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+ xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+ xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">
+${properties.join('\n')}
+</rdf:Description>
+</rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+};
+
+/**
+ * Rewrites the converted file's properties from the source and replaces its XMP to match.
+ */
+const writeMetadata = async (outputPath, source, { part, version }) => {
+    const doc = await PDFDocument.load(await fs.readFile(outputPath), { updateMetadata: false });
+    const toSeconds = (date) => new Date(Math.floor(date.getTime() / 1000) * 1000); // Info dates have no milliseconds
+    const info = {
+        ...source,
+        producer: doc.getProducer() || 'Ghostscript',
+        created: toSeconds(source.created || doc.getCreationDate() || new Date()),
+        modified: toSeconds(new Date())
+    };
+
+    if (info.title) doc.setTitle(info.title);
+    if (info.author) doc.setAuthor(info.author);
+    if (info.subject) doc.setSubject(info.subject);
+    if (info.keywords) doc.setKeywords([info.keywords]);
+    if (info.creator) doc.setCreator(info.creator);
+    doc.setProducer(info.producer);
+    doc.setCreationDate(info.created);
+    doc.setModificationDate(info.modified);
+
+    // Uncompressed, as PDF/A wants metadata readable without decoding. Ghostscript's packet goes.
+    const previous = doc.catalog.get(PDFName.of('Metadata'));
+    if (previous instanceof PDFRef) doc.context.delete(previous);
+    const xmp = doc.context.stream(Buffer.from(buildXmp(info, part), 'utf8'), { Type: 'Metadata', Subtype: 'XML' });
+    doc.catalog.set(PDFName.of('Metadata'), doc.context.register(xmp));
+
+    // No object streams: PDF/A-1 is PDF 1.4, which predates them. pdf-lib always writes a
+    // "%PDF-1.7" header; the version has the same length, so patching it keeps xref offsets valid.
+    const bytes = Buffer.from(await doc.save({ useObjectStreams: false }));
+    bytes.write(`%PDF-${version}`, 0, 'latin1');
+    await fs.writeFile(outputPath, bytes);
+};
+
+// ----------------------------------------------------------------------------------------------
+// Self-check
+// ----------------------------------------------------------------------------------------------
+
+// "part='2'" (attribute) or "<pdfaid:part>2</pdfaid:part>" (element): Ghostscript and others differ
+const xmpProperty = (xmp, property) => {
+    const match = new RegExp(`pdfaid:${property}\\s*=\\s*["']([^"']*)["']|<pdfaid:${property}>([^<]*)<`).exec(xmp);
+    return match ? (match[1] ?? match[2]).trim() : null;
+};
+
+const hasPdfAOutputIntent = (doc) => {
+    const intents = doc.catalog.lookup(PDFName.of('OutputIntents'));
+    if (!(intents instanceof PDFArray)) return false;
+    return intents.asArray().some((ref) => {
+        const intent = doc.context.lookup(ref);
+        return intent instanceof PDFDict
+            && intent.get(PDFName.of('S')) === PDFName.of('GTS_PDFA1')
+            && intent.lookup(PDFName.of('DestOutputProfile')) instanceof PDFRawStream;
+    });
+};
+
+// Soft masks, constant alpha below 1 or blend modes: forbidden in PDF/A-1
+const usesTransparency = (doc) => {
+    let found = false;
+    walkDicts(doc.context, (dict) => {
+        const softMask = dict.get(PDFName.of('SMask'));
+        if (softMask && softMask !== PDFName.of('None')) found = true;
+        ['CA', 'ca'].forEach((key) => {
+            const alpha = dict.lookup(PDFName.of(key));
+            if (alpha instanceof PDFNumber && alpha.asNumber() < 1) found = true;
+        });
+        const blend = dict.lookup(PDFName.of('BM'));
+        if (blend instanceof PDFName && !['Normal', 'Compatible'].includes(blend.decodeText())) found = true;
+    });
+    return found;
+};
+
+// Annotations that wouldn't print (PDF/A wants what you see to be what's archived)
+const nonPrintingAnnotationPages = (doc) => doc.getPages()
+    .map((page, index) => {
+        const annots = page.node.lookup(PDFName.of('Annots'));
+        if (!(annots instanceof PDFArray)) return null;
+        const offending = annots.asArray().some((ref) => {
+            const annot = doc.context.lookup(ref);
+            if (!(annot instanceof PDFDict) || annot.get(PDFName.of('Subtype')) === PDFName.of('Popup')) return false;
+            const flags = annot.lookup(PDFName.of('F'));
+            const value = flags instanceof PDFNumber ? flags.asNumber() : 0;
+            return !(value & ANNOTATION_PRINT_FLAG) || Boolean(value & ANNOTATION_HIDDEN_FLAG);
+        });
+        return offending ? index + 1 : null;
+    })
+    .filter(Boolean);
+
+/**
+ * Checks a converted file against the PDF/A rules validators (e.g. veraPDF) fail most often.
+ * Not a full validator: passing means "no known problem", not certification.
+ *
+ * @param {Uint8Array|Buffer} bytes - The converted PDF
+ * @param {string} level - '1b' | '2b'
+ * @returns {Promise<{ level: string, compliant: boolean, checks: { id: string, label: string, passed: boolean, message?: string }[] }>}
+ */
+const checkPdfA = async (bytes, level) => {
+    const { part, version } = LEVELS[level];
+    const doc = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+    const checks = [];
+    const check = (id, label, problem) => checks.push({ id, label, passed: !problem, ...(problem && { message: problem }) });
+
+    const fileVersion = pdfVersion(doc, bytes);
+    check('version', `PDF ${version} or older`, fileVersion > version && `File is PDF ${fileVersion}.`);
+
+    const metadata = doc.catalog.lookup(PDFName.of('Metadata'));
+    const xmp = metadata instanceof PDFRawStream ? decodeStream(metadata) : '';
+    const xmpPart = xmpProperty(xmp, 'part');
+    const conformance = xmpProperty(xmp, 'conformance');
+    check('identification', 'XMP metadata declares PDF/A', !xmp
+        ? 'No XMP metadata stream.'
+        : (xmpPart !== String(part) || (conformance || '').toUpperCase() !== 'B')
+            && `XMP declares ${xmpPart ? `PDF/A-${xmpPart}${(conformance || '').toLowerCase()}` : 'no PDF/A level'}.`);
+
+    check('output-intent', 'sRGB output intent', !hasPdfAOutputIntent(doc) && 'No PDF/A output intent with an ICC profile.');
+
+    const { fonts, scripts, attachments } = inspectObjects(doc);
+    const missingFonts = [...fonts].filter(([, embedded]) => !embedded).map(([fontName]) => fontName);
+    check('fonts', 'All fonts embedded', missingFonts.length > 0 && `Not embedded: ${missingFonts.join(', ')}.`);
+
+    check('javascript', 'No JavaScript', scripts > 0 && `${scripts} script(s) remain.`);
+    check('attachments', 'No attached files', attachments.length > 0 && (part === 1
+        ? `PDF/A-1 forbids attachments: ${attachments.join(', ')}.`
+        : `PDF/A-2 only allows PDF/A attachments; not verified: ${attachments.join(', ')}.`));
+
+    const { Encrypt: encrypt, ID: fileId } = doc.context.trailerInfo;
+    check('encryption', 'Not encrypted', Boolean(encrypt) && 'PDF/A files cannot be password-protected.');
+    check('file-id', 'File identifier', !fileId && 'Trailer has no /ID.');
+
+    if (part === 1) check('transparency', 'No transparency', usesTransparency(doc) && 'Uses soft masks, alpha or blend modes.');
+
+    const annotationPages = nonPrintingAnnotationPages(doc);
+    check('annotations', 'Annotations print', annotationPages.length > 0 && `Hidden or non-printing annotations on page(s) ${annotationPages.join(', ')}.`);
+
+    return { level, compliant: checks.every(c => c.passed), checks };
+};
+
+// ----------------------------------------------------------------------------------------------
+// Conversion
+// ----------------------------------------------------------------------------------------------
+
+/**
+ * Converts a PDF to PDF/A and self-checks the result.
+ *
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {object} [options]
+ * @param {string} [options.level='2b'] - '1b' | '2b'
+ * @param {object} [job] - Optional `req.job` for progress/cancellation
+ * @returns {Promise<{ level, compliant, checks, warnings: string[] }>} `warnings` = what Ghostscript
+ *          dropped or couldn't convert, in its own words
+ */
+const convertToPdfA = async (inputPath, outputPath, { level = DEFAULT_LEVEL } = {}, job) => {
+    const levelId = parseLevel(level);
+    const { part, version } = LEVELS[levelId];
+    const workDir = path.join(path.dirname(outputPath), `pdfa_${uuidv4()}`);
+    try {
+        await fs.ensureDir(workDir);
+        const source = await readDocInfo(inputPath);
+        const prologuePath = path.join(workDir, 'PDFA_def.ps');
+        await fs.writeFile(prologuePath, PDFA_PROLOGUE);
+
+        job?.progress(`Converting to PDF/A-${levelId}`);
+        const { warnings } = await runGhostscriptWithWarnings([
+            '-sDEVICE=pdfwrite',
+            `-dPDFA=${part}`,
+            '-dPDFACompatibilityPolicy=1', // Drop what PDF/A forbids instead of silently writing a normal PDF
+            `-dCompatibilityLevel=${version}`,
+            '-sColorConversionStrategy=RGB', // Must match the sRGB output intent
+            '-dEmbedAllFonts=true',
+            `-sOutputFile=${outputPath}`,
+            prologuePath,
+            inputPath
+        ], job);
+        job?.throwIfCancelled();
+        job?.progress('Writing metadata');
+        await writeMetadata(outputPath, source, LEVELS[levelId]);
+
+        job?.progress('Checking conformance');
+        const report = await checkPdfA(await fs.readFile(outputPath), levelId);
+        return { ...report, warnings: warnings.filter(w => !w.includes('DOCINFO')) }; // Properties are rewritten above
+    } finally {
+        await fs.remove(workDir).catch(() => {});
+    }
+};
+
+module.exports = { convertToPdfA, checkPdfA, parseLevel, PdfAError, LEVELS };
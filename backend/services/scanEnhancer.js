@@ -0,0 +1,573 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: scanEnhancer.js
+ * ------------------------------------------------------------------------------------------------
+ * 🏗️ ARCHITECTURE ROLE: "Make it look like a flatbed scan" for phone photos
+ *
+ * Most image-to-PDF uploads are phone photos of handwritten pages: a table around the paper,
+ * a shadow across it, a slight tilt and ~3 MB per page. This stage cleans that up:
+ *
+ * 1. **Auto-crop**: finds the paper (largest bright region) and its four corners.
+ * 2. **Perspective correction**: warps that quadrilateral back into a rectangle.
+ * 3. **Deskew**: finds the angle where dark pixels line up best in rows (projection profile).
+ * 4. **Document filter**: divides by an estimated background to remove shadows, then either
+ *    - `bw`: adaptive threshold to pure black-and-white (stored 1-bit, tiny), or
+ *    - `gray`: clean grayscale JPEG, or
+ *    - `color`: whitened background, ink colours kept.
+ * 5. **Aggressive re-encode**: resolution capped (~200 DPI on A4) and low JPEG quality.
+ *
+ * 🧠 All image analysis is plain JS on raw pixels from `sharp`, so no OpenCV is needed.
+ * Every step degrades gracefully: if no paper edge is found, the photo is simply not cropped.
+ * ================================================================================================
+ */
+
+const sharp = require('sharp');
+const { PDFImage, JpegEmbedder } = require('pdf-lib');
+
+const FILTERS = ['bw', 'gray', 'color'];
+const MAX_SIDE = { bw: 2400, gray: 2000, color: 2000 }; // Long edge in px after cleanup
+const DETECT_SIDE = 800;       // Paper/skew detection runs on a small copy
+const MAX_SKEW = 15;           // Degrees searched either way
+const MIN_SKEW = 0.3;          // Below this, rotating costs more sharpness than it gains
+const EDGE_INSET = 0.02;       // Fraction of the corner-to-centre distance trimmed off the paper
+const WHITE = 255;
+
+// ----------------------------------------------------------------------------------------------
+// Small helpers
+// ----------------------------------------------------------------------------------------------
+
+/**
+ * Otsu's method: the threshold that best separates a bimodal histogram (paper vs. background).
+ */
+const otsuThreshold = (gray) => {
+    const histogram = new Float64Array(256);
+    for (let i = 0; i < gray.length; i++) histogram[gray[i]]++;
+
+    let sumAll = 0;
+    for (let v = 0; v < 256; v++) sumAll += v * histogram[v];
+
+    let sumBelow = 0, countBelow = 0, best = 0, threshold = 127;
+    for (let v = 0; v < 256; v++) {
+        countBelow += histogram[v];
+        if (countBelow === 0) continue;
+        const countAbove = gray.length - countBelow;
+        if (countAbove === 0) break;
+        sumBelow += v * histogram[v];
+        const meanBelow = sumBelow / countBelow;
+        const meanAbove = (sumAll - sumBelow) / countAbove;
+        const between = countBelow * countAbove * (meanBelow - meanAbove) ** 2;
+        if (between > best) {
+            best = between;
+            threshold = v;
+        }
+    }
+    return threshold;
+};
+
+/**
+ * Luminance plane of an `{ data, width, height, channels }` raw image.
+ */
+const grayPlane = ({ data, width, height, channels }) => {
+    if (channels === 1) return data;
+    const gray = new Uint8Array(width * height);
+    for (let i = 0, p = 0; i < gray.length; i++, p += channels) {
+        gray[i] = (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+    }
+    return gray;
+};
+
+/**
+ * Nearest-neighbour downscale of a gray plane so the long side is at most `maxSide`.
+ */
+const shrinkGray = (gray, width, height, maxSide) => {
+    const scale = Math.min(1, maxSide / Math.max(width, height));
+    const w = Math.max(1, Math.round(width * scale));
+    const h = Math.max(1, Math.round(height * scale));
+    const out = new Uint8Array(w * h);
+    for (let y = 0; y < h; y++) {
+        const sy = Math.min(height - 1, Math.floor(y / scale));
+        for (let x = 0; x < w; x++) {
+            out[y * w + x] = gray[sy * width + Math.min(width - 1, Math.floor(x / scale))];
+        }
+    }
+    return { gray: out, width: w, height: h, scale };
+};
+
+// ----------------------------------------------------------------------------------------------
+// 1. Paper detection
+// ----------------------------------------------------------------------------------------------
+
+/**
+ * Finds the four corners of the paper in a (small, blurred) gray image.
+ *
+ * 🧠 LOGIC: Paper is usually the largest bright region. Its corners are the extreme points
+ * along the diagonals: top-left minimises x+y, bottom-right maximises it, and x-y does the
+ * same for the other two corners.
+ *
+ * @returns {{x: number, y: number}[] | null} [TL, TR, BR, BL], or null if no clear paper edge
+ */
+const findPaperQuad = (gray, width, height) => {
+    const threshold = otsuThreshold(gray);
+    const labels = new Uint8Array(width * height); // 0 = unvisited, 1 = visited
+    const stack = new Int32Array(width * height);
+    let best = null;
+
+    for (let start = 0; start < gray.length; start++) {
+        if (labels[start] || gray[start] <= threshold) continue;
+
+        // Flood fill one bright component, tracking its diagonal extremes
+        let size = 0, top = 0;
+        const corners = { tl: [Infinity, 0], br: [-Infinity, 0], tr: [-Infinity, 0], bl: [Infinity, 0] };
+        stack[top++] = start;
+        labels[start] = 1;
+        while (top > 0) {
+            const index = stack[--top];
+            const x = index % width;
+            const y = (index - x) / width;
+            size++;
+            const sum = x + y, diff = x - y;
+            if (sum < corners.tl[0]) corners.tl = [sum, index];
+            if (sum > corners.br[0]) corners.br = [sum, index];
+            if (diff > corners.tr[0]) corners.tr = [diff, index];
+            if (diff < corners.bl[0]) corners.bl = [diff, index];
+
+            if (x > 0 && !labels[index - 1] && gray[index - 1] > threshold) { labels[index - 1] = 1; stack[top++] = index - 1; }
+            if (x < width - 1 && !labels[index + 1] && gray[index + 1] > threshold) { labels[index + 1] = 1; stack[top++] = index + 1; }
+            if (y > 0 && !labels[index - width] && gray[index - width] > threshold) { labels[index - width] = 1; stack[top++] = index - width; }
+            if (y < height - 1 && !labels[index + width] && gray[index + width] > threshold) { labels[index + width] = 1; stack[top++] = index + width; }
+        }
+        if (!best || size > best.size) best = { size, corners };
+    }
+    if (!best) return null;
+
+    const point = (index) => ({ x: index % width, y: Math.floor(index / width) });
+    const quad = [best.corners.tl, best.corners.tr, best.corners.br, best.corners.bl].map(([, index]) => point(index));
+
+    // Shoelace area: the quad must be a sizeable part of the photo, not all of it,
+    // and the bright region must actually fill it (i.e. be roughly four-sided)
+    const area = Math.abs(quad.reduce((acc, p, i) => {
+        const q = quad[(i + 1) % 4];
+        return acc + p.x * q.y - q.x * p.y;
+    }, 0)) / 2;
+    const imageArea = width * height;
+    if (area < imageArea * 0.2 || area > imageArea * 0.95) return null;
+    if (best.size < area * 0.8) return null;
+
+    // Pull corners slightly inwards so no sliver of table survives along the edges
+    const cx = quad.reduce((acc, p) => acc + p.x, 0) / 4;
+    const cy = quad.reduce((acc, p) => acc + p.y, 0) / 4;
+    return quad.map(({ x, y }) => ({ x: x + (cx - x) * EDGE_INSET, y: y + (cy - y) * EDGE_INSET }));
+};
+
+// ----------------------------------------------------------------------------------------------
+// 2. Perspective correction
+// ----------------------------------------------------------------------------------------------
+
+/**
+ * Solves the 3x3 homography (h8 = 1) mapping each `from[i]` to `to[i]` (4 point pairs).
+ */
+const solveHomography = (from, to) => {
+    const A = [];
+    from.forEach(({ x, y }, i) => {
+        const { x: u, y: v } = to[i];
+        A.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+        A.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+    });
+
+    // Gaussian elimination with partial pivoting on the 8x9 augmented matrix
+    for (let col = 0; col < 8; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < 8; row++) {
+            if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+        }
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        if (Math.abs(A[col][col]) < 1e-12) return null;
+        for (let row = 0; row < 8; row++) {
+            if (row === col) continue;
+            const factor = A[row][col] / A[col][col];
+            for (let k = col; k < 9; k++) A[row][k] -= factor * A[col][k];
+        }
+    }
+    return [...A.map((row, i) => row[8] / row[i]), 1];
+};
+
+/**
+ * Warps the quadrilateral `quad` ([TL, TR, BR, BL] in image pixels) to a rectangle.
+ * Output size follows the quad's longer edges, capped at `maxSide`.
+ */
+const warpToRectangle = (image, quad, maxSide) => {
+    const { data, width, height, channels } = image;
+    const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const [tl, tr, br, bl] = quad;
+    let outW = Math.max(dist(tl, tr), dist(bl, br));
+    let outH = Math.max(dist(tl, bl), dist(tr, br));
+    const scale = Math.min(1, maxSide / Math.max(outW, outH));
+    outW = Math.max(1, Math.round(outW * scale));
+    outH = Math.max(1, Math.round(outH * scale));
+
+    // Inverse mapping: for each output pixel, where to sample in the photo
+    const h = solveHomography(
+        [{ x: 0, y: 0 }, { x: outW, y: 0 }, { x: outW, y: outH }, { x: 0, y: outH }],
+        quad
+    );
+    if (!h) return image;
+
+    const out = new Uint8Array(outW * outH * channels);
+    for (let y = 0; y < outH; y++) {
+        for (let x = 0; x < outW; x++) {
+            const px = x + 0.5, py = y + 0.5;
+            const w = h[6] * px + h[7] * py + 1;
+            const sx = (h[0] * px + h[1] * py + h[2]) / w - 0.5;
+            const sy = (h[3] * px + h[4] * py + h[5]) / w - 0.5;
+            const o = (y * outW + x) * channels;
+
+            const x0 = Math.floor(sx), y0 = Math.floor(sy);
+            if (x0 < 0 || y0 < 0 || x0 >= width - 1 || y0 >= height - 1) {
+                out.fill(WHITE, o, o + channels);
+                continue;
+            }
+            const fx = sx - x0, fy = sy - y0;
+            const i00 = (y0 * width + x0) * channels;
+            const i10 = i00 + channels;
+            const i01 = i00 + width * channels;
+            const i11 = i01 + channels;
+            for (let c = 0; c < channels; c++) {
+                const top = data[i00 + c] + (data[i10 + c] - data[i00 + c]) * fx;
+                const bottom = data[i01 + c] + (data[i11 + c] - data[i01 + c]) * fx;
+                out[o + c] = top + (bottom - top) * fy;
+            }
+        }
+    }
+    return { data: out, width: outW, height: outH, channels };
+};
+
+/**
+ * Plain crop to the quad's bounding box (auto-crop without perspective correction).
+ */
+const cropToQuad = (image, quad) => {
+    const { data, width, height, channels } = image;
+    const left = Math.max(0, Math.floor(Math.min(...quad.map(p => p.x))));
+    const top = Math.max(0, Math.floor(Math.min(...quad.map(p => p.y))));
+    const right = Math.min(width, Math.ceil(Math.max(...quad.map(p => p.x))));
+    const bottom = Math.min(height, Math.ceil(Math.max(...quad.map(p => p.y))));
+    const outW = right - left, outH = bottom - top;
+    if (outW < 1 || outH < 1) return image;
+
+    const out = new Uint8Array(outW * outH * channels);
+    for (let y = 0; y < outH; y++) {
+        const from = ((top + y) * width + left) * channels;
+        out.set(data.subarray(from, from + outW * channels), y * outW * channels);
+    }
+    return { data: out, width: outW, height: outH, channels };
+};
+
+// ----------------------------------------------------------------------------------------------
+// 3. Deskew
+// ----------------------------------------------------------------------------------------------
+
+/**
+ * Estimates text skew in degrees (positive = lines slope down to the right).
+ *
+ * 🧠 LOGIC: Project dark pixels onto the vertical axis at candidate angles. When the angle
+ * matches the text lines, rows of ink pile into few bins, maximising the sum of squared counts.
+ */
+const estimateSkew = (gray, width, height) => {
+    const small = shrinkGray(gray, width, height, DETECT_SIDE);
+    const threshold = Math.min(otsuThreshold(small.gray), 160);
+
+    const xs = [], ys = [];
+    for (let y = 0; y < small.height; y++) {
+        for (let x = 0; x < small.width; x++) {
+            if (small.gray[y * small.width + x] < threshold) { xs.push(x); ys.push(y); }
+        }
+    }
+    if (xs.length < 200) return 0; // Blank-ish page: nothing to align
+    const stride = Math.max(1, Math.floor(xs.length / 60000));
+
+    const offset = small.width + small.height;
+    const bins = new Float64Array(offset * 2 + 2);
+    const score = (degrees) => {
+        const rad = degrees * Math.PI / 180;
+        const sin = Math.sin(rad), cos = Math.cos(rad);
+        bins.fill(0);
+        for (let i = 0; i < xs.length; i += stride) {
+            bins[Math.round(ys[i] * cos - xs[i] * sin) + offset]++;
+        }
+        let total = 0;
+        for (let i = 0; i < bins.length; i++) total += bins[i] * bins[i];
+        return total;
+    };
+
+    const search = (from, to, step, best) => {
+        for (let angle = from; angle <= to + 1e-9; angle += step) {
+            const value = score(angle);
+            if (value > best.value) best = { angle, value };
+        }
+        return best;
+    };
+    const coarse = search(-MAX_SKEW, MAX_SKEW, 0.5, { angle: 0, value: score(0) });
+    return search(coarse.angle - 0.5, coarse.angle + 0.5, 0.1, coarse).angle;
+};
+
+// ----------------------------------------------------------------------------------------------
+// 4. Document filter
+// ----------------------------------------------------------------------------------------------
+
+/**
+ * Estimates the paper brightness at every pixel (shadows, uneven light).
+ *
+ * 🧠 LOGIC: Max-pooling over small blocks drops the (dark, thin) ink and keeps the paper;
+ * box-blurring the pooled map smooths block edges; bilinear upsampling restores full size.
+ */
+const estimateBackground = (gray, width, height) => {
+    const block = Math.max(8, Math.round(Math.max(width, height) / 100));
+    const bw = Math.ceil(width / block), bh = Math.ceil(height / block);
+    let map = new Float32Array(bw * bh);
+    for (let y = 0; y < height; y++) {
+        const row = Math.floor(y / block) * bw;
+        for (let x = 0; x < width; x++) {
+            const b = row + Math.floor(x / block);
+            if (gray[y * width + x] > map[b]) map[b] = gray[y * width + x];
+        }
+    }
+    for (let pass = 0; pass < 3; pass++) {
+        const next = new Float32Array(bw * bh);
+        for (let y = 0; y < bh; y++) {
+            for (let x = 0; x < bw; x++) {
+                let sum = 0, count = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx, ny = y + dy;
+                        if (nx >= 0 && ny >= 0 && nx < bw && ny < bh) { sum += map[ny * bw + nx]; count++; }
+                    }
+                }
+                next[y * bw + x] = sum / count;
+            }
+        }
+        map = next;
+    }
+
+    const background = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const fy = Math.min(bh - 1, Math.max(0, (y + 0.5) / block - 0.5));
+        const y0 = Math.floor(fy), y1 = Math.min(bh - 1, y0 + 1), ty = fy - y0;
+        for (let x = 0; x < width; x++) {
+            const fx = Math.min(bw - 1, Math.max(0, (x + 0.5) / block - 0.5));
+            const x0 = Math.floor(fx), x1 = Math.min(bw - 1, x0 + 1), tx = fx - x0;
+            const top = map[y0 * bw + x0] + (map[y0 * bw + x1] - map[y0 * bw + x0]) * tx;
+            const bottom = map[y1 * bw + x0] + (map[y1 * bw + x1] - map[y1 * bw + x0]) * tx;
+            background[y * width + x] = Math.max(40, top + (bottom - top) * ty); // Never divide by ~0
+        }
+    }
+    return background;
+};
+
+/**
+ * Removes shadows: each channel is divided by its own local paper brightness, so paper
+ * becomes pure white everywhere (even cream or tinted paper) while ink keeps its hue.
+ */
+const flattenImage = ({ data, width, height, channels }) => {
+    const out = new Uint8Array(data.length);
+    const plane = new Uint8Array(width * height);
+    for (let c = 0; c < channels; c++) {
+        for (let i = 0; i < plane.length; i++) plane[i] = data[i * channels + c];
+        const background = estimateBackground(plane, width, height);
+        for (let i = 0; i < plane.length; i++) out[i * channels + c] = Math.min(WHITE, (plane[i] * WHITE) / background[i]);
+    }
+    return { data: out, width, height, channels };
+};
+
+/**
+ * Contrast stretch plus "snap to white" so the paper compresses to almost nothing.
+ */
+const cleanGray = (flat) => {
+    const histogram = new Uint32Array(256);
+    for (let i = 0; i < flat.length; i++) histogram[flat[i]]++;
+    let low = 0;
+    for (let seen = 0; low < 200; low++) {
+        seen += histogram[low];
+        if (seen > flat.length * 0.01) break; // Darkest 1% of ink becomes black
+    }
+    const out = new Uint8Array(flat.length);
+    const range = Math.max(1, 235 - low);
+    for (let i = 0; i < flat.length; i++) {
+        const v = ((flat[i] - low) * WHITE) / range;
+        out[i] = v >= 235 ? WHITE : Math.max(0, v);
+    }
+    return out;
+};
+
+/**
+ * Adaptive threshold (local mean minus a margin) packed as 1-bit rows, 1 = white,
+ * which is exactly a PDF /DeviceGray /BitsPerComponent 1 image.
+ */
+const thresholdToBits = (flat, width, height) => {
+    // Integral image for O(1) window means
+    const integral = new Float64Array((width + 1) * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x++) {
+            rowSum += flat[y * width + x];
+            integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+        }
+    }
+
+    const radius = Math.max(7, Math.round(Math.max(width, height) / 60));
+    const rowBytes = Math.ceil(width / 8);
+    const bits = new Uint8Array(rowBytes * height);
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.max(0, y - radius), y1 = Math.min(height, y + radius + 1);
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.max(0, x - radius), x1 = Math.min(width, x + radius + 1);
+            const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1]
+                - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+            const mean = sum / ((x1 - x0) * (y1 - y0));
+            const v = flat[y * width + x];
+            const ink = v < 100 || v < mean - 18; // Solid dark areas stay black even where mean is low
+            if (!ink) bits[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+        }
+    }
+    return bits;
+};
+
+// ----------------------------------------------------------------------------------------------
+// Public API
+// ----------------------------------------------------------------------------------------------
+
+/**
+ * Parses scan options from a (Multer string) request body. Returns null when scan cleanup
+ * is off (`scan` not "true").
+ */
+const parseScanOptions = (body = {}) => {
+    const flag = (value, fallback) => (value === undefined || value === '' ? fallback : value === true || value === 'true');
+    if (!flag(body.scan, false)) return null;
+    return {
+        filter: FILTERS.includes(body.scanFilter) ? body.scanFilter : 'gray',
+        autoCrop: flag(body.autoCrop, true),
+        perspective: flag(body.perspective, true),
+        deskew: flag(body.deskew, true)
+    };
+};
+
+/**
+ * Runs the cleanup stages on one photo.
+ *
+ * @param {Buffer} bytes - JPEG/PNG (already upright, see imageDecoder.js)
+ * @param {{ filter, autoCrop, perspective, deskew }} options - From `parseScanOptions`
+ * @returns {Promise<{ format: 'jpg', bytes: Buffer } | { format: 'bilevel', width, height, data }>}
+ */
+const enhanceScan = async (bytes, { filter = 'gray', autoCrop = true, perspective = true, deskew = true } = {}) => {
+    const maxSide = MAX_SIDE[filter];
+    const channels = filter === 'color' ? 3 : 1;
+
+    // Oversample a little so the warp doesn't lose detail; the output is capped at maxSide
+    let pipeline = sharp(bytes).resize({ width: maxSide * 1.25, height: maxSide * 1.25, fit: 'inside', withoutEnlargement: true });
+    pipeline = channels === 1 ? pipeline.grayscale() : pipeline.removeAlpha().toColourspace('srgb');
+    const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+    let image = { data, width: info.width, height: info.height, channels: info.channels };
+
+    if (autoCrop || perspective) {
+        const small = await sharp(bytes)
+            .resize({ width: DETECT_SIDE, height: DETECT_SIDE, fit: 'inside', withoutEnlargement: true })
+            .grayscale()
+            .blur(1.5) // Paper texture/ink would otherwise break the bright region apart
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        const quad = findPaperQuad(small.data, small.info.width, small.info.height);
+        if (quad) {
+            const scale = image.width / small.info.width;
+            const scaled = quad.map(({ x, y }) => ({ x: x * scale, y: y * scale }));
+            image = perspective ? warpToRectangle(image, scaled, maxSide) : cropToQuad(image, scaled);
+        }
+    }
+
+    // Before deskew: its white corner fill would otherwise be mistaken for the paper level
+    image = flattenImage(image);
+
+    if (deskew) {
+        const angle = estimateSkew(grayPlane(image), image.width, image.height);
+        if (Math.abs(angle) >= MIN_SKEW) {
+            const rotated = await sharp(image.data, { raw: { width: image.width, height: image.height, channels: image.channels } })
+                .rotate(-angle, { background: '#ffffff' })
+                .raw()
+                .toBuffer({ resolveWithObject: true });
+            image = { data: rotated.data, width: rotated.info.width, height: rotated.info.height, channels: rotated.info.channels };
+        }
+    }
+
+    // Final size cap (crop-only and no-crop paths skip the warp's own cap)
+    if (Math.max(image.width, image.height) > maxSide) {
+        const resized = await sharp(image.data, { raw: { width: image.width, height: image.height, channels: image.channels } })
+            .resize({ width: maxSide, height: maxSide, fit: 'inside' })
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        image = { data: resized.data, width: resized.info.width, height: resized.info.height, channels: resized.info.channels };
+    }
+
+    const { data: flat, width, height, channels: c } = image;
+    if (filter === 'bw') {
+        return { format: 'bilevel', width, height, data: thresholdToBits(grayPlane(image), width, height) };
+    }
+
+    let output;
+    if (filter === 'gray') {
+        output = sharp(cleanGray(grayPlane(image)), { raw: { width, height, channels: 1 } });
+    } else {
+        // Colour: snap near-white paper to white, keep ink hues
+        const snapped = flat.map(v => (v >= 240 ? WHITE : v));
+        output = sharp(snapped, { raw: { width, height, channels: c } });
+    }
+    return { format: 'jpg', bytes: await output.jpeg({ quality: filter === 'gray' ? 55 : 65, mozjpeg: true }).toBuffer() };
+};
+
+/**
+ * pdf-lib only embeds JPEG/PNG and insists on its own embedder classes, so the 1-bit
+ * image borrows JpegEmbedder's shape and writes a Flate-compressed /DeviceGray stream instead.
+ */
+class BilevelEmbedder extends JpegEmbedder {
+    constructor({ width, height, data }) {
+        super(data, 1, width, height, 'DeviceGray');
+    }
+
+    async embedIntoContext(context, ref) {
+        const stream = context.flateStream(this.imageData, {
+            Type: 'XObject',
+            Subtype: 'Image',
+            Width: this.width,
+            Height: this.height,
+            ColorSpace: 'DeviceGray',
+            BitsPerComponent: 1
+        });
+        if (ref) {
+            context.assign(ref, stream);
+            return ref;
+        }
+        return context.register(stream);
+    }
+}
+
+/**
+ * Embeds a `bilevel` result of `enhanceScan`. The returned PDFImage works with
+ * `page.drawImage` like any other.
+ */
+const embedBilevelImage = async (doc, bilevel) => {
+    const image = PDFImage.of(doc.context.nextRef(), doc, new BilevelEmbedder(bilevel));
+    await image.embed();
+    return image;
+};
+
+/**
+ * Regular PNG copy of a `bilevel` result, for consumers that need an ordinary image (OCR).
+ */
+const bilevelToPng = ({ width, height, data }) => {
+    const rowBytes = Math.ceil(width / 8);
+    const pixels = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[y * rowBytes + (x >> 3)] & (0x80 >> (x & 7))) pixels[y * width + x] = WHITE;
+        }
+    }
+    return sharp(pixels, { raw: { width, height, channels: 1 } }).png().toBuffer();
+};
+
+module.exports = { parseScanOptions, enhanceScan, embedBilevelImage, bilevelToPng, FILTERS };
@@ -0,0 +1,275 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: submissionProfiles.js
+ * ------------------------------------------------------------------------------------------------
+ * 🏗️ ARCHITECTURE ROLE: Submission Rules ("Will the portal accept this?")
+ *
+ * Every portal has its own rules: max size, page limits, A4 only, "RollNo_Subject.pdf",
+ * grayscale for exam scans, filled-in document properties. A profile bundles one set of them, and
+ * `checkSubmission` turns a PDF into itemised findings:
+ *
+ * | Status | Meaning                                                    |
+ * | :----- | :--------------------------------------------------------- |
+ * | `pass` | Rule met                                                   |
+ * | `warn` | Met, but close to the limit (e.g. 4.8 MB of 5 MB)          |
+ * | `fail` | The portal will reject it                                  |
+ *
+ * Findings that a tool can repair carry a `fix` (a pipeline step). `fixPlan` chains them in a
+ * safe order (page size -> grayscale -> compress -> metadata -> rename), so "fix everything" is a single /api/pipeline call.
+ * ================================================================================================
+ */
+
+const { findColorPages } = require('./colorDetector');
+const { findGhostscript } = require('../utils/ghostscript');
+const { paperSizeName } = require('../utils/pageLayout');
+const { pickSubmissionFields } = require('../utils/submissionFields');
+const { buildFilename } = require('../utils/filenameTemplate');
+
+const MB = 1024 * 1024;
+const SIZE_WARNING_SHARE = 0.9;    // Warn above 90% of the limit: portals round differently
+const COMPRESS_TARGET_SHARE = 0.95; // Aim a little under the limit when fixing
+// Content first, then grayscale before compress (it shrinks the file too); rename last so the final name sticks
+const FIX_ORDER = ['page-size', 'grayscale', 'compress', 'metadata', 'rename'];
+
+const PROFILES = {
+    'university-portal': {
+        label: 'University Portal',
+        description: 'Typical assignment portal: 5 MB, A4, RollNo_Subject_Type.pdf, title and author set.',
+        maxSizeMb: 5,
+        pages: { min: 1, max: 100 },
+        pageSize: 'A4',
+        filename: {
+            template: '{rollNo}_{subject}_{type}',
+            pattern: /^[A-Za-z0-9]+_[A-Za-z0-9]+(_[A-Za-z0-9-]+)*\.pdf$/,
+            example: 'RollNo_Subject_Type.pdf'
+        },
+        color: 'any',
+        metadata: ['title', 'author']
+    },
+    'google-classroom': {
+        label: 'Google Classroom',
+        description: 'Lenient: 10 MB, any page size, Name_Subject.pdf so teachers can sort submissions.',
+        maxSizeMb: 10,
+        pages: { min: 1, max: 500 },
+        pageSize: null,
+        filename: {
+            template: '{name}_{subject}',
+            pattern: /^[A-Za-z][A-Za-z0-9]*(_[A-Za-z0-9-]+)+\.pdf$/,
+            example: 'Name_Subject.pdf'
+        },
+        color: 'any',
+        metadata: []
+    },
+    'exam-cell': {
+        label: 'Exam Cell',
+        description: 'Strict scanned answer sheets: 2 MB, at most 40 A4 pages, grayscale, RollNo_Subject.pdf.',
+        maxSizeMb: 2,
+        pages: { min: 1, max: 40 },
+        pageSize: 'A4',
+        filename: {
+            template: '{rollNo}_{subject}',
+            pattern: /^[A-Za-z0-9]+_[A-Za-z0-9]+\.pdf$/,
+            example: 'RollNo_Subject.pdf'
+        },
+        color: 'grayscale',
+        metadata: ['title', 'author', 'subject']
+    }
+};
+
+const METADATA_LABELS = { title: 'Title', author: 'Author', subject: 'Subject', keywords: 'Keywords' };
+
+const formatSize = (bytes) => (bytes < MB ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / MB).toFixed(2)} MB`);
+
+// "1-3, 7" for messages
+const formatPages = (pages) => {
+    const runs = [];
+    pages.forEach((page) => {
+        const last = runs[runs.length - 1];
+        if (last && page === last[1] + 1) last[1] = page;
+        else runs.push([page, page]);
+    });
+    return runs.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
+};
+
+/**
+ * Public view of the profiles for the UI (the filename regex is not sent, only its example).
+ */
+const listProfiles = () => Object.entries(PROFILES).map(([id, profile]) => ({
+    id,
+    label: profile.label,
+    description: profile.description,
+    maxSizeMb: profile.maxSizeMb,
+    pages: profile.pages,
+    pageSize: profile.pageSize,
+    filename: profile.filename.example,
+    color: profile.color,
+    metadata: profile.metadata
+}));
+
+/**
+ * Values written by the metadata fix, taken from the submission details. Missing ones are null.
+ */
+const metadataValues = (details) => ({
+    title: [details.subject, details.type].filter(Boolean).join(' ') || null,
+    author: details.name || details.rollNo || null,
+    subject: details.subject || details.course || null,
+    keywords: [details.rollNo, details.course].filter(Boolean).join(',') || null
+});
+
+// ----------------------------------------------------------------------------------------------
+// Rules (each returns one finding)
+// ----------------------------------------------------------------------------------------------
+
+const checkSize = (size, profile) => {
+    const maxBytes = profile.maxSizeMb * MB;
+    const finding = { id: 'size', rule: `File size at most ${profile.maxSizeMb} MB` };
+    if (size > maxBytes) {
+        return {
+            ...finding,
+            status: 'fail',
+            message: `${formatSize(size)} is over the ${profile.maxSizeMb} MB limit.`,
+            fix: { tool: 'compress', options: { targetSize: Math.floor(maxBytes * COMPRESS_TARGET_SHARE) } }
+        };
+    }
+    if (size > maxBytes * SIZE_WARNING_SHARE) {
+        return { ...finding, status: 'warn', message: `${formatSize(size)} is close to the ${profile.maxSizeMb} MB limit.` };
+    }
+    return { ...finding, status: 'pass', message: formatSize(size) };
+};
+
+const checkPageCount = (pageCount, { pages }) => {
+    const finding = { id: 'pages', rule: `${pages.min}-${pages.max} pages` };
+    if (pageCount < pages.min || pageCount > pages.max) {
+        return {
+            ...finding,
+            status: 'fail',
+            message: pageCount > pages.max
+                ? `${pageCount} pages; remove ${pageCount - pages.max} (Organise or Split).`
+                : `${pageCount} page(s); at least ${pages.min} required.`
+        };
+    }
+    return { ...finding, status: 'pass', message: `${pageCount} page(s)` };
+};
+
+const checkPageSize = (doc, { pageSize }) => {
+    const finding = { id: 'pageSize', rule: `${pageSize} pages` };
+    const wrong = doc.getPages()
+        .map((page, index) => ({ index, ...page.getSize() }))
+        .filter(({ width, height }) => paperSizeName(width, height) !== pageSize)
+        .map(({ index }) => index + 1);
+    if (wrong.length > 0) {
+        return {
+            ...finding,
+            status: 'fail',
+            message: `Page(s) ${formatPages(wrong)} are not ${pageSize}; they will be resized.`,
+            pages: wrong,
+            fix: { tool: 'page-size', options: { operation: 'resize', pageSize: pageSize.toLowerCase() } }
+        };
+    }
+    return { ...finding, status: 'pass', message: `All pages are ${pageSize}` };
+};
+
+const checkFilename = (originalname, profile, details) => {
+    const { template, pattern, example } = profile.filename;
+    const finding = { id: 'filename', rule: `Filename like ${example}` };
+    if (pattern.test(originalname)) return { ...finding, status: 'pass', message: originalname };
+
+    // Only offer the rename if the details produce a name the portal accepts
+    let suggested = null;
+    try {
+        suggested = buildFilename({ ...details, original: '' }, { template });
+    } catch (e) { /* Details missing: no automatic fix */ }
+    if (suggested && pattern.test(suggested)) {
+        return {
+            ...finding,
+            status: 'fail',
+            message: `"${originalname}" will be renamed to "${suggested}".`,
+            fix: { tool: 'rename', options: { ...details, template } }
+        };
+    }
+    return {
+        ...finding,
+        status: 'fail',
+        message: `"${originalname}" doesn't match ${example}. Fill in the submission details to rename it automatically.`
+    };
+};
+
+const checkColor = async (doc) => {
+    const finding = { id: 'color', rule: 'Grayscale only' };
+    const colorPages = await findColorPages(doc);
+    if (colorPages.length > 0) {
+        const message = `Colour on page(s) ${formatPages(colorPages)}.`;
+        // The conversion needs Ghostscript; without it the student has to re-export in grayscale
+        if (!await findGhostscript()) return { ...finding, status: 'fail', message, pages: colorPages };
+        return {
+            ...finding,
+            status: 'fail',
+            message: `${message} They will be converted to grayscale.`,
+            pages: colorPages,
+            fix: { tool: 'grayscale', options: { mode: 'gray' } }
+        };
+    }
+    return { ...finding, status: 'pass', message: 'No colour found' };
+};
+
+const checkMetadata = (doc, { metadata }, details) => {
+    const current = {
+        title: doc.getTitle(),
+        author: doc.getAuthor(),
+        subject: doc.getSubject(),
+        keywords: doc.getKeywords()
+    };
+    const missing = metadata.filter(field => !String(current[field] ?? '').trim());
+    const finding = { id: 'metadata', rule: `Document properties: ${metadata.map(f => METADATA_LABELS[f]).join(', ')}` };
+    if (missing.length === 0) return { ...finding, status: 'pass', message: 'All set' };
+
+    const values = metadataValues(details);
+    const message = `Missing ${missing.map(f => METADATA_LABELS[f]).join(', ')}.`;
+    if (missing.some(field => !values[field])) {
+        return { ...finding, status: 'fail', message: `${message} Fill in the submission details to set them automatically.` };
+    }
+    const options = Object.fromEntries(metadata.filter(field => values[field]).map(field => [field, values[field]]));
+    return { ...finding, status: 'fail', message, fix: { tool: 'metadata', options } };
+};
+
+/**
+ * Checks a loaded PDF against a profile.
+ *
+ * @param {PDFDocument} doc - Already loaded (and not encrypted)
+ * @param {object} file - Multer file (`size`, `originalname`)
+ * @param {string} profileId - Key of `PROFILES`
+ * @param {object} [body] - Request body; the submission fields feed the rename/metadata fixes
+ * @returns {Promise<{ findings: object[], fixPlan: object[] }>} `fixPlan` is a ready-made
+ *          `/api/pipeline` step list (empty when nothing can be repaired automatically)
+ */
+const checkSubmission = async (doc, file, profileId, body = {}) => {
+    const profile = PROFILES[profileId];
+    const details = pickSubmissionFields(body);
+
+    const findings = [
+        checkSize(file.size, profile),
+        checkPageCount(doc.getPageCount(), profile),
+        profile.pageSize && checkPageSize(doc, profile),
+        checkFilename(file.originalname, profile, details),
+        profile.color === 'grayscale' && await checkColor(doc),
+        profile.metadata.length > 0 && checkMetadata(doc, profile, details)
+    ].filter(Boolean);
+
+    const fixPlan = findings
+        .filter(finding => finding.fix)
+        .map(finding => finding.fix)
+        .sort((a, b) => FIX_ORDER.indexOf(a.tool) - FIX_ORDER.indexOf(b.tool));
+
+    return { findings, fixPlan };
+};
+
+/**
+ * Overall status for the StatusBadge: any fail -> NOT ACCEPTABLE, any warn -> RISKY.
+ */
+const overallStatus = (findings) => {
+    if (findings.some(f => f.status === 'fail')) return 'NOT ACCEPTABLE';
+    if (findings.some(f => f.status === 'warn')) return 'RISKY';
+    return 'READY';
+};
+
+module.exports = { PROFILES, listProfiles, checkSubmission, overallStatus };
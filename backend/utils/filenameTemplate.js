@@ -0,0 +1,133 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: filenameTemplate.js
+ * ------------------------------------------------------------------------------------------------
+ * Builds filenames from user templates like "{rollNo}_{subject}_{date:YYYYMMDD}_{seq}".
+ *
+ * - Tokens: any submission field ({rollNo}, {name}, {subject}...), {seq} / {seq:3} (zero-padded
+ *   counter), {original} (uploaded name without extension) and {date} / {date:FORMAT}.
+ * - Spaces inside values and separators written in the template ("_", "-", " ") all become the
+ *   chosen separator; gaps left by empty fields collapse ("21CS001__Lab" -> "21CS001_Lab").
+ * - Other scripts are transliterated (utils/transliterate.js) instead of deleted, unless the
+ *   caller opts to keep Unicode names.
+ *
+ * 🔒 SECURITY: Path separators, reserved characters and leading dots never survive, so a name
+ * can't escape the temp folder (e.g. "../").
+ * ================================================================================================
+ */
+
+const { transliterate } = require('./transliterate');
+
+const DEFAULT_TEMPLATE = '{rollNo}_{subject}_{type}_{date}';
+const CASES = ['keep', 'lower', 'upper', 'title'];
+const SEPARATORS = ['_', '-', ' ', '.'];
+const MAX_LENGTH = 120; // Characters before the extension; LMS uploads choke on longer names
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const TOKEN = /\{(\w+)(?::([^{}]*))?\}/g;
+
+/**
+ * Raised for bad templates/options or an empty result. Controllers map it to a 400.
+ */
+class FilenameError extends Error {}
+
+/**
+ * Reads `template`, `case`, `separator` and `transliterate` from a request body.
+ *
+ * @throws {FilenameError}
+ */
+const parseFilenameOptions = (body = {}) => {
+    const template = String(body.template || '').trim() || DEFAULT_TEMPLATE;
+    const letterCase = body.case || 'keep';
+    const separator = body.separator ?? '_';
+    if (!CASES.includes(letterCase)) throw new FilenameError(`Case must be one of: ${CASES.join(', ')}`);
+    if (!SEPARATORS.includes(separator)) throw new FilenameError('Separator must be "_", "-", "." or a space');
+    return { template, case: letterCase, separator, transliterate: body.transliterate !== 'false' };
+};
+
+// "2024-03-01" (from <input type="date">) or anything Date can parse; null if neither
+const parseDate = (value) => {
+    const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (iso) return new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    const parsed = new Date(value);
+    return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+
+// YYYY, YY, MMM (Mar), MM, DD; everything else is copied as is
+const formatDate = (date, format) => format.replace(/YYYY|YY|MMM|MM|DD/g, (part) => ({
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MMM: MONTHS[date.getMonth()],
+    MM: String(date.getMonth() + 1).padStart(2, '0'),
+    DD: String(date.getDate()).padStart(2, '0')
+})[part]);
+
+/**
+ * Resolves one token. `{date}` is the Date field as typed; `{date:FORMAT}` formats it and
+ * falls back to today when it's empty (handy for batch scans).
+ */
+const tokenValue = (token, format, values) => {
+    if (token === 'date' && format) {
+        if (!values.date) return formatDate(new Date(), format);
+        const date = parseDate(values.date);
+        return date ? formatDate(date, format) : values.date;
+    }
+    if (token === 'seq') {
+        const width = /^\d+$/.test(format || '') ? Number(format) : values.seqWidth;
+        return String(values.seq ?? 1).padStart(width || 1, '0');
+    }
+    return String(values[token] ?? '').trim();
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Fills a template into a safe filename.
+ *
+ * @param {object} values - Submission fields plus optional `seq`, `seqWidth` and `original`
+ * @param {object} options - From `parseFilenameOptions`, plus `extension` (e.g. ".pdf")
+ * @returns {string}
+ * @throws {FilenameError} Unknown tokens, or a template that came out empty
+ */
+const buildFilename = (values, { template = DEFAULT_TEMPLATE, case: letterCase = 'keep', separator = '_', transliterate: toAscii = true, extension = '.pdf' } = {}) => {
+    const known = new Set([...Object.keys(values).filter(key => key !== 'seqWidth'), 'seq', 'original', 'date']);
+    const unknown = [...template.matchAll(TOKEN)].filter(([, token]) => !known.has(token)).map(([match]) => match);
+    if (unknown.length > 0) {
+        throw new FilenameError(`Unknown token ${[...new Set(unknown)].join(', ')}. Use: ${[...known].map(k => `{${k}}`).join(', ')}`);
+    }
+
+    // Literal text keeps its own punctuation; only its separators are swapped for the chosen one
+    let name = '';
+    let lastIndex = 0;
+    for (const match of template.matchAll(TOKEN)) {
+        name += template.slice(lastIndex, match.index).replace(/[\s_-]+/g, separator);
+        name += tokenValue(match[1], match[2], values).replace(/\s+/g, separator);
+        lastIndex = match.index + match[0].length;
+    }
+    name += template.slice(lastIndex).replace(/[\s_-]+/g, separator);
+
+    if (toAscii) name = transliterate(name);
+    name = name.replace(/[\\/:*?"<>|#%\u0000-\u001f]/g, '');
+    name = toAscii
+        ? name.replace(/[^a-zA-Z0-9 _.,()+&'-]/g, '')
+        : name.replace(/[^\p{L}\p{M}\p{N} _.,()+&'-]/gu, '');
+
+    const sep = escapeRegExp(separator);
+    name = name
+        .replace(new RegExp(`(?:${sep}){2,}`, 'g'), separator)   // Gaps from empty fields
+        .replace(new RegExp(`^[${sep}. ]+|[${sep}. ]+$`, 'g'), ''); // No leading dots ("../", hidden files)
+
+    if (letterCase === 'lower') name = name.toLowerCase();
+    if (letterCase === 'upper') name = name.toUpperCase();
+    if (letterCase === 'title') {
+        name = name.toLowerCase().replace(/(^|[\s_.,()+&'-])(\p{L})/gu, (m, before, letter) => before + letter.toUpperCase());
+    }
+
+    name = [...name].slice(0, MAX_LENGTH).join('').replace(new RegExp(`[${sep}. ]+$`), '');
+    if (!name) throw new FilenameError('The filename came out empty. Fill in the fields your template uses (e.g. roll number or subject).');
+
+    const safeExtension = /^\.[a-z0-9]{1,8}$/.test(String(extension).toLowerCase()) ? String(extension).toLowerCase() : '';
+    return `${name}${safeExtension}`;
+};
+
+module.exports = { DEFAULT_TEMPLATE, CASES, SEPARATORS, FilenameError, parseFilenameOptions, buildFilename };
@@ -0,0 +1,130 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: ghostscript.js
+ * ------------------------------------------------------------------------------------------------
+ * Shared helpers for spawning Ghostscript.
+ *
+ * - Binary detection is cached: the `--version` probe only runs once per process.
+ * - Uses `execFile` (no shell), so file paths never need quoting or escaping.
+ * - Accepts the optional `req.job` so background jobs can kill a running conversion.
+ * ================================================================================================
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const { v4: uuidv4 } = require('uuid');
+
+const GS_COMMANDS = ['gswin64c', 'gswin32c', 'gs']; // Windows vs Linux binary names
+
+let detected; // undefined = not probed yet, null = not installed
+
+/**
+ * Resolves the Ghostscript binary name, or `null` if it is not installed.
+ */
+exports.findGhostscript = async () => {
+    if (detected !== undefined) return detected;
+    for (const cmd of GS_COMMANDS) {
+        try {
+            await new Promise((resolve, reject) => {
+                execFile(cmd, ['--version'], (err) => err ? reject(err) : resolve());
+            });
+            detected = cmd;
+            return detected;
+        } catch (e) { continue; }
+    }
+    detected = null;
+    return detected;
+};
+
+// Spawns Ghostscript in batch mode; resolves with both output streams
+const execGhostscript = async (args, job) => {
+    const gsCmd = await exports.findGhostscript();
+    if (!gsCmd) throw new Error('Ghostscript is not installed');
+
+    // Ghostscript wants forward slashes in file paths even on Windows. Only the output file and
+    // the bare input/prologue paths are touched: a `\` in e.g. a password must reach GS as typed.
+    const normalisedArgs = args.map((arg) => {
+        const value = String(arg);
+        if (value.startsWith('-sOutputFile=') || !value.startsWith('-')) return value.replace(/\\/g, '/');
+        return value;
+    });
+    const fullArgs = ['-dNOPAUSE', '-dBATCH', '-dQUIET', '-dSAFER', ...normalisedArgs];
+
+    return new Promise((resolve, reject) => {
+        const child = execFile(gsCmd, fullArgs, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                console.error('GS Exec Error:', error.message);
+                if (stderr) console.error('GS Stderr:', stderr);
+                error.stderr = stderr;
+                return reject(error);
+            }
+            resolve({ stdout, stderr });
+        });
+        job?.track(child);
+    });
+};
+
+/**
+ * Runs Ghostscript in batch mode with the given arguments.
+ *
+ * @param {string[]} args - Device/output/input arguments (NOPAUSE/BATCH/QUIET are added here)
+ * @param {object} [job] - Optional `req.job` for cancellation
+ * @returns {Promise<string>} stdout
+ */
+exports.runGhostscript = async (args, job) => (await execGhostscript(args, job)).stdout;
+
+/**
+ * Like `runGhostscript`, but also collects the warnings Ghostscript printed on a run that still
+ * succeeded (e.g. what pdfwrite had to drop for PDF/A, or a damaged file it repaired).
+ * Messages are "GPL Ghostscript 9.56.0: ..." or "   **** ..." lines, sometimes wrapped.
+ *
+ * @returns {Promise<{ stdout: string, warnings: string[] }>} Warnings de-duplicated, prefix removed
+ */
+exports.runGhostscriptWithWarnings = async (args, job) => {
+    const { stdout, stderr } = await execGhostscript(args, job);
+    const warnings = [];
+    `${stderr}\n${stdout}`.split(/\r?\n/).forEach((line) => {
+        const start = /^\s*(?:[\w ]*Ghostscript [\d.]+:|\*{4})\s*(.*)$/.exec(line);
+        if (start) warnings.push(start[1].trim());
+        else if (line.trim() && warnings.length > 0) warnings[warnings.length - 1] += ` ${line.trim()}`;
+    });
+    return { stdout, warnings: [...new Set(warnings.filter(Boolean))] };
+};
+
+/**
+ * Renders PDF pages to image files (one per page) and returns their paths in page order.
+ *
+ * @param {string} inputPath - Source PDF
+ * @param {string} outDir - Existing directory to write into
+ * @param {object} options
+ * @param {number} [options.dpi=150] - Render resolution
+ * @param {string} [options.device='jpeg'] - GS device: jpeg | jpeggray | png16m | pnggray | pngmono
+ * @param {number} [options.quality=75] - JPEG quality (ignored for PNG devices)
+ * @param {number} [options.firstPage] - 1-based, inclusive
+ * @param {number} [options.lastPage] - 1-based, inclusive
+ * @param {boolean} [options.cropBox=false] - Render the visible CropBox instead of the MediaBox
+ * @param {object} [job] - Optional `req.job` for cancellation
+ * @returns {Promise<string[]>}
+ */
+exports.renderPages = async (inputPath, outDir, { dpi = 150, device = 'jpeg', quality = 75, firstPage, lastPage, cropBox = false } = {}, job) => {
+    const ext = device.startsWith('png') ? 'png' : 'jpg';
+    const prefix = `page_${uuidv4()}_`;
+    const args = [
+        `-sDEVICE=${device}`,
+        `-r${dpi}`,
+        '-dTextAlphaBits=4', '-dGraphicsAlphaBits=4' // Anti-aliasing keeps thin handwriting readable
+    ];
+    if (ext === 'jpg') args.push(`-dJPEGQ=${quality}`);
+    if (firstPage) args.push(`-dFirstPage=${firstPage}`);
+    if (lastPage) args.push(`-dLastPage=${lastPage}`);
+    if (cropBox) args.push('-dUseCropBox');
+    args.push(`-sOutputFile=${path.join(outDir, `${prefix}%04d.${ext}`)}`, inputPath);
+
+    await exports.runGhostscript(args, job);
+
+    const files = (await fs.readdir(outDir))
+        .filter(name => name.startsWith(prefix))
+        .sort(); // Zero-padded counter keeps lexical order == page order
+    return files.map(name => path.join(outDir, name));
+};
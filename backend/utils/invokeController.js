@@ -0,0 +1,51 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: invokeController.js
+ * ------------------------------------------------------------------------------------------------
+ * Runs an Express-style `(req, res)` controller action outside of a real HTTP response and
+ * captures what it would have sent. Lets the job queue and the pipeline reuse every tool
+ * without duplicating its logic.
+ * ================================================================================================
+ */
+
+/**
+ * Minimal stand-in for Express' `res`, capturing the status code and JSON body.
+ */
+const createCapturingResponse = () => {
+    let settle;
+    const done = new Promise(resolve => { settle = resolve; });
+    const res = {
+        statusCode: 200,
+        headersSent: false,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.headersSent = true;
+            settle({ statusCode: this.statusCode, body });
+            return this;
+        },
+        send(body) {
+            return this.json(body);
+        }
+    };
+    return { res, done };
+};
+
+/**
+ * @param {Function} handler - Controller action
+ * @param {object} req - Request-like object (`file`/`files`/`body`, optionally `job`)
+ * @returns {Promise<{ statusCode: number, body: object }>}
+ * @throws {Error} If the controller finishes without sending a response
+ */
+module.exports = async (handler, req) => {
+    const { res, done } = createCapturingResponse();
+    // Controllers resolve after calling res.json(); waiting on both also surfaces thrown errors.
+    // One that returns without answering would otherwise leave the job (and the queue) waiting forever.
+    const handled = Promise.resolve(handler(req, res)).then(() => {
+        if (!res.headersSent) throw new Error('Controller finished without sending a response');
+    });
+    await Promise.all([handled, done]);
+    return done;
+};
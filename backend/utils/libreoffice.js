@@ -0,0 +1,115 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: libreoffice.js
+ * ------------------------------------------------------------------------------------------------
+ * Shared helpers for spawning LibreOffice in headless mode (PDF <-> Office conversions).
+ *
+ * - Binary detection is cached, like Ghostscript: the `--version` probe only runs once per process.
+ * - Every conversion gets its own throwaway user profile. A shared profile is locked by the first
+ *   running `soffice`, which makes concurrent conversions exit silently without output.
+ * - Uses `execFile` (no shell) and accepts the optional `req.job` for cancellation.
+ * - Failures raise `LibreOfficeError` with soffice's own output in `details`. soffice often exits 0
+ *   after "Error: source file could not be loaded", so a missing output file counts as a failure too.
+ * ================================================================================================
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { pathToFileURL } = require('url');
+const { execFile } = require('child_process');
+const { v4: uuidv4 } = require('uuid');
+
+const LO_COMMANDS = ['soffice', 'libreoffice'];
+const CONVERT_TIMEOUT = 3 * 60 * 1000; // Large decks can take a while, but a hung soffice must not block forever
+const MAX_DETAILS = 2000; // Characters of soffice output kept for the client
+
+let detected; // undefined = not probed yet, null = not installed
+
+/**
+ * A conversion that failed or produced nothing. `details` holds LibreOffice's diagnostic output.
+ */
+class LibreOfficeError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.details = details;
+    }
+}
+exports.LibreOfficeError = LibreOfficeError;
+
+// Keeps the tail: soffice prints its actual complaint last
+const diagnostic = (...outputs) => {
+    const text = outputs.filter(Boolean).map(o => String(o).trim()).filter(Boolean).join('\n');
+    return text.length > MAX_DETAILS ? `…${text.slice(-MAX_DETAILS)}` : text || undefined;
+};
+
+/**
+ * Resolves the LibreOffice binary name, or `null` if it is not installed.
+ */
+exports.findLibreOffice = async () => {
+    if (detected !== undefined) return detected;
+    for (const cmd of LO_COMMANDS) {
+        try {
+            await new Promise((resolve, reject) => {
+                execFile(cmd, ['--version'], { timeout: 30000 }, (err) => err ? reject(err) : resolve());
+            });
+            detected = cmd;
+            return detected;
+        } catch (e) { continue; }
+    }
+    detected = null;
+    return detected;
+};
+
+/**
+ * Converts one file with `soffice --headless --convert-to`.
+ *
+ * @param {string} inputPath
+ * @param {string} outDir - LibreOffice names the output `<input basename>.<extension>` in here
+ * @param {object} options
+ * @param {string} options.convertTo - Target, e.g. 'pdf' or 'docx'
+ * @param {string} [options.infilter] - Import filter, e.g. 'writer_pdf_import'
+ * @param {object} [job] - Optional `req.job` for cancellation
+ * @returns {Promise<string>} Path of the converted file
+ * @throws {LibreOfficeError}
+ */
+exports.convertWithLibreOffice = async (inputPath, outDir, { convertTo, infilter }, job) => {
+    const loCmd = await exports.findLibreOffice();
+    if (!loCmd) throw new Error('LibreOffice is not installed');
+
+    await fs.ensureDir(outDir);
+    const profileDir = path.join(outDir, `.profile_${uuidv4()}`);
+    const args = [
+        '--headless', '--norestore', '--nologo',
+        `-env:UserInstallation=${pathToFileURL(profileDir).href}`,
+        ...(infilter ? [`--infilter=${infilter}`] : []),
+        '--convert-to', convertTo,
+        '--outdir', outDir,
+        inputPath
+    ];
+
+    let output;
+    try {
+        output = await new Promise((resolve, reject) => {
+            const child = execFile(loCmd, args, { timeout: CONVERT_TIMEOUT, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+                if (error) {
+                    console.error('LibreOffice Exec Error:', error.message);
+                    if (stderr) console.error('LibreOffice Stderr:', stderr);
+                    const reason = error.killed ? 'LibreOffice was stopped (timed out or cancelled)' : `LibreOffice exited with code ${error.code}`;
+                    return reject(new LibreOfficeError(reason, diagnostic(stderr, stdout)));
+                }
+                resolve({ stdout, stderr });
+            });
+            job?.track(child);
+        });
+    } finally {
+        await fs.remove(profileDir).catch(() => {});
+    }
+
+    // `--convert-to "txt:Text (encoded):UTF8"` style targets carry a filter name after the colon
+    const extension = convertTo.split(':')[0];
+    const outputPath = path.join(outDir, `${path.parse(inputPath).name}.${extension}`);
+    if (!await fs.pathExists(outputPath)) {
+        throw new LibreOfficeError('LibreOffice did not produce an output file', diagnostic(output.stderr, output.stdout));
+    }
+    return outputPath;
+};
@@ -0,0 +1,179 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: pageLayout.js
+ * ------------------------------------------------------------------------------------------------
+ * Helpers for drawing on pages "as the reader sees them".
+ *
+ * pdf-lib draws in the page's own coordinate space, ignoring /Rotate. A page rotated by our
+ * Rotate tool (or a landscape scan stored as portrait + /Rotate 90) would get its stamps sideways.
+ * `visualFrame()` converts visual coordinates (origin bottom-left of the *displayed* page) into
+ * page space, and the draw helpers rotate content around its own centre.
+ * ================================================================================================
+ */
+
+const { degrees, PDFEmbeddedPage, PageSizes } = require('pdf-lib');
+
+const NAMED_SIZES = ['A3', 'A4', 'A5', 'Letter', 'Legal'];
+const SIZE_TOLERANCE = 0.02; // Scanner/Word rounding (A4 is 595.28 x 841.89 pt)
+
+/**
+ * Describes the visible page (CropBox, after /Rotate) and maps visual points into page space.
+ *
+ * @param {PDFPage} page
+ * @returns {{ width: number, height: number, rotation: number, toPage: Function }}
+ */
+const visualFrame = (page) => {
+    const box = page.getCropBox();
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+    const swap = rotation === 90 || rotation === 270;
+
+    const toPage = (vx, vy) => {
+        let x, y;
+        switch (rotation) {
+            case 90: x = box.width - vy; y = vx; break;
+            case 180: x = box.width - vx; y = box.height - vy; break;
+            case 270: x = vy; y = box.height - vx; break;
+            default: x = vx; y = vy;
+        }
+        return { x: box.x + x, y: box.y + y };
+    };
+
+    return {
+        width: swap ? box.height : box.width,
+        height: swap ? box.width : box.height,
+        rotation,
+        toPage
+    };
+};
+
+/**
+ * Finds the bottom-left origin for a `width` x `height` box whose centre sits at (cx, cy)
+ * after rotating by `angle` degrees (pdf-lib rotates around the origin, not the centre).
+ */
+const rotatedOrigin = (cx, cy, width, height, angle) => {
+    const rad = angle * Math.PI / 180;
+    return {
+        x: cx - (width / 2) * Math.cos(rad) + (height / 2) * Math.sin(rad),
+        y: cy - (width / 2) * Math.sin(rad) - (height / 2) * Math.cos(rad)
+    };
+};
+
+/**
+ * Draws text centred on a visual point, rotated by `angle` degrees (counter-clockwise).
+ */
+const drawTextAt = (page, frame, text, { cx, cy, angle = 0, font, size, color, opacity = 1 }) => {
+    const width = font.widthOfTextAtSize(text, size);
+    const height = font.heightAtSize(size, { descender: false });
+    const origin = rotatedOrigin(cx, cy, width, height, angle);
+    const point = frame.toPage(origin.x, origin.y);
+    page.drawText(text, {
+        x: point.x,
+        y: point.y,
+        size,
+        font,
+        color,
+        opacity,
+        rotate: degrees(angle + frame.rotation)
+    });
+};
+
+/**
+ * Draws an embedded image (or embedded PDF page) centred on a visual point, rotated by
+ * `angle` degrees.
+ */
+const drawImageAt = (page, frame, image, { cx, cy, width, height, angle = 0, opacity = 1 }) => {
+    const origin = rotatedOrigin(cx, cy, width, height, angle);
+    const point = frame.toPage(origin.x, origin.y);
+    const draw = image instanceof PDFEmbeddedPage ? page.drawPage : page.drawImage;
+    draw.call(page, image, {
+        x: point.x,
+        y: point.y,
+        width,
+        height,
+        opacity,
+        rotate: degrees(angle + frame.rotation)
+    });
+};
+
+/**
+ * Greedy word-wrap: splits `text` into lines no wider than `maxWidth` at `size`.
+ * A single word longer than the line is kept whole rather than broken mid-word.
+ */
+const wrapText = (text, font, size, maxWidth) => {
+    const lines = [];
+    let line = '';
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+};
+
+/**
+ * Turns a page selection like "1-3, 5, 8-10" into 0-based page indices, in the order given.
+ * Out-of-range pages and reversed ranges are skipped. This is the syntax of split's `pages` field.
+ *
+ * @param {string} pages
+ * @param {number} totalPages
+ * @returns {number[]}
+ */
+const parsePageRange = (pages, totalPages) => {
+    const pageIndices = [];
+    for (const part of String(pages || '').split(',')) {
+        if (part.includes('-')) {
+            const [start, end] = part.split('-').map(n => parseInt(n.trim()));
+            if (start > end) continue;
+            for (let i = start; i <= end; i++) {
+                if (i >= 1 && i <= totalPages) pageIndices.push(i - 1);
+            }
+        } else {
+            const pageNum = parseInt(part.trim());
+            if (pageNum >= 1 && pageNum <= totalPages) pageIndices.push(pageNum - 1);
+        }
+    }
+    return pageIndices;
+};
+
+/**
+ * Parses a numeric form field and clamps it to [min, max], falling back to `fallback`
+ * when it isn't a number (empty, missing, "abc").
+ */
+const clampNumber = (value, min, max, fallback) => {
+    const n = parseFloat(value);
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+/**
+ * Parses "#RRGGBB" (or "RRGGBB") into 0-1 channels, falling back to `fallback`.
+ */
+const parseHexColor = (hex, fallback = { r: 0.5, g: 0.5, b: 0.5 }) => {
+    const match = /^#?([0-9a-f]{6})$/i.exec(String(hex || '').trim());
+    if (!match) return fallback;
+    const value = parseInt(match[1], 16);
+    return { r: ((value >> 16) & 255) / 255, g: ((value >> 8) & 255) / 255, b: (value & 255) / 255 };
+};
+
+/**
+ * Names a page size in either orientation ("A4", "Letter"...), or gives it in mm ("210x280 mm").
+ *
+ * @param {number} width - Points
+ * @param {number} height - Points
+ * @returns {string}
+ */
+const paperSizeName = (width, height) => {
+    const [short, long] = [Math.min(width, height), Math.max(width, height)];
+    const named = NAMED_SIZES.find((name) => {
+        const [paperShort, paperLong] = PageSizes[name];
+        return Math.abs(short - paperShort) <= paperShort * SIZE_TOLERANCE && Math.abs(long - paperLong) <= paperLong * SIZE_TOLERANCE;
+    });
+    const mm = (points) => Math.round(points / 72 * 25.4);
+    return named || `${mm(short)}x${mm(long)} mm`;
+};
+
+module.exports = { visualFrame, rotatedOrigin, drawTextAt, drawImageAt, wrapText, parsePageRange, clampNumber, parseHexColor, paperSizeName };
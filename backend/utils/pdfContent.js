@@ -0,0 +1,72 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: pdfContent.js
+ * ------------------------------------------------------------------------------------------------
+ * Low-level helpers for reading what a page draws: decoded content streams, the XObjects they
+ * paint with `/Name Do`, and a walk over every object in the file. Shared by the analysers in
+ * services/ (colour detection, health report) so each doesn't re-implement stream decoding.
+ * ================================================================================================
+ */
+
+const { PDFName, PDFDict, PDFArray, PDFRawStream, PDFStream, decodePDFRawStream } = require('pdf-lib');
+
+/**
+ * Decoded text of a content stream ('' when a filter isn't supported, e.g. JBIG2 on a content stream).
+ */
+const decodeStream = (stream) => {
+    try {
+        return Buffer.from(decodePDFRawStream(stream).decode()).toString('latin1');
+    } catch (e) {
+        return '';
+    }
+};
+
+/**
+ * The page's content streams (a page may split its drawing over an array of them).
+ *
+ * @returns {PDFRawStream[]}
+ */
+const pageContentStreams = (page) => {
+    const contents = page.node.Contents();
+    const streams = contents instanceof PDFArray
+        ? contents.asArray().map(ref => page.doc.context.lookup(ref))
+        : [contents];
+    return streams.filter(stream => stream instanceof PDFRawStream);
+};
+
+/**
+ * Looks up `/Name` from a `/Name Do` operator in a resources dict.
+ *
+ * @returns {PDFRawStream|undefined} Image or Form XObject
+ */
+const lookupXObject = (resources, name, context) => {
+    const xObjects = resources instanceof PDFDict && resources.lookup(PDFName.of('XObject'));
+    if (!(xObjects instanceof PDFDict)) return undefined;
+    const xObject = context.lookup(xObjects.get(PDFName.of(name)));
+    return xObject instanceof PDFRawStream ? xObject : undefined;
+};
+
+/**
+ * Names painted with `Do` in a decoded content stream, in order.
+ */
+const paintedXObjectNames = (content) => [...content.matchAll(/\/([^\s/<>[\]()]+)\s+Do\b/g)].map(([, name]) => name);
+
+/**
+ * Calls `visit(dict)` for every dictionary in the file, including ones nested inside other
+ * objects (e.g. an annotation's `/A` action) and stream dictionaries.
+ */
+const walkDicts = (context, visit) => {
+    const walk = (value) => {
+        if (value instanceof PDFStream) return walk(value.dict);
+        if (value instanceof PDFDict) {
+            visit(value);
+            value.values().forEach(walk); // References are skipped: every indirect object is visited below
+        } else if (value instanceof PDFArray) {
+            value.asArray().forEach(walk);
+        }
+        return undefined;
+    };
+    context.enumerateIndirectObjects().forEach(([, object]) => walk(object));
+};
+
+module.exports = { decodeStream, pageContentStreams, lookupXObject, paintedXObjectNames, walkDicts };
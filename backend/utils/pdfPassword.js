@@ -0,0 +1,143 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: pdfPassword.js
+ * ------------------------------------------------------------------------------------------------
+ * Encryption helpers (Ghostscript based, since pdf-lib can neither decrypt nor encrypt).
+ *
+ * - `decryptPdf` / `encryptPdf`: used by the Unlock and Protect tools.
+ * - `withPassword(handler)`: wraps any tool so an optional `password` field unlocks encrypted
+ *   uploads *before* the tool sees them. This is how merge/compress/etc. accept locked PDFs.
+ *   PDFs with only an owner password are unlocked without asking.
+ * ================================================================================================
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { PDFDocument } = require('pdf-lib');
+const { v4: uuidv4 } = require('uuid');
+const { findGhostscript, runGhostscript, runGhostscriptWithWarnings } = require('./ghostscript');
+
+// PDF permission flags (PDF 1.7 spec, Table 22), as bit values of the /P entry.
+// Each user-facing option toggles the "basic" bit plus its modern (revision 3+) companion.
+const PERMISSION_BITS = {
+    printing: (1 << 2) | (1 << 11),   // Print + high-quality print
+    modifying: (1 << 3) | (1 << 10),  // Modify contents + assemble (insert/rotate/delete pages)
+    copying: (1 << 4) | (1 << 9),     // Copy text/images + extraction for accessibility
+    annotating: (1 << 5) | (1 << 8)   // Add comments + fill form fields
+};
+const NO_PERMISSIONS = -3904; // 0xFFFFF0C0: only the bits the spec requires to be 1
+
+// Thrown by `decryptPdf` only when the password is missing or wrong (not for damaged files etc.)
+class PasswordError extends Error {}
+
+const PASSWORD_MESSAGE = /requires a password|password did not work|cannot decrypt/i;
+
+/**
+ * True if the PDF has an /Encrypt dictionary (user and/or owner password).
+ */
+const isEncrypted = async (filePath) => {
+    const bytes = await fs.readFile(filePath);
+    const doc = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+    return doc.isEncrypted;
+};
+
+/**
+ * Writes a decrypted copy of `inputPath`. Rejects with a `PasswordError` if the password is
+ * missing or wrong; any other Ghostscript failure is rethrown as is. Without a password only
+ * PDFs that have no user (open) password can be decrypted.
+ */
+const decryptPdf = async (inputPath, outputPath, password, job) => {
+    let warnings;
+    try {
+        ({ warnings } = await runGhostscriptWithWarnings([
+            '-sDEVICE=pdfwrite',
+            ...(password ? [`-sPDFPassword=${password}`] : []),
+            `-sOutputFile=${outputPath}`,
+            inputPath
+        ], job));
+    } catch (e) {
+        // Older Ghostscript exits non-zero on a wrong password
+        if (PASSWORD_MESSAGE.test(e.stderr || '')) throw new PasswordError('Incorrect password');
+        throw e;
+    }
+    // Ghostscript 9.56+ only warns and exits 0 (writing a blank page) when the password is wrong
+    if (warnings.some(warning => PASSWORD_MESSAGE.test(warning))) throw new PasswordError('Incorrect password');
+};
+
+/**
+ * Computes the /P value from `{ printing, copying, modifying, annotating }` booleans.
+ */
+const permissionsValue = (allowed = {}) => Object.entries(PERMISSION_BITS)
+    .reduce((value, [key, bits]) => (allowed[key] ? value | bits : value), NO_PERMISSIONS);
+
+/**
+ * Writes an encrypted copy of `inputPath` (128-bit RC4, the widest-supported PDF encryption).
+ */
+const encryptPdf = async (inputPath, outputPath, { userPassword = '', ownerPassword, permissions }, job) => {
+    await runGhostscript([
+        '-sDEVICE=pdfwrite',
+        `-sOwnerPassword=${ownerPassword}`,
+        `-sUserPassword=${userPassword}`,
+        '-dEncryptionR=3',
+        '-dKeyLength=128',
+        `-dPermissions=${permissionsValue(permissions)}`,
+        `-sOutputFile=${outputPath}`,
+        inputPath
+    ], job);
+};
+
+/**
+ * Decorates a controller action: any encrypted PDF upload is decrypted in place using
+ * `req.body.password`, so the wrapped action only ever sees plain PDFs.
+ */
+const withPassword = (handler) => async (req, res) => {
+    // Multer gives an array (`.array()`), a field map (`.fields()`) or a single file (`.single()`)
+    const uploads = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+    if (req.file) uploads.push(req.file);
+    const { password } = req.body || {};
+
+    for (const file of uploads) {
+        if (file.mimetype !== 'application/pdf' && path.extname(file.originalname).toLowerCase() !== '.pdf') continue;
+
+        let encrypted;
+        try {
+            encrypted = await isEncrypted(file.path);
+        } catch (e) {
+            continue; // Corrupt files are reported by the tool itself
+        }
+        if (!encrypted) continue;
+
+        if (!await findGhostscript()) {
+            return res.status(500).json({ error: 'Opening password-protected PDFs requires Ghostscript on the server.' });
+        }
+
+        req.job?.progress(`Unlocking ${file.originalname}`);
+        const unlockedPath = path.join(path.dirname(file.path), `unlocked_${uuidv4()}.pdf`);
+        try {
+            // No password typed: PDFs with only an owner password (print/copy restrictions,
+            // the usual "locked" department PDF) still open, so only ask if that fails
+            await decryptPdf(file.path, unlockedPath, password, req.job);
+        } catch (e) {
+            await fs.remove(unlockedPath);
+            req.job?.throwIfCancelled();
+            if (!(e instanceof PasswordError)) {
+                console.error('Decrypt error:', e);
+                return res.status(500).json({ error: `Could not open "${file.originalname}"` });
+            }
+            return res.status(400).json({
+                error: password
+                    ? `Incorrect password for "${file.originalname}"`
+                    : `"${file.originalname}" is password protected. Enter its password to continue.`,
+                passwordRequired: true
+            });
+        }
+
+        // Swap in place so the tool keeps using Multer's file object as usual
+        await fs.move(unlockedPath, file.path, { overwrite: true });
+        file.size = (await fs.stat(file.path)).size;
+    }
+
+    return handler(req, res);
+};
+
+module.exports = { PasswordError, isEncrypted, decryptPdf, encryptPdf, permissionsValue, withPassword, PERMISSION_BITS };
@@ -0,0 +1,53 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: submissionFields.js
+ * ------------------------------------------------------------------------------------------------
+ * The "who/what" fields a submission carries (roll number, subject, ...), shared by every tool
+ * that prints or names things after them: rename, header/footer stamping, cover pages.
+ * ================================================================================================
+ */
+
+const { DEFAULT_TEMPLATE, buildFilename } = require('./filenameTemplate');
+
+// The default filename uses the first four; the cover page prints all of them
+const SUBMISSION_FIELDS = ['rollNo', 'subject', 'type', 'date', 'name', 'institution', 'course', 'submittedTo'];
+const FILENAME_FIELDS = ['rollNo', 'subject', 'type', 'date'];
+
+/**
+ * Picks the submission fields out of a request body (missing ones become '').
+ */
+const pickSubmissionFields = (body = {}) => SUBMISSION_FIELDS.reduce((fields, key) => {
+    fields[key] = String(body[key] ?? '').trim();
+    return fields;
+}, {});
+
+/**
+ * The default submission filename, e.g. "21CS001_DBMS_Lab_2024-03-01.pdf" (see utils/filenameTemplate.js
+ * for custom templates). Empty fields are left out instead of leaving "__" gaps. Returns null if all are empty.
+ */
+const submissionFilename = (fields) => {
+    if (!FILENAME_FIELDS.some(key => String(fields[key] ?? '').trim())) return null;
+    return buildFilename(pickSubmissionFields(fields), { template: DEFAULT_TEMPLATE });
+};
+
+/**
+ * Replaces `{token}` placeholders with `values[token]`.
+ *
+ * @param {string} template - e.g. "{rollNo} | Page {n} of {total}"
+ * @param {object} values
+ * @returns {{ text: string, unknown: string[] }} `unknown` lists tokens with no value, so
+ *          callers can reject typos like `{rolNo}` instead of printing them on every page.
+ */
+const fillTemplate = (template, values) => {
+    const unknown = [];
+    const text = String(template || '').replace(/\{(\w+)\}/g, (match, token) => {
+        if (!(token in values)) {
+            unknown.push(match);
+            return match;
+        }
+        return String(values[token]);
+    });
+    return { text, unknown: [...new Set(unknown)] };
+};
+
+module.exports = { SUBMISSION_FIELDS, pickSubmissionFields, submissionFilename, fillTemplate };
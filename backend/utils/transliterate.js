@@ -0,0 +1,153 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: transliterate.js
+ * ------------------------------------------------------------------------------------------------
+ * Turns any script into plain ASCII for filenames: "आशा वर्मा" -> "asha varma", "Ünïcödé" -> "Unicode".
+ *
+ * - Devanagari (Hindi, Marathi, Sanskrit...) is handled here syllable by syllable. Generic
+ *   tables drop the vowel every consonant carries ("vrma" instead of "varma"), which makes
+ *   Indian names unreadable.
+ * - Everything else goes through the `transliteration` package's Unicode tables.
+ *
+ * Also used to put non-Latin names on pages drawn with the built-in PDF fonts.
+ * ================================================================================================
+ */
+
+const { transliterate: genericTransliterate } = require('transliteration');
+
+const CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+    'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+    'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+    'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+// Letters + nukta (U+093C) for Urdu/Persian sounds. NFC always stores them as base + nukta.
+const NUKTA_FORMS = { 'क': 'q', 'ख': 'kh', 'ग': 'gh', 'ज': 'z', 'ड': 'r', 'ढ': 'rh', 'फ': 'f', 'य': 'y' };
+
+const VOWELS = {
+    'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri',
+    'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o', 'ऍ': 'e'
+};
+const VOWEL_SIGNS = {
+    'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri',
+    'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o', 'ॅ': 'e'
+};
+const SIGNS = { 'ं': 'n', 'ँ': 'n', 'ः': 'h', 'ॐ': 'om', '।': '.', '॥': '.' };
+
+const VIRAMA = '्';
+const NUKTA = '़';
+const DEVANAGARI = /[ऀ-ॿ]/;
+
+/**
+ * Transliterates one Devanagari word. Every consonant carries an "a" unless a vowel sign or
+ * virama follows; the last one loses it in words of two or more syllables (राम -> ram, न -> na),
+ * which is how Hindi is spoken and how names are usually spelled in English. Words ending in a
+ * consonant cluster keep it (कृष्ण -> krishna, मित्र -> mitra).
+ */
+const devanagariWord = (word) => {
+    const chars = [...word];
+    let out = '';
+    let pendingSchwa = false; // Last consonant still carries its implicit "a"
+    let syllables = 0;
+    let inCluster = false;    // Last consonant follows a virama
+
+    for (let i = 0; i < chars.length; i++) {
+        const char = chars[i];
+        if (CONSONANTS[char] !== undefined) {
+            if (pendingSchwa) out += 'a';
+            const withNukta = chars[i + 1] === NUKTA && NUKTA_FORMS[char];
+            out += withNukta || CONSONANTS[char];
+            if (withNukta) i++;
+            inCluster = chars[i - (withNukta ? 2 : 1)] === VIRAMA;
+            pendingSchwa = true;
+            syllables++;
+        } else if (char === VIRAMA) {
+            pendingSchwa = false;
+            syllables--;
+        } else if (VOWEL_SIGNS[char] !== undefined) {
+            out += VOWEL_SIGNS[char];
+            pendingSchwa = false;
+        } else if (VOWELS[char] !== undefined) {
+            if (pendingSchwa) out += 'a';
+            out += VOWELS[char];
+            pendingSchwa = false;
+            syllables++;
+        } else if (SIGNS[char] !== undefined) {
+            if (pendingSchwa) out += 'a';
+            out += SIGNS[char];
+            pendingSchwa = false;
+        } else if (char >= '०' && char <= '९') {
+            if (pendingSchwa) out += 'a';
+            out += String(char.codePointAt(0) - '०'.codePointAt(0));
+            pendingSchwa = false;
+        } else if (char !== NUKTA) {
+            if (pendingSchwa) out += 'a';
+            out += char;
+            pendingSchwa = false;
+        }
+    }
+    if (pendingSchwa && (syllables < 2 || inCluster)) out += 'a';
+    return out;
+};
+
+/**
+ * Transliterates text to ASCII. Characters with no reasonable ASCII form become "".
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const transliterate = (text) => {
+    const value = String(text ?? '').normalize('NFC');
+    const devanagariDone = DEVANAGARI.test(value)
+        ? value.replace(/[ऀ-ॿ]+/g, devanagariWord)
+        : value;
+    return genericTransliterate(devanagariDone, { unknown: '' });
+};
+
+/**
+ * Makes text drawable with a built-in PDF font (Helvetica, Times...: Latin only). Runs of
+ * characters the font can't encode are transliterated and capitalised like a name:
+ * "आशा वर्मा, 21CS" -> "Asha Varma, 21CS". Embedding a Devanagari font isn't an option:
+ * pdf-lib doesn't shape text, so matras and conjuncts would come out in the wrong place.
+ *
+ * @param {string} text
+ * @param {PDFFont} font - Embedded pdf-lib font
+ * @returns {{ text: string, transliterated: boolean }}
+ */
+const transliterateForFont = (text, font) => {
+    const value = String(text ?? '').normalize('NFC');
+    const encodable = (char) => {
+        try {
+            font.encodeText(char);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    };
+
+    let transliterated = false;
+    let out = '';
+    let run = ''; // Consecutive characters the font can't draw
+    const flush = () => {
+        if (!run) return;
+        const latin = transliterate(run);
+        out += latin.charAt(0).toUpperCase() + latin.slice(1);
+        run = '';
+        transliterated = true;
+    };
+    for (const char of value) {
+        if (encodable(char)) {
+            flush();
+            out += char;
+        } else {
+            run += char;
+        }
+    }
+    flush();
+    return { text: out, transliterated };
+};
+
+module.exports = { transliterate, transliterateForFont };
@@ -0,0 +1,39 @@
+/**
+ * ================================================================================================
+ * 📄 FILE: zip.js
+ * ------------------------------------------------------------------------------------------------
+ * Writes ZIP archives for tools that produce several files (split parts, page images, ...).
+ * Served through the usual `/download/:filename` route like any other output.
+ * ================================================================================================
+ */
+
+const fs = require('fs-extra');
+const archiver = require('archiver');
+
+/**
+ * Writes `entries` into a ZIP at `outputPath`.
+ *
+ * @param {string} outputPath
+ * @param {{ name: string, data?: Buffer|Uint8Array|string, path?: string }[]} entries -
+ *        In-memory `data` or an on-disk `path`, stored under `name` in the archive.
+ * @returns {Promise<number>} Size of the archive in bytes
+ */
+exports.createZip = (outputPath, entries) => new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(outputPath);
+    const archive = archiver('zip', { zlib: { level: 6 } }); // PDFs/JPEGs are already compressed
+
+    output.on('close', () => resolve(archive.pointer()));
+    output.on('error', reject);
+    archive.on('error', reject);
+    archive.pipe(output);
+
+    entries.forEach(entry => {
+        if (entry.path) {
+            archive.file(entry.path, { name: entry.name });
+        } else {
+            const data = typeof entry.data === 'string' ? entry.data : Buffer.from(entry.data);
+            archive.append(data, { name: entry.name });
+        }
+    });
+    archive.finalize();
+});
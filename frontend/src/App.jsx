@@ -23,17 +23,20 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { FileText, Download, RefreshCw, AlertCircle, CheckCircle, RotateCcw, Image as ImageIcon } from 'lucide-react';
+import { FileText, Download, RefreshCw, AlertCircle, CheckCircle, RotateCcw, Image as ImageIcon, XCircle } from 'lucide-react';
 import logo from './assets/logo.png';
 import { motion, AnimatePresence } from 'framer-motion';
 
-import UploadArea from './components/UploadArea';
-import ToolConfig from './components/ToolConfig';
+import UploadArea, { isImageFile, isOfficeFile } from './components/UploadArea';
+import ValidationReport from './components/ValidationReport';
+import ToolConfig, { PDF_FORMATS } from './components/ToolConfig';
 import FAQ from './components/FAQ';
 import Preview from './components/Preview';
 import ThemeToggle from './components/ThemeToggle';
 import InteractiveBackground from './components/InteractiveBackground';
-import { uploadFile, compressFile, mergeFiles, convertImagesToPdf, splitFile, organiseFile, rotateFile, pdfToWord } from './api';
+import { toPipelineSteps } from './components/PipelineBuilder';
+import { parsePageRange } from './components/PageGrid';
+import { checkSubmission, removeBlankPages, convertToPdfA, convertToGrayscale, imposeFile, changePageSize, compressFile, mergeFiles, renameFile, batchRenameFiles, convertImagesToPdf, splitFile, organiseFile, rotateFile, convertPdf, pdfToImages, runPipeline, unlockFile, protectFile, watermarkFile, addHeaderFooter, createCoverPage, ocrFile, officeToPdf, fetchResultFile, setDocumentPassword, cancelJob } from './api';
 
 const App = () => {
     // --------------------------------------------------------------------------------------------
@@ -44,17 +47,45 @@ const App = () => {
     const [files, setFiles] = useState([]);
     
     // UI State Machine: Controls which 'Tool' is active
-    // Options: 'compress' | 'merge' | 'split' | 'organise' | 'image-to-pdf'
+    // Options: 'compress' | 'merge' | 'split' | 'organise' | 'image-to-pdf' | 'watermark' | 'pipeline' | ...
     const [mode, setMode] = useState('compress'); 
     
     // Configuration Object: Stores settings for ALL tools.
     // *Design Decision*: Centralizing config prevents data loss when switching tabs.
     const [config, setConfig] = useState({ 
         targetSize: 200 * 1024, 
-        split: { pages: '' },
+        rasterize: { enabled: false, dpi: 100, color: 'gray' },
+        grayscaleFirst: false, // Compress: convert colours to gray before the preset search
+        imageToPdf: { pageSize: 'a4', orientation: 'auto', margin: 10, fit: 'fit', columns: 1, rows: 1, scan: false, autoCrop: true, perspective: true, deskew: true, scanFilter: 'gray', ocr: false, ocrLanguages: 'eng' },
+        merge: { pageSize: '' }, // '' keeps every page's own size
+        split: { mode: 'extract', pages: '', every: 2, ranges: '', maxSizeMb: 5 },
         organise: { pageOrder: '' },
-        rotate: { rotations: '{}' }
+        rotate: { rotations: '{}' },
+        blankPages: { sensitivity: 5, keep: '', detection: null }, // `keep` = selected pages; `detection` from /detect-blank
+        pipeline: { steps: [] },
+        password: '', // Used by every tool when the input PDF is locked
+        unlock: { password: '' },
+        protect: { userPassword: '', ownerPassword: '', allowPrinting: true, allowCopying: true, allowModifying: true, allowAnnotating: true },
+        details: { rollNo: '', subject: '', type: '', date: '', name: '', institution: '', course: '', submittedTo: '' }, // Shared submission fields (see SubmissionDetails)
+        cover: { layout: 'classic' },
+        headerFooter: { header: '', footer: '{rollNo} | {subject} | Page {n} of {total}', font: 'helvetica', fontSize: 10, margin: 24, align: 'center', startNumber: 1, skipPages: '' },
+        watermark: { type: 'text', text: 'DRAFT', logo: null, opacity: 0.3, rotation: 0, fontSize: 48, logoScale: 30, color: '#808080', position: 'diagonal', tile: false, pages: '' },
+        ocr: { languages: 'eng', pages: '', force: false },
+        pdfa: { level: '2b' },
+        grayscale: { mode: 'gray', threshold: 50, pages: '' },
+        pageSize: { operation: 'resize', pageSize: 'a4', orientation: 'auto', margin: 10, box: null, padding: 3, pages: '' },
+        impose: { layout: 'nup', pagesPerSheet: 2, pageSize: 'a4', gutter: 5, border: false },
+        convertPdf: { format: 'docx' },
+        pdfToImages: { format: 'png', dpi: 150, pages: '' },
+        rename: { template: '{rollNo}_{subject}_{type}_{date}', case: 'keep', separator: '_', transliterate: true, startNumber: 1 },
+        check: { profile: 'university-portal' }
     });
+
+    // Keep the API layer's locked-PDF password in sync with the form
+    useEffect(() => setDocumentPassword(config.password), [config.password]);
+
+    // A report (and its fix plan) only applies to the profile it was made for
+    useEffect(() => setValidation(null), [config.check.profile]);
     
     // Theme Management
     const [theme, setTheme] = useState(localStorage.getItem('theme') || 'light');
@@ -73,9 +104,11 @@ const App = () => {
     // Request/Response Lifecycle State
     const [processing, setProcessing] = useState(false); // Validates async state
     const [processingStep, setProcessingStep] = useState('Starting...'); // 3️⃣ Lifecycle State Text
+    const [activeJob, setActiveJob] = useState(null); // { id, stage, percent } of the running background job
     const [result, setResult] = useState(null); // Stores server response (download URL)
     const [error, setError] = useState(null); // Error boundary message
-    const [validation, setValidation] = useState(null); // Metadata from /validate endpoint
+    const [errorDetails, setErrorDetails] = useState(null); // Tool diagnostics (e.g. LibreOffice output) for `error`
+    const [validation, setValidation] = useState(null); // Profile check report from /validate (findings + fixPlan)
 
     // --------------------------------------------------------------------------------------------
     // HANDLERS
@@ -96,72 +129,131 @@ const App = () => {
         setFiles(prev => [...prev, ...taggedFiles]);
         setResult(null); // Reset previous results on new input
         setError(null);
+        setValidation(null);
         
         // LOGIC: Auto-detect user intent
         // 1. If Image -> Switch to Converter
-        // 2. If Multiple Files -> Switch to Merger
-        const isImage = newFiles.some(f => f.type.startsWith('image/'));
+        // 2. If Office Document -> Switch to Office Converter
+        // 3. If Multiple Files -> Switch to Merger
+        const isImage = newFiles.some(isImageFile);
         if (isImage) {
             setMode('image-to-pdf');
+        } else if (newFiles.some(isOfficeFile)) {
+            setMode('office-to-pdf');
         } else if (files.length > 0 || newFiles.length > 1) {
             if (mode !== 'image-to-pdf') setMode('merge');
         }
     };
 
     /**
-     * Calls backend to "check" file health (Encryption, Size, etc.)
-     * Does not block UI, but improves User Trust with status badges.
+     * Checks a PDF against the selected submission profile (size, pages, filename, colour...).
+     * The submission details go along so the server can plan the rename/metadata fixes.
      */
-    const validateFile = async (file) => {
-        try {
-            const data = await uploadFile(file);
-            setValidation(data);
-        } catch (err) {
-            console.error('Validation Warning:', err);
-            // We silent fail validation generally as it's non-blocking
-        }
-    };
+    const validateFile = (file, onJobUpdate) => checkSubmission(file, { ...config.details, profile: config.check.profile }, onJobUpdate);
 
     /**
      * Main Action Dispatcher.
      * Routes the current `mode` + `files` + `config` to the correct API endpoint.
-     */
-    /**
-     * Main Action Dispatcher.
-     * Routes the current `mode` + `files` + `config` to the correct API endpoint.
+     * Every tool runs as a background job; `onJobUpdate` mirrors the server's real stage text.
      */
     const handleProcess = async () => {
-        if (files.length === 0) return;
+        if (files.length === 0 && mode !== 'cover-page') return; // Covers can be made from scratch
         
         setProcessing(true);
         setProcessingStep('Uploading...'); // Initial Step
         setError(null);
-        
-        // Simulated Lifecycle Progress (since backend is fast/opaque)
-        const progressTimer = setTimeout(() => setProcessingStep('Processing...'), 1500);
+        setErrorDetails(null);
+
+        const onJobUpdate = (job) => {
+            setActiveJob(job);
+            if (job.stage) setProcessingStep(job.percent != null ? `${job.stage} (${job.percent}%)` : job.stage);
+        };
 
         try {
             let res;
             // Strategy Pattern: execution logic depends on `mode` string
             if (mode === 'compress') {
-                res = await compressFile(files[0], config.targetSize);
+                const rasterOptions = config.rasterize.enabled
+                    ? { rasterize: true, rasterDpi: config.rasterize.dpi, rasterColor: config.rasterize.color }
+                    : {};
+                res = await compressFile(files[0], config.targetSize, { ...rasterOptions, grayscaleFirst: config.grayscaleFirst }, onJobUpdate);
                 if(res.warning) setError(res.warning); 
             } else if (mode === 'merge') {
-                setProcessingStep('Merging...');
-                res = await mergeFiles(files);
+                res = await mergeFiles(files, config.merge, onJobUpdate);
+            } else if (mode === 'rename') {
+                const { startNumber, ...renameOptions } = config.rename;
+                res = files.length > 1
+                    ? await batchRenameFiles(files, { ...config.details, ...renameOptions, startNumber }, onJobUpdate)
+                    : await renameFile(files[0], { ...config.details, ...renameOptions }, onJobUpdate);
+                if (res.warning) setError(res.warning); // Duplicate names that had to be numbered
             } else if (mode === 'image-to-pdf') {
-                setProcessingStep('Converting...');
-                res = await convertImagesToPdf(files);
+                res = await convertImagesToPdf(files, config.imageToPdf, onJobUpdate);
+                if (res.warning) setError(res.warning); // Lists files that couldn't be used
             } else if (mode === 'split') {
-                setProcessingStep('Splitting...');
-                res = await splitFile(files[0], config.split.pages);
+                res = await splitFile(files[0], config.split, onJobUpdate);
+                if (res.warning) setError(res.warning);
             } else if (mode === 'organise') {
-                res = await organiseFile(files[0], config.organise.pageOrder);
+                res = await organiseFile(files[0], config.organise.pageOrder, onJobUpdate);
+            } else if (mode === 'remove-blank') {
+                res = await removeBlankPages(files[0], { pages: blankPagesToRemove.join(', ') }, onJobUpdate);
             } else if (mode === 'rotate') {
-                res = await rotateFile(files[0], JSON.parse(config.rotate.rotations));
-            } else if (mode === 'pdf-to-word') {
-                setProcessingStep('Converting to Word...');
-                res = await pdfToWord(files[0]);
+                res = await rotateFile(files[0], JSON.parse(config.rotate.rotations), onJobUpdate);
+            } else if (mode === 'convert-pdf') {
+                res = await convertPdf(files[0], config.convertPdf.format, onJobUpdate);
+            } else if (mode === 'pdf-to-images') {
+                res = await pdfToImages(files[0], config.pdfToImages, onJobUpdate);
+            } else if (mode === 'office-to-pdf') {
+                // Each document is swapped for its PDF in place, so the list feeds straight into other tools
+                const documents = files.filter(isOfficeFile);
+                const converted = [];
+                for (const file of files) {
+                    if (!isOfficeFile(file)) {
+                        converted.push(file);
+                        continue;
+                    }
+                    const position = documents.indexOf(file) + 1;
+                    res = await officeToPdf(file, (job) => onJobUpdate(documents.length > 1 && job.stage
+                        ? { ...job, stage: `Document ${position}/${documents.length}: ${job.stage}` }
+                        : job));
+                    const pdf = await fetchResultFile(res.url, `${file.name.replace(/\.[^.]+$/, '')}.pdf`);
+                    pdf.id = crypto.randomUUID();
+                    converted.push(pdf);
+                }
+                setFiles(converted);
+                if (converted.length > 1) {
+                    setMode('merge'); // Several PDFs now: the usual next step
+                    res = null;
+                }
+            } else if (mode === 'unlock') {
+                res = await unlockFile(files[0], config.unlock.password, onJobUpdate);
+            } else if (mode === 'protect') {
+                res = await protectFile(files[0], config.protect, onJobUpdate);
+            } else if (mode === 'watermark') {
+                const { type, text, logo, ...stampOptions } = config.watermark;
+                res = await watermarkFile(files[0], type === 'image' ? { ...stampOptions, logo } : { ...stampOptions, text }, onJobUpdate);
+            } else if (mode === 'header-footer') {
+                res = await addHeaderFooter(files[0], { ...config.details, ...config.headerFooter }, onJobUpdate);
+                if (res.warning) setError(res.warning); // Transliterated non-Latin text
+            } else if (mode === 'cover-page') {
+                res = await createCoverPage(files[0], { ...config.details, ...config.cover }, onJobUpdate);
+                if (res.warning) setError(res.warning); // Transliterated non-Latin details
+            } else if (mode === 'ocr') {
+                res = await ocrFile(files[0], config.ocr, onJobUpdate);
+                if (res.warning) setError(res.warning); // Low-confidence pages
+            } else if (mode === 'grayscale') {
+                res = await convertToGrayscale(files[0], config.grayscale, onJobUpdate);
+            } else if (mode === 'page-size') {
+                res = await changePageSize(files[0], config.pageSize, onJobUpdate);
+            } else if (mode === 'impose') {
+                res = await imposeFile(files[0], config.impose, onJobUpdate);
+            } else if (mode === 'pdfa') {
+                res = await convertToPdfA(files[0], config.pdfa.level, onJobUpdate);
+                if (!res.conformance.compliant) setError(res.message); // Details are listed with the result
+            } else if (mode === 'pipeline') {
+                res = await runPipeline(files, toPipelineSteps(config.pipeline.steps, config.details), onJobUpdate);
+            } else if (mode === 'validate') {
+                setValidation(await validateFile(files[0], onJobUpdate));
+                res = null; // The report replaces the download panel
             }
             
             setProcessingStep('Finalizing...');
@@ -169,10 +261,13 @@ const App = () => {
             
         } catch (err) {
             console.error(err);
-            // Extract readable message from Axios error object
-            setError(err.response?.data?.error || 'Processing failed');
+            // Extract readable message from Axios error object (or the failed job)
+            if (!err.cancelled) {
+                setError(err.response?.data?.error || err.message || 'Processing failed');
+                setErrorDetails(err.details || err.response?.data?.details || null);
+            }
         } finally {
-            clearTimeout(progressTimer);
+            setActiveJob(null);
             setProcessing(false);
             setProcessingStep('Starting...');
             // UX Polish: Auto-scroll to result
@@ -180,6 +275,63 @@ const App = () => {
         }
     };
 
+    /**
+     * Cancels the running background job. The pending `handleProcess` call then settles
+     * with a `cancelled` error and resets the UI itself.
+     */
+    const handleCancel = async () => {
+        if (!activeJob?.id) return;
+        try {
+            await cancelJob(activeJob.id);
+        } catch (err) {
+            console.error('Cancel failed:', err);
+        }
+    };
+
+    /**
+     * "Fix everything": runs the check's `fixPlan` (compress / metadata / rename) as one pipeline,
+     * swaps the fixed PDF into `files` and checks it again, so the report shows what's left.
+     */
+    const handleFixAll = async () => {
+        setProcessing(true);
+        setProcessingStep('Fixing...');
+        setError(null);
+        setErrorDetails(null);
+
+        const onJobUpdate = (job) => {
+            setActiveJob(job);
+            if (job.stage) setProcessingStep(job.percent != null ? `${job.stage} (${job.percent}%)` : job.stage);
+        };
+
+        try {
+            const res = await runPipeline([files[0]], validation.fixPlan, onJobUpdate);
+            const fixed = await fetchResultFile(res.url, res.filename);
+            fixed.id = crypto.randomUUID();
+            setFiles([fixed, ...files.slice(1)]);
+            setValidation(await validateFile(fixed, onJobUpdate));
+            setResult(res);
+        } catch (err) {
+            console.error(err);
+            if (!err.cancelled) {
+                setError(err.response?.data?.error || err.message || 'Fixing failed');
+                setErrorDetails(err.details || err.response?.data?.details || null);
+            }
+        } finally {
+            setActiveJob(null);
+            setProcessing(false);
+            setProcessingStep('Starting...');
+        }
+    };
+
+    /**
+     * Keeps the converted PDF (already swapped into `files`) and opens the PDF tools on it.
+     */
+    const handleContinue = () => {
+        setResult(null);
+        setError(null);
+        setMode('compress');
+    };
+
     /**
      * Resets the interaction loop to initial state.
      */
@@ -191,6 +343,31 @@ const App = () => {
         setMode('compress');
     };
 
+    // Blank Pages tab: every page the user left deselected (detected blanks start that way)
+    const blankPagesToRemove = (() => {
+        const { detection, keep } = config.blankPages;
+        if (!detection) return [];
+        const kept = parsePageRange(keep);
+        return Array.from({ length: detection.pageCount }, (_, i) => i + 1).filter(page => !kept.has(page));
+    })();
+
+    // Required inputs per tool (the main button stays disabled until they're filled)
+    const canProcess = !processing && !(
+        (mode === 'compress' && !config.targetSize) ||
+        (mode === 'split' && config.split.mode === 'extract' && !config.split.pages) ||
+        (mode === 'split' && config.split.mode === 'ranges' && !config.split.ranges.trim()) ||
+        (mode === 'remove-blank' && (blankPagesToRemove.length === 0 || blankPagesToRemove.length === config.blankPages.detection.pageCount)) ||
+        (mode === 'page-size' && config.pageSize.operation === 'crop' && !config.pageSize.box && !(config.pageSize.margin > 0)) ||
+        (mode === 'pipeline' && config.pipeline.steps.length === 0) ||
+        (mode === 'unlock' && !config.unlock.password) ||
+        (mode === 'watermark' && !(config.watermark.type === 'image' ? config.watermark.logo : config.watermark.text.trim())) ||
+        (mode === 'header-footer' && !config.headerFooter.header.trim() && !config.headerFooter.footer.trim()) ||
+        (mode === 'cover-page' && !Object.values(config.details).some(value => value.trim()))
+    );
+
+    // Per-page OCR results: from the OCR tool, or from image-to-pdf with OCR enabled
+    const ocrPages = result?.ocr?.pages || (mode === 'ocr' ? result?.pages : null);
+
     // --------------------------------------------------------------------------------------------
     // RENDER
     // --------------------------------------------------------------------------------------------
@@ -238,7 +415,17 @@ const App = () => {
                     <div className="glass-card p-1 rounded-3xl dark:bg-slate-900/50 dark:border-slate-700">
                          <div className="p-6">
                              {files.length === 0 ? (
-                                <UploadArea onFilesSelected={handleFilesSelected} processing={processing} />
+                                <>
+                                    <UploadArea onFilesSelected={handleFilesSelected} processing={processing} />
+                                    {mode !== 'cover-page' && (
+                                        <button 
+                                            onClick={() => setMode('cover-page')}
+                                            className="mt-4 w-full text-sm font-medium text-blue-600 dark:text-blue-400 hover:underline"
+                                        >
+                                            No PDF yet? Create a standalone cover page →
+                                        </button>
+                                    )}
+                                </>
                              ) : (
                                 // File List View
                                 <div className="space-y-4">
@@ -263,7 +450,7 @@ const App = () => {
                                                 className="flex items-center gap-3 p-3 bg-white dark:bg-slate-800 rounded-xl border border-gray-100 dark:border-slate-700 shadow-sm"
                                             >
                                                 {/* Icon determination logic */}
-                                                {f.type.startsWith('image/') ? (
+                                                {isImageFile(f) ? (
                                                     <div className="p-2 bg-purple-50 dark:bg-purple-900/30 rounded-lg">
                                                         <ImageIcon size={20} className="text-purple-500 dark:text-purple-400" />
                                                     </div>
@@ -288,7 +475,7 @@ const App = () => {
                     {/* Conditionally rendered only when files exist */}
                     {/* SECTION 2: Tool Configuration Panel */}
                     {/* Conditionally rendered only when files exist */}
-                    {files.length > 0 && (
+                    {(files.length > 0 || mode === 'cover-page') && (
                         <ToolConfig 
                             mode={mode} 
                             setMode={setMode} 
@@ -303,18 +490,15 @@ const App = () => {
                     {/* SECTION 3: Action Trigger */}
                     {/* SECTION 3: Action Trigger */}
                     {/* Dynamic Primary Action Button & Lifecycle States */}
-                    {files.length > 0 && !result && (
+                    {(files.length > 0 || mode === 'cover-page') && !result && (
                         <div className="space-y-3">
                             <motion.button
                                 initial={{ opacity: 0 }} animate={{ opacity: 1 }}
                                 onClick={handleProcess}
-                                disabled={processing || 
-                                    (mode === 'compress' && !config.targetSize) ||
-                                    (mode === 'split' && !config.split.pages)
-                                }
+                                disabled={!canProcess}
                                 className={`
                                     w-full py-4 rounded-2xl text-white font-bold text-lg shadow-lg flex items-center justify-center gap-2 transition-all transform active:scale-[0.99]
-                                    ${processing || (mode === 'compress' && !config.targetSize) || (mode === 'split' && !config.split.pages)
+                                    ${!canProcess
                                         ? 'bg-slate-300 dark:bg-slate-700 cursor-not-allowed' 
                                         : 'bg-gradient-to-r from-blue-600 to-indigo-600 hover:shadow-blue-500/25 hover:shadow-xl'
                                     }
@@ -323,7 +507,7 @@ const App = () => {
                                 {processing ? (
                                     <>
                                         <RefreshCw className="animate-spin" /> 
-                                        {/* Simulated Lifecycle State */}
+                                        {/* Live Job Stage (from server events) */}
                                         <span className="animate-pulse">
                                             {processingStep || 'Processing...'}
                                         </span>
@@ -336,11 +520,47 @@ const App = () => {
                                          mode === 'split' ? 'Split PDF' :
                                          mode === 'organise' ? 'Save New Order' :
                                          mode === 'rotate' ? 'Save Rotation' :
+                                         mode === 'remove-blank' ? `Remove ${blankPagesToRemove.length} Page${blankPagesToRemove.length === 1 ? '' : 's'}` :
                                          mode === 'image-to-pdf' ? 'Convert to PDF' :
-                                         mode === 'pdf-to-word' ? 'Convert to Word' : 'Process Files'}
+                                         mode === 'convert-pdf' ? `Convert to ${PDF_FORMATS.find(([format]) => format === config.convertPdf.format)?.[1]}` :
+                                         mode === 'pdf-to-images' ? 'Export Images' :
+                                         mode === 'rename' ? (files.length > 1 ? `Rename ${files.length} Files` : 'Rename File') :
+                                         mode === 'office-to-pdf' ? (files.filter(isOfficeFile).length > 1 ? 'Convert Documents' : 'Convert to PDF') :
+                                         mode === 'unlock' ? 'Unlock PDF' :
+                                         mode === 'protect' ? 'Protect PDF' :
+                                         mode === 'watermark' ? 'Add Watermark' :
+                                         mode === 'header-footer' ? 'Add Page Numbers' :
+                                         mode === 'cover-page' ? (files.length ? 'Add Cover Page' : 'Create Cover Page') :
+                                         mode === 'ocr' ? 'Make Searchable' :
+                                         mode === 'grayscale' ? (config.grayscale.mode === 'bw' ? 'Convert to Black & White' : 'Convert to Grayscale') :
+                                         mode === 'page-size' ? (config.pageSize.operation === 'resize' ? `Resize to ${config.pageSize.pageSize.toUpperCase()}` : config.pageSize.operation === 'crop' ? 'Crop Pages' : 'Trim Whitespace') :
+                                         mode === 'impose' ? (config.impose.layout === 'booklet' ? 'Make Booklet' : `Print ${config.impose.pagesPerSheet} per Sheet`) :
+                                         mode === 'pdfa' ? `Convert to PDF/A-${config.pdfa.level}` :
+                                         mode === 'validate' ? (validation ? 'Check Again' : 'Check Submission') :
+                                         mode === 'pipeline' ? `Run ${config.pipeline.steps.length} Steps` : 'Process Files'}
                                     </>
                                 )}
                             </motion.button>
+
+                            {/* Real progress bar + cancel while a background job runs */}
+                            {processing && activeJob && (
+                                <div className="space-y-2">
+                                    {activeJob.percent != null && (
+                                        <div className="h-1.5 w-full bg-gray-200 dark:bg-slate-700 rounded-full overflow-hidden">
+                                            <div 
+                                                className="h-full bg-gradient-to-r from-blue-600 to-indigo-600 transition-all duration-500" 
+                                                style={{ width: `${activeJob.percent}%` }} 
+                                            />
+                                        </div>
+                                    )}
+                                    <button 
+                                        onClick={handleCancel}
+                                        className="mx-auto flex items-center gap-1 text-sm font-medium text-red-500 hover:text-red-700 dark:hover:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30 px-3 py-1.5 rounded-lg transition-colors"
+                                    >
+                                        <XCircle size={14} /> Cancel
+                                    </button>
+                                </div>
+                            )}
                             
                             {/* Trust & Privacy Indicator */}
                             <div className="flex items-center justify-center gap-2 text-xs text-gray-400 dark:text-gray-500">
@@ -350,11 +570,24 @@ const App = () => {
                         </div>
                     )}
 
+                    {/* Profile check + health report: itemised findings, one-click fixes, links to tools */}
+                    {mode === 'validate' && validation && (
+                        <ValidationReport validation={validation} onFix={handleFixAll} fixing={processing} onOpenTool={setMode} />
+                    )}
+
                     {/* SECTION 4: Feedback / Error Boundary */}
                     {error && (
                         <motion.div initial={{ opacity: 0, y: -10 }} animate={{ opacity: 1, y: 0 }} className="p-4 bg-red-50 text-red-600 rounded-xl flex items-center gap-2 border border-red-100">
-                             <AlertCircle size={20} />
-                             <span className="text-sm font-medium">{error}</span>
+                             <AlertCircle size={20} className="shrink-0" />
+                             <div className="min-w-0">
+                                 <span className="text-sm font-medium">{error}</span>
+                                 {errorDetails && (
+                                     <details className="mt-1 text-xs">
+                                         <summary className="cursor-pointer">Technical details</summary>
+                                         <pre className="mt-1 max-h-40 overflow-auto whitespace-pre-wrap break-words">{errorDetails}</pre>
+                                     </details>
+                                 )}
+                             </div>
                         </motion.div>
                     )}
 
@@ -421,6 +654,23 @@ const App = () => {
                                                             </div>
                                                         )}
                                                         
+                                                        {/* Compression settings chosen by the target-size search */}
+                                                        {result.dpi && (
+                                                            <div className="px-3 py-1.5 rounded-full text-xs font-bold bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-400 border border-purple-200 dark:border-purple-800">
+                                                                {result.dpi} DPI · Quality {result.quality}
+                                                            </div>
+                                                        )}
+                                                        {(result.grayscale || ['gray', 'bw'].includes(result.mode)) && (
+                                                            <div className="px-3 py-1.5 rounded-full text-xs font-bold bg-gray-100 dark:bg-slate-700 text-gray-700 dark:text-gray-300 border border-gray-200 dark:border-slate-600">
+                                                                {result.mode === 'bw' ? 'Black & White' : 'Grayscale'}
+                                                            </div>
+                                                        )}
+                                                        {result.rasterized && (
+                                                            <div className="px-3 py-1.5 rounded-full text-xs font-bold bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-400 border border-amber-200 dark:border-amber-800">
+                                                                Rasterized ({result.colorMode})
+                                                            </div>
+                                                        )}
+
                                                         {/* Backend Addition Plan: Add 'pageCount' to response json in /compress endpoint */}
                                                         {result.pageCount && (
                                                             <div className="px-3 py-1.5 rounded-full text-xs font-bold bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-400 border border-blue-200 dark:border-blue-800 flex items-center gap-1">
@@ -433,8 +683,81 @@ const App = () => {
                                         })()}
                                     </div>
 
+                                    {/* Pipeline Step Report */}
+                                    {result.report && (
+                                        <div className="space-y-1 mx-4">
+                                            {result.report.map(step => (
+                                                <div key={step.step} className="flex items-center justify-between text-xs px-3 py-2 rounded-lg bg-gray-50 dark:bg-slate-900/50 border border-gray-100 dark:border-slate-800">
+                                                    <span className="font-semibold text-gray-600 dark:text-gray-300">{step.step}. {step.tool}</span>
+                                                    <span className="text-gray-400">
+                                                        {step.message ? `${step.message} · ` : ''}{(step.outputSize / 1024).toFixed(1)} KB · {step.durationMs} ms
+                                                    </span>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+
+                                    {/* Split Parts (ZIP contents) */}
+                                    {result.manifest && (
+                                        <div className="space-y-1 mx-4">
+                                            {result.manifest.parts.map(part => (
+                                                <div key={part.file} className="flex items-center justify-between text-xs px-3 py-2 rounded-lg bg-gray-50 dark:bg-slate-900/50 border border-gray-100 dark:border-slate-800">
+                                                    <span className="font-semibold text-gray-600 dark:text-gray-300 truncate">{part.file}</span>
+                                                    <span className={part.overLimit ? 'text-red-500 font-semibold' : 'text-gray-400'}>
+                                                        {part.pages.length === 1 ? `p. ${part.pages[0]}` : `pp. ${part.pages[0]}-${part.pages[part.pages.length - 1]}`} · {(part.size / 1024).toFixed(1)} KB
+                                                    </span>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+
+                                    {/* Batch rename: old -> new names */}
+                                    {result.files && (
+                                        <div className="space-y-1 mx-4">
+                                            {result.files.map(file => (
+                                                <div key={file.filename} className="flex items-center justify-between gap-3 text-xs px-3 py-2 rounded-lg bg-gray-50 dark:bg-slate-900/50 border border-gray-100 dark:border-slate-800">
+                                                    <span className="text-gray-400 truncate">{file.original}</span>
+                                                    <span className="font-semibold text-gray-600 dark:text-gray-300 truncate">→ {file.filename}</span>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+
+                                    {/* OCR: per-page confidence */}
+                                    {ocrPages && (
+                                        <div className="space-y-1 mx-4">
+                                            {ocrPages.map(page => (
+                                                <div key={page.page} className="flex items-center justify-between text-xs px-3 py-2 rounded-lg bg-gray-50 dark:bg-slate-900/50 border border-gray-100 dark:border-slate-800">
+                                                    <span className="font-semibold text-gray-600 dark:text-gray-300">Page {page.page}</span>
+                                                    <span className={page.confidence != null && page.confidence < 60 ? 'text-red-500 font-semibold' : 'text-gray-400'}>
+                                                        {page.status === 'skipped' ? page.reason :
+                                                         page.confidence == null ? 'No text found' :
+                                                         `${page.confidence}% confidence · ${page.words} words`}
+                                                    </span>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+
+                                    {/* PDF/A: self-check, plus what Ghostscript had to drop */}
+                                    {result.conformance && (
+                                        <div className="space-y-1 mx-4">
+                                            {result.conformance.checks.map(check => (
+                                                <div key={check.id} className="flex items-center justify-between gap-3 text-xs px-3 py-2 rounded-lg bg-gray-50 dark:bg-slate-900/50 border border-gray-100 dark:border-slate-800">
+                                                    <span className="font-semibold text-gray-600 dark:text-gray-300">{check.label}</span>
+                                                    <span className={check.passed ? 'text-green-600 dark:text-green-400' : 'text-red-500 font-semibold text-right'}>
+                                                        {check.passed ? 'OK' : check.message}
+                                                    </span>
+                                                </div>
+                                            ))}
+                                            {result.warnings?.map(warning => (
+                                                <p key={warning} className="text-xs text-amber-600 dark:text-amber-400 px-3">Ghostscript: {warning}</p>
+                                            ))}
+                                        </div>
+                                    )}
+
                                     {/* Live Preview Component - Proves the file is valid */}
-                                    {result.url && (
+                                    {result.url && result.filename?.toLowerCase().endsWith('.pdf') && (
                                         <div className="rounded-2xl overflow-hidden border border-gray-200 dark:border-slate-700 shadow-inner bg-gray-50 dark:bg-slate-900">
                                             <div className="bg-gray-100 dark:bg-slate-800 px-4 py-2 text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide border-b border-gray-200 dark:border-slate-700">
                                                 Final Document Preview
@@ -451,9 +774,17 @@ const App = () => {
                                             className="block w-full py-4 text-center bg-gray-900 dark:bg-white text-white dark:text-slate-900 rounded-2xl font-bold text-lg hover:opacity-90 transition-all shadow-xl hover:shadow-2xl hover:-translate-y-0.5"
                                         >
                                             <span className="flex items-center justify-center gap-2">
-                                                <Download size={20} /> Download PDF
+                                                <Download size={20} /> Download {result.filename?.split('.').pop().toUpperCase() || 'PDF'}
                                             </span>
                                         </a>
+                                        {mode === 'office-to-pdf' && (
+                                            <button
+                                                onClick={handleContinue}
+                                                className="block w-full py-3 text-center bg-primary/10 dark:bg-primary/20 text-primary dark:text-blue-300 rounded-2xl font-bold hover:bg-primary/20 transition-all"
+                                            >
+                                                Continue with this PDF
+                                            </button>
+                                        )}
                                         <button 
                                             onClick={handleReset} 
                                             className="block w-full text-center py-2 text-sm font-medium text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors"
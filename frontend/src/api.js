@@ -5,79 +5,297 @@ import axios from 'axios';
 const BASE_URL = (import.meta.env.VITE_API_URL || 'http://localhost:5000').replace(/\/$/, '');
 const API_URL = `${BASE_URL}/api`;
 
-export const uploadFile = async (file) => {
+// --------------------------------------------------------------------------------------------
+// Background Jobs
+// Tools are submitted to /api/jobs/<tool>, which answers immediately with a job ID.
+// Real progress then arrives via Server-Sent Events, so long Ghostscript/LibreOffice runs
+// never hit proxy timeouts.
+// --------------------------------------------------------------------------------------------
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+// Optional password for locked PDFs. Sent with every tool so the server can unlock inputs first.
+let documentPassword = '';
+export const setDocumentPassword = (password) => {
+    documentPassword = password || '';
+};
+
+/**
+ * Follows a job until it finishes. Falls back to polling if EventSource is unavailable
+ * or the stream drops (some proxies kill long-lived connections).
+ */
+const waitForJob = (jobId, onUpdate) => new Promise((resolve, reject) => {
+    const settle = (job) => {
+        if (job.status === 'completed') resolve(job.result);
+        else if (job.status === 'cancelled') reject(Object.assign(new Error('Cancelled'), { cancelled: true }));
+        else reject(Object.assign(new Error(job.error || 'Processing failed'), { details: job.details }));
+    };
+
+    const poll = async () => {
+        try {
+            const { data } = await axios.get(`${API_URL}/jobs/${jobId}`);
+            onUpdate?.(data);
+            if (FINISHED.includes(data.status)) settle(data);
+            else setTimeout(poll, 1000);
+        } catch (err) {
+            reject(err);
+        }
+    };
+
+    if (typeof EventSource === 'undefined') return poll();
+
+    const source = new EventSource(`${API_URL}/jobs/${jobId}/events`);
+    source.onmessage = (event) => {
+        const job = JSON.parse(event.data);
+        onUpdate?.(job);
+        if (FINISHED.includes(job.status)) {
+            source.close();
+            settle(job);
+        }
+    };
+    source.onerror = () => {
+        source.close();
+        poll();
+    };
+});
+
+/**
+ * Submits a tool as a background job and resolves with the tool's normal response.
+ * `onUpdate` receives every job snapshot ({ id, status, stage, percent }).
+ */
+export const runJob = async (tool, formData, onUpdate) => {
+    if (documentPassword && !formData.has('password')) formData.append('password', documentPassword);
+    const { data } = await axios.post(`${API_URL}/jobs/${tool}`, formData);
+    onUpdate?.({ id: data.jobId, status: data.status, stage: 'Queued...' });
+    return waitForJob(data.jobId, onUpdate);
+};
+
+export const cancelJob = async (jobId) => {
+    const response = await axios.delete(`${API_URL}/jobs/${jobId}`);
+    return response.data;
+};
+
+// `options` = { profile, ...submission fields }; returns pass/warn/fail `findings` and the `fixPlan` pipeline
+export const checkSubmission = async (file, options, onUpdate) => {
     const formData = new FormData();
     formData.append('file', file);
-    const response = await axios.post(`${API_URL}/validate`, formData);
-    return response.data;
+    Object.keys(options).forEach(key => formData.append(key, options[key]));
+    return runJob('validate', formData, onUpdate);
+};
+
+// Submission profiles (University Portal, Exam Cell...) with their rules
+export const getProfiles = async () => {
+    const { data } = await axios.get(`${API_URL}/profiles`);
+    return data.profiles;
 };
 
-export const compressFile = async (file, targetSize) => {
+// `options` = { rasterize, rasterDpi, rasterColor } for the opt-in last-resort mode
+export const compressFile = async (file, targetSize, options = {}, onUpdate) => {
     const formData = new FormData();
     formData.append('file', file);
     formData.append('targetSize', targetSize);
-    const response = await axios.post(`${API_URL}/compress`, formData);
-    return response.data;
+    Object.keys(options).forEach(key => formData.append(key, options[key]));
+    return runJob('compress', formData, onUpdate);
 };
 
-export const mergeFiles = async (files) => {
+// `options.pageSize` (a4, letter...) puts every page on the same paper
+export const mergeFiles = async (files, options = {}, onUpdate) => {
     const formData = new FormData();
     files.forEach(f => formData.append('files', f));
-    const response = await axios.post(`${API_URL}/merge`, formData);
-    return response.data;
+    if (options.pageSize) formData.append('pageSize', options.pageSize);
+    return runJob('merge', formData, onUpdate);
 };
 
-export const renameFile = async (file, details) => {
+// `details` = submission fields + { template, case, separator, transliterate }
+export const renameFile = async (file, details, onUpdate) => {
     const formData = new FormData();
     formData.append('file', file);
     Object.keys(details).forEach(key => formData.append(key, details[key]));
-    const response = await axios.post(`${API_URL}/rename`, formData);
-    return response.data;
+    return runJob('rename', formData, onUpdate);
+};
+
+// Same options plus `startNumber` for {seq}; returns a ZIP and the `files` it renamed
+export const batchRenameFiles = async (files, details, onUpdate) => {
+    const formData = new FormData();
+    files.forEach(f => formData.append('files', f));
+    Object.keys(details).forEach(key => formData.append(key, details[key]));
+    return runJob('batch-rename', formData, onUpdate);
 };
 // ... existing exports ...
 
-export const convertImagesToPdf = async (files) => {
+// `layout` = { pageSize: 'a4'|'letter'|'original', orientation, margin (mm), fit: 'fit'|'fill'|'stretch', columns, rows }
+// plus scan cleanup: { scan, autoCrop, perspective, deskew, scanFilter: 'bw'|'gray'|'color' }
+// and OCR: { ocr, ocrLanguages: 'eng'|'hin'|'eng+hin' }
+export const convertImagesToPdf = async (files, layout, onUpdate) => {
     const formData = new FormData();
     files.forEach(f => formData.append('files', f));
-    const response = await axios.post(`${API_URL}/image-to-pdf`, formData);
-    return response.data;
+    Object.keys(layout).forEach(key => formData.append(key, layout[key]));
+    return runJob('image-to-pdf', formData, onUpdate);
 };
 
-export const updateMetadata = async (file, metadata) => {
+export const updateMetadata = async (file, metadata, onUpdate) => {
     const formData = new FormData();
     formData.append('file', file);
     Object.keys(metadata).forEach(key => formData.append(key, metadata[key]));
-    const response = await axios.post(`${API_URL}/metadata`, formData);
-    return response.data;
+    return runJob('metadata', formData, onUpdate);
 };
 
-export const splitFile = async (file, pages) => {
+// `options.mode`: 'extract' (uses `pages`) | 'every' | 'single' | 'bookmarks' | 'ranges' | 'size'
+// Every mode except 'extract' returns a ZIP with a `manifest` of the parts
+export const splitFile = async (file, options, onUpdate) => {
     const formData = new FormData();
     formData.append('file', file);
-    formData.append('pages', pages);
-    const response = await axios.post(`${API_URL}/split`, formData);
-    return response.data;
+    Object.keys(options).forEach(key => formData.append(key, options[key]));
+    return runJob('split', formData, onUpdate);
 };
 
-export const organiseFile = async (file, pageOrder) => {
+export const organiseFile = async (file, pageOrder, onUpdate) => {
     const formData = new FormData();
     formData.append('file', file);
     formData.append('pageOrder', pageOrder);
-    const response = await axios.post(`${API_URL}/organise`, formData);
-    return response.data;
+    return runJob('organise', formData, onUpdate);
+};
+
+// `sensitivity` 1-10 (higher also catches near-blank pages); returns per-page `ink` (%) and the `blank` list
+export const detectBlankPages = async (file, sensitivity, onUpdate) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('sensitivity', sensitivity);
+    return runJob('detect-blank', formData, onUpdate);
 };
 
-export const rotateFile = async (file, rotations) => {
+// `options` = { pages: '2, 5' } to remove exactly those, or { sensitivity } to detect on the server
+export const removeBlankPages = async (file, options, onUpdate) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.keys(options).forEach(key => formData.append(key, options[key]));
+    return runJob('remove-blank', formData, onUpdate);
+};
+
+// `level` = '1b' | '2b'; the result carries the self-check (`conformance`) and Ghostscript's `warnings`
+export const convertToPdfA = async (file, level, onUpdate) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('level', level);
+    return runJob('pdfa', formData, onUpdate);
+};
+
+// `options` = { mode: 'gray'|'bw', threshold, pages }
+export const convertToGrayscale = async (file, options, onUpdate) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.keys(options).forEach(key => formData.append(key, options[key]));
+    return runJob('grayscale', formData, onUpdate);
+};
+
+// `options` = { layout: 'nup'|'booklet', pagesPerSheet, pageSize, gutter, border }
+export const imposeFile = async (file, options, onUpdate) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.keys(options).forEach(key => formData.append(key, options[key]));
+    return runJob('impose', formData, onUpdate);
+};
+
+// `options` = { operation: 'resize'|'crop'|'trim', pageSize, orientation, margin, box, padding, pages }
+export const changePageSize = async (file, options, onUpdate) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(options).forEach(([key, value]) => {
+        if (value === null || value === '') return; // e.g. no drawn box: crop by margin
+        formData.append(key, typeof value === 'object' ? JSON.stringify(value) : value);
+    });
+    return runJob('page-size', formData, onUpdate);
+};
+
+export const rotateFile = async (file, rotations, onUpdate) => {
     const formData = new FormData();
     formData.append('file', file);
     formData.append('rotations', JSON.stringify(rotations));
-    const response = await axios.post(`${API_URL}/rotate`, formData);
-    return response.data;
+    return runJob('rotate', formData, onUpdate);
 };
 
-export const pdfToWord = async (file) => {
+// `format`: 'docx' | 'odt' | 'rtf' | 'txt' | 'html' | 'pptx'
+export const convertPdf = async (file, format, onUpdate) => {
     const formData = new FormData();
     formData.append('file', file);
-    const response = await axios.post(`${API_URL}/pdf-to-word`, formData);
-    return response.data;
+    formData.append('format', format);
+    return runJob('convert-pdf', formData, onUpdate);
+};
+
+// Word/PowerPoint/Excel/OpenDocument -> PDF via LibreOffice on the server
+export const officeToPdf = async (file, onUpdate) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return runJob('office-to-pdf', formData, onUpdate);
+};
+
+// Downloads a tool's output as a File, so it can be fed into the next tool
+export const fetchResultFile = async (url, name) => {
+    const { data } = await axios.get(`${BASE_URL}${url}`, { responseType: 'blob' });
+    return new File([data], name, { type: data.type || 'application/pdf' });
+};
+
+// `options` = { format: 'png'|'jpeg', dpi, pages }; one page -> image, several -> ZIP with a `manifest`
+export const pdfToImages = async (file, options, onUpdate) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.keys(options).forEach(key => formData.append(key, options[key]));
+    return runJob('pdf-to-images', formData, onUpdate);
+};
+
+export const unlockFile = async (file, password, onUpdate) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('password', password);
+    return runJob('unlock', formData, onUpdate);
+};
+
+// `options` = { userPassword, ownerPassword, allowPrinting, allowCopying, allowModifying, allowAnnotating }
+export const protectFile = async (file, options, onUpdate) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.keys(options).forEach(key => formData.append(key, options[key]));
+    return runJob('protect', formData, onUpdate);
+};
+
+// `options` = { text | logo (File), opacity, rotation, fontSize, logoScale, color, position, tile, pages }
+export const watermarkFile = async (file, options, onUpdate) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(options).forEach(([key, value]) => {
+        if (value !== null && value !== undefined && value !== '') formData.append(key, value);
+    });
+    return runJob('watermark', formData, onUpdate);
+};
+
+// `options` = { header, footer, rollNo, subject, type, date, font, fontSize, margin, align, startNumber, skipPages }
+export const addHeaderFooter = async (file, options, onUpdate) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.keys(options).forEach(key => formData.append(key, options[key]));
+    return runJob('header-footer', formData, onUpdate);
+};
+
+// `file` is optional: without it the server returns a standalone cover page
+export const createCoverPage = async (file, options, onUpdate) => {
+    const formData = new FormData();
+    if (file) formData.append('file', file);
+    Object.keys(options).forEach(key => formData.append(key, options[key]));
+    return runJob('cover-page', formData, onUpdate);
+};
+
+// `options` = { languages: 'eng' | 'hin' | 'eng+hin', pages, force }; the response lists per-page confidence
+export const ocrFile = async (file, options, onUpdate) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.keys(options).forEach(key => formData.append(key, options[key]));
+    return runJob('ocr', formData, onUpdate);
+};
+
+// Runs an ordered chain of tools server-side, e.g. [{ tool: 'merge' }, { tool: 'compress', options: { targetSize } }]
+export const runPipeline = async (files, steps, onUpdate) => {
+    const formData = new FormData();
+    files.forEach(f => formData.append('files', f));
+    formData.append('steps', JSON.stringify(steps));
+    return runJob('pipeline', formData, onUpdate);
 };
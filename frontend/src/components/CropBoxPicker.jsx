@@ -0,0 +1,100 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as pdfjsLib from 'pdfjs-dist';
+
+import pdfWorker from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorker;
+
+const MIN_SIZE = 0.02; // Ignore clicks without a drag (fraction of the page)
+const clamp = (value) => Math.min(1, Math.max(0, value));
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Draw a crop box on the first page. `box` / `onChange` use fractions of the page as the reader
+ * sees it, from the top-left: { x, y, width, height } (backend/services/pageSizing.js).
+ */
+const CropBoxPicker = ({ file, box, onChange }) => {
+    const canvasRef = useRef(null);
+    const [loading, setLoading] = useState(true);
+    const [drag, setDrag] = useState(null); // { x0, y0, x1, y1 } while drawing
+
+    useEffect(() => {
+        if (!file) return;
+        let cancelled = false;
+        const render = async () => {
+            setLoading(true);
+            const url = URL.createObjectURL(file);
+            try {
+                const pdf = await pdfjsLib.getDocument(url).promise;
+                const page = await pdf.getPage(1);
+                const viewport = page.getViewport({ scale: 0.6 });
+                const canvas = canvasRef.current;
+                if (cancelled || !canvas) return;
+                canvas.width = viewport.width;
+                canvas.height = viewport.height;
+                await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+            } finally {
+                URL.revokeObjectURL(url);
+                if (!cancelled) setLoading(false);
+            }
+        };
+        render();
+        return () => { cancelled = true; };
+    }, [file]);
+
+    const pointAt = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        return { x: clamp((e.clientX - rect.left) / rect.width), y: clamp((e.clientY - rect.top) / rect.height) };
+    };
+
+    const start = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        const { x, y } = pointAt(e);
+        setDrag({ x0: x, y0: y, x1: x, y1: y });
+    };
+    const move = (e) => {
+        if (!drag) return;
+        const { x, y } = pointAt(e);
+        setDrag({ ...drag, x1: x, y1: y });
+    };
+    const end = () => {
+        if (!drag) return;
+        const width = Math.abs(drag.x1 - drag.x0);
+        const height = Math.abs(drag.y1 - drag.y0);
+        if (width >= MIN_SIZE && height >= MIN_SIZE) {
+            onChange({ x: round(Math.min(drag.x0, drag.x1)), y: round(Math.min(drag.y0, drag.y1)), width: round(width), height: round(height) });
+        }
+        setDrag(null);
+    };
+
+    const shown = drag
+        ? { x: Math.min(drag.x0, drag.x1), y: Math.min(drag.y0, drag.y1), width: Math.abs(drag.x1 - drag.x0), height: Math.abs(drag.y1 - drag.y0) }
+        : box;
+
+    return (
+        <div className="flex flex-col items-center gap-2">
+            <div
+                className="relative inline-block cursor-crosshair touch-none select-none border border-gray-200 dark:border-slate-700 shadow-sm"
+                onPointerDown={start}
+                onPointerMove={move}
+                onPointerUp={end}
+            >
+                <canvas ref={canvasRef} className="block max-w-full h-auto" />
+                {loading && <div className="absolute inset-0 flex items-center justify-center text-xs text-gray-400 bg-white/80 dark:bg-slate-900/80">Loading page...</div>}
+                {shown && (
+                    <div
+                        className="absolute border-2 border-primary bg-primary/10 pointer-events-none"
+                        style={{ left: `${shown.x * 100}%`, top: `${shown.y * 100}%`, width: `${shown.width * 100}%`, height: `${shown.height * 100}%` }}
+                    />
+                )}
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+                {box ? 'Drag again to redraw. The same box is used on every selected page.' : 'Drag on the page to draw the area to keep.'}
+                {box && (
+                    <button type="button" onClick={() => onChange(null)} className="ml-2 font-semibold text-primary hover:underline">Clear</button>
+                )}
+            </p>
+        </div>
+    );
+};
+
+export default CropBoxPicker;
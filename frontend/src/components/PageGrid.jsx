@@ -10,7 +10,7 @@ import pdfWorker from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
 pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorker;
 
 // --- Helper: Parse Ranges like "1-3, 5" into [1, 2, 3, 5] ---
-const parsePageRange = (input) => {
+export const parsePageRange = (input) => {
     if (!input) return new Set();
     const result = new Set();
     try {
@@ -61,7 +61,8 @@ const SortablePage = ({ page, onRemove }) => {
 };
 
 // --- Main Grid ---
-const PageGrid = ({ file, mode, onChange, initialSelection }) => {
+// `labels` (optional, split mode): { [pageNum]: 'Blank · 0.1% ink' } shown under the thumbnail
+const PageGrid = ({ file, mode, onChange, initialSelection, labels }) => {
     const [pages, setPages] = useState([]); 
     const [loading, setLoading] = useState(true);
     const [selected, setSelected] = useState(new Set());
@@ -236,6 +237,11 @@ const PageGrid = ({ file, mode, onChange, initialSelection }) => {
                         <p className={`text-center text-xs font-medium mt-2 ${isSelected ? 'text-primary dark:text-blue-400' : 'text-gray-400 dark:text-gray-500'}`}>
                             Page {page.pageNum}
                         </p>
+                        {labels?.[page.pageNum] && (
+                            <p className="text-center text-[10px] text-amber-600 dark:text-amber-400 mt-0.5">
+                                {labels[page.pageNum]}
+                            </p>
+                        )}
                     </div>
                 );
             })}
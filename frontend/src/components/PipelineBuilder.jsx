@@ -0,0 +1,250 @@
+import React, { useState } from 'react';
+import { ArrowUp, ArrowDown, X, Plus, Save, Layers } from 'lucide-react';
+import { parsePageRange } from './PageGrid';
+
+// Tools that can be chained, with the fields each step asks for
+const STEP_TYPES = {
+    'merge': { label: 'Merge', fields: [], firstOnly: true },
+    'image-to-pdf': { label: 'Images > PDF', fields: [], firstOnly: true },
+    'office-to-pdf': { label: 'Office > PDF', fields: [], firstOnly: true },
+    'page-size': { label: 'Page Size', fields: [
+        { key: 'pageSize', placeholder: 'Resize to: a4, letter, a3, a5, legal' },
+        { key: 'pages', placeholder: 'Pages (blank = all)' }
+    ] },
+    'rotate': { label: 'Rotate', fields: [
+        { key: 'pages', placeholder: 'Pages e.g. 1, 3-4' },
+        { key: 'angle', placeholder: 'Angle (90/180/270)', type: 'number' }
+    ] },
+    'split': { label: 'Extract Pages', fields: [{ key: 'pages', placeholder: 'e.g. 1-5, 8' }] },
+    'organise': { label: 'Reorder', fields: [{ key: 'pageOrder', placeholder: 'e.g. 2, 1, 3' }] },
+    'remove-blank': { label: 'Remove Blank Pages', fields: [{ key: 'sensitivity', placeholder: 'Sensitivity 1-10 (default 5)', type: 'number' }] },
+    'grayscale': { label: 'Grayscale', fields: [
+        { key: 'mode', placeholder: 'gray or bw (default gray)' },
+        { key: 'pages', placeholder: 'Pages (blank = all)' }
+    ] },
+    'compress': { label: 'Compress', fields: [{ key: 'targetSizeKb', placeholder: 'Target KB e.g. 200', type: 'number' }] },
+    'metadata': { label: 'Metadata', fields: [
+        { key: 'title', placeholder: 'Title' },
+        { key: 'author', placeholder: 'Author' },
+        { key: 'subject', placeholder: 'Subject' }
+    ] },
+    'pdfa': { label: 'PDF/A', fields: [{ key: 'level', placeholder: 'Level: 1b or 2b (default 2b)' }] },
+    'impose': { label: 'N-up / Booklet', fields: [
+        { key: 'pagesPerSheet', placeholder: 'Pages per sheet: 2, 4, 6 or 9', type: 'number' },
+        { key: 'layout', placeholder: 'nup or booklet (default nup)' }
+    ] },
+    'watermark': { label: 'Watermark', fields: [
+        { key: 'text', placeholder: 'Text e.g. DRAFT' },
+        { key: 'pages', placeholder: 'Pages (blank = all)' }
+    ] },
+    'header-footer': { label: 'Page Numbers', fields: [
+        { key: 'footer', placeholder: 'e.g. {rollNo} | Page {n} of {total}' },
+        { key: 'skipPages', placeholder: 'Skip pages e.g. 1' },
+        { key: 'rollNo', placeholder: 'Roll No' },
+        { key: 'subject', placeholder: 'Subject' }
+    ] },
+    'cover-page': { label: 'Cover Page', fields: [
+        { key: 'subject', placeholder: 'Subject' },
+        { key: 'type', placeholder: 'Type (Lab/Assignment)' },
+        { key: 'name', placeholder: 'Student Name' },
+        { key: 'rollNo', placeholder: 'Roll No' }
+    ] },
+    'ocr': { label: 'OCR (searchable)', fields: [
+        { key: 'languages', placeholder: 'Languages: eng, hin or eng+hin' }
+    ] },
+    'rename': { label: 'Rename', fields: [
+        { key: 'template', placeholder: 'Template e.g. {rollNo}_{subject}_{date:YYYYMMDD}' },
+        { key: 'rollNo', placeholder: 'Roll No' },
+        { key: 'subject', placeholder: 'Subject' },
+        { key: 'type', placeholder: 'Type (Lab/Assignment)' },
+        { key: 'date', placeholder: 'Date', type: 'date' }
+    ] }
+};
+
+// Shipped example so the tab is useful on first visit
+const BUILT_IN_CHAINS = [
+    {
+        name: '🎓 Lab Submission',
+        steps: [
+            { tool: 'merge', options: {} },
+            { tool: 'compress', options: { targetSizeKb: 200 } },
+            { tool: 'rename', options: { template: '{rollNo}_{subject}_{date:YYYYMMDD}' } } // Never empty: the date falls back to today
+        ]
+    }
+];
+
+const STORAGE_KEY = 'pipelines';
+
+const loadSavedChains = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+};
+
+// Steps that read the shared submission details (SubmissionDetails)
+export const DETAIL_STEPS = ['rename', 'cover-page', 'header-footer'];
+
+const filledIn = (values) => Object.fromEntries(Object.entries(values).filter(([, value]) => String(value ?? '').trim()));
+
+/**
+ * Converts the builder's form values into the `steps` payload expected by /api/pipeline.
+ * `details` (App `config.details`) fill the submission fields of DETAIL_STEPS; anything
+ * typed into the step itself wins.
+ */
+export const toPipelineSteps = (steps, details = {}) => steps.map(({ tool, options = {} }) => {
+    if (DETAIL_STEPS.includes(tool)) {
+        return { tool, options: { ...filledIn(details), ...filledIn(options) } };
+    }
+    if (tool === 'compress') {
+        return { tool, options: { targetSize: (parseInt(options.targetSizeKb) || 200) * 1024 } };
+    }
+    if (tool === 'rotate') {
+        const angle = parseInt(options.angle) || 90;
+        const rotations = {};
+        parsePageRange(options.pages).forEach(page => { rotations[page] = angle; });
+        return { tool, options: { rotations } };
+    }
+    return { tool, options };
+});
+
+const inputClass = `w-full px-3 py-2 text-sm border rounded-lg focus:ring-2 focus:ring-primary/20 outline-none transition-all placeholder-gray-300 dark:placeholder-gray-600
+                    bg-white dark:bg-slate-800 border-gray-200 dark:border-slate-600 text-gray-800 dark:text-white`;
+
+const iconButtonClass = 'p-1.5 rounded-lg text-gray-400 hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-blue-900/40 disabled:opacity-30 disabled:hover:bg-transparent disabled:cursor-not-allowed transition-colors';
+
+const PipelineBuilder = ({ steps, onChange }) => {
+    const [savedChains, setSavedChains] = useState(loadSavedChains);
+    const [chainName, setChainName] = useState('');
+
+    const persist = (chains) => {
+        setSavedChains(chains);
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(chains));
+    };
+
+    const addStep = (tool) => onChange([...steps, { tool, options: {} }]);
+
+    const updateOption = (index, key, value) => {
+        onChange(steps.map((step, i) => i === index ? { ...step, options: { ...step.options, [key]: value } } : step));
+    };
+
+    const moveStep = (index, direction) => {
+        const newSteps = [...steps];
+        if (index + direction < 0 || index + direction >= newSteps.length) return;
+        [newSteps[index], newSteps[index + direction]] = [newSteps[index + direction], newSteps[index]];
+        onChange(newSteps);
+    };
+
+    const removeStep = (index) => onChange(steps.filter((_, i) => i !== index));
+
+    const saveChain = () => {
+        const name = chainName.trim();
+        if (!name || steps.length === 0) return;
+        persist([...savedChains.filter(c => c.name !== name), { name, steps }]);
+        setChainName('');
+    };
+
+    const deleteChain = (name) => persist(savedChains.filter(c => c.name !== name));
+
+    return (
+        <div className="space-y-4">
+            <div className="p-3 bg-teal-50 dark:bg-teal-900/20 text-teal-800 dark:text-teal-300 rounded-lg text-sm border border-teal-100 dark:border-teal-800">
+                Chain several tools and run them in one go. Each step works on the previous step's output.
+            </div>
+
+            {/* Saved & Built-in Chains */}
+            <div className="flex flex-wrap gap-2">
+                {[...BUILT_IN_CHAINS, ...savedChains].map(chain => (
+                    <span key={chain.name} className="flex items-center gap-1 px-3 py-1.5 bg-blue-50 dark:bg-blue-900/20 text-blue-600 dark:text-blue-300 text-xs font-semibold rounded-full border border-blue-100 dark:border-blue-800">
+                        <button onClick={() => onChange(chain.steps)} className="flex items-center gap-1">
+                            <Layers size={12} /> {chain.name}
+                        </button>
+                        {savedChains.includes(chain) && (
+                            <button onClick={() => deleteChain(chain.name)} className="ml-1 text-blue-300 hover:text-red-500" title="Delete">
+                                <X size={12} />
+                            </button>
+                        )}
+                    </span>
+                ))}
+            </div>
+
+            {/* Step List */}
+            <div className="space-y-2">
+                {steps.length === 0 && (
+                    <p className="text-center text-sm text-gray-400 py-4">No steps yet. Add one below or pick a saved chain.</p>
+                )}
+                {steps.map((step, index) => {
+                    const type = STEP_TYPES[step.tool];
+                    return (
+                        <div key={index} className="p-3 bg-white dark:bg-slate-800 rounded-xl border border-gray-100 dark:border-slate-700 shadow-sm space-y-2">
+                            <div className="flex items-center gap-2">
+                                <span className="w-6 h-6 flex items-center justify-center rounded-full bg-blue-100 dark:bg-blue-900/50 text-blue-700 dark:text-blue-300 text-xs font-bold">{index + 1}</span>
+                                <span className="flex-1 text-sm font-semibold text-gray-700 dark:text-gray-200">{type?.label || step.tool}</span>
+                                <button type="button" onClick={() => moveStep(index, -1)} disabled={index === 0} className={iconButtonClass} title="Move Up">
+                                    <ArrowUp size={16} />
+                                </button>
+                                <button type="button" onClick={() => moveStep(index, 1)} disabled={index === steps.length - 1} className={iconButtonClass} title="Move Down">
+                                    <ArrowDown size={16} />
+                                </button>
+                                <button type="button" onClick={() => removeStep(index)} className="p-1.5 rounded-lg text-gray-400 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/40 transition-colors" title="Remove">
+                                    <X size={16} />
+                                </button>
+                            </div>
+                            {type?.firstOnly && index > 0 && (
+                                <p className="text-xs text-amber-500 font-medium">⚠️ {type.label} must be the first step.</p>
+                            )}
+                            {type?.fields.length > 0 && (
+                                <div className="grid grid-cols-2 gap-2">
+                                    {type.fields.map(field => (
+                                        <input
+                                            key={field.key}
+                                            type={field.type || 'text'}
+                                            className={inputClass}
+                                            placeholder={field.placeholder}
+                                            value={step.options?.[field.key] ?? ''}
+                                            onChange={(e) => updateOption(index, field.key, e.target.value)}
+                                        />
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            {/* Add Step */}
+            <div className="flex flex-wrap gap-2">
+                {Object.entries(STEP_TYPES).map(([tool, type]) => (
+                    <button
+                        key={tool}
+                        onClick={() => addStep(tool)}
+                        className="flex items-center gap-1 px-3 py-1.5 bg-white dark:bg-slate-800 hover:bg-blue-50 dark:hover:bg-blue-900/20 text-gray-600 dark:text-gray-300 text-xs font-semibold rounded-lg border border-gray-200 dark:border-slate-700 transition-all"
+                    >
+                        <Plus size={12} /> {type.label}
+                    </button>
+                ))}
+            </div>
+
+            {/* Save Chain */}
+            <div className="flex gap-2">
+                <input
+                    type="text"
+                    className={inputClass}
+                    placeholder="Name this chain to reuse it later..."
+                    value={chainName}
+                    onChange={(e) => setChainName(e.target.value)}
+                />
+                <button
+                    onClick={saveChain}
+                    disabled={!chainName.trim() || steps.length === 0}
+                    className="flex items-center gap-1 px-4 py-2 bg-blue-600 text-white text-sm font-semibold rounded-lg disabled:opacity-40 disabled:cursor-not-allowed hover:bg-blue-700 transition-colors"
+                >
+                    <Save size={14} /> Save
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default PipelineBuilder;
@@ -0,0 +1,45 @@
+import React from 'react';
+
+// Mirrors backend/utils/submissionFields.js. The first four also make up the filename.
+export const SUBMISSION_FIELDS = [
+    { key: 'rollNo', label: 'Roll No', placeholder: 'e.g. 21CS001' },
+    { key: 'subject', label: 'Subject', placeholder: 'e.g. DBMS' },
+    { key: 'type', label: 'Type', placeholder: 'e.g. Lab, Assignment' },
+    { key: 'date', label: 'Date', type: 'date' },
+    { key: 'name', label: 'Student Name', placeholder: 'e.g. Asha Verma' },
+    { key: 'institution', label: 'Institution', placeholder: 'e.g. IIIT Jabalpur' },
+    { key: 'course', label: 'Course', placeholder: 'e.g. B.Tech CSE, Sem 5' },
+    { key: 'submittedTo', label: 'Submitted To', placeholder: 'e.g. Dr. R. Sharma' }
+];
+
+/**
+ * The name the server gives the file (same rule as `submissionFilename` on the backend).
+ * Preview only covers Latin text: the server transliterates other scripts (आशा -> asha).
+ */
+export const submissionFilename = (details = {}) => {
+    const parts = ['rollNo', 'subject', 'type', 'date'].map(key => (details[key] || '').trim()).filter(Boolean);
+    return parts.length ? `${parts.join('_')}.pdf`.replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_.-]/g, '') : null;
+};
+
+/**
+ * One shared form for "who is submitting what". Lives in App config (`config.details`)
+ * so values typed in one tool are already filled in the next.
+ */
+const SubmissionDetails = ({ details, onChange, inputClass }) => (
+    <div className="grid grid-cols-2 gap-3">
+        {SUBMISSION_FIELDS.map(field => (
+            <div key={field.key}>
+                <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">{field.label}</label>
+                <input
+                    type={field.type || 'text'}
+                    className={inputClass}
+                    placeholder={field.placeholder}
+                    value={details?.[field.key] || ''}
+                    onChange={(e) => onChange({ ...details, [field.key]: e.target.value })}
+                />
+            </div>
+        ))}
+    </div>
+);
+
+export default SubmissionDetails;
@@ -1,6 +1,11 @@
-import React, { useRef } from 'react'; // Added useRef
+import React, { useRef, useState, useEffect } from 'react'; // Added useRef
 import PageGrid from './PageGrid';
-import { FileText, ArrowUp, ArrowDown, X, Plus } from 'lucide-react'; // ➕ Added Plus icon
+import PipelineBuilder, { DETAIL_STEPS } from './PipelineBuilder';
+import CropBoxPicker from './CropBoxPicker';
+import SubmissionDetails, { submissionFilename } from './SubmissionDetails';
+import { isImageFile, isOfficeFile } from './UploadArea';
+import { getProfiles, detectBlankPages } from '../api';
+import { FileText, ArrowUp, ArrowDown, X, Plus, Lock } from 'lucide-react'; // ➕ Added Plus icon
 
 // Simple File Item Component with Move Controls
 const FileItem = ({ file, index, total, onMove, onRemove }) => {
@@ -61,22 +66,156 @@ const FileItem = ({ file, index, total, onMove, onRemove }) => {
     );
 };
 
+// Output formats of the Convert PDF tool (backend PDF_CONVERSIONS): [format, label, hint]
+export const PDF_FORMATS = [
+    ['docx', 'Word', 'Editable document (.docx)'],
+    ['odt', 'OpenDocument', 'LibreOffice/Google Docs friendly (.odt)'],
+    ['rtf', 'RTF', 'Opens in any word processor (.rtf)'],
+    ['txt', 'Text', 'Plain text only, no layout (.txt)'],
+    ['html', 'HTML', 'Web page; images come in a ZIP alongside'],
+    ['pptx', 'PowerPoint', 'One slide per page (.pptx)']
+];
+
+// Filename template tokens (backend/utils/filenameTemplate.js), offered as insert buttons
+const FILENAME_TOKENS = ['{rollNo}', '{name}', '{subject}', '{type}', '{date}', '{date:YYYYMMDD}', '{seq}', '{original}'];
+
+// OCR languages bundled on the server (backend/services/ocr.js)
+const OCR_LANGUAGES = [['eng', 'English'], ['hin', 'Hindi · हिन्दी']];
+
+// PDF/A levels (backend/services/pdfa.js)
+const PDFA_LEVELS = [
+    ['2b', 'PDF/A-2b', 'Recommended. Keeps transparency; what most repositories ask for.'],
+    ['1b', 'PDF/A-1b', 'Oldest and strictest. Only if the portal names it explicitly.']
+];
+
+// Ink-saver modes (backend/services/grayscale.js)
+const GRAYSCALE_MODES = [
+    ['gray', 'Grayscale', 'Colours become shades of gray. Photos and diagrams stay readable.'],
+    ['bw', 'Black & White', 'Pure black on white: cheapest to print, removes light backgrounds and highlighter.']
+];
+
+// Page size operations (backend/services/pageSizing.js)
+const PAGE_SIZE_OPERATIONS = [
+    ['resize', 'Resize', 'Every page on the same paper, content scaled to fit.'],
+    ['crop', 'Crop', 'Cut a margin off every edge, or keep a drawn area.'],
+    ['trim', 'Trim', 'Remove the white space around the content automatically.']
+];
+const PAPER_OPTIONS = [['a4', 'A4'], ['letter', 'Letter'], ['a3', 'A3'], ['a5', 'A5'], ['legal', 'Legal']];
+
+// Print layouts (backend/services/imposition.js)
+const IMPOSE_LAYOUTS = [
+    ['nup', 'N-up', 'Several pages side by side on each sheet. Saves paper for notes and lab manuals.'],
+    ['booklet', 'Booklet', 'Pages reordered so the printout folds into a stapled booklet.']
+];
+
+// Toggle buttons for OCR languages. `value` is "eng", "hin" or "eng+hin"; one always stays on.
+const LanguagePicker = ({ value, onChange }) => {
+    const selected = value.split('+').filter(Boolean);
+    const toggle = (code) => {
+        const next = selected.includes(code) ? selected.filter(c => c !== code) : [...selected, code];
+        if (next.length > 0) onChange(OCR_LANGUAGES.map(([c]) => c).filter(c => next.includes(c)).join('+'));
+    };
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            {OCR_LANGUAGES.map(([code, label]) => (
+                <button
+                    key={code}
+                    type="button"
+                    onClick={() => toggle(code)}
+                    className={`px-3 py-1 rounded-lg border text-xs font-medium transition-all ${selected.includes(code) ? 'border-teal-600 bg-teal-600 text-white' : 'border-gray-200 dark:border-slate-600 text-gray-600 dark:text-gray-400 bg-white dark:bg-slate-800'}`}
+                >
+                    {label}
+                </button>
+            ))}
+        </div>
+    );
+};
+
 const ToolConfig = ({ mode, setMode, config, setConfig, processing, files, setFiles }) => {
     const fileInputRef = useRef(null); // Ref for hidden input
 
     // Logic: Analyze files to determine available tools
     const hasPdf = files?.some(f => f.type === 'application/pdf');
-    const hasImage = files?.some(f => f.type.startsWith('image/'));
+    const hasImage = files?.some(isImageFile);
+    const hasOffice = files?.some(isOfficeFile);
+    const notPdf = hasImage || hasOffice;
 
     const tabs = [
-        { id: 'compress', label: 'Compress', disabled: hasImage }, // Tools for PDF only
-        { id: 'merge', label: 'Merge', disabled: hasImage },       // Merge usually for PDFs
-        { id: 'split', label: 'Split', disabled: hasImage },
-        { id: 'organise', label: 'Organise', disabled: hasImage },
-        { id: 'rotate', label: 'Rotate', disabled: hasImage },
-        { id: 'pdf-to-word', label: 'Pdf > Word', disabled: hasImage },
-        { id: 'image-to-pdf', label: 'Img > PDF', disabled: hasPdf } // Tool for Images only
-    ];
+        { id: 'compress', label: 'Compress', disabled: notPdf }, // Tools for PDF only (Office files must be converted first)
+        { id: 'merge', label: 'Merge', disabled: notPdf },       // Merge usually for PDFs
+        { id: 'split', label: 'Split', disabled: notPdf },
+        { id: 'organise', label: 'Organise', disabled: notPdf },
+        { id: 'rotate', label: 'Rotate', disabled: notPdf },
+        { id: 'page-size', label: 'Page Size', disabled: notPdf },
+        { id: 'remove-blank', label: 'Blank Pages', disabled: notPdf },
+        { id: 'grayscale', label: 'Grayscale', disabled: notPdf },
+        { id: 'impose', label: 'N-up', disabled: notPdf },
+        { id: 'convert-pdf', label: 'Convert PDF', disabled: notPdf },
+        { id: 'pdf-to-images', label: 'Pdf > Images', disabled: notPdf },
+        { id: 'unlock', label: 'Unlock', disabled: notPdf },
+        { id: 'protect', label: 'Protect', disabled: notPdf },
+        { id: 'watermark', label: 'Watermark', disabled: notPdf },
+        { id: 'header-footer', label: 'Page No.', disabled: notPdf },
+        { id: 'cover-page', label: 'Cover Page', disabled: notPdf },
+        { id: 'ocr', label: 'OCR', disabled: notPdf },
+        { id: 'pdfa', label: 'PDF/A', disabled: notPdf },
+        { id: 'image-to-pdf', label: 'Img > PDF', disabled: hasPdf || hasOffice }, // Tool for Images only
+        { id: 'office-to-pdf', label: 'Office > PDF', disabled: !hasOffice || hasImage }, // Converted PDFs replace the documents
+        { id: 'rename', label: 'Rename', disabled: false }, // Any file type; several files = batch ZIP
+        { id: 'validate', label: 'Check', disabled: notPdf }, // Profile rules + health report, one-click fixes
+        { id: 'pipeline', label: 'Pipeline', disabled: false } // Chains work on either
+    ].filter(tab => files?.length || tab.id === 'cover-page'); // Only covers can start from nothing
+
+    // Tools that take PDFs can open locked inputs when given the password
+    const acceptsPassword = hasPdf && !['unlock', 'image-to-pdf'].includes(mode);
+
+    const inputClass = `w-full p-3 border rounded-xl focus:ring-2 focus:ring-primary/20 outline-none transition-all placeholder-gray-300 dark:placeholder-gray-600
+                        bg-white dark:bg-slate-800 border-gray-200 dark:border-slate-600 text-gray-800 dark:text-white`;
+
+    const setImageToPdf = (changes) => setConfig({...config, imageToPdf: {...config.imageToPdf, ...changes}});
+    const setSplit = (changes) => setConfig({...config, split: {...config.split, ...changes}});
+    const setHeaderFooter = (changes) => setConfig({...config, headerFooter: {...config.headerFooter, ...changes}});
+    const setWatermark = (changes) => setConfig({...config, watermark: {...config.watermark, ...changes}});
+    const setPdfToImages = (changes) => setConfig({...config, pdfToImages: {...config.pdfToImages, ...changes}});
+    const setRename = (changes) => setConfig({...config, rename: {...config.rename, ...changes}});
+    const setOcr = (changes) => setConfig({...config, ocr: {...config.ocr, ...changes}});
+    const setPageSize = (changes) => setConfig({...config, pageSize: {...config.pageSize, ...changes}});
+    const setImpose = (changes) => setConfig({...config, impose: {...config.impose, ...changes}});
+    const setGrayscale = (changes) => setConfig({...config, grayscale: {...config.grayscale, ...changes}});
+
+    // Submission profiles come from the server (backend/services/submissionProfiles.js)
+    const [profiles, setProfiles] = useState([]);
+    useEffect(() => {
+        if (mode !== 'validate' || profiles.length) return;
+        getProfiles().then(setProfiles).catch(err => console.error('Profiles unavailable:', err));
+    }, [mode, profiles.length]);
+    const profile = profiles.find(p => p.id === config.check.profile);
+
+    // Blank pages are found on the server (rendered ink coverage) and start deselected in the grid.
+    // Re-detects when the file or sensitivity changes; the delay skips the steps a slider drag passes.
+    const [blankScan, setBlankScan] = useState({ running: false, error: null });
+    const blankFile = mode === 'remove-blank' && !notPdf ? files?.[0] : null;
+    useEffect(() => {
+        if (!blankFile) return;
+        let stale = false;
+        const timer = setTimeout(() => {
+            setBlankScan({ running: true, error: null });
+            setConfig(prev => ({ ...prev, blankPages: { ...prev.blankPages, detection: null } })); // Old result no longer applies
+            detectBlankPages(blankFile, config.blankPages.sensitivity)
+                .then(detection => {
+                    if (stale) return;
+                    const keep = detection.pages.filter(p => !p.blank).map(p => p.page).join(', ');
+                    setConfig(prev => ({ ...prev, blankPages: { ...prev.blankPages, detection, keep } }));
+                    setBlankScan({ running: false, error: null });
+                })
+                .catch(err => !stale && setBlankScan({ running: false, error: err.response?.data?.error || err.message }));
+        }, 400);
+        return () => { stale = true; clearTimeout(timer); };
+    }, [blankFile, config.blankPages.sensitivity, setConfig]);
+    const blankDetection = config.blankPages.detection;
+    const blankLabels = Object.fromEntries((blankDetection?.pages || [])
+        .filter(p => p.blank)
+        .map(p => [p.page, p.ink === null ? 'Blank' : `Blank · ${p.ink}% ink`]));
 
     // File Reordering Logic
     const moveFile = (index, direction) => {
@@ -224,6 +363,58 @@ const ToolConfig = ({ mode, setMode, config, setConfig, processing, files, setFi
                                 )}
                             </div>
                         )}
+
+                        <label className="flex items-start gap-2 text-sm cursor-pointer p-3 rounded-xl border border-gray-100 dark:border-slate-700">
+                            <input
+                                type="checkbox"
+                                className="mt-0.5 accent-primary"
+                                checked={config.grayscaleFirst}
+                                onChange={(e) => setConfig({...config, grayscaleFirst: e.target.checked})}
+                            />
+                            <span>
+                                <span className="font-semibold text-gray-700 dark:text-gray-200">Convert to grayscale first</span>
+                                <span className="block text-xs text-gray-500 dark:text-gray-400">Colour scans often shrink by a third before any quality is lost. Text stays selectable.</span>
+                            </span>
+                        </label>
+
+                        {/* Last Resort: Rasterize (opt-in, text stops being selectable) */}
+                        <div className="p-3 bg-amber-50/60 dark:bg-amber-900/10 rounded-xl border border-amber-100 dark:border-amber-900 space-y-3">
+                            <label className="flex items-start gap-2 text-sm cursor-pointer">
+                                <input 
+                                    type="checkbox" 
+                                    className="mt-0.5 accent-amber-500"
+                                    checked={config.rasterize?.enabled || false}
+                                    onChange={(e) => setConfig({...config, rasterize: {...config.rasterize, enabled: e.target.checked}})}
+                                />
+                                <span>
+                                    <span className="font-semibold text-gray-700 dark:text-gray-200">Rasterize pages if nothing else fits</span>
+                                    <span className="block text-xs text-gray-500 dark:text-gray-400">Turns each page into an image. Text won't be selectable, but large scanned assignments can fit strict limits.</span>
+                                </span>
+                            </label>
+                            {config.rasterize?.enabled && (
+                                <div className="flex flex-wrap gap-2 pl-6">
+                                    {[['gray', 'Grayscale'], ['color', 'Colour']].map(([value, label]) => (
+                                        <button
+                                            key={value}
+                                            onClick={() => setConfig({...config, rasterize: {...config.rasterize, color: value}})}
+                                            className={`px-3 py-1 rounded-lg border text-xs font-medium transition-all ${config.rasterize.color === value ? 'border-amber-500 bg-amber-500 text-white' : 'border-gray-200 dark:border-slate-600 text-gray-600 dark:text-gray-400 bg-white dark:bg-slate-800'}`}
+                                        >
+                                            {label}
+                                        </button>
+                                    ))}
+                                    <div className="w-px bg-gray-200 dark:bg-slate-700 mx-1" />
+                                    {[72, 100, 150].map(dpi => (
+                                        <button
+                                            key={dpi}
+                                            onClick={() => setConfig({...config, rasterize: {...config.rasterize, dpi}})}
+                                            className={`px-3 py-1 rounded-lg border text-xs font-medium transition-all ${config.rasterize.dpi === dpi ? 'border-amber-500 bg-amber-500 text-white' : 'border-gray-200 dark:border-slate-600 text-gray-600 dark:text-gray-400 bg-white dark:bg-slate-800'}`}
+                                        >
+                                            {dpi} DPI
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
                     </div>
                 )}
 
@@ -263,48 +454,261 @@ const ToolConfig = ({ mode, setMode, config, setConfig, processing, files, setFi
                                 />
                             ))}
                         </div>
+
+                        <div className="flex items-center gap-3">
+                            <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Page size</span>
+                            <select
+                                className="flex-1 p-2 border rounded-lg text-sm bg-white dark:bg-slate-800 border-gray-200 dark:border-slate-600 text-gray-700 dark:text-gray-200"
+                                value={config.merge.pageSize}
+                                onChange={(e) => setConfig({...config, merge: { pageSize: e.target.value }})}
+                            >
+                                <option value="">Keep each page's size</option>
+                                {PAPER_OPTIONS.map(([value, label]) => <option key={value} value={value}>Normalise to {label}</option>)}
+                            </select>
+                        </div>
                     </div>
                 )}
 
                 
                 {mode === 'image-to-pdf' && (
-                    <div className="text-center text-gray-500 py-4">
-                        <p>Convert your screenshots or photos into a single PDF.</p>
-                        <p className="text-xs mt-1">Supports JPG, PNG.</p>
+                    <div className="space-y-4">
+                        <div className="text-center text-gray-500 dark:text-gray-400">
+                            <p>Convert your screenshots or photos into a single PDF.</p>
+                            <p className="text-xs mt-1">Supports JPG, PNG, HEIC, WEBP, GIF and multi-page TIFF. Phone photos are turned upright automatically.</p>
+                        </div>
+
+                        {/* Page Setup: one row of choices per option */}
+                        {[
+                            ['pageSize', 'Paper', [['a4', 'A4'], ['letter', 'Letter'], ['original', 'Image Size']]],
+                            ['orientation', 'Orientation', [['auto', 'Auto'], ['portrait', 'Portrait'], ['landscape', 'Landscape']]],
+                            ['fit', 'Image', [['fit', 'Fit (whole image)'], ['fill', 'Fill (crop edges)'], ['stretch', 'Stretch']]],
+                            ['grid', 'Per Page', [['1x1', '1'], ['1x2', '2'], ['2x2', '4'], ['2x3', '6'], ['3x3', '9']]]
+                        ].map(([key, label, choices]) => (
+                            <div key={key} className="flex flex-wrap items-center gap-2">
+                                <span className="w-24 text-sm font-medium text-gray-700 dark:text-gray-300">{label}</span>
+                                {choices.map(([value, text]) => {
+                                    const selected = key === 'grid'
+                                        ? `${config.imageToPdf.columns}x${config.imageToPdf.rows}` === value
+                                        : config.imageToPdf[key] === value;
+                                    const disabled = key !== 'pageSize' && config.imageToPdf.pageSize === 'original';
+                                    return (
+                                        <button
+                                            key={value}
+                                            disabled={disabled}
+                                            onClick={() => {
+                                                const [columns, rows] = value.split('x').map(Number);
+                                                if (key === 'grid') setImageToPdf({ columns, rows });
+                                                else if (value === 'original') setImageToPdf({ pageSize: value, columns: 1, rows: 1 }); // Grids need a paper size
+                                                else setImageToPdf({ [key]: value });
+                                            }}
+                                            className={`px-3 py-1 rounded-lg border text-xs font-medium transition-all disabled:opacity-40 disabled:cursor-not-allowed ${selected ? 'border-purple-600 bg-purple-600 text-white' : 'border-gray-200 dark:border-slate-600 text-gray-600 dark:text-gray-400 bg-white dark:bg-slate-800'}`}
+                                        >
+                                            {text}
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                        ))}
+
+                        <label className="flex items-center gap-3 text-sm text-gray-700 dark:text-gray-300">
+                            <span className="w-24 font-medium">Margin</span>
+                            <input 
+                                type="range" 
+                                className="flex-1 accent-purple-600"
+                                min={0} max={30} step={1}
+                                value={config.imageToPdf.margin}
+                                onChange={(e) => setImageToPdf({ margin: parseInt(e.target.value) })}
+                            />
+                            <span className="w-12 text-right text-gray-400">{config.imageToPdf.margin} mm</span>
+                        </label>
+
+                        {/* Scan Cleanup: phone photo -> flatbed-scan look (see backend/services/scanEnhancer.js) */}
+                        <div className="p-3 bg-purple-50/60 dark:bg-purple-900/10 rounded-xl border border-purple-100 dark:border-purple-900 space-y-3">
+                            <label className="flex items-start gap-2 text-sm cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    className="mt-0.5 accent-purple-600"
+                                    checked={config.imageToPdf.scan}
+                                    onChange={(e) => setImageToPdf({ scan: e.target.checked })}
+                                />
+                                <span>
+                                    <span className="font-semibold text-gray-700 dark:text-gray-200">Clean up phone photos</span>
+                                    <span className="block text-xs text-gray-500 dark:text-gray-400">Removes the table and shadows, straightens the page and shrinks each page to a fraction of the size.</span>
+                                </span>
+                            </label>
+
+                            {config.imageToPdf.scan && (
+                                <>
+                                    <div className="flex flex-wrap gap-x-4 gap-y-2 pl-6">
+                                        {[
+                                            ['autoCrop', 'Crop to paper'],
+                                            ['perspective', 'Fix perspective'],
+                                            ['deskew', 'Straighten text']
+                                        ].map(([key, label]) => (
+                                            <label key={key} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                                                <input
+                                                    type="checkbox"
+                                                    className="accent-purple-600"
+                                                    checked={config.imageToPdf[key]}
+                                                    onChange={(e) => setImageToPdf({ [key]: e.target.checked })}
+                                                />
+                                                {label}
+                                            </label>
+                                        ))}
+                                    </div>
+                                    <div className="flex flex-wrap items-center gap-2 pl-6">
+                                        <span className="text-sm font-medium text-gray-700 dark:text-gray-300 mr-1">Filter</span>
+                                        {[
+                                            ['bw', 'Black & White'],
+                                            ['gray', 'Grayscale'],
+                                            ['color', 'Colour']
+                                        ].map(([value, text]) => (
+                                            <button
+                                                key={value}
+                                                onClick={() => setImageToPdf({ scanFilter: value })}
+                                                className={`px-3 py-1 rounded-lg border text-xs font-medium transition-all ${config.imageToPdf.scanFilter === value ? 'border-purple-600 bg-purple-600 text-white' : 'border-gray-200 dark:border-slate-600 text-gray-600 dark:text-gray-400 bg-white dark:bg-slate-800'}`}
+                                            >
+                                                {text}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    {config.imageToPdf.scanFilter === 'bw' && (
+                                        <p className="pl-6 text-xs text-gray-500 dark:text-gray-400">Smallest files; best for handwriting and printed text, not for photos or diagrams with shading.</p>
+                                    )}
+                                </>
+                            )}
+                        </div>
+
+                        {/* OCR: invisible text layer so the PDF is searchable */}
+                        <div className="p-3 bg-teal-50/60 dark:bg-teal-900/10 rounded-xl border border-teal-100 dark:border-teal-900 space-y-3">
+                            <label className="flex items-start gap-2 text-sm cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    className="mt-0.5 accent-teal-600"
+                                    checked={config.imageToPdf.ocr}
+                                    onChange={(e) => setImageToPdf({ ocr: e.target.checked })}
+                                />
+                                <span>
+                                    <span className="font-semibold text-gray-700 dark:text-gray-200">Make text searchable (OCR)</span>
+                                    <span className="block text-xs text-gray-500 dark:text-gray-400">Adds an invisible text layer so the PDF can be searched and passes plagiarism checkers. Takes a few seconds per page.</span>
+                                </span>
+                            </label>
+                            {config.imageToPdf.ocr && (
+                                <div className="pl-6">
+                                    <LanguagePicker value={config.imageToPdf.ocrLanguages} onChange={(ocrLanguages) => setImageToPdf({ ocrLanguages })} />
+                                </div>
+                            )}
+                        </div>
                     </div>
                 )}
 
                 {mode === 'split' && (
                     <div className="space-y-4">
                         <div className="p-3 bg-purple-50 dark:bg-purple-900/20 text-purple-800 dark:text-purple-300 rounded-lg text-sm border border-purple-100 dark:border-purple-800">
-                            Extract specific pages or ranges to a new PDF.
+                            {config.split.mode === 'extract'
+                                ? 'Extract specific pages or ranges to a new PDF.'
+                                : 'Split into several PDFs, downloaded together as a ZIP.'}
                         </div>
-                        <div>
-                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Page Ranges</label>
-                            <input 
-                                type="text" 
-                                className="w-full p-3 border rounded-xl focus:ring-2 focus:ring-primary/20 outline-none transition-all placeholder-gray-300 dark:placeholder-gray-600
-                                           bg-white dark:bg-slate-800 border-gray-200 dark:border-slate-600 text-gray-800 dark:text-white"
-                                placeholder="e.g. 1-5, 8, 11-13"
-                                value={config.split?.pages || ''}
-                                onChange={(e) => setConfig({...config, split: {...config.split, pages: e.target.value}})}
-                            />
-                            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2 mb-4">
-                                Click pages below to select, or type ranges above.
-                            </p>
-                            
-                            {/* Visual Selector */}
-                            {files && files.length > 0 && files[0].type === 'application/pdf' && (
-                                <div className="max-h-[400px] overflow-y-auto p-2 border rounded-xl bg-gray-50/50 dark:bg-slate-900/50 border-gray-200 dark:border-slate-700 custom-scrollbar">
-                                    <PageGrid 
-                                        file={files[0]} 
-                                        mode="split" 
-                                        initialSelection={config.split?.pages}
-                                        onChange={(val) => setConfig({...config, split: {...config.split, pages: val}})}
-                                    />
-                                </div>
-                            )}
+
+                        {/* Split Mode */}
+                        <div className="flex flex-wrap gap-2">
+                            {[
+                                ['extract', 'Extract Pages'],
+                                ['ranges', 'Named Ranges'],
+                                ['every', 'Every N Pages'],
+                                ['single', 'Single Pages'],
+                                ['bookmarks', 'By Bookmark'],
+                                ['size', 'By Size']
+                            ].map(([value, label]) => (
+                                <button
+                                    key={value}
+                                    onClick={() => setSplit({ mode: value })}
+                                    className={`px-3 py-1 rounded-lg border text-xs font-medium transition-all ${config.split.mode === value ? 'border-purple-600 bg-purple-600 text-white' : 'border-gray-200 dark:border-slate-600 text-gray-600 dark:text-gray-400 bg-white dark:bg-slate-800'}`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
                         </div>
+
+                        {config.split.mode === 'extract' && (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Page Ranges</label>
+                                <input 
+                                    type="text" 
+                                    className={inputClass}
+                                    placeholder="e.g. 1-5, 8, 11-13"
+                                    value={config.split?.pages || ''}
+                                    onChange={(e) => setSplit({ pages: e.target.value })}
+                                />
+                                <p className="text-xs text-gray-500 dark:text-gray-400 mt-2 mb-4">
+                                    Click pages below to select, or type ranges above.
+                                </p>
+                                
+                                {/* Visual Selector */}
+                                {files && files.length > 0 && files[0].type === 'application/pdf' && (
+                                    <div className="max-h-[400px] overflow-y-auto p-2 border rounded-xl bg-gray-50/50 dark:bg-slate-900/50 border-gray-200 dark:border-slate-700 custom-scrollbar">
+                                        <PageGrid 
+                                            file={files[0]} 
+                                            mode="split" 
+                                            initialSelection={config.split?.pages}
+                                            onChange={(val) => setSplit({ pages: val })}
+                                        />
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        {config.split.mode === 'ranges' && (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Parts</label>
+                                <textarea 
+                                    rows={3}
+                                    className={inputClass}
+                                    placeholder={'Q1:1-3; Q2:4-7\n(one part per line or separated by ";")'}
+                                    value={config.split.ranges}
+                                    onChange={(e) => setSplit({ ranges: e.target.value })}
+                                />
+                                <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                                    The name before ":" becomes the file name, e.g. <span className="font-mono">01_Q1.pdf</span>.
+                                </p>
+                            </div>
+                        )}
+
+                        {config.split.mode === 'every' && (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Pages per File</label>
+                                <input 
+                                    type="number" 
+                                    min={1}
+                                    className={inputClass}
+                                    value={config.split.every}
+                                    onChange={(e) => setSplit({ every: e.target.value })}
+                                />
+                            </div>
+                        )}
+
+                        {config.split.mode === 'size' && (
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Max Size per File (MB)</label>
+                                <input 
+                                    type="number" 
+                                    min={0.1}
+                                    step={0.5}
+                                    className={inputClass}
+                                    value={config.split.maxSizeMb}
+                                    onChange={(e) => setSplit({ maxSizeMb: e.target.value })}
+                                />
+                                <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                                    Handy for email attachment limits (Gmail: 25 MB).
+                                </p>
+                            </div>
+                        )}
+
+                        {config.split.mode === 'bookmarks' && (
+                            <p className="text-sm text-gray-500 dark:text-gray-400">
+                                Each top-level bookmark (e.g. a chapter or question) becomes its own file.
+                            </p>
+                        )}
                     </div>
                 )}
 
@@ -358,10 +762,860 @@ const ToolConfig = ({ mode, setMode, config, setConfig, processing, files, setFi
                     </div>
                 )}
 
-                {mode === 'pdf-to-word' && (
+                {mode === 'remove-blank' && (
+                    <div className="space-y-4">
+                        <div className="p-3 bg-amber-50 dark:bg-amber-900/20 text-amber-800 dark:text-amber-300 rounded-lg text-sm border border-amber-100 dark:border-amber-800">
+                            Finds empty pages, including scans of blank paper, by how much ink each page has. Blank pages start deselected: click a page to keep or remove it.
+                        </div>
+
+                        <label className="flex items-center gap-3 text-sm text-gray-700 dark:text-gray-300">
+                            <span className="w-24 font-medium">Sensitivity</span>
+                            <input
+                                type="range"
+                                className="flex-1 accent-amber-600"
+                                min={1} max={10} step={1}
+                                value={config.blankPages.sensitivity}
+                                onChange={(e) => setConfig({...config, blankPages: {...config.blankPages, sensitivity: parseInt(e.target.value)}})}
+                            />
+                            <span className="w-12 text-right text-gray-400">{config.blankPages.sensitivity}</span>
+                        </label>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                            Low: only truly empty pages. High: also near-blank ones (a stray page number, bleed-through).
+                        </p>
+
+                        {blankScan.running && <p className="text-sm text-gray-400 animate-pulse">Finding blank pages...</p>}
+                        {blankScan.error && <p className="text-sm text-red-500">{blankScan.error}</p>}
+                        {!blankScan.running && blankDetection && (
+                            <p className="text-sm text-gray-600 dark:text-gray-300">
+                                {blankDetection.blank.length === 0
+                                    ? 'No blank pages found.'
+                                    : `${blankDetection.blank.length} blank page${blankDetection.blank.length === 1 ? '' : 's'} found${blankDetection.method === 'render' ? ` (at most ${blankDetection.threshold}% ink)` : ''}.`}
+                                {blankDetection.warning && <span className="block text-xs text-amber-600 dark:text-amber-400 mt-1">{blankDetection.warning}</span>}
+                            </p>
+                        )}
+
+                        {blankFile && (
+                            <div className="max-h-[400px] overflow-y-auto p-2 border rounded-xl bg-gray-50/50 dark:bg-slate-900/50 border-gray-200 dark:border-slate-700 custom-scrollbar">
+                                <PageGrid
+                                    file={blankFile}
+                                    mode="split"
+                                    initialSelection={config.blankPages.keep}
+                                    labels={blankLabels}
+                                    onChange={(keep) => setConfig({...config, blankPages: {...config.blankPages, keep}})}
+                                />
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {mode === 'grayscale' && (
+                    <div className="space-y-4">
+                        <div className="p-3 bg-gray-50 dark:bg-slate-900/40 text-gray-700 dark:text-gray-300 rounded-lg text-sm border border-gray-200 dark:border-slate-700">
+                            Copy shops charge extra for colour pages, and some portals only accept monochrome. Text stays selectable; the size change is shown afterwards.
+                        </div>
+                        <div className="grid grid-cols-2 gap-2">
+                            {GRAYSCALE_MODES.map(([value, label, hint]) => (
+                                <button
+                                    key={value}
+                                    onClick={() => setGrayscale({ mode: value })}
+                                    className={`p-3 rounded-xl border text-left transition-all ${config.grayscale.mode === value ? 'border-primary bg-primary/5 ring-2 ring-primary/20' : 'border-gray-200 dark:border-slate-600 bg-white dark:bg-slate-800'}`}
+                                >
+                                    <span className="block text-sm font-semibold text-gray-800 dark:text-white">{label}</span>
+                                    <span className="block text-xs text-gray-500 dark:text-gray-400 mt-1">{hint}</span>
+                                </button>
+                            ))}
+                        </div>
+
+                        {config.grayscale.mode === 'bw' && (
+                            <div>
+                                <label className="flex items-center gap-3 text-sm text-gray-700 dark:text-gray-300">
+                                    <span className="w-24 font-medium">Threshold</span>
+                                    <input
+                                        type="range"
+                                        className="flex-1 accent-gray-700"
+                                        min={5} max={95} step={5}
+                                        value={config.grayscale.threshold}
+                                        onChange={(e) => setGrayscale({ threshold: parseInt(e.target.value) })}
+                                    />
+                                    <span className="w-12 text-right text-gray-400">{config.grayscale.threshold}%</span>
+                                </label>
+                                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                                    Anything darker turns black. Raise it if faint pencil or light-blue ink disappears.
+                                </p>
+                            </div>
+                        )}
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Pages</label>
+                            <input
+                                type="text"
+                                className={inputClass}
+                                placeholder="All pages (or e.g. 1-3, 7)"
+                                value={config.grayscale.pages}
+                                onChange={(e) => setGrayscale({ pages: e.target.value })}
+                            />
+                            {files && files.length > 0 && files[0].type === 'application/pdf' && (
+                                <div className="mt-4 max-h-[400px] overflow-y-auto p-2 border rounded-xl bg-gray-50/50 dark:bg-slate-900/50 border-gray-200 dark:border-slate-700 custom-scrollbar">
+                                    <PageGrid
+                                        file={files[0]}
+                                        mode="split"
+                                        initialSelection={config.grayscale.pages}
+                                        onChange={(val) => setGrayscale({ pages: val })}
+                                    />
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                )}
+
+                {mode === 'page-size' && (
+                    <div className="space-y-4">
+                        <div className="grid grid-cols-3 gap-2">
+                            {PAGE_SIZE_OPERATIONS.map(([value, label, hint]) => (
+                                <button
+                                    key={value}
+                                    onClick={() => setPageSize({ operation: value })}
+                                    className={`p-3 rounded-xl border text-left transition-all ${config.pageSize.operation === value ? 'border-primary bg-primary/5 ring-2 ring-primary/20' : 'border-gray-200 dark:border-slate-600 bg-white dark:bg-slate-800'}`}
+                                >
+                                    <span className="block text-sm font-semibold text-gray-800 dark:text-white">{label}</span>
+                                    <span className="block text-xs text-gray-500 dark:text-gray-400 mt-1">{hint}</span>
+                                </button>
+                            ))}
+                        </div>
+
+                        {config.pageSize.operation === 'resize' && (
+                            [
+                                ['pageSize', 'Paper', PAPER_OPTIONS],
+                                ['orientation', 'Orientation', [['auto', 'Follow page'], ['portrait', 'Portrait'], ['landscape', 'Landscape']]]
+                            ].map(([key, label, options]) => (
+                                <div key={key} className="flex items-center gap-3">
+                                    <span className="w-24 text-sm font-medium text-gray-700 dark:text-gray-300">{label}</span>
+                                    <div className="flex flex-wrap gap-2">
+                                        {options.map(([value, text]) => (
+                                            <button
+                                                key={value}
+                                                onClick={() => setPageSize({ [key]: value })}
+                                                className={`px-3 py-1 rounded-lg border text-xs font-medium transition-all ${config.pageSize[key] === value ? 'border-primary bg-primary text-white' : 'border-gray-200 dark:border-slate-600 text-gray-600 dark:text-gray-400 bg-white dark:bg-slate-800'}`}
+                                            >
+                                                {text}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                            ))
+                        )}
+
+                        {config.pageSize.operation === 'crop' && (
+                            <>
+                                <label className={`flex items-center gap-3 text-sm text-gray-700 dark:text-gray-300 ${config.pageSize.box ? 'opacity-50' : ''}`}>
+                                    <span className="w-24 font-medium">Margin</span>
+                                    <input
+                                        type="number"
+                                        className={inputClass}
+                                        min={1} max={100}
+                                        value={config.pageSize.margin}
+                                        disabled={Boolean(config.pageSize.box)}
+                                        onChange={(e) => setPageSize({ margin: Number(e.target.value) })}
+                                    />
+                                    <span className="text-gray-400">mm</span>
+                                </label>
+                                {files && files.length > 0 && files[0].type === 'application/pdf' && (
+                                    <CropBoxPicker file={files[0]} box={config.pageSize.box} onChange={(box) => setPageSize({ box })} />
+                                )}
+                            </>
+                        )}
+
+                        {config.pageSize.operation === 'trim' && (
+                            <label className="flex items-center gap-3 text-sm text-gray-700 dark:text-gray-300">
+                                <span className="w-24 font-medium">Keep</span>
+                                <input
+                                    type="range"
+                                    className="flex-1 accent-primary"
+                                    min={0} max={15} step={1}
+                                    value={config.pageSize.padding}
+                                    onChange={(e) => setPageSize({ padding: parseInt(e.target.value) })}
+                                />
+                                <span className="w-20 text-right text-gray-400">{config.pageSize.padding} mm</span>
+                            </label>
+                        )}
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Pages</label>
+                            <input
+                                type="text"
+                                className={inputClass}
+                                placeholder="All pages (or e.g. 1-3, 7)"
+                                value={config.pageSize.pages}
+                                onChange={(e) => setPageSize({ pages: e.target.value })}
+                            />
+                        </div>
+                    </div>
+                )}
+
+                {mode === 'impose' && (
+                    <div className="space-y-4">
+                        <div className="grid grid-cols-2 gap-2">
+                            {IMPOSE_LAYOUTS.map(([value, label, hint]) => (
+                                <button
+                                    key={value}
+                                    onClick={() => setImpose({ layout: value })}
+                                    className={`p-3 rounded-xl border text-left transition-all ${config.impose.layout === value ? 'border-primary bg-primary/5 ring-2 ring-primary/20' : 'border-gray-200 dark:border-slate-600 bg-white dark:bg-slate-800'}`}
+                                >
+                                    <span className="block text-sm font-semibold text-gray-800 dark:text-white">{label}</span>
+                                    <span className="block text-xs text-gray-500 dark:text-gray-400 mt-1">{hint}</span>
+                                </button>
+                            ))}
+                        </div>
+
+                        {config.impose.layout === 'nup' ? (
+                            <div className="flex items-center gap-3">
+                                <span className="w-24 text-sm font-medium text-gray-700 dark:text-gray-300">Per sheet</span>
+                                <div className="flex gap-2">
+                                    {[2, 4, 6, 9].map(count => (
+                                        <button
+                                            key={count}
+                                            onClick={() => setImpose({ pagesPerSheet: count })}
+                                            className={`px-3 py-1 rounded-lg border text-xs font-medium transition-all ${config.impose.pagesPerSheet === count ? 'border-primary bg-primary text-white' : 'border-gray-200 dark:border-slate-600 text-gray-600 dark:text-gray-400 bg-white dark:bg-slate-800'}`}
+                                        >
+                                            {count}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        ) : (
+                            <div className="p-3 bg-blue-50 dark:bg-blue-900/10 text-blue-800 dark:text-blue-300 rounded-lg text-sm border border-blue-100 dark:border-blue-900">
+                                Print double-sided with <span className="font-semibold">flip on short edge</span>, fold the stack in half and staple the spine. Blank pages are added at the end if the page count isn't a multiple of 4.
+                            </div>
+                        )}
+
+                        <div className="flex items-center gap-3">
+                            <span className="w-24 text-sm font-medium text-gray-700 dark:text-gray-300">Paper</span>
+                            <div className="flex gap-2">
+                                {[['a4', 'A4'], ['a3', 'A3'], ['letter', 'Letter']].map(([value, label]) => (
+                                    <button
+                                        key={value}
+                                        onClick={() => setImpose({ pageSize: value })}
+                                        className={`px-3 py-1 rounded-lg border text-xs font-medium transition-all ${config.impose.pageSize === value ? 'border-primary bg-primary text-white' : 'border-gray-200 dark:border-slate-600 text-gray-600 dark:text-gray-400 bg-white dark:bg-slate-800'}`}
+                                    >
+                                        {label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        <label className="flex items-center gap-3 text-sm text-gray-700 dark:text-gray-300">
+                            <span className="w-24 font-medium">Gutter</span>
+                            <input
+                                type="range"
+                                className="flex-1 accent-primary"
+                                min={0} max={20} step={1}
+                                value={config.impose.gutter}
+                                onChange={(e) => setImpose({ gutter: parseInt(e.target.value) })}
+                            />
+                            <span className="w-12 text-right text-gray-400">{config.impose.gutter} mm</span>
+                        </label>
+
+                        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                className="accent-primary"
+                                checked={config.impose.border}
+                                onChange={(e) => setImpose({ border: e.target.checked })}
+                            />
+                            Draw a thin border around each page
+                        </label>
+                    </div>
+                )}
+
+                {mode === 'convert-pdf' && (
+                    <div className="space-y-3">
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Convert to</label>
+                        <div className="grid grid-cols-3 gap-2">
+                            {PDF_FORMATS.map(([format, label]) => (
+                                <button
+                                    key={format}
+                                    onClick={() => setConfig({...config, convertPdf: { format }})}
+                                    className={`px-3 py-2 rounded-lg border text-sm font-medium transition-all ${config.convertPdf.format === format ? 'border-primary bg-primary text-white' : 'border-gray-200 dark:border-slate-600 text-gray-600 dark:text-gray-400 bg-white dark:bg-slate-800'}`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                            {PDF_FORMATS.find(([format]) => format === config.convertPdf.format)?.[2]} · Uses LibreOffice. Scanned PDFs need OCR first to give editable text.
+                        </p>
+                    </div>
+                )}
+
+                {mode === 'pdf-to-images' && (
+                    <div className="space-y-4">
+                        <div className="grid grid-cols-2 gap-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Format</label>
+                                <div className="flex gap-2">
+                                    {[['png', 'PNG'], ['jpeg', 'JPEG']].map(([format, label]) => (
+                                        <button
+                                            key={format}
+                                            onClick={() => setPdfToImages({ format })}
+                                            className={`flex-1 px-3 py-2 rounded-lg border text-sm font-medium transition-all ${config.pdfToImages.format === format ? 'border-primary bg-primary text-white' : 'border-gray-200 dark:border-slate-600 text-gray-600 dark:text-gray-400 bg-white dark:bg-slate-800'}`}
+                                        >
+                                            {label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Resolution</label>
+                                <select
+                                    className={inputClass}
+                                    value={config.pdfToImages.dpi}
+                                    onChange={(e) => setPdfToImages({ dpi: Number(e.target.value) })}
+                                >
+                                    <option value={72}>72 DPI · Screen</option>
+                                    <option value={150}>150 DPI · Standard</option>
+                                    <option value={300}>300 DPI · Print</option>
+                                    <option value={600}>600 DPI · Maximum</option>
+                                </select>
+                            </div>
+                        </div>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                            {config.pdfToImages.format === 'png' ? 'Sharp text and diagrams; larger files.' : 'Smaller files; best for photos and scans.'}
+                        </p>
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Pages</label>
+                            <input
+                                type="text"
+                                className={inputClass}
+                                placeholder="All pages (or e.g. 1-3, 7)"
+                                value={config.pdfToImages.pages}
+                                onChange={(e) => setPdfToImages({ pages: e.target.value })}
+                            />
+                            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2 mb-4">
+                                One page downloads as an image; several come as a ZIP.
+                            </p>
+                            {files && files.length > 0 && files[0].type === 'application/pdf' && (
+                                <div className="max-h-[400px] overflow-y-auto p-2 border rounded-xl bg-gray-50/50 dark:bg-slate-900/50 border-gray-200 dark:border-slate-700 custom-scrollbar">
+                                    <PageGrid
+                                        file={files[0]}
+                                        mode="split"
+                                        initialSelection={config.pdfToImages.pages}
+                                        onChange={(val) => setPdfToImages({ pages: val })}
+                                    />
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                )}
+
+                {mode === 'office-to-pdf' && (
                     <div className="text-center text-gray-500 dark:text-gray-400 py-4">
-                        <p>Convert your PDF into an editable Word document.</p>
-                        <p className="text-xs mt-1">Uses LibreOffice for high-quality conversion.</p>
+                        <p>Convert Word, PowerPoint and Excel files (or their OpenDocument versions) to PDF.</p>
+                        <p className="text-xs mt-1">
+                            {files.length > 1
+                                ? 'Each document becomes a PDF in the list, ready to merge.'
+                                : 'The PDF can go straight on to compress, merge or any other tool.'}
+                        </p>
+                    </div>
+                )}
+
+                {mode === 'unlock' && (
+                    <div className="space-y-4">
+                        <div className="p-3 bg-emerald-50 dark:bg-emerald-900/20 text-emerald-800 dark:text-emerald-300 rounded-lg text-sm border border-emerald-100 dark:border-emerald-800">
+                            Remove the password from a PDF you are allowed to open.
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">PDF Password</label>
+                            <input 
+                                type="password" 
+                                className={inputClass}
+                                placeholder="Enter the current password"
+                                value={config.unlock?.password || ''}
+                                onChange={(e) => setConfig({...config, unlock: { password: e.target.value }})}
+                            />
+                        </div>
+                    </div>
+                )}
+
+                {mode === 'protect' && (
+                    <div className="space-y-4">
+                        <div className="p-3 bg-rose-50 dark:bg-rose-900/20 text-rose-800 dark:text-rose-300 rounded-lg text-sm border border-rose-100 dark:border-rose-800">
+                            Add a password and choose what others can do with the PDF.
+                        </div>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Open Password</label>
+                                <input 
+                                    type="password" 
+                                    className={inputClass}
+                                    placeholder="Needed to open (optional)"
+                                    value={config.protect?.userPassword || ''}
+                                    onChange={(e) => setConfig({...config, protect: {...config.protect, userPassword: e.target.value}})}
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Owner Password</label>
+                                <input 
+                                    type="password" 
+                                    className={inputClass}
+                                    placeholder="Needed to change permissions"
+                                    value={config.protect?.ownerPassword || ''}
+                                    onChange={(e) => setConfig({...config, protect: {...config.protect, ownerPassword: e.target.value}})}
+                                />
+                            </div>
+                        </div>
+                        <div className="grid grid-cols-2 gap-2">
+                            {[
+                                ['allowPrinting', 'Allow printing'],
+                                ['allowCopying', 'Allow copying text'],
+                                ['allowModifying', 'Allow editing pages'],
+                                ['allowAnnotating', 'Allow comments & forms']
+                            ].map(([key, label]) => (
+                                <label key={key} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                                    <input 
+                                        type="checkbox" 
+                                        className="accent-blue-600"
+                                        checked={config.protect?.[key] ?? true}
+                                        onChange={(e) => setConfig({...config, protect: {...config.protect, [key]: e.target.checked}})}
+                                    />
+                                    {label}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                {mode === 'header-footer' && (
+                    <div className="space-y-4">
+                        <div className="p-3 bg-violet-50 dark:bg-violet-900/20 text-violet-800 dark:text-violet-300 rounded-lg text-sm border border-violet-100 dark:border-violet-800">
+                            Print your roll number and page numbers on every page. Placeholders: <code>{'{rollNo}'}</code> <code>{'{subject}'}</code> <code>{'{type}'}</code> <code>{'{date}'}</code> <code>{'{n}'}</code> <code>{'{total}'}</code>
+                        </div>
+
+                        <SubmissionDetails 
+                            details={config.details}
+                            onChange={(details) => setConfig({...config, details})}
+                            inputClass={inputClass}
+                        />
+
+                        {[['header', 'Header', 'e.g. {subject} - {type}'], ['footer', 'Footer', 'e.g. Page {n} of {total}']].map(([key, label, placeholder]) => (
+                            <div key={key}>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">{label}</label>
+                                <input 
+                                    type="text" 
+                                    className={inputClass}
+                                    placeholder={placeholder}
+                                    value={config.headerFooter[key]}
+                                    onChange={(e) => setHeaderFooter({ [key]: e.target.value })}
+                                />
+                            </div>
+                        ))}
+
+                        {/* Alignment */}
+                        <div className="flex flex-wrap gap-2">
+                            {[['left', 'Left'], ['center', 'Centre'], ['right', 'Right']].map(([value, label]) => (
+                                <button
+                                    key={value}
+                                    onClick={() => setHeaderFooter({ align: value })}
+                                    className={`px-3 py-1 rounded-lg border text-xs font-medium transition-all ${config.headerFooter.align === value ? 'border-blue-600 bg-blue-600 text-white' : 'border-gray-200 dark:border-slate-600 text-gray-600 dark:text-gray-400 bg-white dark:bg-slate-800'}`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                            <div>
+                                <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Font</label>
+                                <select 
+                                    className={inputClass}
+                                    value={config.headerFooter.font}
+                                    onChange={(e) => setHeaderFooter({ font: e.target.value })}
+                                >
+                                    <option value="helvetica">Helvetica</option>
+                                    <option value="helvetica-bold">Helvetica Bold</option>
+                                    <option value="times">Times</option>
+                                    <option value="times-bold">Times Bold</option>
+                                    <option value="courier">Courier</option>
+                                </select>
+                            </div>
+                            {[['fontSize', 'Size (pt)', 6, 36], ['margin', 'Margin (pt)', 0, 144], ['startNumber', 'Start At', 0, 9999]].map(([key, label, min, max]) => (
+                                <div key={key}>
+                                    <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">{label}</label>
+                                    <input 
+                                        type="number" 
+                                        className={inputClass}
+                                        min={min} max={max}
+                                        value={config.headerFooter[key]}
+                                        onChange={(e) => setHeaderFooter({ [key]: e.target.value })}
+                                    />
+                                </div>
+                            ))}
+                        </div>
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Skip Pages</label>
+                            <input 
+                                type="text" 
+                                className={inputClass}
+                                placeholder="e.g. 1 to leave the cover page blank"
+                                value={config.headerFooter.skipPages}
+                                onChange={(e) => setHeaderFooter({ skipPages: e.target.value })}
+                            />
+                        </div>
+                    </div>
+                )}
+
+                {mode === 'cover-page' && (
+                    <div className="space-y-4">
+                        <div className="p-3 bg-amber-50 dark:bg-amber-900/20 text-amber-800 dark:text-amber-300 rounded-lg text-sm border border-amber-100 dark:border-amber-800">
+                            {hasPdf ? 'A title page will be added in front of your PDF.' : 'Creates a one-page cover you can merge later.'} The same details name the file.
+                        </div>
+
+                        {/* Layout Picker */}
+                        <div className="flex flex-wrap gap-2">
+                            {[['classic', 'Classic'], ['modern', 'Modern'], ['minimal', 'Minimal']].map(([value, label]) => (
+                                <button
+                                    key={value}
+                                    onClick={() => setConfig({...config, cover: { layout: value }})}
+                                    className={`px-4 py-2 rounded-xl border text-sm font-medium transition-all ${config.cover.layout === value ? 'border-blue-600 bg-blue-600 text-white' : 'border-gray-200 dark:border-slate-600 text-gray-600 dark:text-gray-400 bg-white dark:bg-slate-800'}`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+
+                        <SubmissionDetails 
+                            details={config.details}
+                            onChange={(details) => setConfig({...config, details})}
+                            inputClass={inputClass}
+                        />
+
+                        {submissionFilename(config.details) && (
+                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                                Saved as <span className="font-mono font-semibold text-gray-700 dark:text-gray-200">{submissionFilename(config.details)}</span>
+                            </p>
+                        )}
+                    </div>
+                )}
+
+                {mode === 'rename' && (
+                    <div className="space-y-4">
+                        <div className="p-3 bg-blue-50 dark:bg-blue-900/20 text-blue-800 dark:text-blue-300 rounded-lg text-sm border border-blue-100 dark:border-blue-800">
+                            {files.length > 1
+                                ? `Renames all ${files.length} files in list order and downloads them as one ZIP.`
+                                : 'Gives the file a consistent submission name.'} Hindi and other scripts are spelled out in English letters.
+                        </div>
+
+                        <SubmissionDetails
+                            details={config.details}
+                            onChange={(details) => setConfig({...config, details})}
+                            inputClass={inputClass}
+                        />
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Filename Template</label>
+                            <input
+                                type="text"
+                                className={`${inputClass} font-mono text-sm`}
+                                value={config.rename.template}
+                                onChange={(e) => setRename({ template: e.target.value })}
+                            />
+                            <div className="flex flex-wrap gap-1.5 mt-2">
+                                {FILENAME_TOKENS.map(token => (
+                                    <button
+                                        key={token}
+                                        type="button"
+                                        onClick={() => setRename({ template: `${config.rename.template}${config.rename.template ? config.rename.separator : ''}${token}` })}
+                                        className="px-2 py-0.5 rounded-md border border-gray-200 dark:border-slate-600 text-xs font-mono text-gray-600 dark:text-gray-400 bg-white dark:bg-slate-800 hover:border-primary"
+                                    >
+                                        {token}
+                                    </button>
+                                ))}
+                            </div>
+                            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                                Empty fields are skipped. {'{seq}'} numbers the files, {'{original}'} keeps the uploaded name, {'{date:DD-MM-YYYY}'} picks a date format (today if Date is empty).
+                            </p>
+                        </div>
+
+                        <div className="grid grid-cols-2 gap-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Case</label>
+                                <select className={inputClass} value={config.rename.case} onChange={(e) => setRename({ case: e.target.value })}>
+                                    <option value="keep">As typed</option>
+                                    <option value="lower">lowercase</option>
+                                    <option value="upper">UPPERCASE</option>
+                                    <option value="title">Title Case</option>
+                                </select>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Separator</label>
+                                <div className="flex gap-2">
+                                    {[['_', '_'], ['-', '-'], ['.', '.'], [' ', 'space']].map(([value, label]) => (
+                                        <button
+                                            key={label}
+                                            onClick={() => setRename({ separator: value })}
+                                            className={`flex-1 py-2 rounded-lg border text-sm font-mono transition-all ${config.rename.separator === value ? 'border-primary bg-primary text-white' : 'border-gray-200 dark:border-slate-600 text-gray-600 dark:text-gray-400 bg-white dark:bg-slate-800'}`}
+                                        >
+                                            {label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        </div>
+
+                        <div className="flex flex-wrap items-center gap-x-6 gap-y-3">
+                            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    className="accent-primary"
+                                    checked={config.rename.transliterate}
+                                    onChange={(e) => setRename({ transliterate: e.target.checked })}
+                                />
+                                English letters only (आशा → asha)
+                            </label>
+                            {files.length > 1 && (
+                                <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                                    Start {'{seq}'} at
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        className="w-20 p-2 border rounded-lg bg-white dark:bg-slate-800 border-gray-200 dark:border-slate-600"
+                                        value={config.rename.startNumber}
+                                        onChange={(e) => setRename({ startNumber: e.target.value })}
+                                    />
+                                </label>
+                            )}
+                        </div>
+                    </div>
+                )}
+
+                {mode === 'validate' && (
+                    <div className="space-y-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Submitting to</label>
+                            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                                {[...profiles, { id: '', label: 'Health only' }].map(({ id, label }) => (
+                                    <button
+                                        key={id}
+                                        onClick={() => setConfig({...config, check: { profile: id }})}
+                                        className={`px-3 py-2 rounded-lg border text-sm font-medium transition-all ${config.check.profile === id ? 'border-primary bg-primary text-white' : 'border-gray-200 dark:border-slate-600 text-gray-600 dark:text-gray-400 bg-white dark:bg-slate-800'}`}
+                                    >
+                                        {label}
+                                    </button>
+                                ))}
+                            </div>
+                            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                                {profile && `${profile.description} Colour: ${profile.color === 'grayscale' ? 'grayscale only' : 'allowed'}.`}
+                                {!config.check.profile && 'No portal rules: just the document health report (fonts, blank and scanned pages, scripts, attachments...).'}
+                            </p>
+                        </div>
+
+                        <div className="p-3 bg-blue-50 dark:bg-blue-900/20 text-blue-800 dark:text-blue-300 rounded-lg text-sm border border-blue-100 dark:border-blue-800">
+                            Fill in your details so "Fix everything" can name the file and set its document properties.
+                        </div>
+                        <SubmissionDetails
+                            details={config.details}
+                            onChange={(details) => setConfig({...config, details})}
+                            inputClass={inputClass}
+                        />
+                    </div>
+                )}
+
+                {mode === 'ocr' && (
+                    <div className="space-y-4">
+                        <div className="p-3 bg-teal-50 dark:bg-teal-900/20 text-teal-800 dark:text-teal-300 rounded-lg text-sm border border-teal-100 dark:border-teal-800">
+                            Turns a scanned PDF into a searchable one. The pages look exactly the same; an invisible text layer is added underneath. Runs entirely on the server, nothing is sent elsewhere.
+                        </div>
+
+                        <div className="space-y-2">
+                            <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Languages on the pages</span>
+                            <LanguagePicker value={config.ocr.languages} onChange={(languages) => setOcr({ languages })} />
+                        </div>
+
+                        <input
+                            type="text"
+                            className={inputClass}
+                            placeholder="Pages (blank = all), e.g. 1-3, 5"
+                            value={config.ocr.pages}
+                            onChange={(e) => setOcr({ pages: e.target.value })}
+                        />
+
+                        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                className="accent-teal-600"
+                                checked={config.ocr.force}
+                                onChange={(e) => setOcr({ force: e.target.checked })}
+                            />
+                            Also OCR pages that already contain text
+                        </label>
+                    </div>
+                )}
+
+                {mode === 'pdfa' && (
+                    <div className="space-y-4">
+                        <div className="p-3 bg-slate-50 dark:bg-slate-900/40 text-slate-700 dark:text-slate-300 rounded-lg text-sm border border-slate-200 dark:border-slate-700">
+                            PDF/A is the archival format thesis repositories and some exam cells require: every font embedded, colours tied to a standard profile, no scripts. The result is checked afterwards and anything that couldn't be made compliant is listed.
+                        </div>
+                        <div className="grid grid-cols-2 gap-2">
+                            {PDFA_LEVELS.map(([level, label, hint]) => (
+                                <button
+                                    key={level}
+                                    onClick={() => setConfig({...config, pdfa: { level }})}
+                                    className={`p-3 rounded-xl border text-left transition-all ${config.pdfa.level === level ? 'border-primary bg-primary/5 ring-2 ring-primary/20' : 'border-gray-200 dark:border-slate-600 bg-white dark:bg-slate-800'}`}
+                                >
+                                    <span className="block text-sm font-semibold text-gray-800 dark:text-white">{label}</span>
+                                    <span className="block text-xs text-gray-500 dark:text-gray-400 mt-1">{hint}</span>
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                {mode === 'watermark' && (
+                    <div className="space-y-4">
+                        <div className="p-3 bg-sky-50 dark:bg-sky-900/20 text-sky-800 dark:text-sky-300 rounded-lg text-sm border border-sky-100 dark:border-sky-800">
+                            Stamp "DRAFT", "CONFIDENTIAL" or your logo on the pages before sharing.
+                        </div>
+
+                        {/* Text vs Logo */}
+                        <div className="flex gap-2">
+                            {[['text', 'Text'], ['image', 'PNG Logo']].map(([value, label]) => (
+                                <button
+                                    key={value}
+                                    onClick={() => setWatermark({ type: value })}
+                                    className={`px-4 py-2 rounded-xl border text-sm font-medium transition-all ${config.watermark.type === value ? 'border-blue-600 bg-blue-600 text-white' : 'border-gray-200 dark:border-slate-600 text-gray-600 dark:text-gray-400 bg-white dark:bg-slate-800'}`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+
+                        {config.watermark.type === 'text' ? (
+                            <div className="grid grid-cols-[1fr_auto] gap-3">
+                                <input 
+                                    type="text" 
+                                    className={inputClass}
+                                    placeholder="e.g. DRAFT"
+                                    value={config.watermark.text}
+                                    onChange={(e) => setWatermark({ text: e.target.value })}
+                                />
+                                <input 
+                                    type="color" 
+                                    className="h-full w-14 rounded-xl border border-gray-200 dark:border-slate-600 bg-white dark:bg-slate-800 cursor-pointer"
+                                    title="Colour"
+                                    value={config.watermark.color}
+                                    onChange={(e) => setWatermark({ color: e.target.value })}
+                                />
+                            </div>
+                        ) : (
+                            <input 
+                                type="file" 
+                                accept="image/png,image/jpeg"
+                                className="block w-full text-sm text-gray-600 dark:text-gray-300 file:mr-3 file:px-4 file:py-2 file:rounded-xl file:border-0 file:bg-blue-50 file:text-blue-700 file:font-semibold"
+                                onChange={(e) => setWatermark({ logo: e.target.files[0] || null })}
+                            />
+                        )}
+
+                        {/* Sliders */}
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                            {[
+                                ['opacity', 'Opacity', 0.05, 1, 0.05, v => `${Math.round(v * 100)}%`],
+                                ['rotation', 'Rotation', -90, 90, 5, v => `${v}°`],
+                                config.watermark.type === 'text'
+                                    ? ['fontSize', 'Font Size', 12, 150, 2, v => `${v}pt`]
+                                    : ['logoScale', 'Logo Width', 5, 100, 5, v => `${v}%`]
+                            ].map(([key, label, min, max, step, format]) => (
+                                <label key={key} className="block text-sm text-gray-700 dark:text-gray-300">
+                                    <span className="flex justify-between font-medium mb-1">
+                                        {label} <span className="text-gray-400">{format(config.watermark[key])}</span>
+                                    </span>
+                                    <input 
+                                        type="range" 
+                                        className="w-full accent-blue-600 disabled:opacity-40"
+                                        min={min} max={max} step={step}
+                                        disabled={key === 'rotation' && config.watermark.position === 'diagonal'}
+                                        value={config.watermark[key]}
+                                        onChange={(e) => setWatermark({ [key]: parseFloat(e.target.value) })}
+                                    />
+                                </label>
+                            ))}
+                        </div>
+
+                        {/* Placement */}
+                        <div className="flex flex-wrap gap-2">
+                            {[
+                                ['diagonal', 'Diagonal'],
+                                ['center', 'Centre'],
+                                ['top-left', 'Top Left'],
+                                ['top-right', 'Top Right'],
+                                ['bottom-left', 'Bottom Left'],
+                                ['bottom-right', 'Bottom Right']
+                            ].map(([value, label]) => (
+                                <button
+                                    key={value}
+                                    onClick={() => setWatermark({ position: value })}
+                                    className={`px-3 py-1 rounded-lg border text-xs font-medium transition-all ${config.watermark.position === value ? 'border-blue-600 bg-blue-600 text-white' : 'border-gray-200 dark:border-slate-600 text-gray-600 dark:text-gray-400 bg-white dark:bg-slate-800'}`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                            <input 
+                                type="checkbox" 
+                                className="accent-blue-600"
+                                checked={config.watermark.tile}
+                                onChange={(e) => setWatermark({ tile: e.target.checked })}
+                            />
+                            Repeat across the whole page
+                        </label>
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Pages</label>
+                            <input 
+                                type="text" 
+                                className={inputClass}
+                                placeholder="All pages, or e.g. 1-5, 8, 11-13"
+                                value={config.watermark.pages}
+                                onChange={(e) => setWatermark({ pages: e.target.value })}
+                            />
+                        </div>
+                    </div>
+                )}
+
+                {mode === 'pipeline' && (
+                    <div className="space-y-4">
+                        <PipelineBuilder 
+                            steps={config.pipeline?.steps || []}
+                            onChange={(steps) => setConfig({...config, pipeline: { steps }})}
+                        />
+                        {config.pipeline?.steps.some(step => DETAIL_STEPS.includes(step.tool)) && (
+                            <>
+                                <div className="p-3 bg-blue-50 dark:bg-blue-900/20 text-blue-800 dark:text-blue-300 rounded-lg text-sm border border-blue-100 dark:border-blue-800">
+                                    Your details fill the rename, cover page and page number steps. Values typed into a step override them.
+                                </div>
+                                <SubmissionDetails
+                                    details={config.details}
+                                    onChange={(details) => setConfig({...config, details})}
+                                    inputClass={inputClass}
+                                />
+                            </>
+                        )}
+                    </div>
+                )}
+
+                {/* Locked Input PDFs: shared by every PDF tool */}
+                {acceptsPassword && (
+                    <div className="mt-6 flex items-center gap-2 p-2 pl-3 rounded-xl bg-gray-50 dark:bg-slate-800/50 border border-gray-100 dark:border-slate-700">
+                        <Lock size={14} className="text-gray-400 shrink-0" />
+                        <input 
+                            type="password" 
+                            className="flex-1 bg-transparent text-sm outline-none text-gray-700 dark:text-gray-200 placeholder-gray-400"
+                            placeholder={mode === 'protect' ? 'Current password (only if already locked)' : 'PDF password (only if your file is locked)'}
+                            value={config.password || ''}
+                            onChange={(e) => setConfig({...config, password: e.target.value})}
+                        />
                     </div>
                 )}
 
@@ -2,6 +2,43 @@ import React, { useCallback } from 'react';
 import { useDropzone } from 'react-dropzone';
 import { UploadCloud } from 'lucide-react';
 
+// Formats the server can decode. HEIC often arrives without a MIME type, so extensions matter too.
+export const ACCEPTED_FILES = {
+    'application/pdf': ['.pdf'],
+    'image/jpeg': ['.jpg', '.jpeg'],
+    'image/png': ['.png'],
+    'image/webp': ['.webp'],
+    'image/heic': ['.heic'],
+    'image/heif': ['.heif'],
+    'image/tiff': ['.tif', '.tiff'],
+    'image/gif': ['.gif'],
+    // Office documents, converted to PDF with LibreOffice on the server
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+    'application/msword': ['.doc'],
+    'application/vnd.oasis.opendocument.text': ['.odt'],
+    'application/rtf': ['.rtf'],
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+    'application/vnd.ms-powerpoint': ['.ppt'],
+    'application/vnd.oasis.opendocument.presentation': ['.odp'],
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+    'application/vnd.ms-excel': ['.xls'],
+    'application/vnd.oasis.opendocument.spreadsheet': ['.ods']
+};
+
+const IMAGE_EXTENSIONS = Object.entries(ACCEPTED_FILES)
+    .filter(([mime]) => mime.startsWith('image/'))
+    .flatMap(([, extensions]) => extensions);
+
+export const isImageFile = (file) => file.type.startsWith('image/')
+    || IMAGE_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext));
+
+const OFFICE_EXTENSIONS = Object.entries(ACCEPTED_FILES)
+    .filter(([mime]) => mime !== 'application/pdf' && !mime.startsWith('image/'))
+    .flatMap(([, extensions]) => extensions);
+
+// Browsers often report Office files with an empty or generic MIME type, so go by extension
+export const isOfficeFile = (file) => OFFICE_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext));
+
 const UploadArea = ({ onFilesSelected, processing }) => {
     const onDrop = useCallback(acceptedFiles => {
         if (acceptedFiles?.length) {
@@ -11,11 +48,7 @@ const UploadArea = ({ onFilesSelected, processing }) => {
 
     const { getRootProps, getInputProps, isDragActive } = useDropzone({ 
         onDrop, 
-        accept: {
-            'application/pdf': ['.pdf'],
-            'image/jpeg': ['.jpg', '.jpeg'],
-            'image/png': ['.png']
-        },
+        accept: ACCEPTED_FILES,
         disabled: processing
     });
 
@@ -54,7 +87,7 @@ const UploadArea = ({ onFilesSelected, processing }) => {
                     </p>
                 </div>
 
-                <div className="flex gap-2 mt-2">
+                <div className="flex flex-wrap justify-center gap-2 mt-2">
                     <span className="px-2 py-1 rounded-md bg-red-50 dark:bg-red-900/30 text-red-600 dark:text-red-400 text-xs font-semibold border border-red-100 dark:border-red-800">
                         PDF
                     </span>
@@ -64,6 +97,12 @@ const UploadArea = ({ onFilesSelected, processing }) => {
                     <span className="px-2 py-1 rounded-md bg-blue-50 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400 text-xs font-semibold border border-blue-100 dark:border-blue-800">
                         PNG
                     </span>
+                    <span className="px-2 py-1 rounded-md bg-emerald-50 dark:bg-emerald-900/30 text-emerald-600 dark:text-emerald-400 text-xs font-semibold border border-emerald-100 dark:border-emerald-800">
+                        HEIC · WEBP · TIFF
+                    </span>
+                    <span className="px-2 py-1 rounded-md bg-amber-50 dark:bg-amber-900/30 text-amber-600 dark:text-amber-400 text-xs font-semibold border border-amber-100 dark:border-amber-800">
+                        DOCX · PPTX · XLSX
+                    </span>
                 </div>
             </div>
         </div>
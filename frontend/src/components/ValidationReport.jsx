@@ -0,0 +1,138 @@
+import React from 'react';
+import { CheckCircle, AlertTriangle, XCircle, Wrench, RefreshCw, Info, ChevronRight } from 'lucide-react';
+import StatusBadge from './StatusBadge';
+
+const FINDING_STYLES = {
+    pass: { Icon: CheckCircle, className: 'text-green-600 dark:text-green-400' },
+    warn: { Icon: AlertTriangle, className: 'text-amber-500 dark:text-amber-400' },
+    fail: { Icon: XCircle, className: 'text-red-500 dark:text-red-400' }
+};
+
+const SEVERITY_STYLES = {
+    critical: { Icon: XCircle, label: 'Critical', className: 'text-red-500 dark:text-red-400', chip: 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300' },
+    warning: { Icon: AlertTriangle, label: 'Warning', className: 'text-amber-500 dark:text-amber-400', chip: 'bg-amber-100 text-amber-700 dark:bg-amber-900/40 dark:text-amber-300' },
+    info: { Icon: Info, label: 'Info', className: 'text-blue-500 dark:text-blue-400', chip: 'bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300' }
+};
+
+// Tool tabs a health finding can point to (see ToolConfig tabs)
+const TOOL_LABELS = { compress: 'Compress', organise: 'Organise', rotate: 'Rotate', ocr: 'OCR', 'remove-blank': 'Blank Pages', grayscale: 'Grayscale', 'page-size': 'Page Size', pdfa: 'PDF/A' };
+
+/**
+ * Collapsible document health report (backend/services/pdfHealth.js). Starts open when
+ * something needs attention; each finding can jump to the tool that fixes it.
+ */
+const HealthReport = ({ health, onOpenTool }) => {
+    const { summary, findings } = health;
+    const serious = findings.filter(finding => finding.severity !== 'info').length;
+    const facts = [
+        `PDF ${summary.version}`,
+        summary.textPages && `${summary.textPages} text`,
+        summary.scannedPages && `${summary.scannedPages} scanned`,
+        summary.drawingPages && `${summary.drawingPages} drawing`,
+        summary.blankPages && `${summary.blankPages} blank`,
+        summary.fonts && `fonts ${summary.embeddedFonts}/${summary.fonts} embedded`
+    ].filter(Boolean);
+
+    return (
+        <details open={serious > 0} className="group rounded-xl border border-gray-100 dark:border-slate-700">
+            <summary className="flex items-center gap-2 px-4 py-3 cursor-pointer list-none text-sm font-semibold text-gray-700 dark:text-gray-200">
+                <ChevronRight size={16} className="transition-transform group-open:rotate-90" />
+                Document health
+                <span className="ml-auto text-xs font-medium text-gray-400">
+                    {findings.length === 0 ? 'No issues' : `${findings.length} finding${findings.length === 1 ? '' : 's'}`}
+                </span>
+            </summary>
+            <div className="px-4 pb-4 space-y-3">
+                <p className="text-xs text-gray-400">{facts.join(' · ')}</p>
+                {findings.map(finding => {
+                    const { Icon, label, className, chip } = SEVERITY_STYLES[finding.severity];
+                    return (
+                        <div key={finding.id} className="flex items-start gap-3 text-sm">
+                            <Icon size={18} className={`shrink-0 mt-0.5 ${className}`} />
+                            <div className="min-w-0 space-y-1">
+                                <p className="font-medium text-gray-700 dark:text-gray-200">
+                                    {finding.title}
+                                    <span className={`ml-2 px-1.5 py-0.5 rounded text-[10px] font-bold uppercase ${chip}`}>{label}</span>
+                                </p>
+                                <p className="text-xs text-gray-500 dark:text-gray-400 break-words">{finding.message}</p>
+                                <p className="text-xs text-gray-600 dark:text-gray-300">
+                                    → {finding.suggestion}
+                                    {finding.tool && TOOL_LABELS[finding.tool] && (
+                                        <button onClick={() => onOpenTool(finding.tool)} className="ml-2 font-semibold text-primary hover:underline">
+                                            Open {TOOL_LABELS[finding.tool]}
+                                        </button>
+                                    )}
+                                </p>
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </details>
+    );
+};
+
+/**
+ * Result of `/api/validate`: the profile rules as pass/warn/fail (when a profile was picked)
+ * plus the document health report. "Fix everything" runs the server's `fixPlan` as one
+ * pipeline; rules without a `fix` (e.g. too many pages) are left for the student.
+ */
+const ValidationReport = ({ validation, onFix, fixing, onOpenTool }) => {
+    if (validation.status === 'INVALID') {
+        return (
+            <div className="p-4 rounded-2xl border border-red-100 dark:border-red-900 bg-red-50 dark:bg-red-900/20 text-sm text-red-600 dark:text-red-400 flex items-center gap-2">
+                <XCircle size={18} className="shrink-0" /> {validation.message}
+            </div>
+        );
+    }
+
+    const findings = validation.findings || []; // Only with a profile
+    const fixPlan = validation.fixPlan || [];
+    const manual = findings.filter(finding => finding.status === 'fail' && !finding.fix);
+
+    return (
+        <div className="p-5 rounded-2xl border border-gray-100 dark:border-slate-700 bg-white dark:bg-slate-800 space-y-4">
+            <div className="flex items-center justify-between gap-3">
+                <h3 className="font-semibold text-gray-800 dark:text-white">{validation.profile?.label || 'Document check'}</h3>
+                <StatusBadge status={validation.status} />
+            </div>
+
+            {findings.length > 0 && (
+                <ul className="space-y-2">
+                    {findings.map(finding => {
+                        const { Icon, className } = FINDING_STYLES[finding.status];
+                        return (
+                            <li key={finding.id} className="flex items-start gap-3 text-sm">
+                                <Icon size={18} className={`shrink-0 mt-0.5 ${className}`} />
+                                <div className="min-w-0">
+                                    <p className="font-medium text-gray-700 dark:text-gray-200">{finding.rule}</p>
+                                    <p className="text-xs text-gray-500 dark:text-gray-400 break-words">{finding.message}</p>
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+
+            {fixPlan.length > 0 && (
+                <button
+                    onClick={onFix}
+                    disabled={fixing}
+                    className="w-full py-3 rounded-xl font-semibold text-white bg-gradient-to-r from-emerald-500 to-green-600 hover:shadow-lg disabled:opacity-60 flex items-center justify-center gap-2"
+                >
+                    {fixing ? <RefreshCw size={16} className="animate-spin" /> : <Wrench size={16} />}
+                    Fix everything ({fixPlan.map(step => step.tool).join(' → ')})
+                </button>
+            )}
+            {manual.length > 0 && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                    Can't be fixed automatically: {manual.map(finding => finding.rule).join(', ')}.
+                </p>
+            )}
+
+            {validation.health && <HealthReport health={validation.health} onOpenTool={onOpenTool} />}
+        </div>
+    );
+};
+
+export default ValidationReport;